@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+/**
+ * label-rivers
+ * Command-line entry point for batch river labeling without a browser
+ */
+
+import { parseArgs } from 'node:util';
+import { readFile, writeFile } from 'node:fs/promises';
+import { BatchLabeler, OUTPUT_FORMATS } from '../src/BatchLabeler.js';
+import { PROJECTIONS } from '../src/Projection.js';
+
+const USAGE = `Usage: label-rivers [options] <file...>
+
+Label rivers from WKT (.wkt, .txt), WKB (.wkb, or hex in a text file), GeoJSON
+(.geojson, .json), KML (.kml), GPX (.gpx), Shapefile (.shp with its .dbf/.prj, or
+zipped as .zip) or coordinate JSON files and write the computed placements.
+
+Options:
+  -f, --format <list>        Output formats, comma-separated: ${OUTPUT_FORMATS.join(', ')} (default: json)
+  -o, --out-dir <dir>        Output directory (default: next to each input file)
+      --font-size <px>       Font size in pixels (default: 16)
+      --font-family <name>   Font family, optionally with style and weight, e.g. "bold Lato"
+                             (default: the first --font's family, else Arial)
+      --font <file>          TrueType/OpenType file to measure labels with; repeatable
+      --anchor <where>       Part of the label on the anchor point: start, center, end (default: center)
+      --align <where>        Anchor on the segment or on its best-scoring window: segment, peak (default: segment)
+      --repeat <spacing>     Repeat each label with at least this much river between copies
+      --max-labels <n>       Upper bound on repeated labels per river (default: no limit)
+      --scene <strategy>     Label all rivers of a file together so labels never overlap: greedy, anneal
+                             (one label per river; not with --repeat)
+      --obstacles <file>     GeoJSON of points, lines and polygons labels must keep clear of; feature
+                             properties name, action (reject, penalize), penalty and buffer apply
+      --name <text>          Label text for rivers without a name (default: file name)
+      --name-property <key>  GeoJSON property holding the label text (default: name)
+      --width-property <key> GeoJSON property holding widths (default: width)
+      --max-gap <n>          Widest gap allowed between the parts of a river that are stitched
+                             into one path (default: the combined length of the parts)
+      --projection <name>    Read coordinates as longitude/latitude and analyze them in meters:
+                             ${PROJECTIONS.join(', ')} (utm picks the zone from the data);
+                             font size, widths and thresholds are then in meters
+      --display-projection <name>
+                             Projection the SVG is drawn in for --projection input (default: web-mercator)
+      --config <file>        JSON file with "analyzer" thresholds and "scorer" weights
+      --curve-threshold <n>  Sharp curve threshold in degrees per unit (default: 2)
+      --min-width <n>        Narrow section threshold (default: 1)
+      --report <file>        Write the per-file failure report as JSON
+  -h, --help                 Show this help
+`;
+
+/**
+ * Parse a numeric option, rejecting anything that is not a finite number
+ */
+function toNumber(value, option) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new Error(`--${option} must be a number, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Read a scoring config file of the form {"analyzer": {...}, "scorer": {...}}
+ */
+async function readConfig(file) {
+  let config;
+  try {
+    config = JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read config ${file}: ${error.message}`);
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Config ${file} must be a JSON object`);
+  }
+  return config;
+}
+
+/**
+ * Read a GeoJSON file of obstacles
+ */
+async function readObstacles(file) {
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read obstacles ${file}: ${error.message}`);
+  }
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      format: { type: 'string', short: 'f', default: 'json' },
+      'out-dir': { type: 'string', short: 'o' },
+      'font-size': { type: 'string' },
+      'font-family': { type: 'string' },
+      font: { type: 'string', multiple: true },
+      anchor: { type: 'string' },
+      align: { type: 'string' },
+      repeat: { type: 'string' },
+      'max-labels': { type: 'string' },
+      scene: { type: 'string' },
+      obstacles: { type: 'string' },
+      name: { type: 'string' },
+      'name-property': { type: 'string' },
+      'width-property': { type: 'string' },
+      'max-gap': { type: 'string' },
+      projection: { type: 'string' },
+      'display-projection': { type: 'string' },
+      config: { type: 'string' },
+      'curve-threshold': { type: 'string' },
+      'min-width': { type: 'string' },
+      report: { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (values.help || positionals.length === 0) {
+    process.stdout.write(USAGE);
+    return values.help ? 0 : 2;
+  }
+
+  const config = values.config ? await readConfig(values.config) : {};
+  const thresholds = { ...config.analyzer };
+  const curvatureThreshold = toNumber(values['curve-threshold'], 'curve-threshold');
+  const minWidth = toNumber(values['min-width'], 'min-width');
+  if (curvatureThreshold !== undefined) thresholds.curvatureThreshold = curvatureThreshold;
+  if (minWidth !== undefined) thresholds.minWidth = minWidth;
+
+  const spacing = toNumber(values.repeat, 'repeat');
+  const maxLabels = toNumber(values['max-labels'], 'max-labels');
+  const repeat = spacing !== undefined ? { spacing, maxLabels } : null;
+
+  const labeler = new BatchLabeler({
+    formats: values.format.split(',').map(format => format.trim().toLowerCase()),
+    outDir: values['out-dir'],
+    fontSize: toNumber(values['font-size'], 'font-size'),
+    fontFamily: values['font-family'],
+    fonts: values.font,
+    anchor: values.anchor,
+    align: values.align,
+    repeat,
+    scene: values.scene,
+    obstacles: values.obstacles ? await readObstacles(values.obstacles) : null,
+    name: values.name,
+    nameProperty: values['name-property'],
+    widthProperty: values['width-property'],
+    maxGap: toNumber(values['max-gap'], 'max-gap'),
+    projection: values.projection,
+    displayProjection: values['display-projection'],
+    thresholds,
+    scoring: config.scorer
+  });
+
+  const report = await labeler.run(positionals);
+
+  for (const output of report.outputs) {
+    process.stdout.write(`wrote ${output}\n`);
+  }
+  for (const failure of report.failures) {
+    const river = failure.river ? ` (${failure.river})` : '';
+    process.stderr.write(`failed ${failure.file}${river}: ${failure.error}\n`);
+  }
+  process.stderr.write(`${report.succeeded}/${report.processed} files labeled, ${report.failed} with failures\n`);
+
+  if (values.report) {
+    await writeFile(values.report, JSON.stringify(report, null, 2));
+  }
+
+  return report.failed > 0 ? 1 : 0;
+}
+
+main()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    process.stderr.write(`label-rivers: ${error.message}\n`);
+    process.exitCode = 2;
+  });
@@ -0,0 +1,547 @@
+/**
+ * BatchLabeler
+ * Labels river files headlessly in Node and writes the placements to disk
+ * Used by the label-rivers command-line tool
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { basename, dirname, extname, join } from 'node:path';
+import { RiverPathParser } from './RiverPathParser.js';
+import { LabelPipeline, ALIGNMENTS } from './LabelPipeline.js';
+import { ANCHORS } from './TextPlacer.js';
+import { GeometryAnalyzer } from './GeometryAnalyzer.js';
+import { PlacementScorer } from './PlacementScorer.js';
+import { TextPlacer } from './TextPlacer.js';
+import { FontBook } from './FontBook.js';
+import { ScenePlacer, SCENE_STRATEGIES } from './ScenePlacer.js';
+import { GeoJSONExporter } from './GeoJSONExporter.js';
+import { SVGRenderer } from './SVGRenderer.js';
+import { Projection, PROJECTIONS } from './Projection.js';
+import { ObstacleLayer } from './ObstacleLayer.js';
+
+export const OUTPUT_FORMATS = ['json', 'geojson', 'svg'];
+
+export class BatchLabeler {
+  /**
+   * @param {Object} options
+   * @param {Array<string>} options.formats - Any of 'json', 'geojson', 'svg' (default: ['json'])
+   * @param {string|null} options.outDir - Output directory (default: next to each input file)
+   * @param {number} options.fontSize - Font size in pixels (default: 16)
+   * @param {string} options.fontFamily - Font spec, e.g. 'bold Lato' (default: the first loaded
+   *   font's family, else 'Arial')
+   * @param {Array<string>} options.fonts - TrueType/OpenType files to measure text with (default: none)
+   * @param {string} options.anchor - Label anchor: 'start', 'center' or 'end' (default: 'center')
+   * @param {string} options.align - Anchor on the 'segment' or its score 'peak' (default: 'segment')
+   * @param {{spacing: number, maxLabels?: number}|null} options.repeat - Repeat each label along
+   *   its river (default: null)
+   * @param {string|null} options.scene - Label all rivers of a file together so their labels
+   *   avoid each other, using the 'greedy' or 'anneal' strategy; one label per river, so not
+   *   with repeat (default: null)
+   * @param {string|null} options.name - Label text for rivers without a name (default: file name)
+   * @param {string} options.nameProperty - GeoJSON property holding the label text (default: 'name')
+   * @param {string} options.widthProperty - GeoJSON property holding widths (default: 'width')
+   * @param {number} options.maxGap - Widest gap allowed between stitched parts (see RiverPathParser)
+   * @param {string|null} options.projection - Read coordinates as longitude/latitude and analyze
+   *   them in this projection, e.g. 'utm'; sizes are then in meters (default: null, planar input)
+   * @param {Object|null} options.obstacles - GeoJSON of points, lines and polygons labels must keep
+   *   clear of, in longitude/latitude for rivers read with a projection and in the rivers' own
+   *   coordinates otherwise; feature properties name, action, penalty and buffer are honored
+   *   (default: null)
+   * @param {string} options.displayProjection - Projection SVG output is drawn in for
+   *   longitude/latitude input (default: 'web-mercator')
+   * @param {Object} options.thresholds - GeometryAnalyzer config
+   * @param {Object} options.scoring - PlacementScorer config
+   */
+  constructor(options = {}) {
+    this.formats = options.formats ?? ['json'];
+    this.outDir = options.outDir ?? null;
+    this.fontSize = options.fontSize ?? 16;
+    this.fontFamily = options.fontFamily ?? 'Arial';
+    this.fontFiles = options.fonts ?? [];
+    this._explicitFontFamily = options.fontFamily !== undefined && options.fontFamily !== null;
+    this._fontsLoaded = null;
+    this.anchor = options.anchor ?? 'center';
+    this.align = options.align ?? 'segment';
+    this.repeat = options.repeat ?? null;
+    this.scene = options.scene ?? null;
+    this.name = options.name ?? null;
+    this.displayProjection = options.displayProjection ?? 'web-mercator';
+    this.obstacles = options.obstacles ?? null;
+
+    const unknown = this.formats.filter(format => !OUTPUT_FORMATS.includes(format));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown output format: ${unknown.join(', ')} (expected ${OUTPUT_FORMATS.join(', ')})`);
+    }
+
+    if (!ANCHORS.includes(this.anchor)) {
+      throw new Error(`Unknown anchor: ${this.anchor} (expected ${ANCHORS.join(', ')})`);
+    }
+
+    if (!ALIGNMENTS.includes(this.align)) {
+      throw new Error(`Unknown align: ${this.align} (expected ${ALIGNMENTS.join(', ')})`);
+    }
+
+    if (this.scene !== null && !SCENE_STRATEGIES.includes(this.scene)) {
+      throw new Error(`Unknown scene strategy: ${this.scene} (expected ${SCENE_STRATEGIES.join(', ')})`);
+    }
+
+    if (this.scene !== null && this.repeat !== null) {
+      throw new Error('Scene labeling places one label per river; it cannot be combined with repeat');
+    }
+
+    if (!PROJECTIONS.includes(this.displayProjection)) {
+      throw new Error(`Unknown display projection: ${this.displayProjection} (expected ${PROJECTIONS.join(', ')})`);
+    }
+
+    // Malformed obstacles fail the whole batch up front rather than every river
+    if (this.obstacles !== null) {
+      new ObstacleLayer(ObstacleLayer.fromGeoJSON(this.obstacles));
+    }
+
+    this.parser = new RiverPathParser({
+      nameProperty: options.nameProperty,
+      widthProperty: options.widthProperty,
+      maxGap: options.maxGap,
+      projection: options.projection
+    });
+    this.fonts = new FontBook();
+    const analyzer = new GeometryAnalyzer(options.thresholds);
+    const scorer = new PlacementScorer(options.scoring, { fonts: this.fonts });
+    const placer = new TextPlacer({ fonts: this.fonts });
+    this.pipeline = new LabelPipeline({ analyzer, scorer, placer });
+    this.scenePlacer = this.scene
+      ? new ScenePlacer({
+          analyzer,
+          scorer,
+          placer,
+          fontSize: this.fontSize,
+          fontFamily: this.fontFamily,
+          strategy: this.scene,
+          anchor: this.anchor,
+          align: this.align
+        })
+      : null;
+    this.exporter = new GeoJSONExporter();
+  }
+
+  /**
+   * Label every file and collect a failure report
+   * One failing file or river never stops the batch
+   * @param {Array<string>} files
+   * @returns {Promise<{processed: number, succeeded: number, failed: number,
+   *   outputs: Array<string>, failures: Array<{file: string, river: string|null, error: string}>}>}
+   */
+  async run(files) {
+    await this.loadFonts();
+
+    const report = {
+      processed: 0,
+      succeeded: 0,
+      failed: 0,
+      outputs: [],
+      failures: []
+    };
+
+    for (const file of files) {
+      report.processed++;
+
+      try {
+        const { outputs, failures } = await this.labelFile(file);
+        report.outputs.push(...outputs);
+        report.failures.push(...failures);
+
+        if (failures.length === 0) {
+          report.succeeded++;
+        } else {
+          report.failed++;
+        }
+      } catch (error) {
+        report.failed++;
+        report.failures.push({ file, river: null, error: error.message });
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Label all rivers in one file and write the requested outputs
+   * @param {string} file
+   * @returns {Promise<{rivers: Array<Object>, outputs: Array<string>, failures: Array<Object>}>}
+   */
+  async labelFile(file) {
+    await this.loadFonts();
+    const data = extname(file).toLowerCase() === '.shp'
+      ? await this.readShapefile(file)
+      : this.readInput(await readFile(file), file);
+    const fallbackName = this.name ?? basename(file, extname(file));
+    const labeled = this.labelData(data, fallbackName);
+    const rivers = labeled.rivers;
+    const failures = labeled.failures.map(failure => ({ file, ...failure }));
+
+    const outputs = rivers.length > 0 ? await this._writeOutputs(file, rivers) : [];
+
+    return { rivers, outputs, failures };
+  }
+
+  /**
+   * Read the font files into the FontBook, once
+   * Without an explicit fontFamily, labels use the first font's family
+   * @returns {Promise<void>}
+   */
+  loadFonts() {
+    this._fontsLoaded ??= (async () => {
+      const loaded = [];
+      for (const file of this.fontFiles) {
+        try {
+          loaded.push(this.fonts.add(await readFile(file)));
+        } catch (error) {
+          throw new Error(`Cannot load font ${file}: ${error.message}`);
+        }
+      }
+
+      if (loaded.length > 0 && !this._explicitFontFamily) {
+        this.fontFamily = loaded[0].family;
+        if (this.scenePlacer) {
+          this.scenePlacer.fontFamily = loaded[0].family;
+        }
+      }
+    })();
+
+    return this._fontsLoaded;
+  }
+
+  /**
+   * Read a .shp with the .shx, .dbf, .prj and .cpg files beside it
+   * Only the .shp is required; without a .dbf the shapes carry no attributes
+   * @param {string} file
+   * @returns {Promise<Object>} {shp, shx?, dbf?, prj?, cpg?}
+   */
+  async readShapefile(file) {
+    const base = file.slice(0, -extname(file).length);
+    const files = { shp: new Uint8Array(await readFile(file)) };
+
+    for (const extension of ['shx', 'dbf', 'prj', 'cpg']) {
+      // Sidecar files are conventionally lower case, but upper case is common too
+      for (const candidate of [`${base}.${extension}`, `${base}.${extension.toUpperCase()}`]) {
+        try {
+          files[extension] = new Uint8Array(await readFile(candidate));
+          break;
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            throw error;
+          }
+        }
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Decode file contents: JSON files may hold GeoJSON or coordinate arrays,
+   * .wkb files are binary WKB, .zip files zipped Shapefiles, anything else is
+   * treated as WKT (or hex WKB), KML or GPX
+   * @param {string | Uint8Array} contents - Text or the raw file bytes
+   * @param {string} file - Used to pick the decoder by extension
+   * @returns {string | Array | Object | Uint8Array}
+   */
+  readInput(contents, file) {
+    const extension = extname(file).toLowerCase();
+
+    if (extension === '.wkb' || extension === '.zip') {
+      return typeof contents === 'string' ? contents : new Uint8Array(contents);
+    }
+
+    const text = typeof contents === 'string' ? contents : new TextDecoder().decode(contents);
+
+    if (extension === '.json' || extension === '.geojson') {
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+      }
+    }
+
+    return text;
+  }
+
+  /**
+   * Run the labeling pipeline on already decoded input
+   * @param {string | Array | Object} data
+   * @param {string} fallbackName - Label text for rivers that carry no name
+   * @returns {{rivers: Array<Object>, failures: Array<{river: string|null, error: string}>}}
+   */
+  labelData(data, fallbackName) {
+    const paths = this.parser.parseAll(data);
+
+    if (this.scenePlacer) {
+      return this._labelScene(paths, fallbackName);
+    }
+
+    const rivers = [];
+    const failures = [];
+
+    paths.forEach((path, index) => {
+      const riverLabel = paths.length > 1 ? `#${index + 1}` : null;
+
+      if (path instanceof Error) {
+        failures.push({ river: riverLabel, error: path.message });
+        return;
+      }
+
+      const text = path.name || fallbackName;
+      const run = this.pipeline.run(path, text, {
+        fontSize: this.fontSize,
+        fontFamily: this.fontFamily,
+        anchor: this.anchor,
+        align: this.align,
+        repeat: this.repeat,
+        obstacles: this._obstaclesFor(path)
+      });
+
+      if (!run.placement) {
+        failures.push({ river: riverLabel ?? text, error: run.result.warning });
+        return;
+      }
+
+      rivers.push({ text, path, ...run });
+    });
+
+    return { rivers, failures };
+  }
+
+  /**
+   * Label all parsed rivers together with the ScenePlacer
+   * @private
+   */
+  _labelScene(paths, fallbackName) {
+    const failures = [];
+    const scene = [];
+
+    paths.forEach((path, index) => {
+      const riverLabel = paths.length > 1 ? `#${index + 1}` : null;
+
+      if (path instanceof Error) {
+        failures.push({ river: riverLabel, error: path.message });
+      } else {
+        scene.push({ path, text: path.name || fallbackName, riverLabel, obstacles: this._obstaclesFor(path) });
+      }
+    });
+
+    const { labels, unplaced } = this.scenePlacer.place(scene);
+
+    for (const river of unplaced) {
+      failures.push({
+        river: scene[river.index].riverLabel ?? river.text,
+        error: river.reason === 'collision'
+          ? 'Label would overlap a higher-priority river'
+          : river.reason
+      });
+    }
+
+    const rivers = labels.map(label => {
+      const { path } = scene[label.index];
+      const textLength = label.characterPlacements.reduce((sum, glyph) => sum + glyph.width, 0);
+
+      return {
+        text: label.text,
+        path,
+        result: { warning: label.warning, textLength, fit: label.fit },
+        placement: label.placement,
+        characterPlacements: label.characterPlacements,
+        orientation: label.orientation,
+        fit: label.fit,
+        labels: [label]
+      };
+    });
+
+    return { rivers, failures };
+  }
+
+  /**
+   * Obstacles in a river's coordinates, projected like the river itself
+   * @private
+   */
+  _obstaclesFor(path) {
+    return this.obstacles !== null
+      ? ObstacleLayer.fromGeoJSON(this.obstacles, path.projection ?? null)
+      : [];
+  }
+
+  /**
+   * Serialize a labeled river for the JSON output
+   * @param {Object} river
+   * @returns {Object}
+   */
+  toJSON(river) {
+    const json = {
+      text: river.text,
+      warning: river.result.warning,
+      textLength: river.result.textLength,
+      orientation: river.orientation,
+      placement: this._placementJSON(river.placement),
+      characters: river.characterPlacements,
+      fit: river.fit,
+      config: river.result.config
+    };
+
+    if (river.path.projection) {
+      json.projection = river.path.projection.toJSON();
+    }
+    if (river.path.srid !== undefined) {
+      json.srid = river.path.srid;
+    }
+    if (river.path.properties) {
+      json.properties = river.path.properties;
+    }
+
+    if (this.repeat) {
+      json.labels = river.labels.map(label => ({
+        orientation: label.orientation,
+        placement: this._placementJSON(label.placement),
+        characters: label.characterPlacements
+      }));
+    }
+
+    return json;
+  }
+
+  /**
+   * @private
+   */
+  _placementJSON({ segment, score, scores, centerPoint }) {
+    return { segment, score, scores, centerPoint };
+  }
+
+  /**
+   * @private
+   */
+  async _writeOutputs(file, rivers) {
+    const directory = this.outDir ?? dirname(file);
+    const base = join(directory, basename(file, extname(file)));
+    const outputs = [];
+
+    await mkdir(directory, { recursive: true });
+
+    if (this.formats.includes('json')) {
+      const target = `${base}.labels.json`;
+      await writeFile(target, JSON.stringify(rivers.map(river => this.toJSON(river)), null, 2));
+      outputs.push(target);
+    }
+
+    if (this.formats.includes('geojson')) {
+      const features = rivers.flatMap(river =>
+        river.labels.flatMap(label =>
+          this.exporter.toFeatureCollection(label.placement, label.characterPlacements, {
+            text: river.fit.text,
+            fontSize: river.fit.fontSize,
+            warning: river.result.warning,
+            orientation: label.orientation,
+            projection: river.path.projection
+          }).features
+        )
+      );
+
+      const target = `${base}.labels.geojson`;
+      await writeFile(target, JSON.stringify({ type: 'FeatureCollection', features }, null, 2));
+      outputs.push(target);
+    }
+
+    const displayed = this.formats.includes('svg') ? this._displayRivers(rivers) : [];
+
+    if (this.formats.includes('svg') && this.scenePlacer) {
+      // One document for the whole scene, every river in a shared frame
+      const bounds = this.scenePlacer.sceneBounds(displayed.map(river => river.path));
+      const renderer = new SVGRenderer();
+      const strokes = this._strokes(renderer, { ...displayed[0].path, bounds });
+
+      for (const river of displayed) {
+        renderer.drawRiver({ ...river.path, bounds }, strokes);
+      }
+      for (const river of displayed) {
+        for (const label of river.labels) {
+          renderer.drawText(label.characterPlacements, {
+            fontSize: label.fontSize,
+            fontFamily: this.fontFamily,
+            ...strokes
+          });
+        }
+      }
+
+      const target = `${base}.svg`;
+      await writeFile(target, renderer.toSVG());
+      outputs.push(target);
+    } else if (this.formats.includes('svg')) {
+      for (let i = 0; i < displayed.length; i++) {
+        const river = displayed[i];
+        const renderer = new SVGRenderer();
+        const strokes = this._strokes(renderer, river.path);
+        renderer.drawRiver(river.path, strokes);
+        for (const label of river.labels) {
+          renderer.drawText(label.characterPlacements, {
+            fontSize: label.fontSize,
+            fontFamily: this.fontFamily,
+            ...strokes
+          });
+        }
+
+        const target = rivers.length > 1 ? `${base}-${i + 1}.svg` : `${base}.svg`;
+        await writeFile(target, renderer.toSVG());
+        outputs.push(target);
+      }
+    }
+
+    return outputs;
+  }
+
+  /**
+   * River line and label halo widths for a displayed path: the renderer
+   * defaults for planar input, the same 3 px on screen for projected input
+   * whose coordinates are meters
+   * @private
+   */
+  _strokes(renderer, path) {
+    if (!path.projection) {
+      return {};
+    }
+
+    const width = 3 * renderer.pixelSize(path);
+    return { lineWidth: width, strokeWidth: width };
+  }
+
+  /**
+   * Rivers and labels as drawn: projected input moves into the display
+   * projection, shared by every river of the file; planar input is drawn as is
+   * @private
+   * @returns {Array<{path: RiverPath, labels: Array<{characterPlacements: Array, fontSize: number}>}>}
+   */
+  _displayRivers(rivers) {
+    const projected = rivers.filter(river => river.path.projection);
+    const display = projected.length > 0
+      ? Projection.forPaths(this.displayProjection, projected.map(river => river.path))
+      : null;
+
+    return rivers.map(river => {
+      const source = river.path.projection;
+      if (!source) {
+        return {
+          path: river.path,
+          labels: river.labels.map(label => ({
+            characterPlacements: label.characterPlacements,
+            fontSize: river.fit.fontSize
+          }))
+        };
+      }
+
+      return {
+        path: Projection.reprojectPath(river.path, display),
+        labels: river.labels.map(label => {
+          const { characterPlacements, scale } =
+            Projection.reprojectPlacements(label.characterPlacements, source, display);
+          return { characterPlacements, fontSize: river.fit.fontSize * scale };
+        })
+      };
+    });
+  }
+}
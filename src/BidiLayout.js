@@ -0,0 +1,371 @@
+/**
+ * BidiLayout
+ * Turns a label into the glyphs to draw from left to right: grapheme clusters
+ * with Arabic letters in their contextual forms, reordered for right-to-left
+ * scripts with a simplified Unicode Bidirectional Algorithm (UAX #9)
+ * Each returned cluster is drawn on its own, so shaping happens here rather
+ * than in the renderer
+ */
+
+import { TextSegmenter } from './TextSegmenter.js';
+
+export const DIRECTIONS = ['auto', 'ltr', 'rtl'];
+
+// Right-to-left scripts: Arabic-script letters (Arabic, Syriac, Thaana and their
+// presentation forms) and the other right-to-left scripts (Hebrew, NKo, ...)
+const ARABIC_LETTER = /[\u0600-\u065F\u066A-\u06EF\u06FA-\u07BF\u0860-\u08FF\uFB50-\uFDFF\uFE70-\uFEFF]/;
+const RIGHT_TO_LEFT = /[\u0590-\u05FF\u07C0-\u085F\uFB1D-\uFB4F\u{10800}-\u{10FFF}\u{1E800}-\u{1EFFF}]/u;
+const EUROPEAN_NUMBER = /^[0-9\u06F0-\u06F9]$/;
+const ARABIC_NUMBER = /^[\u0660-\u0669]$/;
+const LEFT_TO_RIGHT = /[\p{L}\p{Mc}\p{N}]/u;
+
+// Separators that join two numbers of the same type (W4) and terminators
+// that attach to European numbers (W5)
+const COMMON_SEPARATOR = /^[,.:/\u00A0]$/;
+const EUROPEAN_SEPARATOR = /^[+-]$/;
+const EUROPEAN_TERMINATOR = /^[#%\u00B0\u2030\u2031\p{Sc}]$/u;
+
+// Characters drawn as their mirror image inside right-to-left runs
+const MIRRORED = {
+  '(': ')', ')': '(', '[': ']', ']': '[', '{': '}', '}': '{', '<': '>', '>': '<',
+  '\u00AB': '\u00BB', '\u00BB': '\u00AB', '\u2039': '\u203A', '\u203A': '\u2039'
+};
+
+// Arabic presentation forms as [isolated, final, initial, medial]; letters with
+// only two forms join to the preceding letter alone
+const ARABIC_FORMS = {
+  0x0621: [0xFE80],
+  0x0622: [0xFE81, 0xFE82],
+  0x0623: [0xFE83, 0xFE84],
+  0x0624: [0xFE85, 0xFE86],
+  0x0625: [0xFE87, 0xFE88],
+  0x0626: [0xFE89, 0xFE8A, 0xFE8B, 0xFE8C],
+  0x0627: [0xFE8D, 0xFE8E],
+  0x0628: [0xFE8F, 0xFE90, 0xFE91, 0xFE92],
+  0x0629: [0xFE93, 0xFE94],
+  0x062A: [0xFE95, 0xFE96, 0xFE97, 0xFE98],
+  0x062B: [0xFE99, 0xFE9A, 0xFE9B, 0xFE9C],
+  0x062C: [0xFE9D, 0xFE9E, 0xFE9F, 0xFEA0],
+  0x062D: [0xFEA1, 0xFEA2, 0xFEA3, 0xFEA4],
+  0x062E: [0xFEA5, 0xFEA6, 0xFEA7, 0xFEA8],
+  0x062F: [0xFEA9, 0xFEAA],
+  0x0630: [0xFEAB, 0xFEAC],
+  0x0631: [0xFEAD, 0xFEAE],
+  0x0632: [0xFEAF, 0xFEB0],
+  0x0633: [0xFEB1, 0xFEB2, 0xFEB3, 0xFEB4],
+  0x0634: [0xFEB5, 0xFEB6, 0xFEB7, 0xFEB8],
+  0x0635: [0xFEB9, 0xFEBA, 0xFEBB, 0xFEBC],
+  0x0636: [0xFEBD, 0xFEBE, 0xFEBF, 0xFEC0],
+  0x0637: [0xFEC1, 0xFEC2, 0xFEC3, 0xFEC4],
+  0x0638: [0xFEC5, 0xFEC6, 0xFEC7, 0xFEC8],
+  0x0639: [0xFEC9, 0xFECA, 0xFECB, 0xFECC],
+  0x063A: [0xFECD, 0xFECE, 0xFECF, 0xFED0],
+  0x0641: [0xFED1, 0xFED2, 0xFED3, 0xFED4],
+  0x0642: [0xFED5, 0xFED6, 0xFED7, 0xFED8],
+  0x0643: [0xFED9, 0xFEDA, 0xFEDB, 0xFEDC],
+  0x0644: [0xFEDD, 0xFEDE, 0xFEDF, 0xFEE0],
+  0x0645: [0xFEE1, 0xFEE2, 0xFEE3, 0xFEE4],
+  0x0646: [0xFEE5, 0xFEE6, 0xFEE7, 0xFEE8],
+  0x0647: [0xFEE9, 0xFEEA, 0xFEEB, 0xFEEC],
+  0x0648: [0xFEED, 0xFEEE],
+  0x0649: [0xFEEF, 0xFEF0, 0xFBE8, 0xFBE9],
+  0x064A: [0xFEF1, 0xFEF2, 0xFEF3, 0xFEF4],
+  // Persian, Urdu, Pashto, Sindhi and Kurdish letters
+  0x0671: [0xFB50, 0xFB51],
+  0x0679: [0xFB66, 0xFB67, 0xFB68, 0xFB69],
+  0x067A: [0xFB5E, 0xFB5F, 0xFB60, 0xFB61],
+  0x067B: [0xFB52, 0xFB53, 0xFB54, 0xFB55],
+  0x067E: [0xFB56, 0xFB57, 0xFB58, 0xFB59],
+  0x067F: [0xFB62, 0xFB63, 0xFB64, 0xFB65],
+  0x0680: [0xFB5A, 0xFB5B, 0xFB5C, 0xFB5D],
+  0x0683: [0xFB76, 0xFB77, 0xFB78, 0xFB79],
+  0x0684: [0xFB72, 0xFB73, 0xFB74, 0xFB75],
+  0x0686: [0xFB7A, 0xFB7B, 0xFB7C, 0xFB7D],
+  0x0687: [0xFB7E, 0xFB7F, 0xFB80, 0xFB81],
+  0x0688: [0xFB88, 0xFB89],
+  0x068C: [0xFB84, 0xFB85],
+  0x068D: [0xFB82, 0xFB83],
+  0x068E: [0xFB86, 0xFB87],
+  0x0691: [0xFB8C, 0xFB8D],
+  0x0698: [0xFB8A, 0xFB8B],
+  0x06A4: [0xFB6A, 0xFB6B, 0xFB6C, 0xFB6D],
+  0x06A6: [0xFB6E, 0xFB6F, 0xFB70, 0xFB71],
+  0x06A9: [0xFB8E, 0xFB8F, 0xFB90, 0xFB91],
+  0x06AD: [0xFBD3, 0xFBD4, 0xFBD5, 0xFBD6],
+  0x06AF: [0xFB92, 0xFB93, 0xFB94, 0xFB95],
+  0x06B1: [0xFB9A, 0xFB9B, 0xFB9C, 0xFB9D],
+  0x06B3: [0xFB96, 0xFB97, 0xFB98, 0xFB99],
+  0x06BA: [0xFB9E, 0xFB9F],
+  0x06BB: [0xFBA0, 0xFBA1, 0xFBA2, 0xFBA3],
+  0x06BE: [0xFBAA, 0xFBAB, 0xFBAC, 0xFBAD],
+  0x06C0: [0xFBA4, 0xFBA5],
+  0x06C1: [0xFBA6, 0xFBA7, 0xFBA8, 0xFBA9],
+  0x06C5: [0xFBE0, 0xFBE1],
+  0x06C6: [0xFBD9, 0xFBDA],
+  0x06C7: [0xFBD7, 0xFBD8],
+  0x06C8: [0xFBDB, 0xFBDC],
+  0x06C9: [0xFBE2, 0xFBE3],
+  0x06CB: [0xFBDE, 0xFBDF],
+  0x06CC: [0xFBFC, 0xFBFD, 0xFBFE, 0xFBFF],
+  0x06D0: [0xFBE4, 0xFBE5, 0xFBE6, 0xFBE7],
+  0x06D2: [0xFBAE, 0xFBAF],
+  0x06D3: [0xFBB0, 0xFBB1]
+};
+
+// Joining letters whose presentation forms are missing or incomplete, and
+// tatweel, which joins on both sides but has no forms of its own; these keep
+// their neighbours joined and are left for the font to shape
+const JOINING_TYPES = {
+  0x0620: 'D',
+  0x063B: 'D',
+  0x063C: 'D',
+  0x063D: 'D',
+  0x063E: 'D',
+  0x063F: 'D',
+  0x0640: 'C',
+  0x06BA: 'D',
+  0x06C2: 'D',
+  0x06C3: 'R',
+  0x06D5: 'R'
+};
+
+// Lam followed by an alef is drawn as one ligature: [isolated, final]
+const LAM = 0x0644;
+const LAM_ALEF = {
+  0x0622: [0xFEF5, 0xFEF6],
+  0x0623: [0xFEF7, 0xFEF8],
+  0x0625: [0xFEF9, 0xFEFA],
+  0x0627: [0xFEFB, 0xFEFC]
+};
+
+export class BidiLayout {
+  /**
+   * Glyph clusters of a label in left-to-right drawing order
+   * @param {string} text - Label in logical (typed) order
+   * @param {string} direction - Paragraph direction: 'auto' (from the first
+   *   strong character), 'ltr' or 'rtl' (default: 'auto')
+   * @returns {Array<string>}
+   */
+  static visualClusters(text, direction = 'auto') {
+    const clusters = BidiLayout.shape(TextSegmenter.graphemes(text));
+    if (clusters.length === 0) {
+      return clusters;
+    }
+
+    if (!DIRECTIONS.includes(direction)) {
+      throw new Error(`Invalid direction: ${direction} (expected ${DIRECTIONS.join(', ')})`);
+    }
+
+    const types = clusters.map(cluster => BidiLayout._bidiType(cluster));
+    if (direction === 'auto' && !types.some(type => type === 'R' || type === 'AL' || type === 'AN')) {
+      return clusters;
+    }
+
+    const baseLevel = direction === 'rtl' || (direction === 'auto' && BidiLayout.baseDirection(text) === 'rtl')
+      ? 1
+      : 0;
+    const levels = BidiLayout._resolveLevels(types, baseLevel);
+    const mirrored = clusters.map((cluster, i) =>
+      levels[i] % 2 === 1 && MIRRORED[cluster] ? MIRRORED[cluster] : cluster
+    );
+
+    return BidiLayout._reorder(mirrored, levels);
+  }
+
+  /**
+   * Paragraph direction from the first strong character (rules P2-P3)
+   * @param {string} text
+   * @returns {'ltr'|'rtl'}
+   */
+  static baseDirection(text) {
+    for (const cluster of TextSegmenter.graphemes(text)) {
+      const type = BidiLayout._bidiType(cluster);
+      if (type === 'R' || type === 'AL') return 'rtl';
+      if (type === 'L') return 'ltr';
+    }
+    return 'ltr';
+  }
+
+  /**
+   * Replace Arabic letters with the presentation form for their position in
+   * the word, and lam-alef pairs with their ligature
+   * Combining marks stay attached to their letter
+   * @param {Array<string>} clusters - Grapheme clusters in logical order
+   * @returns {Array<string>} Clusters in logical order; a lam-alef pair becomes one
+   */
+  static shape(clusters) {
+    const merged = [];
+    for (let i = 0; i < clusters.length; i++) {
+      const base = clusters[i].codePointAt(0);
+      const next = clusters[i + 1]?.codePointAt(0);
+      if (base === LAM && LAM_ALEF[next]) {
+        merged.push({ base, ligature: LAM_ALEF[next], marks: marksOf(clusters[i]) + marksOf(clusters[i + 1]) });
+        i++;
+      } else {
+        merged.push({ base, cluster: clusters[i] });
+      }
+    }
+
+    const joinType = item => (item.ligature ? 'R' : joiningType(item.base));
+
+    return merged.map((item, i) => {
+      const type = joinType(item);
+      if (type === 'U') {
+        return item.cluster;
+      }
+
+      const before = merged[i - 1] && joinType(merged[i - 1]);
+      const after = merged[i + 1] && joinType(merged[i + 1]);
+      const joinsBefore = before === 'D' || before === 'C';
+      const joinsAfter = (type === 'D' || type === 'C') && (after === 'D' || after === 'R' || after === 'C');
+
+      if (item.ligature) {
+        return String.fromCodePoint(item.ligature[joinsBefore ? 1 : 0]) + item.marks;
+      }
+
+      const form = joinsBefore && joinsAfter ? 3 : joinsAfter ? 2 : joinsBefore ? 1 : 0;
+      const shaped = ARABIC_FORMS[item.base]?.[form];
+      if (shaped === undefined) {
+        return item.cluster;
+      }
+
+      return String.fromCodePoint(shaped) + marksOf(item.cluster);
+    });
+  }
+
+  /**
+   * Bidi class of a cluster from its first code point: strong 'L', 'R' or 'AL',
+   * European 'EN' or Arabic 'AN' numbers, separators 'CS'/'ES', terminators 'ET'
+   * or neutral 'ON'
+   * @private
+   */
+  static _bidiType(cluster) {
+    const base = String.fromCodePoint(cluster.codePointAt(0));
+    if (EUROPEAN_NUMBER.test(base)) return 'EN';
+    if (ARABIC_NUMBER.test(base)) return 'AN';
+    if (ARABIC_LETTER.test(base)) return 'AL';
+    if (RIGHT_TO_LEFT.test(base)) return 'R';
+    if (LEFT_TO_RIGHT.test(base)) return 'L';
+    if (COMMON_SEPARATOR.test(base)) return 'CS';
+    if (EUROPEAN_SEPARATOR.test(base)) return 'ES';
+    if (EUROPEAN_TERMINATOR.test(base)) return 'ET';
+    return 'ON';
+  }
+
+  /**
+   * Embedding level of each cluster (rules W2-W7, N1-N2 and I1-I2)
+   * @private
+   */
+  static _resolveLevels(inputTypes, baseLevel) {
+    const types = inputTypes.slice();
+    const embedding = baseLevel % 2 === 1 ? 'R' : 'L';
+    const count = types.length;
+
+    // W2-W3: European numbers after Arabic letters are Arabic numbers;
+    // Arabic letters are then plain right-to-left text
+    let lastStrong = embedding;
+    for (let i = 0; i < count; i++) {
+      if (types[i] === 'L' || types[i] === 'R' || types[i] === 'AL') lastStrong = types[i];
+      else if (types[i] === 'EN' && lastStrong === 'AL') types[i] = 'AN';
+    }
+    for (let i = 0; i < count; i++) {
+      if (types[i] === 'AL') types[i] = 'R';
+    }
+
+    // W4: a single separator between two numbers of the same type joins them
+    for (let i = 1; i < count - 1; i++) {
+      const number = types[i - 1];
+      const joins = number === types[i + 1] &&
+        ((number === 'EN' && (types[i] === 'CS' || types[i] === 'ES')) || (number === 'AN' && types[i] === 'CS'));
+      if (joins) {
+        types[i] = number;
+      }
+    }
+
+    // W5: terminators next to European numbers become part of the number
+    for (let i = 0; i < count; i++) {
+      if (types[i] !== 'ET') continue;
+      let end = i;
+      while (end < count && types[end] === 'ET') end++;
+      if (types[i - 1] === 'EN' || types[end] === 'EN') {
+        for (let j = i; j < end; j++) types[j] = 'EN';
+      }
+      i = end - 1;
+    }
+
+    // W6: remaining separators and terminators are neutral
+    for (let i = 0; i < count; i++) {
+      if (types[i] === 'CS' || types[i] === 'ES' || types[i] === 'ET') types[i] = 'ON';
+    }
+
+    // W7: European numbers in left-to-right context are plain left-to-right text
+    lastStrong = embedding;
+    for (let i = 0; i < count; i++) {
+      if (types[i] === 'L' || types[i] === 'R') lastStrong = types[i];
+      else if (types[i] === 'EN' && lastStrong === 'L') types[i] = 'L';
+    }
+
+    // N1-N2: neutrals take the direction of matching surrounding text
+    // (numbers count as right-to-left), otherwise the paragraph direction
+    const strength = type => (type === 'L' ? 'L' : type === 'ON' ? null : 'R');
+    for (let i = 0; i < count; i++) {
+      if (types[i] !== 'ON') continue;
+      let end = i;
+      while (end < count && types[end] === 'ON') end++;
+      const before = i > 0 ? strength(types[i - 1]) : embedding;
+      const after = end < count ? strength(types[end]) : embedding;
+      const resolved = before === after ? before : embedding;
+      for (let j = i; j < end; j++) types[j] = resolved;
+      i = end - 1;
+    }
+
+    // I1-I2: raise levels for text running against the paragraph direction
+    return types.map(type => {
+      if (baseLevel % 2 === 0) {
+        return type === 'R' ? baseLevel + 1 : type === 'AN' || type === 'EN' ? baseLevel + 2 : baseLevel;
+      }
+      return type === 'R' ? baseLevel : baseLevel + 1;
+    });
+  }
+
+  /**
+   * Reverse every run at or above each odd level, highest first (rule L2)
+   * @private
+   */
+  static _reorder(clusters, levels) {
+    const order = clusters.map((_, i) => i);
+    const highest = Math.max(...levels);
+    const lowestOdd = Math.min(...levels.filter(level => level % 2 === 1), highest + 1);
+
+    for (let level = highest; level >= lowestOdd; level--) {
+      for (let i = 0; i < order.length; i++) {
+        if (levels[order[i]] < level) continue;
+        let end = i;
+        while (end < order.length && levels[order[end]] >= level) end++;
+        const run = order.slice(i, end).reverse();
+        order.splice(i, run.length, ...run);
+        i = end;
+      }
+    }
+
+    return order.map(i => clusters[i]);
+  }
+}
+
+/**
+ * Arabic joining type: 'D' joins both sides, 'R' only to the preceding
+ * letter, 'C' is tatweel and 'U' does not join
+ */
+function joiningType(codePoint) {
+  if (JOINING_TYPES[codePoint]) return JOINING_TYPES[codePoint];
+  const forms = ARABIC_FORMS[codePoint];
+  if (!forms || forms.length === 1) return 'U';
+  return forms.length === 4 ? 'D' : 'R';
+}
+
+/**
+ * Everything in a cluster after its first code point (combining marks)
+ */
+function marksOf(cluster) {
+  return Array.from(cluster).slice(1).join('');
+}
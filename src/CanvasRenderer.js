@@ -3,6 +3,23 @@
  * Visualizes river paths and placed text on HTML5 canvas
  */
 
+import { FontBook } from './FontBook.js';
+
+// Overlay colour for each kind of rejected segment; obstacle reasons are keyed
+// by the part before the obstacle names
+export const REJECTION_COLORS = Object.freeze({
+  'sharp curve': 'rgba(255,0,0,0.3)',
+  'narrow section': 'rgba(255,140,0,0.35)',
+  'island split': 'rgba(0,150,136,0.35)',
+  'gap between parts': 'rgba(120,120,120,0.35)',
+  'edge section': 'rgba(156,39,176,0.3)',
+  obstacle: 'rgba(33,33,33,0.4)',
+  'obstacle penalty': 'rgba(255,193,7,0.45)'
+});
+
+// Reasons without a colour of their own
+const DEFAULT_REJECTION_COLOR = 'rgba(255,0,0,0.3)';
+
 export class CanvasRenderer {
   constructor(canvas) {
     this.canvas = canvas;
@@ -38,7 +55,30 @@ export class CanvasRenderer {
    * Calculate and apply transformation to fit river in canvas
    */
   fitToCanvas(path) {
-    if (!path || !path.bounds) return;
+    const fit = this._fit(path);
+    if (!fit) return;
+
+    this.ctx.translate(fit.offsetX, fit.offsetY);
+    this.ctx.scale(fit.scale, fit.scale);
+  }
+
+  /**
+   * Size of one canvas pixel in path units once the path is fitted
+   * @param {RiverPath} path
+   * @returns {number}
+   */
+  pixelSize(path) {
+    const fit = this._fit(path);
+    return fit ? 1 / fit.scale : 1;
+  }
+
+  /**
+   * Scale and offset that fit the path bounds inside the padded canvas
+   * @private
+   * @returns {{scale: number, offsetX: number, offsetY: number}|null}
+   */
+  _fit(path) {
+    if (!path || !path.bounds) return null;
 
     const { minX, maxX, minY, maxY } = path.bounds;
     const padding = 40;
@@ -46,7 +86,7 @@ export class CanvasRenderer {
     const dataWidth = maxX - minX;
     const dataHeight = maxY - minY;
 
-    if (dataWidth === 0 || dataHeight === 0) return;
+    if (dataWidth === 0 || dataHeight === 0) return null;
 
     const availableWidth = this.canvas.width - padding * 2;
     const availableHeight = this.canvas.height - padding * 2;
@@ -66,8 +106,7 @@ export class CanvasRenderer {
       (availableHeight - dataHeight * scale) / 2 -
       minY * scale;
 
-    this.ctx.translate(offsetX, offsetY);
-    this.ctx.scale(scale, scale);
+    return { scale, offsetX, offsetY };
   }
 
   /**
@@ -162,7 +201,7 @@ export class CanvasRenderer {
       strokeWidth = 3
     } = options;
 
-    this.ctx.font = `${fontSize}px ${fontFamily}`;
+    this.ctx.font = FontBook.cssFont(fontFamily, fontSize);
     this.ctx.textAlign = 'center';
     this.ctx.textBaseline = 'middle';
 
@@ -187,7 +226,18 @@ export class CanvasRenderer {
   }
 
   /**
-   * Draw rejected river segments
+   * Overlay colour of a rejected segment, by the kind of its reason
+   * @param {string|null} reason - e.g. 'sharp curve' or 'obstacle: Bridge'
+   * @returns {string}
+   */
+  static rejectionColor(reason) {
+    const kind = reason?.split(':')[0].trim();
+    return REJECTION_COLORS[kind] ?? DEFAULT_REJECTION_COLOR;
+  }
+
+  /**
+   * Draw rejected river segments, each in the colour of its reason
+   * unless `options.color` sets one for all
    */
   drawRejectedAreas(path, segments, options = {}) {
     if (!path || !segments?.length) return;
@@ -196,13 +246,13 @@ export class CanvasRenderer {
     this.ctx.setTransform(1, 0, 0, 1, 0, 0);
     this.fitToCanvas(path);
 
-    const { color = 'rgba(255,0,0,0.3)', lineWidth = 8 } = options;
+    const { color = null, lineWidth = 8 } = options;
 
-    this.ctx.strokeStyle = color;
     this.ctx.lineWidth = lineWidth;
     this.ctx.lineCap = 'round';
 
     for (const seg of segments) {
+      this.ctx.strokeStyle = color ?? CanvasRenderer.rejectionColor(seg.reason);
       this.ctx.beginPath();
       this.ctx.moveTo(
         path.points[seg.startIdx].x,
@@ -237,7 +287,8 @@ export class CanvasRenderer {
       const isSelected =
         selectedSegment &&
         c.segment.startIdx === selectedSegment.startIdx &&
-        c.segment.endIdx === selectedSegment.endIdx;
+        c.segment.endIdx === selectedSegment.endIdx &&
+        c.segment.startOffset === selectedSegment.startOffset;
 
       this.ctx.beginPath();
       this.ctx.arc(c.centerPoint.x, c.centerPoint.y, radius, 0, Math.PI * 2);
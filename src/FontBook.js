@@ -0,0 +1,116 @@
+/**
+ * FontBook
+ * Registry of loaded font files, looked up by family, weight and style
+ * Font specs are CSS-like strings such as 'Lato', 'bold Lato' or 'italic 300 "Noto Sans", serif'
+ */
+
+import { FontMetrics } from './FontMetrics.js';
+
+const WEIGHT_KEYWORDS = { normal: 400, bold: 700 };
+const STYLES = ['normal', 'italic', 'oblique'];
+
+export class FontBook {
+  constructor() {
+    this.fonts = [];
+  }
+
+  /**
+   * Register a font
+   * @param {FontMetrics|ArrayBuffer|Uint8Array} font - Parsed metrics or raw font file contents
+   * @param {Object} overrides - Replace the family, weight or style read from the file
+   * @returns {FontMetrics}
+   */
+  add(font, overrides = {}) {
+    const metrics = font instanceof FontMetrics ? font : new FontMetrics(font);
+    const entry = {
+      family: overrides.family ?? metrics.family,
+      weight: overrides.weight ?? metrics.weight,
+      style: overrides.style ?? metrics.style,
+      metrics
+    };
+
+    if (!entry.family) {
+      throw new Error('Font has no family name; pass one as overrides.family');
+    }
+
+    this.fonts.push(entry);
+    return metrics;
+  }
+
+  /**
+   * Best registered font for a spec: the first listed family that is loaded,
+   * then the matching style, then the nearest weight
+   * @param {string} spec
+   * @returns {FontMetrics|null}
+   */
+  find(spec) {
+    const { families, weight, style } = FontBook.parseSpec(spec);
+
+    for (const family of families) {
+      const candidates = this.fonts.filter(font => font.family.toLowerCase() === family.toLowerCase());
+      if (candidates.length === 0) continue;
+
+      const slanted = style !== 'normal';
+      const styled = candidates.filter(font => font.style === style);
+      const pool = styled.length > 0
+        ? styled
+        : candidates.filter(font => (font.style !== 'normal') === slanted).concat(candidates);
+
+      return pool.reduce((best, font) =>
+        Math.abs(font.weight - weight) < Math.abs(best.weight - weight) ? font : best
+      ).metrics;
+    }
+
+    return null;
+  }
+
+  /**
+   * Split a font spec into its style, weight and family list
+   * @param {string} spec
+   * @returns {{families: Array<string>, weight: number, style: string}}
+   */
+  static parseSpec(spec = 'Arial') {
+    let weight = 400;
+    let style = 'normal';
+    const words = String(spec).trim().split(/\s+/);
+
+    while (words.length > 1) {
+      const word = words[0].toLowerCase();
+      if (STYLES.includes(word) && word !== 'normal') {
+        style = word;
+      } else if (word in WEIGHT_KEYWORDS) {
+        weight = WEIGHT_KEYWORDS[word];
+      } else if (/^[1-9]00$/.test(word)) {
+        weight = Number(word);
+      } else {
+        break;
+      }
+      words.shift();
+    }
+
+    const families = words.join(' ')
+      .split(',')
+      .map(family => family.trim().replace(/^(["'])(.*)\1$/, '$2'))
+      .filter(Boolean);
+
+    return { families, weight, style };
+  }
+
+  /**
+   * CSS font shorthand for a spec at a size, e.g. 'italic 700 16px Lato'
+   * @param {string} spec
+   * @param {number} fontSize
+   * @returns {string}
+   */
+  static cssFont(spec, fontSize) {
+    const { families, weight, style } = FontBook.parseSpec(spec);
+    const prefix = [style !== 'normal' ? style : '', weight !== 400 ? String(weight) : '']
+      .filter(Boolean)
+      .join(' ');
+    const family = families
+      .map(name => (/[^\w-]/.test(name) ? `"${name}"` : name))
+      .join(', ');
+
+    return `${prefix ? `${prefix} ` : ''}${fontSize}px ${family}`;
+  }
+}
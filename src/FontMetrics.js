@@ -0,0 +1,552 @@
+/**
+ * FontMetrics
+ * Reads glyph advances and kerning straight from a TrueType/OpenType file
+ * so text can be measured identically in the browser and in Node
+ */
+
+import { BidiLayout } from './BidiLayout.js';
+
+// GPOS lookup types that carry pair kerning
+const PAIR_ADJUSTMENT = 2;
+const EXTENSION = 9;
+
+export class FontMetrics {
+  /**
+   * @param {ArrayBuffer|Uint8Array} data - Contents of a .ttf or .otf file
+   */
+  constructor(data) {
+    const view = toDataView(data);
+    const tables = this._readTableDirectory(view);
+
+    for (const tag of ['head', 'hhea', 'hmtx', 'maxp', 'cmap']) {
+      if (!tables[tag]) {
+        throw new Error(`Font is missing the required "${tag}" table`);
+      }
+    }
+
+    const head = tables.head;
+    this.unitsPerEm = view.getUint16(head + 18);
+    if (this.unitsPerEm === 0) {
+      throw new Error('Font has an invalid unitsPerEm of 0');
+    }
+
+    this.numGlyphs = view.getUint16(tables.maxp + 4);
+    this._view = view;
+    this._advances = this._readAdvances(view, tables.hhea, tables.hmtx);
+    this._cmap = this._readCmap(view, tables.cmap);
+
+    const macStyle = view.getUint16(head + 44);
+    const names = tables.name ? this._readNames(view, tables.name) : {};
+    this.family = names[16] ?? names[1] ?? null;
+
+    if (tables['OS/2']) {
+      const fsSelection = view.getUint16(tables['OS/2'] + 62);
+      this.weight = view.getUint16(tables['OS/2'] + 4) || 400;
+      this.style = fsSelection & 0x01 ? 'italic' : fsSelection & 0x200 ? 'oblique' : 'normal';
+    } else {
+      this.weight = macStyle & 0x01 ? 700 : 400;
+      this.style = macStyle & 0x02 ? 'italic' : 'normal';
+    }
+
+    // GPOS kerning wins over the legacy kern table when a font has both
+    this._pairSubtables = tables.GPOS ? this._readGposKerning(view, tables.GPOS) : [];
+    this._kernPairs = this._pairSubtables.length === 0 && tables.kern
+      ? this._readKernTable(view, tables.kern)
+      : new Map();
+    this._kerningCache = new Map();
+  }
+
+  /**
+   * Glyph index for a Unicode code point; 0 (.notdef) when the font lacks it
+   * @param {number} codePoint
+   * @returns {number}
+   */
+  glyphIndex(codePoint) {
+    return this._cmap(codePoint);
+  }
+
+  /**
+   * Advance width of a glyph in font units
+   * @param {number} glyph
+   * @returns {number}
+   */
+  advanceWidth(glyph) {
+    const advances = this._advances;
+    return advances[Math.min(glyph, advances.length - 1)] ?? 0;
+  }
+
+  /**
+   * Kerning adjustment between two glyphs in font units
+   * @param {number} left
+   * @param {number} right
+   * @returns {number} Negative values pull the glyphs together
+   */
+  kerning(left, right) {
+    const key = left * 0x10000 + right;
+    if (!this._kerningCache.has(key)) {
+      this._kerningCache.set(key, this._pairSubtables.length > 0
+        ? this._gposKerning(left, right)
+        : this._kernPairs.get(key) ?? 0);
+    }
+    return this._kerningCache.get(key);
+  }
+
+  /**
+   * Advance and kerning of each character at a font size
+   * A character may be several code points; its width is the sum of their
+   * advances and `kerning` applies between it and the next character
+   * @param {Array<string>} characters
+   * @param {number} fontSize - Font size in pixels
+   * @returns {Array<{char: string, width: number, kerning: number}>}
+   */
+  advances(characters, fontSize) {
+    const scale = fontSize / this.unitsPerEm;
+    const glyphs = characters.map(char =>
+      Array.from(char, c => this.glyphIndex(c.codePointAt(0)))
+    );
+
+    return characters.map((char, i) => {
+      let width = 0;
+      for (let g = 0; g < glyphs[i].length; g++) {
+        width += this.advanceWidth(glyphs[i][g]);
+        if (g > 0) {
+          width += this.kerning(glyphs[i][g - 1], glyphs[i][g]);
+        }
+      }
+
+      const next = glyphs[i + 1];
+      const kerning = next && next.length > 0 && glyphs[i].length > 0
+        ? this.kerning(glyphs[i][glyphs[i].length - 1], next[0])
+        : 0;
+
+      return { char, width: width * scale, kerning: kerning * scale };
+    });
+  }
+
+  /**
+   * Total advance width of a string, kerning included
+   * @param {string} text
+   * @param {number} fontSize - Font size in pixels
+   * @returns {number}
+   */
+  measure(text, fontSize) {
+    return this.advances(BidiLayout.visualClusters(text), fontSize)
+      .reduce((sum, { width, kerning }) => sum + width + kerning, 0);
+  }
+
+  /**
+   * Offsets of the font's tables by tag
+   * @private
+   */
+  _readTableDirectory(view) {
+    if (view.byteLength < 12) {
+      throw new Error('Not a TrueType or OpenType font: file is too short');
+    }
+
+    const version = view.getUint32(0);
+    if (version === 0x74746366) {
+      throw new Error('Font collections (.ttc) are not supported; extract a single font first');
+    }
+    if (version !== 0x00010000 && version !== 0x4F54544F && version !== 0x74727565) {
+      throw new Error('Not a TrueType or OpenType font');
+    }
+
+    const numTables = view.getUint16(4);
+    const tables = {};
+    for (let i = 0; i < numTables; i++) {
+      const record = 12 + i * 16;
+      const offset = view.getUint32(record + 8);
+      const length = view.getUint32(record + 12);
+      if (offset + length > view.byteLength) {
+        throw new Error('Font table extends past the end of the file');
+      }
+      tables[readTag(view, record)] = offset;
+    }
+    return tables;
+  }
+
+  /**
+   * Advance width per glyph; glyphs past numberOfHMetrics repeat the last one
+   * @private
+   */
+  _readAdvances(view, hhea, hmtx) {
+    const count = view.getUint16(hhea + 34);
+    const advances = new Uint16Array(Math.max(count, 1));
+    for (let i = 0; i < count; i++) {
+      advances[i] = view.getUint16(hmtx + i * 4);
+    }
+    return advances;
+  }
+
+  /**
+   * Character-to-glyph lookup from the best Unicode cmap subtable
+   * Prefers full-repertoire format 12 over BMP-only format 4
+   * @private
+   * @returns {function(number): number}
+   */
+  _readCmap(view, cmap) {
+    const count = view.getUint16(cmap + 2);
+    const subtables = [];
+    for (let i = 0; i < count; i++) {
+      const record = cmap + 4 + i * 8;
+      const platform = view.getUint16(record);
+      const encoding = view.getUint16(record + 2);
+      const offset = cmap + view.getUint32(record + 4);
+      const isUnicode = platform === 0 || (platform === 3 && (encoding === 1 || encoding === 10));
+      if (isUnicode) {
+        subtables.push({ offset, format: view.getUint16(offset) });
+      }
+    }
+
+    const format12 = subtables.find(subtable => subtable.format === 12);
+    if (format12) {
+      return this._cmapFormat12(view, format12.offset);
+    }
+    const format4 = subtables.find(subtable => subtable.format === 4);
+    if (format4) {
+      return this._cmapFormat4(view, format4.offset);
+    }
+    throw new Error('Font has no supported Unicode cmap subtable (format 4 or 12)');
+  }
+
+  /**
+   * @private
+   */
+  _cmapFormat4(view, offset) {
+    const segCount = view.getUint16(offset + 6) / 2;
+    const endCodes = offset + 14;
+    const startCodes = endCodes + segCount * 2 + 2;
+    const idDeltas = startCodes + segCount * 2;
+    const idRangeOffsets = idDeltas + segCount * 2;
+
+    return codePoint => {
+      if (codePoint > 0xFFFF) return 0;
+
+      let low = 0;
+      let high = segCount - 1;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (view.getUint16(endCodes + mid * 2) < codePoint) {
+          low = mid + 1;
+        } else {
+          high = mid;
+        }
+      }
+
+      const start = view.getUint16(startCodes + low * 2);
+      if (codePoint < start || codePoint > view.getUint16(endCodes + low * 2)) return 0;
+
+      const delta = view.getInt16(idDeltas + low * 2);
+      const rangeOffsetPosition = idRangeOffsets + low * 2;
+      const rangeOffset = view.getUint16(rangeOffsetPosition);
+      if (rangeOffset === 0) {
+        return (codePoint + delta) & 0xFFFF;
+      }
+
+      const glyph = view.getUint16(rangeOffsetPosition + rangeOffset + (codePoint - start) * 2);
+      return glyph === 0 ? 0 : (glyph + delta) & 0xFFFF;
+    };
+  }
+
+  /**
+   * @private
+   */
+  _cmapFormat12(view, offset) {
+    const groups = view.getUint32(offset + 12);
+    const first = offset + 16;
+
+    return codePoint => {
+      let low = 0;
+      let high = groups - 1;
+      while (low <= high) {
+        const mid = (low + high) >> 1;
+        const group = first + mid * 12;
+        if (codePoint < view.getUint32(group)) {
+          high = mid - 1;
+        } else if (codePoint > view.getUint32(group + 4)) {
+          low = mid + 1;
+        } else {
+          return view.getUint32(group + 8) + codePoint - view.getUint32(group);
+        }
+      }
+      return 0;
+    };
+  }
+
+  /**
+   * Family names from the name table, keyed by name ID
+   * Windows Unicode records win over Macintosh Roman ones
+   * @private
+   */
+  _readNames(view, name) {
+    const count = view.getUint16(name + 2);
+    const strings = name + view.getUint16(name + 4);
+    const names = {};
+
+    for (let i = 0; i < count; i++) {
+      const record = name + 6 + i * 12;
+      const platform = view.getUint16(record);
+      const id = view.getUint16(record + 6);
+      const length = view.getUint16(record + 8);
+      const offset = strings + view.getUint16(record + 10);
+      if ((id !== 1 && id !== 16) || (platform !== 1 && platform !== 3)) continue;
+      if (platform === 1 && names[id] !== undefined) continue;
+
+      let value = '';
+      if (platform === 3) {
+        for (let j = 0; j + 1 < length; j += 2) {
+          value += String.fromCharCode(view.getUint16(offset + j));
+        }
+      } else {
+        for (let j = 0; j < length; j++) {
+          value += String.fromCharCode(view.getUint8(offset + j));
+        }
+      }
+      names[id] = value;
+    }
+    return names;
+  }
+
+  /**
+   * Format 0 pairs of the legacy kern table, keyed by left * 0x10000 + right
+   * @private
+   */
+  _readKernTable(view, kern) {
+    const pairs = new Map();
+    if (view.getUint16(kern) !== 0) {
+      return pairs;
+    }
+
+    let subtable = kern + 4;
+    const count = view.getUint16(kern + 2);
+    for (let i = 0; i < count; i++) {
+      const length = view.getUint16(subtable + 2);
+      const coverage = view.getUint16(subtable + 4);
+      const isHorizontal = (coverage & 0x01) !== 0;
+      if (coverage >> 8 === 0 && isHorizontal && (coverage & 0x04) === 0) {
+        const nPairs = view.getUint16(subtable + 6);
+        for (let p = 0; p < nPairs; p++) {
+          const pair = subtable + 14 + p * 6;
+          const key = view.getUint16(pair) * 0x10000 + view.getUint16(pair + 2);
+          pairs.set(key, (pairs.get(key) ?? 0) + view.getInt16(pair + 4));
+        }
+      }
+      subtable += length;
+    }
+    return pairs;
+  }
+
+  /**
+   * Pair adjustment subtables of every lookup the 'kern' feature uses, grouped by lookup
+   * @private
+   */
+  _readGposKerning(view, gpos) {
+    const featureList = gpos + view.getUint16(gpos + 6);
+    const lookupList = gpos + view.getUint16(gpos + 8);
+    const lookupIndices = new Set();
+
+    const featureCount = view.getUint16(featureList);
+    for (let i = 0; i < featureCount; i++) {
+      const record = featureList + 2 + i * 6;
+      if (readTag(view, record) !== 'kern') continue;
+
+      const feature = featureList + view.getUint16(record + 4);
+      const indexCount = view.getUint16(feature + 2);
+      for (let j = 0; j < indexCount; j++) {
+        lookupIndices.add(view.getUint16(feature + 4 + j * 2));
+      }
+    }
+
+    return [...lookupIndices].sort((a, b) => a - b).map(index => {
+      const lookup = lookupList + view.getUint16(lookupList + 2 + index * 2);
+      const type = view.getUint16(lookup);
+      const subtableCount = view.getUint16(lookup + 4);
+      const subtables = [];
+
+      for (let i = 0; i < subtableCount; i++) {
+        let subtable = lookup + view.getUint16(lookup + 6 + i * 2);
+        let subtableType = type;
+        if (type === EXTENSION) {
+          subtableType = view.getUint16(subtable + 2);
+          subtable += view.getUint32(subtable + 4);
+        }
+        if (subtableType === PAIR_ADJUSTMENT) {
+          subtables.push(subtable);
+        }
+      }
+      return subtables;
+    }).filter(subtables => subtables.length > 0);
+  }
+
+  /**
+   * Sum of the x-advance adjustments of each kerning lookup; within a lookup
+   * the first subtable covering the pair applies
+   * @private
+   */
+  _gposKerning(left, right) {
+    let total = 0;
+    for (const subtables of this._pairSubtables) {
+      for (const subtable of subtables) {
+        const value = this._pairValue(subtable, left, right);
+        if (value !== null) {
+          total += value;
+          break;
+        }
+      }
+    }
+    return total;
+  }
+
+  /**
+   * X-advance adjustment of the first glyph from one PairPos subtable,
+   * or null when the subtable does not cover the pair
+   * @private
+   */
+  _pairValue(subtable, left, right) {
+    const view = this._view;
+    const format = view.getUint16(subtable);
+    const coverageIndex = coverageIndexOf(view, subtable + view.getUint16(subtable + 2), left);
+    if (coverageIndex === -1) return null;
+
+    const valueFormat1 = view.getUint16(subtable + 4);
+    const valueFormat2 = view.getUint16(subtable + 6);
+    const size1 = valueRecordSize(valueFormat1);
+    const size2 = valueRecordSize(valueFormat2);
+    const readAdvance = record => (valueFormat1 & 0x04)
+      ? view.getInt16(record + valueRecordSize(valueFormat1 & 0x03))
+      : 0;
+
+    if (format === 1) {
+      const pairSetCount = view.getUint16(subtable + 8);
+      if (coverageIndex >= pairSetCount) return null;
+
+      const pairSet = subtable + view.getUint16(subtable + 10 + coverageIndex * 2);
+      const recordSize = 2 + size1 + size2;
+      let low = 0;
+      let high = view.getUint16(pairSet) - 1;
+      while (low <= high) {
+        const mid = (low + high) >> 1;
+        const record = pairSet + 2 + mid * recordSize;
+        const second = view.getUint16(record);
+        if (second < right) {
+          low = mid + 1;
+        } else if (second > right) {
+          high = mid - 1;
+        } else {
+          return readAdvance(record + 2);
+        }
+      }
+      return null;
+    }
+
+    if (format === 2) {
+      const class1 = classOf(view, subtable + view.getUint16(subtable + 8), left);
+      const class2 = classOf(view, subtable + view.getUint16(subtable + 10), right);
+      const class1Count = view.getUint16(subtable + 12);
+      const class2Count = view.getUint16(subtable + 14);
+      if (class1 >= class1Count || class2 >= class2Count) return null;
+
+      const record = subtable + 16 + (class1 * class2Count + class2) * (size1 + size2);
+      return readAdvance(record);
+    }
+
+    return null;
+  }
+}
+
+/**
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {DataView}
+ */
+function toDataView(data) {
+  if (data instanceof ArrayBuffer) {
+    return new DataView(data);
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new DataView(data.buffer, data.byteOffset, data.byteLength);
+  }
+  throw new Error('Font data must be an ArrayBuffer or Uint8Array');
+}
+
+function readTag(view, offset) {
+  return String.fromCharCode(
+    view.getUint8(offset),
+    view.getUint8(offset + 1),
+    view.getUint8(offset + 2),
+    view.getUint8(offset + 3)
+  );
+}
+
+/**
+ * Bytes in a GPOS value record: two per set format bit
+ */
+function valueRecordSize(valueFormat) {
+  let size = 0;
+  for (let bits = valueFormat; bits; bits >>= 1) {
+    size += (bits & 1) * 2;
+  }
+  return size;
+}
+
+/**
+ * Index of a glyph in an OpenType coverage table, -1 when not covered
+ */
+function coverageIndexOf(view, coverage, glyph) {
+  const format = view.getUint16(coverage);
+  const count = view.getUint16(coverage + 2);
+  let low = 0;
+  let high = count - 1;
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (format === 1) {
+      const value = view.getUint16(coverage + 4 + mid * 2);
+      if (value === glyph) return mid;
+      if (value < glyph) low = mid + 1; else high = mid - 1;
+    } else {
+      const range = coverage + 4 + mid * 6;
+      const start = view.getUint16(range);
+      const end = view.getUint16(range + 2);
+      if (glyph < start) {
+        high = mid - 1;
+      } else if (glyph > end) {
+        low = mid + 1;
+      } else {
+        return view.getUint16(range + 4) + glyph - start;
+      }
+    }
+  }
+  return -1;
+}
+
+/**
+ * Class of a glyph in an OpenType class definition table; 0 when unlisted
+ */
+function classOf(view, classDef, glyph) {
+  const format = view.getUint16(classDef);
+
+  if (format === 1) {
+    const startGlyph = view.getUint16(classDef + 2);
+    const glyphCount = view.getUint16(classDef + 4);
+    const index = glyph - startGlyph;
+    return index >= 0 && index < glyphCount ? view.getUint16(classDef + 6 + index * 2) : 0;
+  }
+
+  if (format === 2) {
+    let low = 0;
+    let high = view.getUint16(classDef + 2) - 1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      const range = classDef + 4 + mid * 6;
+      if (glyph < view.getUint16(range)) {
+        high = mid - 1;
+      } else if (glyph > view.getUint16(range + 2)) {
+        low = mid + 1;
+      } else {
+        return view.getUint16(range + 4);
+      }
+    }
+  }
+
+  return 0;
+}
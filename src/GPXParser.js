@@ -0,0 +1,80 @@
+/**
+ * GPXParser
+ * Reads GPS tracks and routes from GPX into GeoJSON features that
+ * RiverPathParser can turn into river paths
+ * GPX points are always longitude/latitude (WGS84)
+ */
+
+import { XMLParser } from './XMLParser.js';
+
+export class GPXParser {
+  constructor() {
+    this.xmlParser = new XMLParser();
+  }
+
+  /**
+   * Parse GPX text into a GeoJSON FeatureCollection
+   * @param {string} text
+   * @returns {Object} FeatureCollection with one feature per track or route
+   */
+  parse(text) {
+    return this.toGeoJSON(this.xmlParser.parse(text));
+  }
+
+  /**
+   * Convert a parsed GPX document (see XMLParser) into a GeoJSON FeatureCollection
+   * A track becomes a LineString, or a MultiLineString when it has several
+   * segments; a route becomes a LineString. Each carries its <name>
+   * @param {Object} root - The <gpx> element
+   * @returns {Object}
+   */
+  toGeoJSON(root) {
+    if (root.name !== 'gpx') {
+      throw new Error(`Expected a <gpx> document, got <${root.name}>`);
+    }
+
+    const tracks = this.xmlParser.children(root, 'trk').map(track => ({
+      element: track,
+      lines: this.xmlParser.children(track, 'trkseg').map(segment => this._points(segment, 'trkpt'))
+    }));
+    const routes = this.xmlParser.children(root, 'rte').map(route => ({
+      element: route,
+      lines: [this._points(route, 'rtept')]
+    }));
+
+    const features = [...tracks, ...routes]
+      .map(({ element, lines }) => ({ element, lines: lines.filter(line => line.length > 0) }))
+      .filter(({ lines }) => lines.length > 0)
+      .map(({ element, lines }) => {
+        const name = this.xmlParser.childText(element, 'name');
+        return {
+          type: 'Feature',
+          properties: name ? { name } : {},
+          geometry: lines.length === 1
+            ? { type: 'LineString', coordinates: lines[0] }
+            : { type: 'MultiLineString', coordinates: lines }
+        };
+      });
+
+    if (features.length === 0) {
+      throw new Error('GPX has no tracks or routes');
+    }
+
+    return { type: 'FeatureCollection', features };
+  }
+
+  /**
+   * [lon, lat] of each point element
+   * @private
+   */
+  _points(parent, name) {
+    return this.xmlParser.children(parent, name).map(point => {
+      const lon = Number(point.attributes.lon);
+      const lat = Number(point.attributes.lat);
+      if (point.attributes.lon === undefined || point.attributes.lat === undefined || isNaN(lon) || isNaN(lat)) {
+        throw new Error(`GPX <${name}> needs numeric lat and lon attributes`);
+      }
+      return [lon, lat];
+    });
+  }
+}
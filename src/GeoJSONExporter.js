@@ -0,0 +1,158 @@
+/**
+ * GeoJSONExporter
+ * Converts computed label placements into GeoJSON for use outside the canvas
+ */
+
+export class GeoJSONExporter {
+  /**
+   * Build a FeatureCollection describing one placed label
+   * Contains the label's baseline as a LineString (with the placement score
+   * breakdown) followed by one Point per glyph with its rotation
+   * Glyph rotation and rotationDegrees are in the placement frame: clockwise
+   * from the +x axis, since y grows downward (southward once projected). With
+   * a projection, glyphs also carry bearing, their direction in degrees
+   * clockwise from true north, which is what lon/lat consumers should rotate by
+   * @param {Candidate} candidate - Chosen placement from PlacementScorer
+   * @param {Array<CharacterPlacement>} characterPlacements - Output of TextPlacer.placeText
+   * @param {Object} options
+   * @param {string} options.text - Label text (default: glyphs joined)
+   * @param {number} options.fontSize - Font size used for placement
+   * @param {string|null} options.warning - Placement warning, if any
+   * @param {string|null} options.orientation - 'forward' or 'reversed' traversal, if known
+   * @param {Projection|null} options.projection - Projection the placements are in; when given,
+   *   coordinates are written as longitude/latitude (default: null, written as is)
+   * @returns {{type: 'FeatureCollection', features: Array<Object>}}
+   */
+  toFeatureCollection(candidate, characterPlacements, options = {}) {
+    const placements = characterPlacements || [];
+
+    if (placements.length === 0) {
+      return { type: 'FeatureCollection', features: [] };
+    }
+
+    const text = options.text ?? placements.map(p => p.char).join('');
+
+    const features = [
+      this._baselineFeature(candidate, placements, { ...options, text }),
+      ...placements.map((p, index) => this._glyphFeature(p, index, options.projection))
+    ];
+
+    if (options.projection) {
+      features.forEach(feature => this._toLonLat(feature.geometry, options.projection));
+    }
+
+    return { type: 'FeatureCollection', features };
+  }
+
+  /**
+   * LineString through the glyph centers, extended by half a glyph at each end
+   * @private
+   */
+  _baselineFeature(candidate, placements, options) {
+    const first = placements[0];
+    const last = placements[placements.length - 1];
+
+    const coordinates = [
+      this._offset(first, -first.width / 2),
+      ...placements.map(p => [p.x, p.y]),
+      this._offset(last, last.width / 2)
+    ];
+
+    const properties = {
+      kind: 'label',
+      text: options.text,
+      fontSize: options.fontSize ?? null,
+      warning: options.warning ?? null,
+      orientation: options.orientation ?? null,
+      score: candidate?.score ?? null,
+      scores: candidate?.scores ? { ...candidate.scores } : null,
+      segment: candidate?.segment
+        ? {
+            startIdx: candidate.segment.startIdx,
+            endIdx: candidate.segment.endIdx,
+            length: candidate.segment.length
+          }
+        : null
+    };
+
+    return {
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates },
+      properties
+    };
+  }
+
+  /**
+   * @private
+   */
+  _glyphFeature(p, index, projection = null) {
+    const properties = {
+      kind: 'glyph',
+      index,
+      char: p.char,
+      rotation: p.angle,
+      rotationDegrees: p.angle * (180 / Math.PI),
+      width: p.width
+    };
+
+    if (projection) {
+      properties.bearing = this._bearing(p, projection);
+    }
+
+    return {
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [p.x, p.y] },
+      properties
+    };
+  }
+
+  /**
+   * Direction of a projected glyph in degrees clockwise from true north
+   * Follows the glyph one map unit along its angle and takes the initial
+   * great-circle bearing between the two points, so grid convergence and
+   * projection distortion are accounted for
+   * @private
+   */
+  _bearing(p, projection) {
+    const [x, y] = this._offset(p, 1);
+    const from = projection.inverse(p.x, p.y);
+    const to = projection.inverse(x, y);
+
+    const toRadians = Math.PI / 180;
+    const lat1 = from.lat * toRadians;
+    const lat2 = to.lat * toRadians;
+    const deltaLon = (to.lon - from.lon) * toRadians;
+
+    const bearing = Math.atan2(
+      Math.sin(deltaLon) * Math.cos(lat2),
+      Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(deltaLon)
+    ) / toRadians;
+    return (bearing + 360) % 360;
+  }
+
+  /**
+   * Replace projected coordinates with longitude/latitude in place
+   * @private
+   */
+  _toLonLat(geometry, projection) {
+    const convert = ([x, y]) => {
+      const { lon, lat } = projection.inverse(x, y);
+      return [lon, lat];
+    };
+
+    geometry.coordinates = geometry.type === 'Point'
+      ? convert(geometry.coordinates)
+      : geometry.coordinates.map(convert);
+  }
+
+  /**
+   * Move a glyph center along its own direction
+   * @private
+   */
+  _offset(p, distance) {
+    return [
+      p.x + Math.cos(p.angle) * distance,
+      p.y + Math.sin(p.angle) * distance
+    ];
+  }
+}
@@ -0,0 +1,132 @@
+/**
+ * GeoJSONParser
+ * Reads GeoJSON objects into features with coordinate parts that
+ * RiverPathParser can turn into river paths
+ */
+
+export class GeoJSONParser {
+  /**
+   * Flatten any supported GeoJSON object into a list of features
+   * @param {Object} geojson - FeatureCollection, Feature or bare geometry
+   * @returns {Array<{geometry: Object, properties: Object}>}
+   */
+  getFeatures(geojson) {
+    if (!geojson || typeof geojson !== 'object' || typeof geojson.type !== 'string') {
+      throw new Error('Invalid GeoJSON object');
+    }
+
+    if (geojson.type === 'FeatureCollection') {
+      if (!Array.isArray(geojson.features)) {
+        throw new Error('FeatureCollection must have a features array');
+      }
+
+      // Features without geometry carry nothing to label
+      const features = geojson.features
+        .filter(feature => feature && feature.geometry)
+        .map(feature => this._toFeature(feature));
+
+      if (features.length === 0) {
+        throw new Error('FeatureCollection has no features with geometry');
+      }
+
+      return features;
+    }
+
+    if (geojson.type === 'Feature') {
+      if (!geojson.geometry) {
+        throw new Error('Feature has no geometry');
+      }
+      return [this._toFeature(geojson)];
+    }
+
+    return [{ geometry: geojson, properties: {} }];
+  }
+
+  /**
+   * Split a geometry into polygon and line parts
+   * Polygon parts carry their rings (exterior first); line parts their coordinates
+   * @param {Object} geometry - GeoJSON geometry object
+   * @returns {Array<{type: 'polygon', rings: Array<Array<Array<number>>>} | {type: 'line', coordinates: Array<Array<number>>}>}
+   */
+  getParts(geometry) {
+    if (!geometry || typeof geometry !== 'object') {
+      throw new Error('Invalid GeoJSON geometry');
+    }
+
+    const { type, coordinates } = geometry;
+
+    if (!Array.isArray(coordinates)) {
+      throw new Error(`${type} must have a coordinates array`);
+    }
+
+    switch (type) {
+      case 'LineString':
+        return [{ type: 'line', coordinates: this._toLine(coordinates, type) }];
+
+      case 'MultiLineString':
+        return coordinates.map(line => ({ type: 'line', coordinates: this._toLine(line, type) }));
+
+      case 'Polygon':
+        return [{ type: 'polygon', rings: this._toRings(coordinates, type) }];
+
+      case 'MultiPolygon':
+        return coordinates.map(polygon => ({ type: 'polygon', rings: this._toRings(polygon, type) }));
+
+      default:
+        throw new Error(`Unsupported GeoJSON geometry type "${type}"`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _toFeature(feature) {
+    return {
+      geometry: feature.geometry,
+      properties: feature.properties || {}
+    };
+  }
+
+  /**
+   * Convert GeoJSON positions to [x, y] pairs
+   * Only the first two ordinates are kept; a third GeoJSON ordinate is altitude, not width
+   * @private
+   */
+  _toLine(positions, label) {
+    if (!Array.isArray(positions)) {
+      throw new Error(`Invalid ${label} coordinates`);
+    }
+
+    const line = [];
+
+    for (const position of positions) {
+      if (!Array.isArray(position) || position.length < 2) {
+        throw new Error(`Invalid ${label} position`);
+      }
+      line.push([position[0], position[1]]);
+    }
+
+    if (line.length < 2) {
+      throw new Error(`${label} must have at least 2 positions`);
+    }
+
+    return line;
+  }
+
+  /**
+   * @private
+   */
+  _toRings(rings, label) {
+    if (!Array.isArray(rings) || rings.length === 0) {
+      throw new Error(`${label} must have at least one ring`);
+    }
+
+    const [exterior, ...holes] = rings.map(ring => this._toLine(ring, label));
+
+    if (exterior.length < 3) {
+      throw new Error(`${label} exterior ring must have at least 3 positions`);
+    }
+
+    return [exterior, ...holes.filter(ring => ring.length >= 3)];
+  }
+}
@@ -3,7 +3,52 @@
  * Analyzes river shape characteristics to identify suitable text placement areas
  */
 
+export const DEFAULT_ANALYZER_CONFIG = Object.freeze({
+  curvatureThreshold: 2,
+  minWidth: 1,
+  edgeRatio: 0.1
+});
+
 export class GeometryAnalyzer {
+  /**
+   * @param {Object} config - Overrides for DEFAULT_ANALYZER_CONFIG
+   * @param {number} config.curvatureThreshold - Sharp curve threshold in degrees per unit (default: 2)
+   * @param {number} config.minWidth - Narrow section threshold (default: 1)
+   * @param {number} config.edgeRatio - Fraction of the path excluded at each end (default: 0.1)
+   */
+  constructor(config = {}) {
+    this.config = this.resolveConfig(config);
+  }
+
+  /**
+   * Merge overrides onto the analyzer config and validate the result
+   * @param {Object} overrides
+   * @returns {Object} Effective config
+   */
+  resolveConfig(overrides = {}) {
+    const base = this.config ?? DEFAULT_ANALYZER_CONFIG;
+
+    for (const key of Object.keys(overrides)) {
+      if (!(key in DEFAULT_ANALYZER_CONFIG)) {
+        throw new Error(`Unknown analyzer option "${key}"`);
+      }
+    }
+
+    const config = { ...base, ...overrides };
+
+    for (const key of ['curvatureThreshold', 'minWidth']) {
+      if (typeof config[key] !== 'number' || !Number.isFinite(config[key]) || config[key] < 0) {
+        throw new Error(`${key} must be a non-negative number, got ${config[key]}`);
+      }
+    }
+
+    if (typeof config.edgeRatio !== 'number' || !(config.edgeRatio >= 0 && config.edgeRatio < 0.5)) {
+      throw new Error(`edgeRatio must be a number in [0, 0.5), got ${config.edgeRatio}`);
+    }
+
+    return Object.freeze(config);
+  }
+
   /**
    * Calculate curvature at each point along the path
    * Uses three-point angle method with smoothing
@@ -159,7 +204,8 @@ export class GeometryAnalyzer {
     let startIdx = -1;
     
     for (let i = 0; i < widths.length; i++) {
-      if (widths[i] < minWidth) {
+      // Vertices without a width (null) are not known to be narrow
+      if (widths[i] !== null && widths[i] < minWidth) {
         if (!inNarrowSection) {
           // Start of a new narrow section
           inNarrowSection = true;
@@ -197,16 +243,57 @@ export class GeometryAnalyzer {
   }
 
   /**
-   * Identify edge sections (first/last 10% of path)
+   * Find sections where the channel is split by an island
+   * A point is island-split when it lies on an island, or when an island
+   * falls within half the local river width of it
    * @param {RiverPath} path
+   * @returns {Array<Segment>}
+   */
+  findIslandSections(path) {
+    if (!path.islands || path.islands.length === 0) {
+      return [];
+    }
+
+    const flags = path.points.map((point, i) => {
+      const halfWidth = path.widths && path.widths[i] !== null && path.widths[i] !== undefined
+        ? path.widths[i] / 2
+        : 0;
+
+      return path.islands.some(island =>
+        this._isPointInRing(point, island) ||
+        this._distanceToRing(point, island) < halfWidth
+      );
+    });
+
+    return this._flagsToSegments(path, flags, 'island split');
+  }
+
+  /**
+   * Find the straight bridges RiverPathParser drew between stitched parts
+   * @param {RiverPath} path
+   * @returns {Array<Segment>}
+   */
+  findPartGaps(path) {
+    return (path.gaps || []).map(({ startIdx, endIdx, length }) => ({
+      startIdx,
+      endIdx,
+      length,
+      reason: 'gap between parts'
+    }));
+  }
+
+  /**
+   * Identify edge sections (first/last 10% of path by default)
+   * @param {RiverPath} path
+   * @param {number} edgeRatio - Fraction of the path length at each end (default: config.edgeRatio)
    * @returns {{start: Segment, end: Segment}}
    */
-  getEdgeSections(path) {
+  getEdgeSections(path, edgeRatio = this.config.edgeRatio) {
     const points = path.points;
     const totalLength = path.length;
-    const edgeThreshold = totalLength * 0.1; // 10% of path length
+    const edgeThreshold = totalLength * edgeRatio;
     
-    // Find the index where we've traveled 10% of the path from the start
+    // Find the index where we've traveled edgeRatio of the path from the start
     let accumulatedLength = 0;
     let startEndIdx = 0;
     
@@ -229,7 +316,7 @@ export class GeometryAnalyzer {
       startEndIdx = points.length - 1;
     }
     
-    // Find the index where we have 10% of the path remaining from the end
+    // Find the index where we have edgeRatio of the path remaining from the end
     accumulatedLength = 0;
     let endStartIdx = points.length - 1;
     
@@ -274,23 +361,32 @@ export class GeometryAnalyzer {
   /**
    * Calculate overall geometry metrics
    * @param {RiverPath} path
-   * @returns {GeometryMetrics}
+   * @param {Object} thresholds - Per-call overrides of the constructor config
+   * @returns {GeometryMetrics} Includes the effective config as `config`
    */
-  analyzeGeometry(path) {
+  analyzeGeometry(path, thresholds = {}) {
+    const config = this.resolveConfig(thresholds);
+    const { curvatureThreshold, minWidth, edgeRatio } = config;
+    
     // Calculate curvature values for all points
     const curvatures = this.calculateCurvature(path);
     
-    // Find sharp curves (default threshold: 30 degrees per unit)
-    const sharpCurves = this.findSharpCurves(path, 2);
+    // Find sharp curves
+    const sharpCurves = this.findSharpCurves(path, curvatureThreshold);
     
     // Find narrow sections if width data exists
-    // Use a reasonable minimum width threshold (e.g., 10 units)
     const narrowSections = path.widths && path.widths.length > 0 
-      ? this.findNarrowSections(path, 1)
+      ? this.findNarrowSections(path, minWidth)
       : [];
     
-    // Get edge sections (first/last 10% of path)
-    const edgeSections = this.getEdgeSections(path);
+    // Find sections where an island splits the channel
+    const islandSections = this.findIslandSections(path);
+
+    // Bridges between stitched parts cross land
+    const gapSections = this.findPartGaps(path);
+    
+    // Get edge sections (first/last edgeRatio of path)
+    const edgeSections = this.getEdgeSections(path, edgeRatio);
     
     // Calculate average curvature (excluding edge points which are always 0)
     let avgCurvature = 0;
@@ -310,16 +406,103 @@ export class GeometryAnalyzer {
       curvatures,
       sharpCurves,
       narrowSections,
+      islandSections,
+      gapSections,
       edgeSections,
       avgCurvature,
       maxCurvature,
       rejectedSegments: [
         ...sharpCurves,
-        ...narrowSections
+        ...narrowSections,
+        ...islandSections,
+        ...gapSections
       ],
+      config
     };
   }
 
+  /**
+   * Group consecutive flagged points into segments
+   * @private
+   * @param {RiverPath} path
+   * @param {Array<boolean>} flags - One flag per point
+   * @param {string} reason
+   * @returns {Array<Segment>}
+   */
+  _flagsToSegments(path, flags, reason) {
+    const segments = [];
+    let startIdx = -1;
+
+    for (let i = 0; i <= flags.length; i++) {
+      if (i < flags.length && flags[i]) {
+        if (startIdx === -1) {
+          startIdx = i;
+        }
+      } else if (startIdx !== -1) {
+        segments.push({
+          startIdx,
+          endIdx: i - 1,
+          length: this._calculateSegmentLength(path, startIdx, i - 1),
+          reason
+        });
+        startIdx = -1;
+      }
+    }
+
+    return segments;
+  }
+
+  /**
+   * Even-odd point-in-polygon test
+   * @private
+   * @param {{x: number, y: number}} point
+   * @param {Array<{x: number, y: number}>} ring
+   * @returns {boolean}
+   */
+  _isPointInRing(point, ring) {
+    let inside = false;
+
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const a = ring[i];
+      const b = ring[j];
+
+      if ((a.y > point.y) !== (b.y > point.y) &&
+          point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+        inside = !inside;
+      }
+    }
+
+    return inside;
+  }
+
+  /**
+   * Shortest distance from a point to a ring's boundary
+   * @private
+   * @param {{x: number, y: number}} point
+   * @param {Array<{x: number, y: number}>} ring
+   * @returns {number}
+   */
+  _distanceToRing(point, ring) {
+    let minDistance = Infinity;
+
+    for (let i = 0; i < ring.length; i++) {
+      const a = ring[i];
+      const b = ring[(i + 1) % ring.length];
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const lengthSq = dx * dx + dy * dy;
+
+      const t = lengthSq > 0
+        ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSq))
+        : 0;
+
+      const distance = Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+      minDistance = Math.min(minDistance, distance);
+    }
+
+    return minDistance;
+  }
+
   /**
    * Helper method to calculate the length of a segment between two indices
    * @private
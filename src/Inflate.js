@@ -0,0 +1,254 @@
+/**
+ * Inflate
+ * Decompresses raw DEFLATE data (RFC 1951), as stored in zip archives
+ * Synchronous and dependency-free so it runs the same in the browser and Node
+ */
+
+// Base lengths and extra bits for length codes 257-285
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+  35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+  3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+
+// Base distances and extra bits for distance codes 0-29
+const DISTANCE_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+  257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+  7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+
+// Order in which code length code lengths are stored in a dynamic block header
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+// Fixed Huffman tables, built on first use
+let fixedTables = null;
+
+export class Inflate {
+  /**
+   * Decompress raw DEFLATE data
+   * @param {Uint8Array} data
+   * @param {number} expectedSize - Uncompressed size when known, to size the output once
+   * @returns {Uint8Array}
+   */
+  static inflate(data, expectedSize = 0) {
+    const reader = { data, pos: 0, bit: 0 };
+    let output = new Uint8Array(Math.max(expectedSize, data.length * 4, 1024));
+    let length = 0;
+
+    const ensure = extra => {
+      if (length + extra > output.length) {
+        const grown = new Uint8Array(Math.max(output.length * 2, length + extra));
+        grown.set(output.subarray(0, length));
+        output = grown;
+      }
+    };
+
+    let last = 0;
+    while (!last) {
+      last = readBits(reader, 1);
+      const type = readBits(reader, 2);
+
+      if (type === 0) {
+        // Stored block: byte-aligned length, its complement, then raw bytes
+        if (reader.bit > 0) {
+          reader.pos++;
+          reader.bit = 0;
+        }
+        if (reader.pos + 4 > data.length) {
+          throw new Error('DEFLATE data ends early');
+        }
+        const size = data[reader.pos] | (data[reader.pos + 1] << 8);
+        const complement = data[reader.pos + 2] | (data[reader.pos + 3] << 8);
+        if ((size ^ 0xFFFF) !== complement) {
+          throw new Error('Corrupt stored DEFLATE block');
+        }
+        reader.pos += 4;
+        if (reader.pos + size > data.length) {
+          throw new Error('DEFLATE data ends early');
+        }
+        ensure(size);
+        output.set(data.subarray(reader.pos, reader.pos + size), length);
+        length += size;
+        reader.pos += size;
+        continue;
+      }
+
+      let tables;
+      if (type === 1) {
+        fixedTables ??= Inflate._fixedTables();
+        tables = fixedTables;
+      } else if (type === 2) {
+        tables = Inflate._dynamicTables(reader);
+      } else {
+        throw new Error('Invalid DEFLATE block type');
+      }
+
+      while (true) {
+        const symbol = decodeSymbol(reader, tables.literals);
+        if (symbol < 256) {
+          ensure(1);
+          output[length++] = symbol;
+          continue;
+        }
+        if (symbol === 256) {
+          break;
+        }
+
+        const code = symbol - 257;
+        if (code >= LENGTH_BASE.length) {
+          throw new Error('Invalid DEFLATE length code');
+        }
+        const size = LENGTH_BASE[code] + readBits(reader, LENGTH_EXTRA[code]);
+        const distanceCode = decodeSymbol(reader, tables.distances);
+        if (distanceCode >= DISTANCE_BASE.length) {
+          throw new Error('Invalid DEFLATE distance code');
+        }
+        const distance = DISTANCE_BASE[distanceCode] + readBits(reader, DISTANCE_EXTRA[distanceCode]);
+        if (distance > length) {
+          throw new Error('DEFLATE distance reaches before the start of the output');
+        }
+
+        // Copies may overlap their own output, so go byte by byte
+        ensure(size);
+        for (let i = 0; i < size; i++) {
+          output[length] = output[length - distance];
+          length++;
+        }
+      }
+    }
+
+    return output.slice(0, length);
+  }
+
+  /**
+   * @private
+   */
+  static _fixedTables() {
+    const literalLengths = new Uint8Array(288);
+    literalLengths.fill(8, 0, 144);
+    literalLengths.fill(9, 144, 256);
+    literalLengths.fill(7, 256, 280);
+    literalLengths.fill(8, 280, 288);
+
+    return {
+      literals: buildTable(literalLengths),
+      distances: buildTable(new Uint8Array(30).fill(5))
+    };
+  }
+
+  /**
+   * Read the code lengths of a dynamic Huffman block
+   * @private
+   */
+  static _dynamicTables(reader) {
+    const literalCount = readBits(reader, 5) + 257;
+    const distanceCount = readBits(reader, 5) + 1;
+    const codeLengthCount = readBits(reader, 4) + 4;
+
+    const codeLengthLengths = new Uint8Array(19);
+    for (let i = 0; i < codeLengthCount; i++) {
+      codeLengthLengths[CODE_LENGTH_ORDER[i]] = readBits(reader, 3);
+    }
+    const codeLengths = buildTable(codeLengthLengths);
+
+    const lengths = new Uint8Array(literalCount + distanceCount);
+    let i = 0;
+    while (i < lengths.length) {
+      const symbol = decodeSymbol(reader, codeLengths);
+
+      if (symbol < 16) {
+        lengths[i++] = symbol;
+        continue;
+      }
+
+      let value = 0;
+      let repeat;
+      if (symbol === 16) {
+        if (i === 0) {
+          throw new Error('Invalid DEFLATE code lengths');
+        }
+        value = lengths[i - 1];
+        repeat = 3 + readBits(reader, 2);
+      } else if (symbol === 17) {
+        repeat = 3 + readBits(reader, 3);
+      } else {
+        repeat = 11 + readBits(reader, 7);
+      }
+
+      if (i + repeat > lengths.length) {
+        throw new Error('Invalid DEFLATE code lengths');
+      }
+      lengths.fill(value, i, i + repeat);
+      i += repeat;
+    }
+
+    return {
+      literals: buildTable(lengths.subarray(0, literalCount)),
+      distances: buildTable(lengths.subarray(literalCount))
+    };
+  }
+}
+
+/**
+ * Read `count` bits, least significant first
+ */
+function readBits(reader, count) {
+  let value = 0;
+  for (let i = 0; i < count; i++) {
+    if (reader.pos >= reader.data.length) {
+      throw new Error('DEFLATE data ends early');
+    }
+    value |= ((reader.data[reader.pos] >> reader.bit) & 1) << i;
+    if (++reader.bit === 8) {
+      reader.bit = 0;
+      reader.pos++;
+    }
+  }
+  return value;
+}
+
+/**
+ * Canonical Huffman table: code counts per length and symbols in code order
+ */
+function buildTable(lengths) {
+  const counts = new Uint16Array(16);
+  for (const length of lengths) {
+    counts[length]++;
+  }
+  counts[0] = 0;
+
+  const offsets = new Uint16Array(16);
+  for (let length = 1; length < 16; length++) {
+    offsets[length] = offsets[length - 1] + counts[length - 1];
+  }
+
+  const symbols = new Uint16Array(lengths.length);
+  lengths.forEach((length, symbol) => {
+    if (length > 0) {
+      symbols[offsets[length]++] = symbol;
+    }
+  });
+
+  return { counts, symbols };
+}
+
+/**
+ * Decode one symbol bit by bit against a canonical table
+ */
+function decodeSymbol(reader, table) {
+  let code = 0;
+  let first = 0;
+  let index = 0;
+
+  for (let length = 1; length < 16; length++) {
+    code |= readBits(reader, 1);
+    const count = table.counts[length];
+    if (code - first < count) {
+      return table.symbols[index + code - first];
+    }
+    index += count;
+    first = (first + count) << 1;
+    code <<= 1;
+  }
+
+  throw new Error('Invalid DEFLATE Huffman code');
+}
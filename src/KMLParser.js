@@ -0,0 +1,137 @@
+/**
+ * KMLParser
+ * Reads river placemarks from KML, as traced in Google Earth, into GeoJSON
+ * features that RiverPathParser can turn into river paths
+ * KML coordinates are always longitude/latitude (WGS84)
+ */
+
+import { XMLParser } from './XMLParser.js';
+
+// ExtendedData values that are plain numbers, such as a width
+const NUMBER = /^-?\d+(\.\d+)?([eE][-+]?\d+)?$/;
+
+export class KMLParser {
+  constructor() {
+    this.xmlParser = new XMLParser();
+  }
+
+  /**
+   * Parse KML text into a GeoJSON FeatureCollection
+   * @param {string} text
+   * @returns {Object} FeatureCollection with one feature per placemark geometry kind
+   */
+  parse(text) {
+    return this.toGeoJSON(this.xmlParser.parse(text));
+  }
+
+  /**
+   * Convert a parsed KML document (see XMLParser) into a GeoJSON FeatureCollection
+   * Each placemark's LineStrings become one (Multi)LineString feature and its
+   * Polygons one (Multi)Polygon feature, both carrying the placemark's <name>
+   * and its ExtendedData as properties; other placemarks are skipped
+   * @param {Object} root - The <kml> element
+   * @returns {Object}
+   */
+  toGeoJSON(root) {
+    if (root.name !== 'kml') {
+      throw new Error(`Expected a <kml> document, got <${root.name}>`);
+    }
+
+    const features = this.xmlParser.descendants(root, 'Placemark').flatMap(placemark => {
+      const properties = this._properties(placemark);
+
+      const lines = this.xmlParser.descendants(placemark, 'LineString')
+        .map(line => this._coordinates(line));
+      const polygons = this.xmlParser.descendants(placemark, 'Polygon')
+        .map(polygon => this._rings(polygon));
+
+      return [
+        ...(lines.length > 0 ? [feature(lines, 'LineString', properties)] : []),
+        ...(polygons.length > 0 ? [feature(polygons, 'Polygon', properties)] : [])
+      ];
+    });
+
+    if (features.length === 0) {
+      throw new Error('KML has no LineString or Polygon placemarks');
+    }
+
+    return { type: 'FeatureCollection', features };
+  }
+
+  /**
+   * Placemark name and ExtendedData, numbers converted
+   * @private
+   */
+  _properties(placemark) {
+    const properties = {};
+
+    for (const data of this.xmlParser.descendants(placemark, 'Data')) {
+      const value = this.xmlParser.childText(data, 'value');
+      if (data.attributes.name && value !== null) {
+        properties[data.attributes.name] = NUMBER.test(value) ? Number(value) : value;
+      }
+    }
+    for (const data of this.xmlParser.descendants(placemark, 'SimpleData')) {
+      const value = data.text.trim();
+      if (data.attributes.name) {
+        properties[data.attributes.name] = NUMBER.test(value) ? Number(value) : value;
+      }
+    }
+
+    const name = this.xmlParser.childText(placemark, 'name');
+    if (name) {
+      properties.name = name;
+    }
+
+    return properties;
+  }
+
+  /**
+   * Outer ring first, then inner rings (islands)
+   * @private
+   */
+  _rings(polygon) {
+    const [outer] = this.xmlParser.children(polygon, 'outerBoundaryIs');
+    if (!outer) {
+      throw new Error('KML Polygon has no outerBoundaryIs');
+    }
+
+    const inner = this.xmlParser.children(polygon, 'innerBoundaryIs')
+      .flatMap(boundary => this.xmlParser.descendants(boundary, 'LinearRing'));
+
+    return [...this.xmlParser.descendants(outer, 'LinearRing'), ...inner]
+      .map(ring => this._coordinates(ring));
+  }
+
+  /**
+   * "lon,lat[,alt]" tuples of an element's <coordinates>, altitude dropped
+   * @private
+   */
+  _coordinates(element) {
+    const text = this.xmlParser.childText(element, 'coordinates');
+    if (!text) {
+      throw new Error(`KML ${element.name} has no coordinates`);
+    }
+
+    return text.split(/\s+/).map(tuple => {
+      const [lon, lat] = tuple.split(',').map(Number);
+      if (isNaN(lon) || isNaN(lat)) {
+        throw new Error(`Invalid KML coordinate "${tuple}"`);
+      }
+      return [lon, lat];
+    });
+  }
+}
+
+/**
+ * GeoJSON feature for one or several geometries of a kind
+ */
+function feature(geometries, type, properties) {
+  return {
+    type: 'Feature',
+    properties,
+    geometry: geometries.length === 1
+      ? { type, coordinates: geometries[0] }
+      : { type: `Multi${type}`, coordinates: geometries }
+  };
+}
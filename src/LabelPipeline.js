@@ -0,0 +1,128 @@
+/**
+ * LabelPipeline
+ * Runs geometry analysis, placement scoring and text placement for one river
+ * without touching the DOM, so the same steps serve the UI and batch tools
+ */
+
+import { GeometryAnalyzer } from './GeometryAnalyzer.js';
+import { PlacementScorer } from './PlacementScorer.js';
+import { TextPlacer } from './TextPlacer.js';
+
+export const ALIGNMENTS = ['segment', 'peak'];
+
+export class LabelPipeline {
+  /**
+   * @param {Object} components - Optional pre-built stages
+   * @param {GeometryAnalyzer} components.analyzer
+   * @param {PlacementScorer} components.scorer
+   * @param {TextPlacer} components.placer
+   * @param {FontBook} components.fonts - Font files for the default scorer and placer to measure with
+   */
+  constructor(components = {}) {
+    const fonts = components.fonts ?? null;
+    this.analyzer = components.analyzer ?? new GeometryAnalyzer();
+    this.scorer = components.scorer ?? new PlacementScorer({}, { fonts });
+    this.placer = components.placer ?? new TextPlacer({ fonts });
+  }
+
+  /**
+   * Label a parsed river path
+   * @param {RiverPath} path
+   * @param {string} text - Label text
+   * @param {Object} options
+   * @param {number} options.fontSize - Font size in pixels (default: 16)
+   * @param {string} options.fontFamily - Font family (default: 'Arial')
+   * @param {Object} options.thresholds - Per-call overrides of the analyzer config
+   * @param {string} options.orientation - 'auto', 'forward' or 'reversed' (default: 'auto')
+   * @param {string} options.anchor - 'start', 'center' or 'end' (default: 'center')
+   * @param {string} options.align - Where the anchor goes: 'segment' puts it at the matching point
+   *   of the segment (its centerPoint for 'center'), 'peak' at the best-scoring window (default: 'segment')
+   * @param {number} options.offset - Explicit arc length from segment start to the anchor; overrides align
+   * @param {{spacing: number, maxLabels?: number}|null} options.repeat - Repeat the label along the
+   *   river with at least `spacing` between copies (default: null, a single label)
+   * @param {Array<Obstacle>} options.obstacles - Points, lines and polygons the label must avoid;
+   *   the stretches they block are added to metrics.rejectedSegments (default: none)
+   * @returns {{metrics: GeometryMetrics, result: Object, placement: Candidate|null,
+   *   candidates: Array<Candidate>, characterPlacements: Array<CharacterPlacement>,
+   *   orientation: 'forward'|'reversed'|null, fit: Object,
+   *   labels: Array<{placement: Candidate, characterPlacements: Array<CharacterPlacement>,
+   *     orientation: 'forward'|'reversed'}>}} characterPlacements and orientation belong to
+   *   the best placement; labels holds every placed copy in path order; fit is the text, font
+   *   size and letter spacing the glyphs were laid out with (see PlacementScorer.findOptimalPlacement)
+   */
+  run(path, text, options = {}) {
+    const {
+      fontSize = 16,
+      fontFamily = 'Arial',
+      thresholds = {},
+      orientation: requestedOrientation = 'auto',
+      anchor = 'center',
+      align = 'segment',
+      repeat = null,
+      obstacles = []
+    } = options;
+
+    if (!ALIGNMENTS.includes(align)) {
+      throw new Error(`Invalid align: ${align} (expected ${ALIGNMENTS.join(', ')})`);
+    }
+
+    // Analyze geometry
+    const geometry = this.analyzer.analyzeGeometry(path, thresholds);
+    const layout = { anchor, align, offset: options.offset, orientation: requestedOrientation };
+
+    // Find optimal placement, or several spaced-out placements when repeating
+    const result = repeat
+      ? this.scorer.findRepeatedPlacements(path, text, fontSize, geometry, { ...repeat, fontFamily, obstacles, layout })
+      : this.scorer.findOptimalPlacement(path, text, fontSize, geometry, fontFamily, { obstacles, layout });
+
+    // Stretches blocked by obstacles show up alongside the geometric rejections
+    const metrics = result.rejectedSegments?.length
+      ? { ...geometry, rejectedSegments: [...geometry.rejectedSegments, ...result.rejectedSegments] }
+      : geometry;
+
+    const placement = result.placement;
+    const candidates = result.allCandidates || [];
+    const placements = result.placements ?? (placement ? [placement] : []);
+    const fit = result.fit;
+
+    // Place text characters, flipping the traversal when it would read upside down
+    const labels = placements.map(labelPlacement => {
+      let offset = options.offset;
+      if (offset === undefined && align === 'peak') {
+        offset = this.scorer.findPeakOffset(path, labelPlacement.segment, result.textLength, metrics);
+      }
+
+      return {
+        placement: labelPlacement,
+        ...this.placer.placeLabel(
+          fit.text,
+          path,
+          labelPlacement.segment,
+          fit.fontSize,
+          {
+            orientation: requestedOrientation,
+            anchor,
+            offset,
+            letterSpacing: fit.letterSpacing,
+            fontFamily
+          }
+        )
+      };
+    });
+
+    const best = labels.find(label => label.placement === placement);
+    const characterPlacements = best ? best.characterPlacements : [];
+    const orientation = best ? best.orientation : null;
+
+    return {
+      metrics,
+      result,
+      placement,
+      candidates,
+      characterPlacements,
+      orientation,
+      fit,
+      labels
+    };
+  }
+}
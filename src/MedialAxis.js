@@ -0,0 +1,751 @@
+/**
+ * MedialAxis
+ * Extracts a river centerline from a polygon as the longest branch of its
+ * Voronoi-based medial axis, so the line follows the channel through
+ * meanders and sharp turns
+ */
+
+// Largest bank sample spacing, relative to the local channel width, before
+// Delaunay triangles across the channel turn into slivers whose circumcenters
+// overstate the width or fall outside the water
+const MAX_SPACING_PER_WIDTH = 1 / 3;
+
+// Samples of one ring lie on the same bank, not across the channel, while the
+// way along the ring between them is shorter than this multiple of the straight line
+const SAME_BANK_DETOUR = 2;
+
+// Refinement passes, and the most samples refinement may grow to per budgeted sample
+const MAX_REFINEMENTS = 6;
+const MAX_REFINED_SAMPLES_FACTOR = 50;
+
+export class MedialAxis {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxSamples - Boundary sample budget (default: 1000); banks with more
+   *   vertices than this are resampled down to it, so detailed survey banks stay fast. Narrow
+   *   channels are then sampled more densely, up to 50 times the budget, until the spacing is
+   *   at most a third of the local channel width
+   * @param {number} options.maxPoints - Maximum number of centerline vertices returned (default: 100)
+   */
+  constructor(options = {}) {
+    this.maxSamples = options.maxSamples ?? 1000;
+    this.maxPoints = options.maxPoints ?? 100;
+  }
+
+  /**
+   * Extract the centerline of a polygon with optional holes
+   * @param {Array<Array<number>>} exterior - Exterior ring [x, y] coordinates
+   * @param {Array<Array<Array<number>>>} holes - Interior rings (islands)
+   * @returns {Array<Array<number>>} Centerline [x, y, width] coordinates, where width is
+   *   the diameter of the largest circle inscribed in the channel at that vertex
+   */
+  extract(exterior, holes = []) {
+    if (!exterior || exterior.length < 3) {
+      throw new Error('Invalid polygon coordinates');
+    }
+
+    const rings = [exterior, ...holes];
+    const { samples, triangles } = this._refine(this._sampleRings(rings));
+
+    if (samples.length < 3) {
+      return [];
+    }
+
+    const graph = this._buildGraph(triangles, exterior, holes);
+
+    if (graph.nodes.length === 0) {
+      return [];
+    }
+
+    const branch = this._longestPath(graph).map(i => graph.nodes[i]);
+
+    // Run from the end nearest the ring's first vertex, whatever order the
+    // triangulation happened to visit the (often tied) widest nodes in
+    const [x0, y0] = exterior[0];
+    const first = branch[0];
+    const last = branch[branch.length - 1];
+    if (Math.hypot(last.x - x0, last.y - y0) < Math.hypot(first.x - x0, first.y - y0)) {
+      branch.reverse();
+    }
+
+    return this._resample(branch);
+  }
+
+  /**
+   * Sample every ring at a roughly uniform spacing
+   * @private
+   * @param {Array<Array<Array<number>>>} rings
+   * @returns {Array<Array<number>>} Unique [x, y] sample points
+   */
+  _densify(rings) {
+    return this._flatten(this._sampleRings(rings)).samples;
+  }
+
+  /**
+   * Sample points of each ring, in ring order
+   * Original vertices are kept while they fit the sample budget; denser rings
+   * are resampled at the spacing alone, so the sample count stays near maxSamples
+   * @private
+   * @param {Array<Array<Array<number>>>} rings
+   * @returns {Array<Array<Array<number>>>} [x, y] samples per ring
+   */
+  _sampleRings(rings) {
+    let perimeter = 0;
+    let vertexCount = 0;
+    for (const ring of rings) {
+      vertexCount += ring.length;
+      for (let i = 0; i < ring.length; i++) {
+        const p1 = ring[i];
+        const p2 = ring[(i + 1) % ring.length];
+        perimeter += Math.hypot(p2[0] - p1[0], p2[1] - p1[1]);
+      }
+    }
+
+    const spacing = perimeter / this.maxSamples;
+    const keepVertices = vertexCount <= this.maxSamples;
+
+    return rings.map(ring => {
+      const samples = [];
+      const addSample = (x, y) => {
+        const previous = samples[samples.length - 1];
+        if (!previous || previous[0] !== x || previous[1] !== y) {
+          samples.push([x, y]);
+        }
+      };
+
+      // Small islands still get a triangle's worth of samples
+      let ringLength = 0;
+      for (let i = 0; i < ring.length; i++) {
+        const p1 = ring[i];
+        const p2 = ring[(i + 1) % ring.length];
+        ringLength += Math.hypot(p2[0] - p1[0], p2[1] - p1[1]);
+      }
+      const step = keepVertices ? spacing : Math.min(spacing, ringLength / 3);
+
+      // Arc length still to travel before the next sample
+      let until = 0;
+      for (let i = 0; i < ring.length; i++) {
+        const p1 = ring[i];
+        const p2 = ring[(i + 1) % ring.length];
+        const edgeLength = Math.hypot(p2[0] - p1[0], p2[1] - p1[1]);
+
+        if (keepVertices) {
+          const steps = spacing > 0 ? Math.max(1, Math.ceil(edgeLength / spacing)) : 1;
+          for (let k = 0; k < steps; k++) {
+            const t = k / steps;
+            addSample(p1[0] + (p2[0] - p1[0]) * t, p1[1] + (p2[1] - p1[1]) * t);
+          }
+          continue;
+        }
+
+        let along = until;
+        while (step > 0 && along < edgeLength) {
+          const t = along / edgeLength;
+          addSample(p1[0] + (p2[0] - p1[0]) * t, p1[1] + (p2[1] - p1[1]) * t);
+          along += step;
+        }
+        until = along - edgeLength;
+      }
+
+      // A closed ring repeats its first vertex at the end
+      const first = samples[0];
+      const last = samples[samples.length - 1];
+      if (samples.length > 1 && first[0] === last[0] && first[1] === last[1]) {
+        samples.pop();
+      }
+      return samples;
+    });
+  }
+
+  /**
+   * Unique samples of all rings, with the sample index of every ring position
+   * @private
+   * @returns {{samples: Array<Array<number>>, indexOf: Array<Array<number>>}}
+   */
+  _flatten(sampleRings) {
+    const samples = [];
+    const seen = new Map();
+
+    const indexOf = sampleRings.map(ring => ring.map(([x, y]) => {
+      const key = `${x},${y}`;
+      if (!seen.has(key)) {
+        seen.set(key, samples.length);
+        samples.push([x, y]);
+      }
+      return seen.get(key);
+    }));
+
+    return { samples, indexOf };
+  }
+
+  /**
+   * Triangulate the samples, subdividing bank edges that are long for the
+   * channel they border until every spacing is at most MAX_SPACING_PER_WIDTH
+   * of the local width
+   * The local width at a sample is its shortest Delaunay edge to a sample
+   * on another bank; it can only overstate the width, so passes repeat until
+   * nothing more needs splitting. Spacing never drops below the perimeter
+   * over the refined sample limit, so sharp corners, where the banks meet,
+   * do not draw samples without end
+   * @private
+   * @param {Array<Array<Array<number>>>} sampleRings
+   * @returns {{samples: Array<Array<number>>, triangles: Array<Object>}}
+   */
+  _refine(sampleRings) {
+    const sampleLimit = this.maxSamples * MAX_REFINED_SAMPLES_FACTOR;
+    let perimeter = 0;
+    for (const ring of sampleRings) {
+      ring.forEach((p, k) => {
+        const q = ring[(k + 1) % ring.length];
+        perimeter += Math.hypot(q[0] - p[0], q[1] - p[1]);
+      });
+    }
+    const minSpacing = perimeter / sampleLimit;
+    let rings = sampleRings;
+
+    for (let pass = 0; ; pass++) {
+      const { samples, indexOf } = this._flatten(rings);
+      if (samples.length < 3) {
+        return { samples, triangles: [] };
+      }
+
+      const triangles = this._triangulate(samples);
+      if (pass === MAX_REFINEMENTS) {
+        return { samples, triangles };
+      }
+
+      const widths = this._localWidths(triangles, samples, rings, indexOf);
+      let added = 0;
+      const refined = rings.map((ring, r) => {
+        const result = [];
+        ring.forEach((p, k) => {
+          result.push(p);
+          const next = (k + 1) % ring.length;
+          const q = ring[next];
+          const width = Math.min(widths[indexOf[r][k]], widths[indexOf[r][next]]);
+          const spacing = Math.max(width * MAX_SPACING_PER_WIDTH, minSpacing);
+          const pieces = Math.ceil(Math.hypot(q[0] - p[0], q[1] - p[1]) / spacing);
+
+          for (let j = 1; j < pieces; j++) {
+            const t = j / pieces;
+            result.push([p[0] + (q[0] - p[0]) * t, p[1] + (q[1] - p[1]) * t]);
+          }
+          added += Math.max(0, pieces - 1);
+        });
+        return result;
+      });
+
+      if (added === 0 || samples.length + added > sampleLimit) {
+        return { samples, triangles };
+      }
+      rings = refined;
+    }
+  }
+
+  /**
+   * Shortest Delaunay edge from each sample to a sample on another bank
+   * Edges between samples of one ring that are barely shorter than the way
+   * along the ring (SAME_BANK_DETOUR) follow the bank; samples without a
+   * cross-channel edge get Infinity
+   * @private
+   * @returns {Array<number>} Width per sample index
+   */
+  _localWidths(triangles, samples, rings, indexOf) {
+    const ringOf = new Array(samples.length);
+    const alongOf = new Array(samples.length);
+    const ringLengths = rings.map((ring, r) => {
+      let along = 0;
+      ring.forEach((p, k) => {
+        const index = indexOf[r][k];
+        if (ringOf[index] === undefined) {
+          ringOf[index] = r;
+          alongOf[index] = along;
+        }
+        const q = ring[(k + 1) % ring.length];
+        along += Math.hypot(q[0] - p[0], q[1] - p[1]);
+      });
+      return along;
+    });
+
+    const widths = new Array(samples.length).fill(Infinity);
+    for (const { a, b, c } of triangles) {
+      for (const [u, v] of [[a, b], [b, c], [c, a]]) {
+        const length = Math.hypot(samples[u][0] - samples[v][0], samples[u][1] - samples[v][1]);
+
+        if (ringOf[u] === ringOf[v]) {
+          const apart = Math.abs(alongOf[u] - alongOf[v]);
+          if (Math.min(apart, ringLengths[ringOf[u]] - apart) < SAME_BANK_DETOUR * length) {
+            continue;
+          }
+        }
+
+        widths[u] = Math.min(widths[u], length);
+        widths[v] = Math.min(widths[v], length);
+      }
+    }
+
+    return widths;
+  }
+
+  /**
+   * Delaunay triangulation (Bowyer-Watson with neighbour links)
+   * Points are inserted in Hilbert-curve order, so both banks of a long
+   * channel fill in together; each point is located by walking from the last
+   * new triangle, and its cavity grows through neighbours, so insertion does
+   * not scan every triangle
+   * @private
+   * @param {Array<Array<number>>} points
+   * @returns {Array<{a: number, b: number, c: number, x: number, y: number, r: number}>}
+   *   Triangles as point indices with their circumcircle
+   */
+  _triangulate(points) {
+    let minX = Infinity, maxX = -Infinity;
+    let minY = Infinity, maxY = -Infinity;
+
+    for (const [x, y] of points) {
+      minX = Math.min(minX, x);
+      maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y);
+      maxY = Math.max(maxY, y);
+    }
+
+    // Super triangle comfortably enclosing every point
+    const size = Math.max(maxX - minX, maxY - minY) || 1;
+    const midX = (minX + maxX) / 2;
+    const midY = (minY + maxY) / 2;
+    const n = points.length;
+    const vertices = points.concat([
+      [midX - 20 * size, midY - size],
+      [midX + 20 * size, midY - size],
+      [midX, midY + 20 * size]
+    ]);
+
+    // Triangles are counterclockwise; neighbors[k] lies across the edge from
+    // vertex k to vertex k + 1, -1 on the hull
+    const triangles = [];
+    const addTriangle = (a, b, c) => {
+      const triangle = this._makeTriangle(vertices, a, b, c) ??
+        { a, b, c, x: NaN, y: NaN, r: NaN };
+      triangle.neighbors = [-1, -1, -1];
+      triangle.alive = true;
+      triangles.push(triangle);
+      return triangles.length - 1;
+    };
+    const corners = triangle => [triangle.a, triangle.b, triangle.c];
+    const inCircle = (triangle, px, py) => {
+      if (Number.isNaN(triangle.r)) {
+        // Degenerate sliver: only replaceable from inside
+        return false;
+      }
+      const dx = px - triangle.x;
+      const dy = py - triangle.y;
+      return dx * dx + dy * dy < triangle.r * triangle.r * (1 - 1e-12);
+    };
+
+    let last = addTriangle(n, n + 1, n + 2);
+
+    for (const i of this._hilbertOrder(points, minX, minY, size)) {
+      const [px, py] = vertices[i];
+      const start = this._locate(vertices, triangles, last, px, py);
+
+      // Grow the cavity of triangles whose circumcircle holds the point
+      const cavity = new Set([start]);
+      const queue = [start];
+      while (queue.length > 0) {
+        const current = triangles[queue.pop()];
+        for (const neighbor of current.neighbors) {
+          if (neighbor !== -1 && !cavity.has(neighbor) && inCircle(triangles[neighbor], px, py)) {
+            cavity.add(neighbor);
+            queue.push(neighbor);
+          }
+        }
+      }
+
+      // Fan the cavity boundary around the new point
+      const byStart = new Map();
+      const created = [];
+      for (const index of cavity) {
+        const triangle = triangles[index];
+        triangle.alive = false;
+        const ids = corners(triangle);
+
+        for (let k = 0; k < 3; k++) {
+          const outside = triangle.neighbors[k];
+          if (outside !== -1 && cavity.has(outside)) {
+            continue;
+          }
+
+          const u = ids[k];
+          const v = ids[(k + 1) % 3];
+          const fresh = addTriangle(u, v, i);
+          triangles[fresh].neighbors[0] = outside;
+          if (outside !== -1) {
+            const across = triangles[outside].neighbors;
+            across[across.indexOf(index)] = fresh;
+          }
+          byStart.set(u, fresh);
+          created.push(fresh);
+        }
+      }
+
+      // New triangles (u, v, i) meet along their spokes to the new point
+      for (const index of created) {
+        const triangle = triangles[index];
+        const next = byStart.get(triangle.b);
+        triangle.neighbors[1] = next;
+        triangles[next].neighbors[2] = index;
+      }
+
+      last = created[created.length - 1];
+    }
+
+    return triangles.filter(t => t.alive && t.a < n && t.b < n && t.c < n && !Number.isNaN(t.r));
+  }
+
+  /**
+   * Point indices sorted along a Hilbert curve over the bounding square
+   * @private
+   * @returns {Array<number>}
+   */
+  _hilbertOrder(points, minX, minY, size) {
+    const cells = 1 << 16;
+    const keys = points.map(([x, y]) => {
+      let cx = Math.min(cells - 1, Math.floor(((x - minX) / size) * cells));
+      let cy = Math.min(cells - 1, Math.floor(((y - minY) / size) * cells));
+      let key = 0;
+
+      for (let half = cells / 2; half >= 1; half /= 2) {
+        const rx = cx >= half ? 1 : 0;
+        const ry = cy >= half ? 1 : 0;
+        key += half * half * ((3 * rx) ^ ry);
+
+        // Rotate the quadrant so the curve stays continuous
+        cx %= half;
+        cy %= half;
+        if (ry === 0) {
+          if (rx === 1) {
+            cx = half - 1 - cx;
+            cy = half - 1 - cy;
+          }
+          [cx, cy] = [cy, cx];
+        }
+      }
+      return key;
+    });
+
+    return points.map((point, i) => i).sort((a, b) => keys[a] - keys[b]);
+  }
+
+  /**
+   * Triangle containing a point, walking across the edges it lies beyond
+   * Falls back to a scan should the walk not settle (nearly degenerate input)
+   * @private
+   * @returns {number} Triangle index
+   */
+  _locate(vertices, triangles, from, px, py) {
+    const side = (u, v) => {
+      const [ux, uy] = vertices[u];
+      const [vx, vy] = vertices[v];
+      return (vx - ux) * (py - uy) - (vy - uy) * (px - ux);
+    };
+
+    let current = from;
+    for (let steps = 0; steps < triangles.length; steps++) {
+      const triangle = triangles[current];
+      const ids = [triangle.a, triangle.b, triangle.c];
+      let next = -1;
+
+      for (let k = 0; k < 3; k++) {
+        if (side(ids[k], ids[(k + 1) % 3]) < 0 && triangle.neighbors[k] !== -1) {
+          next = triangle.neighbors[k];
+          break;
+        }
+      }
+
+      if (next === -1) {
+        return current;
+      }
+      current = next;
+    }
+
+    const found = triangles.findIndex(triangle => triangle.alive &&
+      side(triangle.a, triangle.b) >= 0 && side(triangle.b, triangle.c) >= 0 && side(triangle.c, triangle.a) >= 0);
+    return found === -1 ? from : found;
+  }
+
+  /**
+   * Build a triangle with its circumcircle, or null when degenerate
+   * @private
+   */
+  _makeTriangle(vertices, a, b, c) {
+    const [ax, ay] = vertices[a];
+    const [bx, by] = vertices[b];
+    const [cx, cy] = vertices[c];
+
+    const d = 2 * (ax * (by - cy) + bx * (cy - ay) + cx * (ay - by));
+    if (d === 0) {
+      return null;
+    }
+
+    const aSq = ax * ax + ay * ay;
+    const bSq = bx * bx + by * by;
+    const cSq = cx * cx + cy * cy;
+
+    const x = (aSq * (by - cy) + bSq * (cy - ay) + cSq * (ay - by)) / d;
+    const y = (aSq * (cx - bx) + bSq * (ax - cx) + cSq * (bx - ax)) / d;
+
+    return { a, b, c, x, y, r: Math.hypot(ax - x, ay - y) };
+  }
+
+  /**
+   * Connect circumcenters of neighbouring triangles that lie in open water
+   * @private
+   * @returns {{nodes: Array<{x: number, y: number, r: number}>, edges: Array<Array<{to: number, weight: number}>>}}
+   */
+  _buildGraph(triangles, exterior, holes) {
+    const nodes = [];
+    const nodeOf = new Map();
+    const inExterior = this._ringIndex(exterior);
+    const inHoles = holes.map(hole => this._ringIndex(hole));
+
+    triangles.forEach((triangle, index) => {
+      const point = [triangle.x, triangle.y];
+      const inWater = inExterior(point) && !inHoles.some(inHole => inHole(point));
+
+      if (inWater) {
+        nodeOf.set(index, nodes.length);
+        nodes.push({ x: triangle.x, y: triangle.y, r: triangle.r });
+      }
+    });
+
+    const edges = nodes.map(() => []);
+    const trianglesByEdge = new Map();
+
+    triangles.forEach((triangle, index) => {
+      if (!nodeOf.has(index)) {
+        return;
+      }
+
+      for (const [u, v] of [[triangle.a, triangle.b], [triangle.b, triangle.c], [triangle.c, triangle.a]]) {
+        const key = u < v ? `${u},${v}` : `${v},${u}`;
+        const other = trianglesByEdge.get(key);
+
+        if (other === undefined) {
+          trianglesByEdge.set(key, index);
+        } else {
+          const from = nodeOf.get(other);
+          const to = nodeOf.get(index);
+          const weight = Math.hypot(nodes[from].x - nodes[to].x, nodes[from].y - nodes[to].y);
+          edges[from].push({ to, weight });
+          edges[to].push({ to: from, weight });
+        }
+      }
+    });
+
+    return { nodes, edges };
+  }
+
+  /**
+   * Longest shortest-path through the medial graph (double sweep)
+   * Starts from the widest point so the sweep stays in the main channel
+   * @private
+   * @returns {Array<number>} Node indices from one river end to the other
+   */
+  _longestPath(graph) {
+    let widest = 0;
+    graph.nodes.forEach((node, i) => {
+      if (node.r > graph.nodes[widest].r) {
+        widest = i;
+      }
+    });
+
+    const first = this._shortestPaths(graph, widest);
+    const second = this._shortestPaths(graph, first.farthest);
+
+    const path = [];
+    for (let i = second.farthest; i !== -1; i = second.previous[i]) {
+      path.push(i);
+    }
+
+    return path.reverse();
+  }
+
+  /**
+   * Dijkstra from a source node
+   * @private
+   * @returns {{previous: Array<number>, farthest: number}}
+   */
+  _shortestPaths(graph, source) {
+    const count = graph.nodes.length;
+    const distance = new Array(count).fill(Infinity);
+    const previous = new Array(count).fill(-1);
+    const visited = new Array(count).fill(false);
+    distance[source] = 0;
+
+    let farthest = source;
+    const heap = new MinHeap();
+    heap.push(0, source);
+
+    while (heap.size > 0) {
+      const { key, value: current } = heap.pop();
+
+      // Stale entry for a node already settled at a shorter distance
+      if (visited[current] || key > distance[current]) {
+        continue;
+      }
+
+      visited[current] = true;
+      if (distance[current] > distance[farthest]) {
+        farthest = current;
+      }
+
+      for (const { to, weight } of graph.edges[current]) {
+        if (distance[current] + weight < distance[to]) {
+          distance[to] = distance[current] + weight;
+          previous[to] = current;
+          heap.push(distance[to], to);
+        }
+      }
+    }
+
+    return { previous, farthest };
+  }
+
+  /**
+   * Resample the branch at uniform arc length, capped at maxPoints vertices
+   * @private
+   * @param {Array<{x: number, y: number, r: number}>} nodes
+   * @returns {Array<Array<number>>} [x, y, width] coordinates
+   */
+  _resample(nodes) {
+    if (nodes.length <= this.maxPoints) {
+      return nodes.map(node => [node.x, node.y, node.r * 2]);
+    }
+
+    const cumulative = [0];
+    for (let i = 1; i < nodes.length; i++) {
+      cumulative.push(cumulative[i - 1] + Math.hypot(nodes[i].x - nodes[i - 1].x, nodes[i].y - nodes[i - 1].y));
+    }
+
+    const total = cumulative[cumulative.length - 1];
+    const result = [];
+    let segment = 0;
+
+    for (let k = 0; k < this.maxPoints; k++) {
+      const target = (total * k) / (this.maxPoints - 1);
+
+      while (segment < nodes.length - 2 && cumulative[segment + 1] < target) {
+        segment++;
+      }
+
+      const span = cumulative[segment + 1] - cumulative[segment];
+      const t = span > 0 ? Math.min(1, (target - cumulative[segment]) / span) : 0;
+      const a = nodes[segment];
+      const b = nodes[segment + 1];
+
+      result.push([
+        a.x + (b.x - a.x) * t,
+        a.y + (b.y - a.y) * t,
+        (a.r + (b.r - a.r) * t) * 2
+      ]);
+    }
+
+    return result;
+  }
+
+  /**
+   * Even-odd point-in-polygon test against a ring whose edges are bucketed
+   * into horizontal bands, so each test only crosses the edges at its height
+   * @private
+   * @param {Array<Array<number>>} ring
+   * @returns {function(Array<number>): boolean}
+   */
+  _ringIndex(ring) {
+    let minY = Infinity;
+    let maxY = -Infinity;
+    for (const [, y] of ring) {
+      minY = Math.min(minY, y);
+      maxY = Math.max(maxY, y);
+    }
+
+    const bandCount = Math.max(1, Math.ceil(Math.sqrt(ring.length)));
+    const bandHeight = (maxY - minY) / bandCount || 1;
+    const bandOf = y => Math.min(bandCount - 1, Math.max(0, Math.floor((y - minY) / bandHeight)));
+    const bands = Array.from({ length: bandCount }, () => []);
+
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const low = Math.min(ring[i][1], ring[j][1]);
+      const high = Math.max(ring[i][1], ring[j][1]);
+      for (let band = bandOf(low); band <= bandOf(high); band++) {
+        bands[band].push([ring[i], ring[j]]);
+      }
+    }
+
+    return ([x, y]) => {
+      if (y < minY || y > maxY) {
+        return false;
+      }
+
+      let inside = false;
+      for (const [[xi, yi], [xj, yj]] of bands[bandOf(y)]) {
+        if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+          inside = !inside;
+        }
+      }
+      return inside;
+    };
+  }
+}
+
+/**
+ * Binary min-heap of values ordered by numeric key
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(key, value) {
+    const items = this.items;
+    items.push({ key, value });
+
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].key <= items[i].key) {
+        break;
+      }
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      while (true) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].key < items[smallest].key) smallest = left;
+        if (right < items.length && items[right].key < items[smallest].key) smallest = right;
+        if (smallest === i) {
+          break;
+        }
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+
+    return top;
+  }
+}
@@ -0,0 +1,243 @@
+/**
+ * ObstacleLayer
+ * Map features that labels must keep clear of: point markers, lines and polygons
+ * Answers which obstacles come within a given distance of a label footprint
+ */
+
+import { GeoJSONParser } from './GeoJSONParser.js';
+
+export const OBSTACLE_TYPES = ['point', 'line', 'polygon'];
+export const OBSTACLE_ACTIONS = ['reject', 'penalize'];
+
+// Minimum vertex count per obstacle type
+const MIN_POINTS = { point: 1, line: 2, polygon: 3 };
+
+export class ObstacleLayer {
+  /**
+   * @param {Array<Obstacle>} obstacles - Each obstacle is
+   *   {type: 'point'|'line'|'polygon', points: Array<{x, y}>, name?, action?, penalty?, buffer?}:
+   *   one point, a polyline or a polygon ring in path coordinates. `action` is 'reject'
+   *   (default) or 'penalize', `penalty` the score points lost when penalized (default: 50)
+   *   and `buffer` extra clearance around the obstacle (default: 0)
+   */
+  constructor(obstacles = []) {
+    if (!Array.isArray(obstacles)) {
+      throw new Error('Obstacles must be an array');
+    }
+
+    this.obstacles = obstacles.map((obstacle, index) => this._normalize(obstacle, index));
+  }
+
+  /**
+   * Read obstacles from GeoJSON: (multi)points become point obstacles, (multi)line
+   * strings lines and (multi)polygons their exterior rings. Each feature's `name`,
+   * `action`, `penalty` and `buffer` properties carry over to its obstacles
+   * @param {Object} geojson - FeatureCollection, Feature or bare geometry
+   * @param {Projection|null} projection - Projects longitude/latitude input into the
+   *   coordinates of the river it is used with (default: null, coordinates as given)
+   * @returns {Array<Obstacle>}
+   */
+  static fromGeoJSON(geojson, projection = null) {
+    const parser = new GeoJSONParser();
+    const toPoints = positions => positions.map(position => {
+      if (!Array.isArray(position) || position.length < 2) {
+        throw new Error('Invalid obstacle position');
+      }
+      const [x, y] = projection ? projection.projectCoordinates(position) : position;
+      return { x, y };
+    });
+
+    return parser.getFeatures(geojson).flatMap(({ geometry, properties }) => {
+      const { name, action, penalty, buffer } = properties;
+      const obstacle = (type, points) => ({ type, points, name, action, penalty, buffer });
+
+      if (geometry.type === 'Point') {
+        return [obstacle('point', toPoints([geometry.coordinates]))];
+      }
+      if (geometry.type === 'MultiPoint') {
+        if (!Array.isArray(geometry.coordinates)) {
+          throw new Error('MultiPoint must have a coordinates array');
+        }
+        return toPoints(geometry.coordinates).map(point => obstacle('point', [point]));
+      }
+
+      return parser.getParts(geometry).map(part => part.type === 'polygon'
+        ? obstacle('polygon', toPoints(part.rings[0]))
+        : obstacle('line', toPoints(part.coordinates)));
+    });
+  }
+
+  /**
+   * Whether the layer holds no obstacles
+   * @returns {boolean}
+   */
+  isEmpty() {
+    return this.obstacles.length === 0;
+  }
+
+  /**
+   * Obstacles that come within `clearance` (plus their own buffer) of a footprint
+   * @param {Array<{x: number, y: number}>} footprint - Polyline the label runs along
+   * @param {number} clearance - Half the label height
+   * @returns {Array<Object>} Normalized obstacles that were hit, in layer order
+   */
+  findHits(footprint, clearance) {
+    if (footprint.length === 0) {
+      return [];
+    }
+
+    const bounds = boundsOf(footprint);
+
+    return this.obstacles.filter(obstacle => {
+      const reach = clearance + obstacle.buffer;
+      if (bounds.minX - reach > obstacle.bounds.maxX || obstacle.bounds.minX > bounds.maxX + reach ||
+          bounds.minY - reach > obstacle.bounds.maxY || obstacle.bounds.minY > bounds.maxY + reach) {
+        return false;
+      }
+
+      return this._distance(footprint, obstacle) <= reach;
+    });
+  }
+
+  /**
+   * Validate one obstacle and fill in defaults
+   * @private
+   */
+  _normalize(obstacle, index) {
+    const label = `Obstacle ${index}`;
+
+    if (!obstacle || !OBSTACLE_TYPES.includes(obstacle.type)) {
+      throw new Error(`${label}: unknown type "${obstacle?.type}" (expected ${OBSTACLE_TYPES.join(', ')})`);
+    }
+
+    const points = obstacle.points;
+    if (!Array.isArray(points) ||
+        !points.every(p => p && Number.isFinite(p.x) && Number.isFinite(p.y))) {
+      throw new Error(`${label}: points must be an array of {x, y}`);
+    }
+    if (points.length < MIN_POINTS[obstacle.type]) {
+      throw new Error(`${label}: a ${obstacle.type} needs at least ${MIN_POINTS[obstacle.type]} point(s)`);
+    }
+
+    const action = obstacle.action ?? 'reject';
+    if (!OBSTACLE_ACTIONS.includes(action)) {
+      throw new Error(`${label}: unknown action "${action}" (expected ${OBSTACLE_ACTIONS.join(', ')})`);
+    }
+
+    const penalty = obstacle.penalty ?? 50;
+    if (typeof penalty !== 'number' || !(penalty >= 0 && penalty <= 100)) {
+      throw new Error(`${label}: penalty must be a number between 0 and 100, got ${penalty}`);
+    }
+
+    const buffer = obstacle.buffer ?? 0;
+    if (typeof buffer !== 'number' || !Number.isFinite(buffer) || buffer < 0) {
+      throw new Error(`${label}: buffer must be a non-negative number, got ${buffer}`);
+    }
+
+    return {
+      type: obstacle.type,
+      points: obstacle.type === 'point' ? [points[0]] : points,
+      name: obstacle.name ?? `${obstacle.type} ${index}`,
+      action,
+      penalty,
+      buffer,
+      bounds: boundsOf(points)
+    };
+  }
+
+  /**
+   * Shortest distance between a footprint and an obstacle; 0 when they touch
+   * or the footprint enters a polygon
+   * @private
+   */
+  _distance(footprint, obstacle) {
+    if (obstacle.type === 'polygon' && footprint.some(p => pointInRing(p, obstacle.points))) {
+      return 0;
+    }
+
+    const edges = obstacle.type === 'polygon'
+      ? obstacle.points.map((p, i) => [p, obstacle.points[(i + 1) % obstacle.points.length]])
+      : obstacle.type === 'line'
+        ? obstacle.points.slice(1).map((p, i) => [obstacle.points[i], p])
+        : [[obstacle.points[0], obstacle.points[0]]];
+
+    const path = footprint.length > 1
+      ? footprint.slice(1).map((p, i) => [footprint[i], p])
+      : [[footprint[0], footprint[0]]];
+
+    let best = Infinity;
+    for (const [a, b] of path) {
+      for (const [c, d] of edges) {
+        best = Math.min(best, segmentDistance(a, b, c, d));
+        if (best === 0) return 0;
+      }
+    }
+    return best;
+  }
+}
+
+/**
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {{minX: number, maxX: number, minY: number, maxY: number}}
+ */
+function boundsOf(points) {
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  return {
+    minX: Math.min(...xs),
+    maxX: Math.max(...xs),
+    minY: Math.min(...ys),
+    maxY: Math.max(...ys)
+  };
+}
+
+/**
+ * Even-odd test for a point inside a polygon ring
+ */
+function pointInRing(point, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const a = ring[i];
+    const b = ring[j];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+        point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Distance between segments ab and cd; either may be degenerate
+ */
+function segmentDistance(a, b, c, d) {
+  if (segmentsCross(a, b, c, d)) {
+    return 0;
+  }
+  return Math.min(
+    pointSegmentDistance(a, c, d),
+    pointSegmentDistance(b, c, d),
+    pointSegmentDistance(c, a, b),
+    pointSegmentDistance(d, a, b)
+  );
+}
+
+function pointSegmentDistance(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared > 0
+    ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared))
+    : 0;
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+function segmentsCross(a, b, c, d) {
+  const cross = (o, p, q) => (p.x - o.x) * (q.y - o.y) - (p.y - o.y) * (q.x - o.x);
+  const d1 = cross(c, d, a);
+  const d2 = cross(c, d, b);
+  const d3 = cross(a, b, c);
+  const d4 = cross(a, b, d);
+  return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) &&
+    ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+}
@@ -3,21 +3,102 @@
  * Evaluates potential text placement positions and assigns scores
  */
 
+import { ObstacleLayer } from './ObstacleLayer.js';
+import { FontBook } from './FontBook.js';
+import { BidiLayout } from './BidiLayout.js';
+import { ANCHOR_FRACTIONS } from './TextPlacer.js';
+
+export const DEFAULT_SCORER_CONFIG = Object.freeze({
+  weights: Object.freeze({
+    curvature: 0.4,
+    width: 0.2,
+    position: 0.2,
+    straightness: 0.2
+  }),
+  idealWidth: 20,
+  curvaturePenalty: 3,
+  straightnessPenalty: 5,
+  criteria: Object.freeze({}),
+  candidateStep: null,
+  minFontSize: null,
+  abbreviations: Object.freeze({}),
+  maxLetterCompression: 0
+});
+
+// Without a configured candidateStep, candidate windows start every half em,
+// so the search does not depend on vertex density at any scale
+const CANDIDATE_STEP_PER_FONT_SIZE = 0.5;
+
+// candidateStep value that keeps the vertex-to-vertex candidate search
+const VERTEX_CANDIDATES = 'vertex';
+
+/**
+ * Names of the criteria every scorer starts with, in scoring order
+ */
+export const BUILT_IN_CRITERIA = Object.freeze(['curvature', 'width', 'position', 'straightness']);
+
 export class PlacementScorer {
-  constructor() {
+  /**
+   * @param {Object} config - Overrides for DEFAULT_SCORER_CONFIG
+   * @param {Object} config.weights - Relative weight per score component; normalized to sum to 1
+   * @param {number} config.idealWidth - Width that earns a full width score (default: 20)
+   * @param {number} config.curvaturePenalty - Points lost per degree/unit of curvature (default: 3)
+   * @param {number} config.straightnessPenalty - Points lost per degree of direction spread (default: 5)
+   * @param {Object<string, Function>} config.criteria - Extra named scoring functions,
+   *   called as fn(path, startIdx, endIdx, metrics) and expected to return 0-100;
+   *   each needs a matching entry in config.weights
+   * @param {number|string|null} config.candidateStep - Arc-length spacing of candidate windows;
+   *   null spaces them half the font size apart and 'vertex' keeps the vertex-to-vertex
+   *   search instead (default: null)
+   * @param {number|null} config.minFontSize - Smallest font size a label that does not fit may
+   *   shrink to; null never shrinks (default: null)
+   * @param {Object<string, string>} config.abbreviations - Whole-word replacements tried in order
+   *   when the label still does not fit, e.g. {River: 'R.'} (default: none)
+   * @param {number} config.maxLetterCompression - Largest cut in letter spacing, as a fraction of
+   *   the font size per gap, tried last (default: 0, never compress)
+   * @param {Object} options
+   * @param {FontBook} options.fonts - Loaded font files; text in a font found here is measured
+   *   from the file instead of the canvas (default: none)
+   */
+  constructor(config = {}, options = {}) {
+    this.config = this._validateConfig(config);
+    this.fonts = options.fonts ?? null;
+
     // Create a canvas for text measurement
     this._measurementCanvas = null;
     this._measurementContext = null;
   }
 
+  /**
+   * Add a named scoring criterion
+   * Its score appears under `name` in every candidate's `scores`
+   * @param {string} name
+   * @param {Function} score - fn(path, startIdx, endIdx, metrics) returning 0-100 (clamped)
+   * @param {number} weight - Relative weight alongside the other criteria
+   */
+  registerCriterion(name, score, weight) {
+    this.config = this._validateConfig({
+      ...this.config,
+      criteria: { ...this.config.criteria, [name]: score },
+      weights: { ...this.config.weights, [name]: weight }
+    });
+  }
+
   /**
    * Measure the actual length of text in pixels
+   * Fonts registered in the FontBook are measured from their advances and
+   * kerning, so the result is the same in every environment
    * @param {string} text - The text to measure
    * @param {number} fontSize - Font size in pixels
-   * @param {string} fontFamily - Font family (default: 'Arial')
+   * @param {string} fontFamily - Font spec, optionally with style and weight (default: 'Arial')
    * @returns {number} - Text width in pixels
    */
   measureTextLength(text, fontSize = 16, fontFamily = 'Arial') {
+    const font = this.fonts?.find(fontFamily);
+    if (font) {
+      return font.measure(text, fontSize);
+    }
+
     // Create canvas context if not already created
     if (!this._measurementContext) {
       if (typeof document !== 'undefined') {
@@ -29,12 +110,12 @@ export class PlacementScorer {
       if (!this._measurementContext) {
         // Fallback for testing environments without canvas support
         // Approximate: average character width is ~0.6 * fontSize
-        return text.length * fontSize * 0.6;
+        return BidiLayout.visualClusters(text).length * fontSize * 0.6;
       }
     }
 
     // Set font for measurement
-    this._measurementContext.font = `${fontSize}px ${fontFamily}`;
+    this._measurementContext.font = FontBook.cssFont(fontFamily, fontSize);
     
     // Measure text
     const metrics = this._measurementContext.measureText(text);
@@ -46,33 +127,64 @@ export class PlacementScorer {
    * @param {number} startIdx - Starting point index
    * @param {number} endIdx - Ending point index
    * @param {GeometryMetrics} metrics
-   * @returns {{score: number, scores: {curvature: number, width: number, position: number, straightness: number}}}
+   * @returns {{score: number, scores: Object<string, number>}} One score per criterion,
+   *   built-ins first (curvature, width, position, straightness)
    */
   scoreSegment(path, startIdx, endIdx, metrics) {
-    // Calculate individual score components
-    const curvatureScore = this._calculateCurvatureScore(path, startIdx, endIdx, metrics);
-    const widthScore = this._calculateWidthScore(path, startIdx, endIdx);
-    const positionScore = this._calculatePositionScore(path, startIdx, endIdx);
-    const straightnessScore = this._calculateStraightnessScore(path, startIdx, endIdx);
-    
-    // Apply weights: curvature 40%, width 20%, position 20%, straightness 20%
-    const overallScore = 
-      curvatureScore * 0.4 +
-      widthScore * 0.2 +
-      positionScore * 0.2 +
-      straightnessScore * 0.2;
+    const scores = {};
+    for (const name of Object.keys(this.config.weights)) {
+      scores[name] = this._scoreCriterion(name, path, startIdx, endIdx, metrics);
+    }
     
     return {
-      score: overallScore,
-      scores: {
-        curvature: curvatureScore,
-        width: widthScore,
-        position: positionScore,
-        straightness: straightnessScore
-      }
+      score: this._weightedScore(scores),
+      scores
     };
   }
 
+  /**
+   * Combine per-criterion scores into the overall score
+   * Applies configured weights (default: curvature 40%, width 20%, position 20%, straightness 20%)
+   * @private
+   * @param {Object<string, number>} scores
+   * @returns {number}
+   */
+  _weightedScore(scores) {
+    const weights = this.config.weights;
+    let weightedSum = 0;
+    let totalWeight = 0;
+    
+    for (const name of Object.keys(weights)) {
+      weightedSum += scores[name] * weights[name];
+      totalWeight += weights[name];
+    }
+    
+    return weightedSum / totalWeight;
+  }
+
+  /**
+   * Evaluate one criterion, clamping custom scores to 0-100
+   * @private
+   */
+  _scoreCriterion(name, path, startIdx, endIdx, metrics) {
+    switch (name) {
+      case 'curvature':
+        return this._calculateCurvatureScore(path, startIdx, endIdx, metrics);
+      case 'width':
+        return this._calculateWidthScore(path, startIdx, endIdx);
+      case 'position':
+        return this._calculatePositionScore(path, startIdx, endIdx);
+      case 'straightness':
+        return this._calculateStraightnessScore(path, startIdx, endIdx);
+    }
+    
+    const score = this.config.criteria[name](path, startIdx, endIdx, metrics);
+    if (typeof score !== 'number' || Number.isNaN(score)) {
+      throw new Error(`Criterion "${name}" must return a number, got ${score}`);
+    }
+    return Math.max(0, Math.min(100, score));
+  }
+
   /**
    * Calculate curvature score (0-100, higher is better)
    * Lower curvature = higher score
@@ -94,9 +206,9 @@ export class PlacementScorer {
     
     const avgCurvature = count > 0 ? sum / count : 0;
     
-    // Score = max(0, 100 - avgCurvature * 3)
+    // Score = max(0, 100 - avgCurvature * curvaturePenalty)
     // This penalizes curved sections heavily
-    const score = Math.max(0, 100 - avgCurvature * 3);
+    const score = Math.max(0, 100 - avgCurvature * this.config.curvaturePenalty);
     
     return score;
   }
@@ -123,10 +235,15 @@ export class PlacementScorer {
       }
     }
     
-    const avgWidth = count > 0 ? sum / count : 0;
+    // Vertices of stitched parts without widths are as unknown as a path without any
+    if (count === 0) {
+      return 50;
+    }
     
-    // Ideal width (this is a reasonable assumption for text placement)
-    const idealWidth = 20;
+    const avgWidth = sum / count;
+    
+    // Ideal width (configurable, 20 by default)
+    const idealWidth = this.config.idealWidth;
     
     // Score = min(100, (avgWidth / idealWidth) * 100)
     // This rewards wider sections up to the ideal width
@@ -237,9 +354,9 @@ export class PlacementScorer {
     // Convert variance (in radians²) to degrees for scoring
     const varianceDegrees = Math.sqrt(variance) * (180 / Math.PI);
     
-    // Score = max(0, 100 - varianceDegrees * 5)
+    // Score = max(0, 100 - varianceDegrees * straightnessPenalty)
     // This rewards consistent direction
-    const score = Math.max(0, 100 - varianceDegrees * 5);
+    const score = Math.max(0, 100 - varianceDegrees * this.config.straightnessPenalty);
     
     return score;
   }
@@ -256,30 +373,7 @@ export class PlacementScorer {
     const candidates = [];
     
     // Build a set of rejected point indices for quick lookup
-    const rejectedIndices = new Set();
-    
-    // Add sharp curve indices to rejected set
-    for (const segment of metrics.sharpCurves) {
-      for (let i = segment.startIdx; i <= segment.endIdx; i++) {
-        rejectedIndices.add(i);
-      }
-    }
-    
-    // Add narrow section indices to rejected set
-    for (const segment of metrics.narrowSections) {
-      for (let i = segment.startIdx; i <= segment.endIdx; i++) {
-        rejectedIndices.add(i);
-      }
-    }
-    
-    // Add edge section indices to rejected set
-    const edgeSections = metrics.edgeSections;
-    for (let i = edgeSections.start.startIdx; i <= edgeSections.start.endIdx; i++) {
-      rejectedIndices.add(i);
-    }
-    for (let i = edgeSections.end.startIdx; i <= edgeSections.end.endIdx; i++) {
-      rejectedIndices.add(i);
-    }
+    const rejectedIndices = this._collectRejectedIndices(metrics);
     
     // Generate all possible candidate segments
     // A candidate segment must:
@@ -349,37 +443,185 @@ export class PlacementScorer {
     return candidates;
   }
 
+  /**
+   * Find candidate windows at fixed arc-length steps, independent of vertex spacing
+   * The path is resampled every `step` units; a window exactly textLength long
+   * starts at each sample and is scored from prefix sums, so the search is
+   * linear in path length / step. Custom criteria still receive the vertex
+   * indices enclosing each window.
+   * @param {RiverPath} path
+   * @param {number} textLength
+   * @param {GeometryMetrics} metrics
+   * @param {number} step - Arc-length spacing between window starts (default: a numeric
+   *   config.candidateStep)
+   * @returns {Array<Candidate>} Segments also carry startOffset/endOffset, the
+   *   window's arc-length distances from the path start
+   */
+  findArcLengthCandidates(path, textLength, metrics, step = this.config.candidateStep) {
+    if (!(step > 0)) {
+      throw new Error(`Invalid step: ${step} (expected a positive number)`);
+    }
+    
+    const points = path.points;
+    if (points.length < 2) {
+      return [];
+    }
+    
+    const vertexDistances = this._cumulativeDistances(points);
+    const totalLength = vertexDistances[vertexDistances.length - 1];
+    if (totalLength === 0 || totalLength < textLength) {
+      return [];
+    }
+    
+    const samples = this._resample(path, metrics, vertexDistances, step);
+    const sums = this._prefixSums(samples);
+    const rejected = this._rejectedIntervals(metrics, vertexDistances);
+    const builtInScores = {};
+    const candidates = [];
+    const epsilon = 1e-9;
+    let nextRejected = 0;
+    let windowEnd = 0;
+    
+    for (let i = 0; i < samples.length && samples[i].distance + textLength <= totalLength + epsilon; i++) {
+      const start = samples[i].distance;
+      const end = Math.min(start + textLength, totalLength);
+      
+      // Skip windows that overlap a rejected stretch
+      while (nextRejected < rejected.length && rejected[nextRejected].end < start) {
+        nextRejected++;
+      }
+      if (nextRejected < rejected.length && rejected[nextRejected].start <= end) {
+        continue;
+      }
+      
+      while (windowEnd + 1 < samples.length && samples[windowEnd + 1].distance <= end + epsilon) {
+        windowEnd++;
+      }
+      
+      this._scoreWindow(path, sums, i, windowEnd, start + textLength / 2, totalLength, builtInScores);
+      
+      const startIdx = this._vertexAtOrBefore(vertexDistances, start);
+      const endIdx = Math.max(startIdx + 1, this._vertexAtOrAfter(vertexDistances, end));
+      
+      const scores = {};
+      for (const name of Object.keys(this.config.weights)) {
+        scores[name] = name in builtInScores
+          ? builtInScores[name]
+          : this._scoreCriterion(name, path, startIdx, endIdx, metrics);
+      }
+      
+      candidates.push({
+        segment: {
+          startIdx,
+          endIdx,
+          length: end - start,
+          reason: null,
+          startOffset: start,
+          endOffset: end
+        },
+        score: this._weightedScore(scores),
+        scores,
+        centerPoint: this._pointAtDistance(points, vertexDistances, (start + end) / 2)
+      });
+    }
+    
+    return candidates;
+  }
+
   /**
    * Find optimal placement with text length validation
+   * When the text fits nowhere, a fallback chain is tried in order: shrink the
+   * font (down to config.minFontSize), abbreviate words from
+   * config.abbreviations one at a time, then tighten letter spacing (up to
+   * config.maxLetterCompression). The first variant that fits is placed.
    * Returns placement result with warnings if no suitable placement exists
    * @param {RiverPath} path
    * @param {string} text - The text to place
    * @param {number} fontSize - Font size in pixels
    * @param {GeometryMetrics} metrics
    * @param {string} fontFamily - Font family (default: 'Arial')
-   * @returns {{placement: Candidate|null, warning: string|null, allCandidates: Array<Candidate>}}
+   * @param {Object} options
+   * @param {Array<Obstacle>|ObstacleLayer} options.obstacles - Features the label must avoid;
+   *   candidates whose footprint comes within half the font size of one are rejected or
+   *   penalized (default: none)
+   * @param {{anchor?: string, align?: string, offset?: number, orientation?: string}} options.layout -
+   *   How LabelPipeline will draw the label in its segment, so the footprint tested against
+   *   obstacles is the one TextPlacer lays out (default: centered)
+   * @returns {{placement: Candidate|null, warning: string|null, allCandidates: Array<Candidate>,
+   *   textLength: number, rejectedSegments: Array<Segment>,
+   *   fit: {step: string|null, text: string, fontSize: number, letterSpacing: number},
+   *   config: {scorer: Object, analyzer: Object|null}}} rejectedSegments lists the stretches
+   *   where obstacles rejected or penalized a candidate; fit is the variant to draw and the
+   *   step that made it fit ('original', 'font-size', 'abbreviation' or 'letter-spacing'),
+   *   with step null when nothing fit and the original text is returned
    */
-  findOptimalPlacement(path, text, fontSize, metrics, fontFamily = 'Arial') {
-    // Measure the actual text length
-    const textLength = this.measureTextLength(text, fontSize, fontFamily);
+  findOptimalPlacement(path, text, fontSize, metrics, fontFamily = 'Arial', options = {}) {
+    // Echo the effective configuration so results can be reproduced
+    const config = {
+      scorer: this.config,
+      analyzer: metrics.config ?? null
+    };
+    
+    const obstacles = options.obstacles instanceof ObstacleLayer
+      ? options.obstacles
+      : new ObstacleLayer(options.obstacles);
+    const layout = options.layout ?? {};
+    
+    // Try the text as given, then each fallback variant until one fits
+    let original = null;
+    for (const fit of this._fitAttempts(path, text, fontSize, metrics, fontFamily)) {
+      const textLength = this._labelLength(fit, fontFamily);
+      
+      // Find all candidates that can fit the text, minus those blocked by obstacles
+      const step = this._candidateStep(fit.fontSize);
+      const found = step !== null
+        ? this.findArcLengthCandidates(path, textLength, metrics, step)
+        : this.findCandidates(path, textLength, metrics);
+      const { candidates, rejectedSegments } =
+        this.applyObstacles(path, found, textLength, fit.fontSize, obstacles, layout, metrics);
+      
+      // If we have suitable candidates, select the optimal one
+      if (candidates.length > 0) {
+        return {
+          placement: this.selectOptimal(candidates),
+          warning: null,
+          allCandidates: candidates,
+          textLength,
+          rejectedSegments,
+          fit,
+          config
+        };
+      }
+      
+      original = original ?? { textLength, found, rejectedSegments, fit: { ...fit, step: null } };
+    }
     
-    // Find all candidates that can fit the text
-    const candidates = this.findCandidates(path, textLength, metrics);
+    const { textLength, fit } = original;
     
-    // If we have suitable candidates, select the optimal one
-    if (candidates.length > 0) {
-      const optimal = this.selectOptimal(candidates);
+    if (original.found.length > 0) {
       return {
-        placement: optimal,
-        warning: null,
-        allCandidates: candidates,
-        textLength
+        placement: null,
+        warning: 'No suitable placement found: every position that fits the text overlaps an obstacle',
+        allCandidates: [],
+        textLength,
+        rejectedSegments: original.rejectedSegments,
+        fit,
+        config
       };
     }
     
     // No suitable placement found - try to find the best available option
     // Find the longest available segment, even if it's too short
-    const allSegments = this._findAllValidSegments(path, metrics);
+    const valid = this.applyObstacles(
+      path,
+      this._findAllValidSegments(path, metrics),
+      textLength,
+      fontSize,
+      obstacles,
+      layout,
+      metrics
+    );
+    const allSegments = valid.candidates;
     
     if (allSegments.length === 0) {
       // No valid segments at all (entire path is rejected)
@@ -387,7 +629,10 @@ export class PlacementScorer {
         placement: null,
         warning: 'No suitable placement found: entire river path has problematic geometry (sharp curves, narrow sections, or too short)',
         allCandidates: [],
-        textLength
+        textLength,
+        rejectedSegments: valid.rejectedSegments,
+        fit,
+        config
       };
     }
     
@@ -404,32 +649,422 @@ export class PlacementScorer {
       placement: longestSegment,
       warning: `Text length (${textLength.toFixed(1)}px) exceeds longest suitable segment (${longestSegment.segment.length.toFixed(1)}px). Text may be truncated or overlap.`,
       allCandidates: allSegments,
-      textLength
+      textLength,
+      rejectedSegments: valid.rejectedSegments,
+      fit,
+      config
     };
   }
 
   /**
-   * Find all valid segments regardless of text length
-   * Used as fallback when no suitable placement exists
+   * Label variants in fallback order: as given, smaller font, abbreviated
+   * words, compressed letter spacing
+   * Each later step keeps the earlier ones and uses the largest font size
+   * (never below config.minFontSize) that fits the longest usable stretch
+   * @private
+   * @returns {Generator<{step: string, text: string, fontSize: number, letterSpacing: number}>}
+   */
+  *_fitAttempts(path, text, fontSize, metrics, fontFamily) {
+    yield { step: 'original', text, fontSize, letterSpacing: 0 };
+    
+    const { minFontSize, abbreviations, maxLetterCompression } = this.config;
+    const available = this._availableLength(path, metrics, fontSize);
+    
+    const fittingSize = label => {
+      const length = this.measureTextLength(label, fontSize, fontFamily);
+      if (minFontSize === null || length <= available) {
+        return fontSize;
+      }
+      // Text width scales with the font size; round down so the result fits
+      const size = Math.floor(((fontSize * available) / length) * 10) / 10;
+      return Math.min(fontSize, Math.max(minFontSize, size));
+    };
+    
+    let label = text;
+    let size = fittingSize(label);
+    if (size < fontSize) {
+      yield { step: 'font-size', text: label, fontSize: size, letterSpacing: 0 };
+    }
+    
+    for (const [word, short] of Object.entries(abbreviations)) {
+      const abbreviated = this._abbreviate(label, word, short);
+      if (abbreviated !== label) {
+        label = abbreviated;
+        size = fittingSize(label);
+        yield { step: 'abbreviation', text: label, fontSize: size, letterSpacing: 0 };
+      }
+    }
+    
+    const gaps = BidiLayout.visualClusters(label).length - 1;
+    if (maxLetterCompression > 0 && gaps > 0) {
+      const needed = (available - this.measureTextLength(label, size, fontFamily)) / gaps;
+      if (needed < 0) {
+        yield {
+          step: 'letter-spacing',
+          text: label,
+          fontSize: size,
+          letterSpacing: Math.max(Math.floor(needed * 100) / 100, -maxLetterCompression * size)
+        };
+      }
+    }
+  }
+
+  /**
+   * Longest stretch of river a label variant can be fitted to
+   * Vertex windows take the longest valid segment. Arc-length windows start on
+   * a grid, so one step is held back to be sure a window that long exists.
    * @private
+   */
+  _availableLength(path, metrics, fontSize) {
+    const step = this._candidateStep(fontSize);
+    if (step === null) {
+      return Math.max(0, ...this._findAllValidSegments(path, metrics).map(candidate => candidate.segment.length));
+    }
+    
+    const vertexDistances = this._cumulativeDistances(path.points);
+    let longest = 0;
+    let free = 0;
+    for (const interval of this._rejectedIntervals(metrics, vertexDistances)) {
+      longest = Math.max(longest, interval.start - free);
+      free = Math.max(free, interval.end);
+    }
+    longest = Math.max(longest, vertexDistances[vertexDistances.length - 1] - free);
+    
+    return Math.max(0, longest - step);
+  }
+
+  /**
+   * Length of a label variant including its letter spacing
+   * @private
+   */
+  _labelLength({ text, fontSize, letterSpacing }, fontFamily) {
+    const gaps = Math.max(0, BidiLayout.visualClusters(text).length - 1);
+    return this.measureTextLength(text, fontSize, fontFamily) + letterSpacing * gaps;
+  }
+
+  /**
+   * Replace whole-word occurrences of `word`
+   * @private
+   */
+  _abbreviate(text, word, short) {
+    const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return text.replace(new RegExp(`(^|\\s)${escaped}(?=\\s|$)`, 'g'), (match, lead) => lead + short);
+  }
+
+  /**
+   * Drop or penalize candidates whose label footprint meets an obstacle
+   * The footprint is the text-length stretch where TextPlacer will lay the
+   * label out for the given layout, widened by half the font size on each
+   * side. Penalized candidates lose the obstacle's penalty from their score
+   * and name it in segment.reason.
    * @param {RiverPath} path
-   * @param {GeometryMetrics} metrics
-   * @returns {Array<Candidate>}
+   * @param {Array<Candidate>} candidates
+   * @param {number} textLength
+   * @param {number} fontSize
+   * @param {Array<Obstacle>|ObstacleLayer} obstacles
+   * @param {{anchor?: string, align?: string, offset?: number, orientation?: string}} layout -
+   *   How the label is drawn (default: centered in the segment)
+   * @param {GeometryMetrics} metrics - Needed to find the peak when layout.align is 'peak'
+   * @returns {{candidates: Array<Candidate>, rejectedSegments: Array<Segment>}} Rejected
+   *   segments are merged per reason and carry startOffset/endOffset
    */
-  _findAllValidSegments(path, metrics) {
+  applyObstacles(path, candidates, textLength, fontSize, obstacles = [], layout = {}, metrics = null) {
+    const layer = obstacles instanceof ObstacleLayer ? obstacles : new ObstacleLayer(obstacles);
+    if (layer.isEmpty() || candidates.length === 0) {
+      return { candidates, rejectedSegments: [] };
+    }
+    
     const points = path.points;
-    const segments = [];
+    const vertexDistances = this._cumulativeDistances(points);
+    const kept = [];
+    const hitIntervals = [];
     
-    // Build a set of rejected point indices
-    const rejectedIndices = new Set();
+    for (const candidate of candidates) {
+      const { segment } = candidate;
+      const { start, end } = this._labelFootprint(path, vertexDistances, segment, textLength, layout, metrics);
+      
+      const hits = layer.findHits(this._subPath(points, vertexDistances, start, end), fontSize / 2);
+      if (hits.length === 0) {
+        kept.push(candidate);
+        continue;
+      }
+      
+      const blocking = hits.filter(hit => hit.action === 'reject');
+      const names = (blocking.length > 0 ? blocking : hits).map(hit => hit.name).join(', ');
+      const reason = blocking.length > 0 ? `obstacle: ${names}` : `obstacle penalty: ${names}`;
+      hitIntervals.push({ start, end, reason });
+      
+      if (blocking.length === 0) {
+        const penalty = hits.reduce((sum, hit) => sum + hit.penalty, 0);
+        kept.push({
+          ...candidate,
+          segment: { ...segment, reason },
+          score: Math.max(0, candidate.score - penalty)
+        });
+      }
+    }
     
-    for (const segment of metrics.sharpCurves) {
-      for (let i = segment.startIdx; i <= segment.endIdx; i++) {
-        rejectedIndices.add(i);
+    return {
+      candidates: kept,
+      rejectedSegments: this._mergeIntervals(hitIntervals).map(({ start, end, reason }) => {
+        const startIdx = this._vertexAtOrBefore(vertexDistances, start);
+        return {
+          startIdx,
+          endIdx: Math.max(startIdx + 1, this._vertexAtOrAfter(vertexDistances, end)),
+          length: end - start,
+          reason,
+          startOffset: start,
+          endOffset: end
+        };
+      })
+    };
+  }
+
+  /**
+   * Arc-length stretch, from the path start, that a label covers once drawn
+   * Mirrors TextPlacer.placeLabel: the anchor sits at the given offset, the
+   * peak window center or the matching point of the segment in reading
+   * order, and the text extends from it by the anchor's fraction
+   * @private
+   * @returns {{start: number, end: number}}
+   */
+  _labelFootprint(path, vertexDistances, segment, textLength, layout, metrics) {
+    const { anchor = 'center', align = 'segment', orientation = 'auto' } = layout;
+    const fraction = ANCHOR_FRACTIONS[anchor] ?? 0.5;
+    const spanStart = vertexDistances[segment.startIdx];
+    const segmentStart = segment.startOffset ?? spanStart;
+    const segmentEnd = segment.endOffset ?? vertexDistances[segment.endIdx];
+
+    // Same rule as TextPlacer.getReadableOrientation: read backwards when the chord points left
+    const start = path.points[segment.startIdx];
+    const end = path.points[segment.endIdx];
+    const isReversed = orientation === 'auto'
+      ? Math.abs(Math.atan2(end.y - start.y, end.x - start.x)) > Math.PI / 2
+      : orientation === 'reversed';
+
+    let offset = layout.offset;
+    if (offset === undefined && align === 'peak' && metrics) {
+      offset = this.findPeakOffset(path, segment, textLength, metrics);
+    }
+
+    let anchorAt;
+    if (offset !== undefined) {
+      anchorAt = spanStart + offset;
+    } else {
+      anchorAt = isReversed
+        ? segmentEnd - (segmentEnd - segmentStart) * fraction
+        : segmentStart + (segmentEnd - segmentStart) * fraction;
+    }
+
+    // In reading order the text starts textLength * fraction before the anchor
+    const before = isReversed ? textLength * (1 - fraction) : textLength * fraction;
+    const total = vertexDistances[vertexDistances.length - 1];
+    return {
+      start: Math.max(0, anchorAt - before),
+      end: Math.min(total, anchorAt - before + textLength)
+    };
+  }
+
+  /**
+   * Arc-length spacing of candidate windows for a font size
+   * @private
+   * @param {number} fontSize
+   * @returns {number|null} null when config.candidateStep asks for vertex windows
+   */
+  _candidateStep(fontSize) {
+    const { candidateStep } = this.config;
+    if (candidateStep === VERTEX_CANDIDATES) {
+      return null;
+    }
+    return candidateStep ?? Math.max(fontSize * CANDIDATE_STEP_PER_FONT_SIZE, 1e-6);
+  }
+
+  /**
+   * Merge config overrides onto the defaults and validate them
+   * @private
+   * @param {Object} config
+   * @returns {Object} Frozen effective config
+   */
+  _validateConfig(config) {
+    for (const key of Object.keys(config)) {
+      if (!(key in DEFAULT_SCORER_CONFIG)) {
+        throw new Error(`Unknown scorer option "${key}"`);
       }
     }
+
+    const criteria = { ...config.criteria };
+    for (const [name, score] of Object.entries(criteria)) {
+      if (BUILT_IN_CRITERIA.includes(name)) {
+        throw new Error(`Criterion "${name}" is built in and cannot be replaced`);
+      }
+      if (typeof score !== 'function') {
+        throw new Error(`Criterion "${name}" must be a function`);
+      }
+      if (!config.weights || !(name in config.weights)) {
+        throw new Error(`Criterion "${name}" needs a weight`);
+      }
+    }
+
+    const weights = { ...DEFAULT_SCORER_CONFIG.weights, ...config.weights };
+    for (const [name, weight] of Object.entries(weights)) {
+      if (!BUILT_IN_CRITERIA.includes(name) && !(name in criteria)) {
+        throw new Error(`Unknown score weight "${name}"`);
+      }
+      if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+        throw new Error(`Weight "${name}" must be a non-negative number, got ${weight}`);
+      }
+    }
+    if (Object.values(weights).every(weight => weight === 0)) {
+      throw new Error('At least one score weight must be greater than 0');
+    }
+
+    const effective = {
+      ...DEFAULT_SCORER_CONFIG,
+      ...config,
+      weights: Object.freeze(weights),
+      criteria: Object.freeze(criteria)
+    };
+
+    if (typeof effective.idealWidth !== 'number' || !(effective.idealWidth > 0) || !Number.isFinite(effective.idealWidth)) {
+      throw new Error(`idealWidth must be a positive number, got ${effective.idealWidth}`);
+    }
+    for (const key of ['curvaturePenalty', 'straightnessPenalty']) {
+      if (typeof effective[key] !== 'number' || !Number.isFinite(effective[key]) || effective[key] < 0) {
+        throw new Error(`${key} must be a non-negative number, got ${effective[key]}`);
+      }
+    }
+    if (effective.minFontSize !== null &&
+        (typeof effective.minFontSize !== 'number' || !Number.isFinite(effective.minFontSize) ||
+         effective.minFontSize <= 0)) {
+      throw new Error(`minFontSize must be a positive number or null, got ${effective.minFontSize}`);
+    }
+    if (!effective.abbreviations || typeof effective.abbreviations !== 'object' ||
+        Array.isArray(effective.abbreviations) ||
+        !Object.values(effective.abbreviations).every(short => typeof short === 'string')) {
+      throw new Error('abbreviations must map words to their abbreviated strings');
+    }
+    effective.abbreviations = Object.freeze({ ...effective.abbreviations });
+    if (typeof effective.maxLetterCompression !== 'number' ||
+        !(effective.maxLetterCompression >= 0 && effective.maxLetterCompression < 1)) {
+      throw new Error(`maxLetterCompression must be a number in [0, 1), got ${effective.maxLetterCompression}`);
+    }
+    if (effective.candidateStep !== null && effective.candidateStep !== VERTEX_CANDIDATES &&
+        (typeof effective.candidateStep !== 'number' || !Number.isFinite(effective.candidateStep) ||
+         effective.candidateStep <= 0)) {
+      throw new Error(
+        `candidateStep must be a positive number, null or '${VERTEX_CANDIDATES}', got ${effective.candidateStep}`
+      );
+    }
+
+    return Object.freeze(effective);
+  }
+
+  /**
+   * Find several non-overlapping placements for repeating a label along a long river
+   * Candidates are text-length windows from the arc-length search (stepped as in
+   * findOptimalPlacement, or by a quarter of the text length in vertex mode), picked
+   * greedily by score while keeping at least `spacing` of river between labels
+   * @param {RiverPath} path
+   * @param {string} text - The text to place
+   * @param {number} fontSize - Font size in pixels
+   * @param {GeometryMetrics} metrics
+   * @param {Object} options
+   * @param {number} options.spacing - Minimum arc length between neighbouring labels
+   * @param {number} options.maxLabels - Upper bound on the number of labels (default: Infinity)
+   * @param {string} options.fontFamily - Font family (default: 'Arial')
+   * @param {Array<Obstacle>|ObstacleLayer} options.obstacles - Features the labels must avoid
+   * @param {Object} options.layout - How each label will be drawn in its window, as for
+   *   findOptimalPlacement (default: centered)
+   * @returns {{placements: Array<Candidate>, placement: Candidate|null, warning: string|null,
+   *   allCandidates: Array<Candidate>, textLength: number, rejectedSegments: Array<Segment>,
+   *   fit: Object, config: Object}} Placements are in
+   *   path order; `placement` is the highest-scoring one
+   */
+  findRepeatedPlacements(path, text, fontSize, metrics, options = {}) {
+    const { spacing, maxLabels = Infinity, fontFamily = 'Arial', obstacles = [], layout = {} } = options;
+    
+    if (typeof spacing !== 'number' || !Number.isFinite(spacing) || spacing < 0) {
+      throw new Error(`spacing must be a non-negative number, got ${spacing}`);
+    }
+    if (!(maxLabels >= 1)) {
+      throw new Error(`maxLabels must be at least 1, got ${maxLabels}`);
+    }
+    
+    const textLength = this.measureTextLength(text, fontSize, fontFamily);
+    const step = this._candidateStep(fontSize) ?? Math.max(textLength / 4, 1e-6);
+    const { candidates, rejectedSegments } = this.applyObstacles(
+      path,
+      this.findArcLengthCandidates(path, textLength, metrics, step),
+      textLength,
+      fontSize,
+      obstacles,
+      layout,
+      metrics
+    );
+    
+    // Nothing fits: fall back to the single-placement result and its warning
+    if (candidates.length === 0) {
+      const single = this.findOptimalPlacement(path, text, fontSize, metrics, fontFamily, { obstacles, layout });
+      return {
+        ...single,
+        placements: single.placement ? [single.placement] : []
+      };
+    }
+    
+    const ranked = candidates.slice().sort((a, b) =>
+      b.score - a.score || b.scores.position - a.scores.position
+    );
+    const chosen = [];
+    
+    for (const candidate of ranked) {
+      if (chosen.length >= maxLabels) {
+        break;
+      }
+      
+      const { startOffset, endOffset } = candidate.segment;
+      const isClear = chosen.every(other =>
+        startOffset - other.segment.endOffset >= spacing ||
+        other.segment.startOffset - endOffset >= spacing
+      );
+      
+      if (isClear) {
+        chosen.push(candidate);
+      }
+    }
+    
+    return {
+      placements: chosen.slice().sort((a, b) => a.segment.startOffset - b.segment.startOffset),
+      placement: chosen[0],
+      warning: null,
+      allCandidates: candidates,
+      textLength,
+      rejectedSegments,
+      fit: { step: 'original', text, fontSize, letterSpacing: 0 },
+      config: {
+        scorer: this.config,
+        analyzer: metrics.config ?? null
+      }
+    };
+  }
+
+  /**
+   * Collect point indices that no candidate may cover
+   * (sharp curves, narrow sections, island splits, gaps between parts and edge sections)
+   * @private
+   * @param {GeometryMetrics} metrics
+   * @returns {Set<number>}
+   */
+  _collectRejectedIndices(metrics) {
+    const rejectedIndices = new Set();
     
-    for (const segment of metrics.narrowSections) {
+    const rejectedSegments = [
+      ...metrics.sharpCurves,
+      ...metrics.narrowSections,
+      ...(metrics.islandSections || []),
+      ...(metrics.gapSections || [])
+    ];
+    
+    for (const segment of rejectedSegments) {
       for (let i = segment.startIdx; i <= segment.endIdx; i++) {
         rejectedIndices.add(i);
       }
@@ -443,6 +1078,297 @@ export class PlacementScorer {
       rejectedIndices.add(i);
     }
     
+    return rejectedIndices;
+  }
+
+  /**
+   * Arc-length distance of every vertex from the path start
+   * @private
+   * @param {Array<{x: number, y: number}>} points
+   * @returns {Array<number>}
+   */
+  _cumulativeDistances(points) {
+    const distances = [0];
+    for (let i = 1; i < points.length; i++) {
+      const p1 = points[i - 1];
+      const p2 = points[i];
+      distances.push(distances[i - 1] + Math.sqrt(
+        Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2)
+      ));
+    }
+    return distances;
+  }
+
+  /**
+   * Sample curvature, width and direction every `step` units along the path
+   * Curvature and width are interpolated between vertices; direction is the
+   * heading of the containing edge, unwrapped so it never jumps by 2π
+   * @private
+   * @returns {Array<{distance: number, curvature: number, width: number|null, angle: number}>}
+   */
+  _resample(path, metrics, vertexDistances, step) {
+    const points = path.points;
+    const curvatures = metrics.curvatures || [];
+    const widths = path.widths && path.widths.length > 0 ? path.widths : null;
+    const totalLength = vertexDistances[vertexDistances.length - 1];
+    
+    // Unwrapped heading of each edge; zero-length edges keep the previous heading
+    const headings = [];
+    for (let i = 0; i < points.length - 1; i++) {
+      const dx = points[i + 1].x - points[i].x;
+      const dy = points[i + 1].y - points[i].y;
+      if (i === 0) {
+        headings.push(dx === 0 && dy === 0 ? 0 : Math.atan2(dy, dx));
+        continue;
+      }
+      if (dx === 0 && dy === 0) {
+        headings.push(headings[i - 1]);
+        continue;
+      }
+      let diff = Math.atan2(dy, dx) - headings[i - 1];
+      while (diff > Math.PI) diff -= 2 * Math.PI;
+      while (diff < -Math.PI) diff += 2 * Math.PI;
+      headings.push(headings[i - 1] + diff);
+    }
+    
+    const lerp = (values, i, t) => {
+      const a = values[i] ?? null;
+      const b = values[i + 1] ?? null;
+      if (a === null) return b;
+      if (b === null) return a;
+      return a + (b - a) * t;
+    };
+    
+    const samples = [];
+    let edge = 0;
+    const count = Math.floor(totalLength / step);
+    const distances = Array.from({ length: count + 1 }, (_, k) => k * step);
+    if (distances[distances.length - 1] < totalLength) {
+      distances.push(totalLength);
+    }
+    
+    for (const distance of distances) {
+      while (edge < points.length - 2 && vertexDistances[edge + 1] < distance) {
+        edge++;
+      }
+      
+      const edgeLength = vertexDistances[edge + 1] - vertexDistances[edge];
+      const t = edgeLength > 0 ? (distance - vertexDistances[edge]) / edgeLength : 0;
+      
+      samples.push({
+        distance,
+        curvature: curvatures.length > 0 ? lerp(curvatures, edge, t) : 0,
+        width: widths ? lerp(widths, edge, t) : null,
+        angle: headings[edge]
+      });
+    }
+    
+    return samples;
+  }
+
+  /**
+   * Prefix sums over the samples for constant-time window averages
+   * @private
+   */
+  _prefixSums(samples) {
+    const sums = {
+      curvature: [0],
+      width: [0],
+      widthCount: [0],
+      angle: [0],
+      angleSquared: [0]
+    };
+    
+    samples.forEach((sample, i) => {
+      const hasWidth = sample.width !== null;
+      sums.curvature.push(sums.curvature[i] + sample.curvature);
+      sums.width.push(sums.width[i] + (hasWidth ? sample.width : 0));
+      sums.widthCount.push(sums.widthCount[i] + (hasWidth ? 1 : 0));
+      sums.angle.push(sums.angle[i] + sample.angle);
+      sums.angleSquared.push(sums.angleSquared[i] + sample.angle * sample.angle);
+    });
+    
+    return sums;
+  }
+
+  /**
+   * Score the built-in criteria for samples first..last with the same
+   * formulas as the vertex-based scorers
+   * @private
+   */
+  _scoreWindow(path, sums, first, last, center, totalLength, scores) {
+    const count = last - first + 1;
+    const sumOf = key => sums[key][last + 1] - sums[key][first];
+    
+    scores.curvature = Math.max(0, 100 - (sumOf('curvature') / count) * this.config.curvaturePenalty);
+    
+    const widthCount = path.widths && path.widths.length > 0 ? sumOf('widthCount') : 0;
+    scores.width = widthCount > 0
+      ? Math.min(100, (sumOf('width') / widthCount / this.config.idealWidth) * 100)
+      : 50;
+    
+    const maxDistance = totalLength / 2;
+    scores.position = maxDistance > 0
+      ? 100 * (1 - Math.abs(center - maxDistance) / maxDistance)
+      : 100;
+    
+    const meanAngle = sumOf('angle') / count;
+    const variance = Math.max(0, sumOf('angleSquared') / count - meanAngle * meanAngle);
+    const spreadDegrees = Math.sqrt(variance) * (180 / Math.PI);
+    scores.straightness = Math.max(0, 100 - spreadDegrees * this.config.straightnessPenalty);
+  }
+
+  /**
+   * Rejected stretches as merged arc-length intervals, in path order
+   * Sharp curves, narrow sections, island splits and part gaps span their vertex runs;
+   * edge sections are measured by arc length (edgeRatio of the path at each
+   * end) so that sparse vertices do not widen them
+   * @private
+   * @returns {Array<{start: number, end: number}>}
+   */
+  _rejectedIntervals(metrics, vertexDistances) {
+    const totalLength = vertexDistances[vertexDistances.length - 1];
+    const edgeLength = totalLength * (metrics.config?.edgeRatio ?? 0.1);
+    const intervals = [
+      { start: 0, end: edgeLength },
+      { start: totalLength - edgeLength, end: totalLength }
+    ];
+    
+    const segments = [
+      ...metrics.sharpCurves,
+      ...metrics.narrowSections,
+      ...(metrics.islandSections || []),
+      ...(metrics.gapSections || [])
+    ];
+    for (const segment of segments) {
+      intervals.push({
+        start: vertexDistances[Math.max(0, segment.startIdx)],
+        end: vertexDistances[Math.min(vertexDistances.length - 1, segment.endIdx)]
+      });
+    }
+    
+    intervals.sort((a, b) => a.start - b.start);
+    
+    const merged = [];
+    for (const interval of intervals) {
+      const last = merged[merged.length - 1];
+      if (last && interval.start <= last.end) {
+        last.end = Math.max(last.end, interval.end);
+      } else {
+        merged.push({ ...interval });
+      }
+    }
+    
+    return merged;
+  }
+
+  /**
+   * Index of the last vertex at or before an arc-length distance
+   * @private
+   */
+  _vertexAtOrBefore(vertexDistances, distance) {
+    let low = 0;
+    let high = vertexDistances.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (vertexDistances[mid] <= distance) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return Math.min(low, vertexDistances.length - 2);
+  }
+
+  /**
+   * Index of the first vertex at or after an arc-length distance
+   * @private
+   */
+  _vertexAtOrAfter(vertexDistances, distance) {
+    let low = 0;
+    let high = vertexDistances.length - 1;
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      if (vertexDistances[mid] >= distance) {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Point at an arc-length distance along the path
+   * @private
+   */
+  _pointAtDistance(points, vertexDistances, distance) {
+    const i = this._vertexAtOrBefore(vertexDistances, distance);
+    const edgeLength = vertexDistances[i + 1] - vertexDistances[i];
+    const t = edgeLength > 0 ? (distance - vertexDistances[i]) / edgeLength : 0;
+    
+    return {
+      x: points[i].x + (points[i + 1].x - points[i].x) * t,
+      y: points[i].y + (points[i + 1].y - points[i].y) * t
+    };
+  }
+
+  /**
+   * Polyline along the path between two arc-length distances
+   * @private
+   */
+  _subPath(points, vertexDistances, start, end) {
+    const subPath = [this._pointAtDistance(points, vertexDistances, start)];
+    for (let i = this._vertexAtOrBefore(vertexDistances, start) + 1; vertexDistances[i] < end; i++) {
+      if (vertexDistances[i] > start) {
+        subPath.push(points[i]);
+      }
+    }
+    if (end > start) {
+      subPath.push(this._pointAtDistance(points, vertexDistances, end));
+    }
+    return subPath;
+  }
+
+  /**
+   * Merge overlapping arc-length intervals that share a reason
+   * @private
+   * @param {Array<{start: number, end: number, reason: string}>} intervals
+   * @returns {Array<{start: number, end: number, reason: string}>} Sorted by start
+   */
+  _mergeIntervals(intervals) {
+    const sorted = intervals.slice().sort((a, b) =>
+      a.reason.localeCompare(b.reason) || a.start - b.start
+    );
+    const merged = [];
+    
+    for (const interval of sorted) {
+      const last = merged[merged.length - 1];
+      if (last && last.reason === interval.reason && interval.start <= last.end) {
+        last.end = Math.max(last.end, interval.end);
+      } else {
+        merged.push({ ...interval });
+      }
+    }
+    
+    return merged.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Find all valid segments regardless of text length
+   * Used as fallback when no suitable placement exists
+   * @private
+   * @param {RiverPath} path
+   * @param {GeometryMetrics} metrics
+   * @returns {Array<Candidate>}
+   */
+  _findAllValidSegments(path, metrics) {
+    const points = path.points;
+    const segments = [];
+    
+    // Build a set of rejected point indices
+    const rejectedIndices = this._collectRejectedIndices(metrics);
+    
     // Find all continuous non-rejected segments
     for (let startIdx = 0; startIdx < points.length - 1; startIdx++) {
       if (rejectedIndices.has(startIdx)) {
@@ -492,6 +1418,56 @@ export class PlacementScorer {
     return segments;
   }
 
+  /**
+   * Find where inside a segment the text scores best
+   * Slides a text-length window over the segment's vertices and returns the
+   * arc length from segment.startIdx to the center of the highest-scoring window
+   * @param {RiverPath} path
+   * @param {{startIdx: number, endIdx: number}} segment
+   * @param {number} textLength
+   * @param {GeometryMetrics} metrics
+   * @returns {number} Offset of the peak, or the segment midpoint when no window fits
+   */
+  findPeakOffset(path, segment, textLength, metrics) {
+    const points = path.points;
+    const { startIdx, endIdx } = segment;
+    
+    // Cumulative arc length from startIdx, indexed by (vertex - startIdx)
+    const cumulative = [0];
+    for (let i = startIdx; i < endIdx; i++) {
+      const p1 = points[i];
+      const p2 = points[i + 1];
+      cumulative.push(cumulative[cumulative.length - 1] + Math.sqrt(
+        Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2)
+      ));
+    }
+    
+    const distanceAt = idx => cumulative[idx - startIdx];
+    let best = null;
+    let windowEnd = startIdx + 1;
+    
+    for (let windowStart = startIdx; windowStart < endIdx; windowStart++) {
+      windowEnd = Math.max(windowEnd, windowStart + 1);
+      while (windowEnd < endIdx && distanceAt(windowEnd) - distanceAt(windowStart) < textLength) {
+        windowEnd++;
+      }
+      
+      if (distanceAt(windowEnd) - distanceAt(windowStart) < textLength) {
+        break;
+      }
+      
+      const { score } = this.scoreSegment(path, windowStart, windowEnd, metrics);
+      if (!best || score > best.score) {
+        best = {
+          score,
+          center: (distanceAt(windowStart) + distanceAt(windowEnd)) / 2
+        };
+      }
+    }
+    
+    return best ? best.center : distanceAt(endIdx) / 2;
+  }
+
   /**
    * Select optimal placement from candidates
    * @param {Array<Candidate>} candidates
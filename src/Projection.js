@@ -0,0 +1,479 @@
+/**
+ * Projection
+ * Map projections from longitude/latitude (degrees, WGS84) to planar meters
+ * Projected y grows southward so that north is up on screen, like the pixel
+ * coordinates the rest of the pipeline works in
+ */
+
+export const PROJECTIONS = ['utm', 'web-mercator', 'equirectangular'];
+
+// WGS84 ellipsoid
+const SEMI_MAJOR_AXIS = 6378137;
+const FLATTENING = 1 / 298.257223563;
+
+// Web Mercator stops short of the poles
+const MAX_MERCATOR_LATITUDE = 85.05112878;
+
+// UTM constants and Krüger series coefficients (Karney 2011, third order in n)
+const UTM_SCALE = 0.9996;
+const UTM_FALSE_EASTING = 500000;
+const UTM_FALSE_NORTHING_SOUTH = 10000000;
+const N = FLATTENING / (2 - FLATTENING);
+const RECTIFYING_RADIUS = (SEMI_MAJOR_AXIS / (1 + N)) * (1 + N * N / 4 + N ** 4 / 64);
+const ALPHA = [N / 2 - (2 * N * N) / 3 + (5 * N ** 3) / 16, (13 * N * N) / 48 - (3 * N ** 3) / 5, (61 * N ** 3) / 240];
+const BETA = [N / 2 - (2 * N * N) / 3 + (37 * N ** 3) / 96, (N * N) / 48 + N ** 3 / 15, (17 * N ** 3) / 480];
+const DELTA = [2 * N - (2 * N * N) / 3 - 2 * N ** 3, (7 * N * N) / 3 - (8 * N ** 3) / 5, (56 * N ** 3) / 15];
+const ECCENTRICITY_TERM = (2 * Math.sqrt(N)) / (1 + N);
+
+const RADIANS = Math.PI / 180;
+
+// EPSG codes understood in EWKT input
+const SRID_LON_LAT = 4326;
+const SRID_WEB_MERCATOR = [3857, 900913];
+const SRID_UTM_NORTH = 32600;
+const SRID_UTM_SOUTH = 32700;
+
+export class Projection {
+  /**
+   * @param {string} name - 'utm', 'web-mercator' or 'equirectangular'
+   * @param {Object} options
+   * @param {number} options.zone - UTM zone, 1-60 (required for 'utm')
+   * @param {boolean} options.south - UTM southern hemisphere (default: false)
+   * @param {number} options.standardParallel - Equirectangular latitude of true scale (default: 0)
+   * @param {number} options.centralMeridian - Equirectangular central longitude (default: 0)
+   */
+  constructor(name, options = {}) {
+    if (!PROJECTIONS.includes(name)) {
+      throw new Error(`Unknown projection: ${name} (expected ${PROJECTIONS.join(', ')})`);
+    }
+
+    this.name = name;
+
+    if (name === 'utm') {
+      const zone = options.zone;
+      if (!Number.isInteger(zone) || zone < 1 || zone > 60) {
+        throw new Error(`UTM zone must be an integer from 1 to 60, got ${zone}`);
+      }
+      this.zone = zone;
+      this.south = options.south ?? false;
+      this.centralMeridian = (zone - 1) * 6 - 180 + 3;
+    } else if (name === 'equirectangular') {
+      this.standardParallel = options.standardParallel ?? 0;
+      this.centralMeridian = options.centralMeridian ?? 0;
+      if (Math.abs(this.standardParallel) >= 90) {
+        throw new Error(`Standard parallel must be between -90 and 90, got ${this.standardParallel}`);
+      }
+    }
+  }
+
+  /**
+   * Projection suited to the given data: UTM picks the zone and hemisphere of
+   * the data's center and equirectangular takes the center as its standard
+   * parallel and central meridian
+   * @param {string} name
+   * @param {Array} coordinates - Nested arrays whose leaves are [lon, lat, ...]
+   * @returns {Projection}
+   */
+  static forCoordinates(name, coordinates) {
+    const center = centerOf(coordinates);
+
+    if (name === 'utm') {
+      return new Projection('utm', {
+        zone: Math.min(60, Math.floor((center.lon + 180) / 6) + 1),
+        south: center.lat < 0
+      });
+    }
+
+    if (name === 'equirectangular') {
+      return new Projection('equirectangular', {
+        standardParallel: center.lat,
+        centralMeridian: center.lon
+      });
+    }
+
+    return new Projection(name);
+  }
+
+  /**
+   * Projection of coordinates tagged with an EPSG code
+   * @param {number} srid - 4326 (longitude/latitude), 3857 (Web Mercator) or a
+   *   WGS84 UTM zone, 32601-32660 north and 32701-32760 south
+   * @returns {Projection|null} null for longitude/latitude
+   */
+  static forSRID(srid) {
+    if (srid === SRID_LON_LAT) {
+      return null;
+    }
+    if (SRID_WEB_MERCATOR.includes(srid)) {
+      return new Projection('web-mercator');
+    }
+
+    const zone = srid % 100;
+    const hemisphere = srid - zone;
+    if ((hemisphere === SRID_UTM_NORTH || hemisphere === SRID_UTM_SOUTH) && zone >= 1 && zone <= 60) {
+      return new Projection('utm', { zone, south: hemisphere === SRID_UTM_SOUTH });
+    }
+
+    throw new Error(`Unsupported SRID ${srid} (expected 4326, 3857, 32601-32660 or 32701-32760)`);
+  }
+
+  /**
+   * Projection suited to drawing already projected paths together, chosen
+   * from their combined longitude/latitude extent
+   * @param {string} name
+   * @param {Array<RiverPath>} paths - Each must carry its projection
+   * @returns {Projection}
+   */
+  static forPaths(name, paths) {
+    return Projection.forCoordinates(name, paths.map(path => {
+      const { minX, maxX, minY, maxY } = path.bounds;
+      return [[minX, minY], [maxX, maxY]].map(([x, y]) => {
+        const { lon, lat } = path.projection.inverse(x, y);
+        return [lon, lat];
+      });
+    }));
+  }
+
+  /**
+   * Project a longitude/latitude pair
+   * @param {number} lon - Degrees east
+   * @param {number} lat - Degrees north
+   * @returns {{x: number, y: number}} Meters; y grows southward
+   */
+  forward(lon, lat) {
+    if (!(Math.abs(lon) <= 180 && Math.abs(lat) <= 90)) {
+      throw new Error(`Coordinate [${lon}, ${lat}] is not a valid longitude/latitude`);
+    }
+
+    switch (this.name) {
+      case 'web-mercator': {
+        const clamped = Math.max(-MAX_MERCATOR_LATITUDE, Math.min(MAX_MERCATOR_LATITUDE, lat));
+        return {
+          x: SEMI_MAJOR_AXIS * lon * RADIANS,
+          y: -SEMI_MAJOR_AXIS * Math.log(Math.tan(Math.PI / 4 + (clamped * RADIANS) / 2))
+        };
+      }
+
+      case 'equirectangular':
+        return {
+          x: SEMI_MAJOR_AXIS * wrapLongitude(lon - this.centralMeridian) * RADIANS * Math.cos(this.standardParallel * RADIANS),
+          y: -SEMI_MAJOR_AXIS * lat * RADIANS
+        };
+
+      default: {
+        const { easting, northing } = utmForward(lon - this.centralMeridian, lat);
+        return {
+          x: UTM_FALSE_EASTING + easting,
+          y: -(northing + (this.south ? UTM_FALSE_NORTHING_SOUTH : 0))
+        };
+      }
+    }
+  }
+
+  /**
+   * Longitude/latitude of a projected point
+   * @param {number} x
+   * @param {number} y - Grows southward, as returned by forward
+   * @returns {{lon: number, lat: number}}
+   */
+  inverse(x, y) {
+    switch (this.name) {
+      case 'web-mercator':
+        return {
+          lon: x / SEMI_MAJOR_AXIS / RADIANS,
+          lat: (2 * Math.atan(Math.exp(-y / SEMI_MAJOR_AXIS)) - Math.PI / 2) / RADIANS
+        };
+
+      case 'equirectangular':
+        return {
+          lon: wrapLongitude(x / (SEMI_MAJOR_AXIS * RADIANS * Math.cos(this.standardParallel * RADIANS)) + this.centralMeridian),
+          lat: -y / SEMI_MAJOR_AXIS / RADIANS
+        };
+
+      default: {
+        const { lon, lat } = utmInverse(
+          x - UTM_FALSE_EASTING,
+          -y - (this.south ? UTM_FALSE_NORTHING_SOUTH : 0)
+        );
+        return { lon: wrapLongitude(lon + this.centralMeridian), lat };
+      }
+    }
+  }
+
+  /**
+   * Project nested coordinate arrays, keeping any values after lon/lat
+   * (such as widths in meters) unchanged
+   * @param {Array} coordinates - [lon, lat, ...] or arrays of them, nested to any depth
+   * @returns {Array} Same nesting with [x, y, ...]
+   */
+  projectCoordinates(coordinates) {
+    if (!Array.isArray(coordinates)) {
+      return coordinates;
+    }
+
+    if (typeof coordinates[0] === 'number') {
+      const [lon, lat, ...rest] = coordinates;
+      const { x, y } = this.forward(lon, lat);
+      return [x, y, ...rest];
+    }
+
+    return coordinates.map(item => this.projectCoordinates(item));
+  }
+
+  /**
+   * Longitude/latitude of nested coordinates given in this projection's own
+   * grid, where y (northing) grows northward as in EWKT
+   * Any values after x/y (such as widths) are converted from map units to
+   * ground meters
+   * @param {Array} coordinates - [x, y, ...] or arrays of them, nested to any depth
+   * @returns {Array} Same nesting with [lon, lat, ...]
+   */
+  unprojectCoordinates(coordinates) {
+    if (!Array.isArray(coordinates)) {
+      return coordinates;
+    }
+
+    if (typeof coordinates[0] === 'number') {
+      const [x, northing, ...rest] = coordinates;
+      const { lon, lat } = this.inverse(x, -northing);
+      if (rest.length === 0) {
+        return [lon, lat];
+      }
+
+      // Ground length of one map unit eastward, close enough on the sphere
+      const east = this.inverse(x + 1, -northing);
+      const meters = SEMI_MAJOR_AXIS * RADIANS *
+        Math.hypot(wrapLongitude(east.lon - lon) * Math.cos(lat * RADIANS), east.lat - lat);
+      return [lon, lat, ...rest.map(value => value * meters)];
+    }
+
+    return coordinates.map(item => this.unprojectCoordinates(item));
+  }
+
+  /**
+   * Plain description of the projection, enough to rebuild it
+   * @returns {Object}
+   */
+  toJSON() {
+    if (this.name === 'utm') {
+      return { name: this.name, zone: this.zone, south: this.south };
+    }
+    if (this.name === 'equirectangular') {
+      return { name: this.name, standardParallel: this.standardParallel, centralMeridian: this.centralMeridian };
+    }
+    return { name: this.name };
+  }
+
+  /**
+   * Move a point from one projection into another
+   * @param {{x: number, y: number}} point
+   * @param {Projection} source
+   * @param {Projection} target
+   * @returns {{x: number, y: number}}
+   */
+  static reprojectPoint(point, source, target) {
+    const { lon, lat } = source.inverse(point.x, point.y);
+    return target.forward(lon, lat);
+  }
+
+  /**
+   * Copy of a projected path in another projection, vertex for vertex so that
+   * segment indices stay valid; widths are scaled to the new units
+   * @param {RiverPath} path - Must carry the projection it is in
+   * @param {Projection} target
+   * @returns {RiverPath}
+   */
+  static reprojectPath(path, target) {
+    const source = path.projection;
+    if (!source) {
+      throw new Error('Path has no projection to reproject from');
+    }
+    if (source === target) {
+      return path;
+    }
+
+    const points = path.points.map(p => Projection.reprojectPoint(p, source, target));
+    const widths = path.widths
+      ? path.widths.map((width, i) =>
+          width === null ? null : width * localScale(path.points[i], 0, source, target)
+        )
+      : path.widths;
+
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+      length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+    }
+
+    const reprojected = {
+      ...path,
+      points,
+      widths,
+      length,
+      bounds: boundsOf(points),
+      projection: target
+    };
+
+    if (path.parts) {
+      reprojected.parts = path.parts.map(part => Projection.reprojectPath({ ...part, projection: source }, target));
+    }
+    if (path.islands) {
+      reprojected.islands = path.islands.map(ring => ring.map(p => Projection.reprojectPoint(p, source, target)));
+    }
+
+    return reprojected;
+  }
+
+  /**
+   * Glyph placements moved into another projection, with angles and widths
+   * following the local distortion
+   * @param {Array<CharacterPlacement>} characterPlacements
+   * @param {Projection} source
+   * @param {Projection} target
+   * @returns {{characterPlacements: Array<CharacterPlacement>, scale: number}} `scale` is the
+   *   mean factor across the text direction; multiply the font size by it
+   */
+  static reprojectPlacements(characterPlacements, source, target) {
+    if (source === target || characterPlacements.length === 0) {
+      return { characterPlacements, scale: 1 };
+    }
+
+    let scaleSum = 0;
+    const reprojected = characterPlacements.map(glyph => {
+      const position = Projection.reprojectPoint(glyph, source, target);
+      const ahead = Projection.reprojectPoint(
+        { x: glyph.x + Math.cos(glyph.angle), y: glyph.y + Math.sin(glyph.angle) },
+        source,
+        target
+      );
+      scaleSum += localScale(glyph, glyph.angle + Math.PI / 2, source, target);
+
+      return {
+        ...glyph,
+        x: position.x,
+        y: position.y,
+        angle: Math.atan2(ahead.y - position.y, ahead.x - position.x),
+        width: glyph.width * Math.hypot(ahead.x - position.x, ahead.y - position.y)
+      };
+    });
+
+    return { characterPlacements: reprojected, scale: scaleSum / characterPlacements.length };
+  }
+}
+
+/**
+ * Transverse Mercator on the WGS84 ellipsoid, before scale and false origin
+ * @param {number} lon - Degrees from the central meridian
+ * @param {number} lat - Degrees
+ */
+function utmForward(lon, lat) {
+  const phi = lat * RADIANS;
+  const lambda = lon * RADIANS;
+
+  const t = Math.sinh(Math.atanh(Math.sin(phi)) - ECCENTRICITY_TERM * Math.atanh(ECCENTRICITY_TERM * Math.sin(phi)));
+  const xi = Math.atan2(t, Math.cos(lambda));
+  const eta = Math.atanh(Math.sin(lambda) / Math.sqrt(1 + t * t));
+
+  let easting = eta;
+  let northing = xi;
+  ALPHA.forEach((alpha, j) => {
+    const k = 2 * (j + 1);
+    easting += alpha * Math.cos(k * xi) * Math.sinh(k * eta);
+    northing += alpha * Math.sin(k * xi) * Math.cosh(k * eta);
+  });
+
+  return {
+    easting: UTM_SCALE * RECTIFYING_RADIUS * easting,
+    northing: UTM_SCALE * RECTIFYING_RADIUS * northing
+  };
+}
+
+/**
+ * Inverse of utmForward
+ * @returns {{lon: number, lat: number}} Longitude relative to the central meridian
+ */
+function utmInverse(easting, northing) {
+  const xi = northing / (UTM_SCALE * RECTIFYING_RADIUS);
+  const eta = easting / (UTM_SCALE * RECTIFYING_RADIUS);
+
+  let xiPrime = xi;
+  let etaPrime = eta;
+  BETA.forEach((beta, j) => {
+    const k = 2 * (j + 1);
+    xiPrime -= beta * Math.sin(k * xi) * Math.cosh(k * eta);
+    etaPrime -= beta * Math.cos(k * xi) * Math.sinh(k * eta);
+  });
+
+  const chi = Math.asin(Math.sin(xiPrime) / Math.cosh(etaPrime));
+  let phi = chi;
+  DELTA.forEach((delta, j) => {
+    phi += delta * Math.sin(2 * (j + 1) * chi);
+  });
+
+  return {
+    lon: Math.atan2(Math.sinh(etaPrime), Math.cos(xiPrime)) / RADIANS,
+    lat: phi / RADIANS
+  };
+}
+
+/**
+ * Length of a unit step in `direction` after reprojection
+ */
+function localScale(point, direction, source, target) {
+  const from = Projection.reprojectPoint(point, source, target);
+  const to = Projection.reprojectPoint(
+    { x: point.x + Math.cos(direction), y: point.y + Math.sin(direction) },
+    source,
+    target
+  );
+  return Math.hypot(to.x - from.x, to.y - from.y);
+}
+
+/**
+ * Center of the bounding box of nested [lon, lat] coordinates
+ */
+function centerOf(coordinates) {
+  let minLon = Infinity;
+  let maxLon = -Infinity;
+  let minLat = Infinity;
+  let maxLat = -Infinity;
+
+  const visit = item => {
+    if (!Array.isArray(item)) return;
+    if (typeof item[0] === 'number') {
+      minLon = Math.min(minLon, item[0]);
+      maxLon = Math.max(maxLon, item[0]);
+      minLat = Math.min(minLat, item[1]);
+      maxLat = Math.max(maxLat, item[1]);
+      return;
+    }
+    item.forEach(visit);
+  };
+  visit(coordinates);
+
+  if (minLon === Infinity) {
+    throw new Error('No coordinates to choose a projection from');
+  }
+
+  return { lon: (minLon + maxLon) / 2, lat: (minLat + maxLat) / 2 };
+}
+
+/**
+ * Bring a longitude into [-180, 180]
+ */
+function wrapLongitude(lon) {
+  return lon > 180 ? lon - 360 : lon < -180 ? lon + 360 : lon;
+}
+
+/**
+ * @param {Array<{x: number, y: number}>} points
+ */
+function boundsOf(points) {
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  return {
+    minX: Math.min(...xs),
+    maxX: Math.max(...xs),
+    minY: Math.min(...ys),
+    maxY: Math.max(...ys)
+  };
+}
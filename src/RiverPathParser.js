@@ -1,61 +1,655 @@
 /**
  * RiverPathParser
  * Converts input coordinate data into structured river path representation
- * Supports both coordinate arrays and WKT POLYGON format
+ * Supports coordinate arrays, WKT POLYGON / MULTIPOLYGON / LINESTRING /
+ * MULTILINESTRING format, the same geometries as WKB, GeoJSON, and KML,
+ * GPX or Shapefiles (converted to GeoJSON)
+ * Longitude/latitude input can be projected to planar meters first, and
+ * extended WKT with an SRID is projected automatically
  */
 
 import { WKTParser } from './WKTParser.js';
+import { WKBParser } from './WKBParser.js';
+import { GeoJSONParser } from './GeoJSONParser.js';
+import { XMLParser } from './XMLParser.js';
+import { KMLParser } from './KMLParser.js';
+import { GPXParser } from './GPXParser.js';
+import { ShapefileParser } from './ShapefileParser.js';
+import { Projection, PROJECTIONS } from './Projection.js';
 
 export class RiverPathParser {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {string} options.nameProperty - GeoJSON property holding the label text (default: 'name')
+   * @param {string} options.widthProperty - GeoJSON property holding a width per feature or per vertex (default: 'width')
+   * @param {string|null} options.projection - Treat input as longitude/latitude and project it with
+   *   'utm' (zone chosen from the data), 'web-mercator' or 'equirectangular' before analysis;
+   *   null keeps coordinates as planar pixels (default: null)
+   * @param {number|null} options.maxGap - Longest gap allowed between stitched parts; input with a
+   *   wider gap is rejected (default: null, the combined length of the parts)
+   */
+  constructor(options = {}) {
     this.wktParser = new WKTParser();
+    this.wkbParser = new WKBParser();
+    this.geoJSONParser = new GeoJSONParser();
+    this.xmlParser = new XMLParser();
+    this.kmlParser = new KMLParser();
+    this.gpxParser = new GPXParser();
+    this.shapefileParser = new ShapefileParser();
+    this.nameProperty = options.nameProperty ?? 'name';
+    this.widthProperty = options.widthProperty ?? 'width';
+    this.projection = this._checkProjection(options.projection ?? null);
+    this.maxGap = options.maxGap ?? null;
   }
 
   /**
-   * Parse coordinate array or WKT string into RiverPath object
-   * @param {Array<[number, number]> | Array<[number, number, number]> | string} data
+   * Parse coordinate array, WKT string, WKB, GeoJSON, KML, GPX or a Shapefile into RiverPath object
+   * Polygon input is reduced to a centerline; LINESTRING input is used as the
+   * centerline directly. Multi-part input yields one centerline per part,
+   * stitched end-to-end into a single path; the per-part paths are kept on `parts`.
+   * Several WKT geometries written one after another are stitched the same way.
+   * Polygon holes are kept on `islands` for GeometryAnalyzer.
+   * A GeoJSON FeatureCollection is treated as reaches of one river; use
+   * parseAll to get one path per feature. KML placemarks and GPX tracks and
+   * routes are features too, named by their <name>, and like EWKB with an SRID
+   * they are always projected. Shapefile shapes are features with their
+   * attribute record, and a .prj naming longitude/latitude, Web Mercator or
+   * UTM is projected like an SRID. A path from a single feature keeps its
+   * attributes on `properties`; name and width columns match case-insensitively
+   * Projected paths carry their Projection on `projection`. WKT with an SRID
+   * prefix ("SRID=4326;POLYGON(...)") keeps it on `srid` and is always
+   * projected: into the requested projection, or UTM when none is set; so is
+   * EWKB with an SRID
+   * @param {Array<[number, number]> | Array<[number, number, number]> | string | Object | Uint8Array | ArrayBuffer} data
+   *   WKB may be given as bytes or hex text; a Shapefile as zip bytes or its members
+   * @param {Object} options
+   * @param {string|null} options.projection - Overrides the parser's projection for this input
    * @returns {RiverPath | Error}
    */
-  parse(data) {
-    let coordinates;
+  parse(data, options = {}) {
+    const projection = this._projectionFor(options);
+
+    // GeoJSON may arrive as an object or as JSON text; KML and GPX as XML
+    // text; Shapefiles as zip bytes or their members
+    const decoded = this._asGeoJSON(data);
+    if (decoded instanceof Error) {
+      return decoded;
+    }
+
+    if (decoded) {
+      const featureProject = this._projector(projection, decoded.srid);
+      try {
+        const features = this.geoJSONParser.getFeatures(decoded.geojson);
+        const parts = features.flatMap(feature => this._featureParts(feature, featureProject));
+        return featureProject.attach(this._withName(this._buildPartsPath(parts), features));
+      } catch (error) {
+        return new Error(`${decoded.format} parsing failed: ${error.message}`);
+      }
+    }
+
+    if (this.wkbParser.isWKB(data)) {
+      try {
+        const geometry = this.wkbParser.parse(data);
+        const wkbProject = this._projector(projection, geometry.srid);
+        return wkbProject.attach(this._buildGeometry(geometry.type, geometry.coordinates, wkbProject));
+      } catch (error) {
+        return new Error(`WKB parsing failed: ${error.message}`);
+      }
+    }
 
     // Check if input is a WKT string
     if (typeof data === 'string') {
       try {
-        // Parse WKT POLYGON and extract centerline
-        const polygonCoords = this.wktParser.parsePolygon(data);
-        coordinates = this.wktParser.extractCenterline(polygonCoords);
+        const wktProject = this._projector(projection, this.wktParser.getSRID(data));
+        return wktProject.attach(this._parseWKT(data, wktProject));
       } catch (error) {
         return new Error(`WKT parsing failed: ${error.message}`);
       }
     } else if (Array.isArray(data)) {
-      coordinates = data;
+      const validationResult = this.validate(data);
+      if (!validationResult.valid) {
+        return new Error(validationResult.error);
+      }
+
+      try {
+        const project = this._projector(projection);
+        return project.attach(this._buildPath(project(data)));
+      } catch (error) {
+        return new Error(`Projection failed: ${error.message}`);
+      }
     } else {
-      return new Error('Invalid input: expected coordinate array or WKT string');
+      return new Error('Invalid input: expected coordinate array, WKT string, WKB, GeoJSON, KML, GPX or Shapefile');
+    }
+  }
+
+  /**
+   * Parse input that may hold several rivers into one RiverPath per river
+   * Each GeoJSON feature, KML placemark, GPX track or Shapefile shape becomes its own path,
+   * as does each of several WKT geometries written one after another; other input
+   * yields a single path
+   * With a projection, each feature is projected on its own (its own UTM zone)
+   * @param {Array | string | Object} data
+   * @param {Object} options
+   * @param {string|null} options.projection - Overrides the parser's projection for this input
+   * @returns {Array<RiverPath | Error>}
+   */
+  parseAll(data, options = {}) {
+    const projection = this._projectionFor(options);
+    const decoded = this._asGeoJSON(data);
+    if (!decoded || decoded instanceof Error) {
+      const geometries = this._wktGeometries(data);
+      return geometries.length > 1
+        ? geometries.map(geometry => this.parse(geometry, { projection }))
+        : [this.parse(data, { projection })];
+    }
+
+    let features;
+    try {
+      features = this.geoJSONParser.getFeatures(decoded.geojson);
+    } catch (error) {
+      return [new Error(`${decoded.format} parsing failed: ${error.message}`)];
+    }
+
+    return features.map(feature => {
+      try {
+        const project = this._projector(projection, decoded.srid);
+        return project.attach(this._withName(this._buildPartsPath(this._featureParts(feature, project)), [feature]));
+      } catch (error) {
+        return new Error(`${decoded.format} parsing failed: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * The geometries of WKT text holding several one after another; other input
+   * (and text that does not split) yields a single element
+   * @private
+   */
+  _wktGeometries(data) {
+    if (typeof data !== 'string' || this.wkbParser.isWKB(data)) {
+      return [data];
+    }
+    try {
+      return this.wktParser.splitGeometries(data);
+    } catch {
+      return [data];
+    }
+  }
+
+  /**
+   * Return the GeoJSON behind the input, null if the input is neither GeoJSON
+   * nor KML/GPX/Shapefile, or an Error for input that does not parse
+   * KML and GPX are converted and marked as longitude/latitude (SRID 4326);
+   * Shapefiles take their SRID from the .prj
+   * @private
+   * @returns {{geojson: Object, srid: number|null, format: string} | Error | null}
+   */
+  _asGeoJSON(data) {
+    if (this.shapefileParser.isShapefile(data)) {
+      try {
+        return { ...this.shapefileParser.read(data), format: 'Shapefile' };
+      } catch (error) {
+        return new Error(`Shapefile parsing failed: ${error.message}`);
+      }
+    }
+
+    if (this.wkbParser.isWKB(data)) {
+      return null;
+    }
+
+    if (data && typeof data === 'object' && !Array.isArray(data)) {
+      return { geojson: data, srid: null, format: 'GeoJSON' };
+    }
+
+    if (typeof data === 'string' && data.trim().startsWith('{')) {
+      try {
+        return { geojson: JSON.parse(data), srid: null, format: 'GeoJSON' };
+      } catch (error) {
+        return new Error(`GeoJSON parsing failed: ${error.message}`);
+      }
+    }
+
+    if (typeof data === 'string' && data.trim().startsWith('<')) {
+      let root;
+      try {
+        root = this.xmlParser.parse(data);
+      } catch (error) {
+        return new Error(`XML parsing failed: ${error.message}`);
+      }
+
+      const reader = { kml: this.kmlParser, gpx: this.gpxParser }[root.name];
+      const format = root.name.toUpperCase();
+      if (!reader) {
+        return new Error(`Unsupported XML document <${root.name}>: expected KML or GPX`);
+      }
+
+      try {
+        return { geojson: reader.toGeoJSON(root), srid: 4326, format };
+      } catch (error) {
+        return new Error(`${format} parsing failed: ${error.message}`);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Convert a GeoJSON feature into centerline parts with widths applied
+   * Polygons take their widths from the medial axis; lines take them from
+   * the width property, either one number per feature or one per vertex
+   * (an array of arrays for MultiLineString)
+   * @private
+   * @param {{geometry: Object, properties: Object}} feature
+   * @param {function(Array): Array} project - Projects nested coordinates (see _projector)
+   * @returns {Array<{coordinates: Array<Array<number>>, holes: Array}>}
+   */
+  _featureParts(feature, project) {
+    const width = this._property(feature, this.widthProperty);
+
+    return this.geoJSONParser.getParts(feature.geometry).map((part, partIndex) => {
+      if (part.type === 'polygon') {
+        const [polygonCoords, ...holes] = project(part.rings);
+        return {
+          coordinates: this.wktParser.extractCenterline(polygonCoords, holes),
+          holes
+        };
+      }
+
+      const vertexWidths = Array.isArray(width) && Array.isArray(width[0])
+        ? width[partIndex]
+        : width;
+
+      let coordinates = project(part.coordinates);
+      if (typeof vertexWidths === 'number') {
+        coordinates = coordinates.map(([x, y]) => [x, y, vertexWidths]);
+      } else if (Array.isArray(vertexWidths) && vertexWidths.length === coordinates.length) {
+        coordinates = coordinates.map(([x, y], i) => [x, y, vertexWidths[i]]);
+      }
+
+      return { coordinates: this._densifyLine(coordinates), holes: [] };
+    });
+  }
+
+  /**
+   * Give a two-vertex centerline a midpoint, so that the simplest line input
+   * meets the three points every path needs for curvature
+   * @private
+   * @param {Array<Array<number>>} line
+   * @returns {Array<Array<number>>}
+   */
+  _densifyLine(line) {
+    if (line.length !== 2) {
+      return line;
+    }
+
+    const [start, end] = line;
+    const middle = start.map((value, i) => (value + end[i]) / 2);
+    return [start, start.length === end.length ? middle : middle.slice(0, 2), end];
+  }
+
+  /**
+   * Projection name for one input: the per-call option, else the parser's
+   * @private
+   */
+  _projectionFor(options) {
+    return options.projection !== undefined ? this._checkProjection(options.projection) : this.projection;
+  }
+
+  /**
+   * @private
+   */
+  _checkProjection(name) {
+    if (name !== null && !PROJECTIONS.includes(name)) {
+      throw new Error(`Unknown projection: ${name} (expected ${PROJECTIONS.join(', ')})`);
     }
+    return name;
+  }
 
+  /**
+   * Coordinate projector for one input
+   * The first coordinates it sees fix the projection (e.g. the UTM zone);
+   * without a projection name or SRID it returns coordinates unchanged.
+   * Coordinates with an SRID are brought to longitude/latitude first.
+   * `attach(path)` records the projection and SRID on the finished path
+   * @private
+   * @param {string|null} name
+   * @param {number|null} srid - EPSG code of the input coordinates
+   * @returns {function(Array): Array}
+   */
+  _projector(name, srid = null) {
+    const source = srid === null ? null : Projection.forSRID(srid);
+    const target = srid === null ? name : (name ?? 'utm');
+    let projection = null;
+
+    const project = coordinates => {
+      if (!target) {
+        return coordinates;
+      }
+      const lonLat = source ? source.unprojectCoordinates(coordinates) : coordinates;
+      projection ??= Projection.forCoordinates(target, lonLat);
+      return projection.projectCoordinates(lonLat);
+    };
+
+    project.attach = path => {
+      if (path instanceof Error) {
+        return path;
+      }
+      for (const item of [path, ...(path.parts ?? [])]) {
+        if (projection) {
+          item.projection = projection;
+        }
+        if (srid !== null) {
+          item.srid = srid;
+        }
+      }
+      return path;
+    };
+
+    return project;
+  }
+
+  /**
+   * Build a path from one or more parts, stitching when there are several
+   * @private
+   */
+  _buildPartsPath(parts) {
+    if (parts.length === 1) {
+      return this._attachIslands(this._buildPath(parts[0].coordinates), parts[0].holes);
+    }
+
+    return this._buildStitchedPath(parts, 'GeoJSON');
+  }
+
+  /**
+   * Copy the label text from the first feature that has one onto the path,
+   * and the attributes of a lone feature
+   * @private
+   */
+  _withName(path, features) {
+    if (path instanceof Error) {
+      return path;
+    }
+
+    const named = features.find(feature => typeof this._property(feature, this.nameProperty) === 'string');
+    if (named) {
+      path.name = this._property(named, this.nameProperty);
+    }
+    if (features.length === 1) {
+      path.properties = features[0].properties;
+    }
+
+    return path;
+  }
+
+  /**
+   * Value of a feature property, matching the key case-insensitively when
+   * there is no exact match (dBase columns are usually upper case, e.g. NAME)
+   * @private
+   */
+  _property(feature, key) {
+    const { properties } = feature;
+    if (key in properties) {
+      return properties[key];
+    }
+    const match = Object.keys(properties).find(item => item.toLowerCase() === key.toLowerCase());
+    return match === undefined ? undefined : properties[match];
+  }
+
+  /**
+   * Dispatch a WKT string to the parser for its geometry type
+   * @private
+   * @param {string} wktString
+   * @param {function(Array): Array} project - Projects nested coordinates (see _projector)
+   * @returns {RiverPath | Error}
+   */
+  _parseWKT(wktString, project) {
+    // Several geometries one after another are reaches of one river, like a MULTI* geometry
+    const geometries = this.wktParser.splitGeometries(wktString);
+    if (geometries.length > 1) {
+      const parts = geometries.flatMap(geometry => {
+        const { type, coordinates } = this._readWKT(geometry);
+        return this._geometryParts(type, coordinates, project);
+      });
+      return this._buildStitchedPath(parts, 'WKT');
+    }
+
+    // Strings that are not WKT at all are treated as bad coordinate input
+    if (!wktString.includes('(')) {
+      return new Error('Invalid input: coordinates must be an array or a WKT string');
+    }
+
+    const { type, coordinates } = this._readWKT(wktString);
+    return this._buildGeometry(type, coordinates, project);
+  }
+
+  /**
+   * Decode one WKT geometry with the parser for its type
+   * @private
+   * @param {string} wktString
+   * @returns {{type: string, coordinates: Array}}
+   */
+  _readWKT(wktString) {
+    const type = this.wktParser.getGeometryType(wktString);
+    const readers = {
+      POLYGON: 'parsePolygonRings',
+      MULTIPOLYGON: 'parseMultiPolygonRings',
+      LINESTRING: 'parseLineString',
+      MULTILINESTRING: 'parseMultiLineString'
+    };
+
+    if (!readers[type]) {
+      throw new Error(`Unsupported geometry type "${type}"`);
+    }
+    return { type, coordinates: this.wktParser[readers[type]](wktString) };
+  }
+
+  /**
+   * Build a RiverPath from decoded WKT or WKB coordinates
+   * @private
+   * @param {string} geometryType - Upper-case WKT type name
+   * @param {Array} coordinates - As returned by WKTParser for that type
+   * @param {function(Array): Array} project - Projects nested coordinates (see _projector)
+   * @returns {RiverPath | Error}
+   */
+  _buildGeometry(geometryType, coordinates, project) {
+    const parts = this._geometryParts(geometryType, coordinates, project);
+
+    if (geometryType.startsWith('MULTI')) {
+      return this._buildStitchedPath(parts, geometryType);
+    }
+    return this._attachIslands(this._buildPath(parts[0].coordinates), parts[0].holes);
+  }
+
+  /**
+   * Centerline and holes of every part of decoded WKT or WKB coordinates
+   * Polygons are reduced to the centerline around their islands
+   * @private
+   * @param {string} geometryType - Upper-case WKT type name
+   * @param {Array} coordinates - As returned by WKTParser for that type
+   * @param {function(Array): Array} project - Projects nested coordinates (see _projector)
+   * @returns {Array<{coordinates: Array<Array<number>>, holes: Array}>}
+   */
+  _geometryParts(geometryType, coordinates, project) {
+    const polygonPart = ([polygonCoords, ...holes]) => ({
+      coordinates: this.wktParser.extractCenterline(polygonCoords, holes),
+      holes
+    });
+
+    switch (geometryType) {
+      case 'POLYGON':
+        return [polygonPart(project(coordinates))];
+
+      case 'MULTIPOLYGON':
+        return project(coordinates).map(polygonPart);
+
+      case 'LINESTRING':
+        return [{ coordinates: this._densifyLine(project(coordinates)), holes: [] }];
+
+      case 'MULTILINESTRING':
+        return project(coordinates).map(line => ({ coordinates: this._densifyLine(line), holes: [] }));
+
+      default:
+        throw new Error(`Unsupported geometry type "${geometryType}"`);
+    }
+  }
+
+  /**
+   * Build a single stitched RiverPath from multi-part geometry
+   * @private
+   * @param {Array<{coordinates: Array<Array<number>>, holes: Array}>} parts
+   * @param {string} geometryType - Used in error messages
+   * @returns {RiverPath | Error}
+   */
+  _buildStitchedPath(parts, geometryType) {
+    // Parts too small to yield a usable centerline are dropped
+    const usableParts = parts.filter(part => part.coordinates.length >= 2);
+
+    if (usableParts.length === 0) {
+      throw new Error(`no ${geometryType} part produced a centerline`);
+    }
+
+    const centerlines = usableParts.map(part => part.coordinates);
+    const allHoles = usableParts.flatMap(part => part.holes);
+
+    const { coordinates, gaps } = this._stitchCenterlines(centerlines);
+    const maxGap = this.maxGap ?? centerlines.reduce((sum, line) => sum + this._lineLength(line), 0);
+    const widest = gaps.reduce((max, gap) => Math.max(max, gap.length), 0);
+    if (widest > maxGap) {
+      throw new Error(
+        `${geometryType} parts are ${+widest.toFixed(2)} apart, more than the maximum gap of ` +
+        `${+maxGap.toFixed(2)}; label them separately`
+      );
+    }
+
+    const path = this._attachIslands(this._buildPath(coordinates), allHoles);
+    if (path instanceof Error) {
+      return path;
+    }
+
+    // The straight bridges between parts are not river; GeometryAnalyzer keeps labels off them
+    if (gaps.length > 0) {
+      path.gaps = gaps;
+    }
+
+    path.parts = usableParts
+      .map(part => this._attachIslands(this._buildPath(part.coordinates), part.holes))
+      .filter(part => !(part instanceof Error));
+
+    return path;
+  }
+
+  /**
+   * Store polygon holes on the path as island rings of {x, y} points
+   * @private
+   * @param {RiverPath | Error} path
+   * @param {Array<Array<Array<number>>>} holes
+   * @returns {RiverPath | Error}
+   */
+  _attachIslands(path, holes) {
+    if (path instanceof Error || holes.length === 0) {
+      return path;
+    }
+
+    path.islands = holes.map(ring => ring.map(([x, y]) => ({ x, y })));
+    return path;
+  }
+
+  /**
+   * Join centerlines into one coordinate sequence
+   * Greedily attaches the part whose nearest end is closest to either end
+   * of the sequence built so far, reversing parts where needed
+   * @private
+   * @param {Array<Array<Array<number>>>} centerlines
+   * @returns {{coordinates: Array<Array<number>>, gaps: Array<{startIdx: number, endIdx: number, length: number}>}}
+   *   gaps lists the bridging edges between parts whose ends do not touch
+   */
+  _stitchCenterlines(centerlines) {
+    const remaining = centerlines.slice(1);
+    const ordered = [centerlines[0]];
+    let stitched = centerlines[0].slice();
+
+    const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+
+    while (remaining.length > 0) {
+      const head = stitched[0];
+      const tail = stitched[stitched.length - 1];
+
+      let best = null;
+
+      for (let i = 0; i < remaining.length; i++) {
+        const line = remaining[i];
+        const first = line[0];
+        const last = line[line.length - 1];
+
+        const options = [
+          { index: i, append: true, reverse: false, gap: distance(tail, first) },
+          { index: i, append: true, reverse: true, gap: distance(tail, last) },
+          { index: i, append: false, reverse: false, gap: distance(last, head) },
+          { index: i, append: false, reverse: true, gap: distance(first, head) }
+        ];
+
+        for (const option of options) {
+          if (!best || option.gap < best.gap) {
+            best = option;
+          }
+        }
+      }
+
+      const [line] = remaining.splice(best.index, 1);
+      const oriented = best.reverse ? line.slice().reverse() : line;
+
+      stitched = best.append
+        ? stitched.concat(oriented)
+        : oriented.concat(stitched);
+      if (best.append) {
+        ordered.push(oriented);
+      } else {
+        ordered.unshift(oriented);
+      }
+    }
+
+    const gaps = [];
+    let endIdx = 0;
+    for (let i = 0; i < ordered.length - 1; i++) {
+      endIdx += ordered[i].length;
+      const length = distance(stitched[endIdx - 1], stitched[endIdx]);
+      if (length > 0) {
+        gaps.push({ startIdx: endIdx - 1, endIdx, length });
+      }
+    }
+
+    return { coordinates: stitched, gaps };
+  }
+
+  /**
+   * @private
+   */
+  _lineLength(line) {
+    let length = 0;
+    for (let i = 1; i < line.length; i++) {
+      length += Math.hypot(line[i][0] - line[i - 1][0], line[i][1] - line[i - 1][1]);
+    }
+    return length;
+  }
+
+  /**
+   * Validate coordinates and build the RiverPath structure
+   * @private
+   * @param {Array} coordinates
+   * @returns {RiverPath | Error}
+   */
+  _buildPath(coordinates) {
     // Validate input first
     const validationResult = this.validate(coordinates);
     if (!validationResult.valid) {
       return new Error(validationResult.error);
     }
 
-    // Extract points and optional width data
-    const points = [];
-    const widths = [];
-    let hasWidthData = false;
-
-    for (const coord of coordinates) {
-      points.push({ x: coord[0], y: coord[1] });
-      
-      if (coord.length === 3) {
-        hasWidthData = true;
-        widths.push(coord[2]);
-      } else if (hasWidthData) {
-        // If we started with width data, all points should have it
-        widths.push(null);
-      }
-    }
+    // Extract points and optional width data; widths stay index-aligned with
+    // points, null where a vertex (e.g. of a stitched part without widths) has none
+    const points = coordinates.map(coord => ({ x: coord[0], y: coord[1] }));
+    const hasWidthData = coordinates.some(coord => coord.length === 3);
+    const widths = coordinates.map(coord => (coord.length === 3 ? coord[2] : null));
 
     // Calculate total path length
     let totalLength = 0;
@@ -0,0 +1,291 @@
+/**
+ * SVGRenderer
+ * Renders river paths and placed text as an SVG document string
+ * Mirrors the CanvasRenderer drawing API but needs no DOM, so it also runs in Node
+ */
+
+import { FontBook } from './FontBook.js';
+import { CanvasRenderer } from './CanvasRenderer.js';
+
+export class SVGRenderer {
+  /**
+   * @param {number} width - Document width in pixels (default: 800)
+   * @param {number} height - Document height in pixels (default: 600)
+   */
+  constructor(width = 800, height = 600) {
+    this.width = width;
+    this.height = height;
+    this.elements = [];
+    this._lastPath = null;
+  }
+
+  /**
+   * Remove everything drawn so far
+   */
+  clear() {
+    this.elements = [];
+  }
+
+  /**
+   * Calculate the transform that fits a river in the document
+   * Same padding and aspect-preserving scale as CanvasRenderer.fitToCanvas
+   * @param {RiverPath} path
+   * @returns {string} SVG transform attribute value, or '' when the path cannot be fitted
+   */
+  fitToCanvas(path) {
+    const fit = this._fit(path);
+    if (!fit) return '';
+
+    return `translate(${this._num(fit.offsetX)} ${this._num(fit.offsetY)}) scale(${this._num(fit.scale)})`;
+  }
+
+  /**
+   * Size of one document pixel in path units once the path is fitted
+   * Line and halo widths are given in path units, so multiply by this to get
+   * widths that look the same whatever the coordinate scale
+   * @param {RiverPath} path
+   * @returns {number}
+   */
+  pixelSize(path) {
+    const fit = this._fit(path);
+    return fit ? 1 / fit.scale : 1;
+  }
+
+  /**
+   * Draw river path
+   */
+  drawRiver(path, options = {}) {
+    if (!path || !path.points || path.points.length < 2) return;
+    this._lastPath = path;
+
+    const {
+      color = '#2196F3',
+      lineWidth = 3,
+      useVariableWidth = true
+    } = options;
+
+    const points = path.points;
+    const hasWidthData =
+      useVariableWidth &&
+      path.widths &&
+      path.widths.length === points.length;
+
+    const content = hasWidthData
+      ? this._variableWidthRiver(path, color)
+      : `<polyline points="${this._points(points)}" fill="none" stroke="${this._escape(color)}" ` +
+        `stroke-width="${this._num(lineWidth)}" stroke-linecap="round" stroke-linejoin="round"/>`;
+
+    this._pushGroup(path, 'river', content);
+  }
+
+  /**
+   * Variable-width river drawing, one quad per segment like CanvasRenderer
+   * @private
+   */
+  _variableWidthRiver(path, color) {
+    const { points, widths } = path;
+    const quads = [];
+
+    for (let i = 0; i < points.length - 1; i++) {
+      const p1 = points[i];
+      const p2 = points[i + 1];
+      const w1 = widths[i] || 3;
+      const w2 = widths[i + 1] || 3;
+
+      const dx = p2.x - p1.x;
+      const dy = p2.y - p1.y;
+      const len = Math.hypot(dx, dy);
+      if (len === 0) continue;
+
+      const px = -dy / len;
+      const py = dx / len;
+
+      quads.push(`<polygon points="${this._points([
+        { x: p1.x + px * w1 / 2, y: p1.y + py * w1 / 2 },
+        { x: p2.x + px * w2 / 2, y: p2.y + py * w2 / 2 },
+        { x: p2.x - px * w2 / 2, y: p2.y - py * w2 / 2 },
+        { x: p1.x - px * w1 / 2, y: p1.y - py * w1 / 2 }
+      ])}"/>`);
+    }
+
+    return `<g fill="${this._escape(color)}">${quads.join('')}</g>`;
+  }
+
+  /**
+   * Draw text placements as rotated per-glyph <text> elements with a halo
+   */
+  drawText(placements, options = {}) {
+    if (!placements || placements.length === 0) return;
+
+    const {
+      fontSize = 16,
+      fontFamily = 'Arial',
+      fillColor = '#000',
+      strokeColor = '#FFF',
+      strokeWidth = 3
+    } = options;
+
+    const halo = strokeWidth > 0
+      ? ` stroke="${this._escape(strokeColor)}" stroke-width="${this._num(strokeWidth)}" ` +
+        'stroke-linejoin="round" paint-order="stroke"'
+      : '';
+
+    const glyphs = placements.map(p => {
+      const degrees = p.angle * (180 / Math.PI);
+      return `<text transform="translate(${this._num(p.x)} ${this._num(p.y)}) rotate(${this._num(degrees)})">` +
+        `${this._escape(p.char)}</text>`;
+    });
+
+    // Font specs may lead with a style and weight, e.g. 'italic bold Lato'
+    const { families, weight, style } = FontBook.parseSpec(fontFamily);
+    const fontAttributes =
+      `font-family="${this._escape(families.join(', '))}"` +
+      (weight !== 400 ? ` font-weight="${weight}"` : '') +
+      (style !== 'normal' ? ` font-style="${style}"` : '');
+
+    const content =
+      `<g font-size="${this._num(fontSize)}" ${fontAttributes} ` +
+      `fill="${this._escape(fillColor)}" text-anchor="middle" dominant-baseline="central"${halo}>` +
+      `${glyphs.join('')}</g>`;
+
+    this._pushGroup(this._lastPath, 'label', content);
+  }
+
+  /**
+   * Draw rejected river segments, grouped by the colour of their reason
+   * (see CanvasRenderer.rejectionColor) unless `options.color` sets one for all
+   */
+  drawRejectedAreas(path, segments, options = {}) {
+    if (!path || !segments?.length) return;
+
+    const { color = null, lineWidth = 8 } = options;
+
+    const groups = new Map();
+    for (const seg of segments) {
+      const stroke = color ?? CanvasRenderer.rejectionColor(seg.reason);
+      const points = path.points.slice(seg.startIdx, seg.endIdx + 1);
+      const reason = seg.reason ? ` data-reason="${this._escape(seg.reason)}"` : '';
+
+      if (!groups.has(stroke)) groups.set(stroke, []);
+      groups.get(stroke).push(`<polyline points="${this._points(points)}"${reason}/>`);
+    }
+
+    const content = [...groups]
+      .map(([stroke, lines]) =>
+        `<g fill="none" stroke="${this._escape(stroke)}" stroke-width="${this._num(lineWidth)}" ` +
+        `stroke-linecap="round">${lines.join('')}</g>`)
+      .join('');
+
+    this._pushGroup(path, 'rejected', content);
+  }
+
+  /**
+   * Draw candidate placement markers
+   */
+  drawCandidates(path, candidates, selectedSegment = null, options = {}) {
+    if (!candidates?.length) return;
+
+    const {
+      candidateColor = 'rgba(0,255,0,0.5)',
+      selectedColor = 'rgba(0,255,0,1)',
+      radius = 8
+    } = options;
+
+    const circles = candidates.map(c => {
+      const isSelected =
+        selectedSegment &&
+        c.segment.startIdx === selectedSegment.startIdx &&
+        c.segment.endIdx === selectedSegment.endIdx &&
+        c.segment.startOffset === selectedSegment.startOffset;
+
+      return `<circle cx="${this._num(c.centerPoint.x)}" cy="${this._num(c.centerPoint.y)}" ` +
+        `r="${this._num(radius)}" fill="${this._escape(isSelected ? selectedColor : candidateColor)}"/>`;
+    });
+
+    this._pushGroup(path, 'candidates', circles.join(''));
+  }
+
+  /**
+   * Serialize everything drawn so far as a standalone SVG document
+   * @returns {string}
+   */
+  toSVG() {
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" ` +
+      `viewBox="0 0 ${this.width} ${this.height}">\n${this.elements.join('\n')}\n</svg>\n`;
+  }
+
+  /**
+   * Scale and offset that fit the path bounds inside the padded document
+   * @private
+   * @returns {{scale: number, offsetX: number, offsetY: number}|null}
+   */
+  _fit(path) {
+    if (!path || !path.bounds) return null;
+
+    const { minX, maxX, minY, maxY } = path.bounds;
+    const padding = 40;
+
+    const dataWidth = maxX - minX;
+    const dataHeight = maxY - minY;
+
+    if (dataWidth === 0 || dataHeight === 0) return null;
+
+    const availableWidth = this.width - padding * 2;
+    const availableHeight = this.height - padding * 2;
+
+    const scale = Math.min(
+      availableWidth / dataWidth,
+      availableHeight / dataHeight
+    );
+
+    const offsetX =
+      padding +
+      (availableWidth - dataWidth * scale) / 2 -
+      minX * scale;
+
+    const offsetY =
+      padding +
+      (availableHeight - dataHeight * scale) / 2 -
+      minY * scale;
+
+    return { scale, offsetX, offsetY };
+  }
+
+  /**
+   * Wrap content in a group carrying the fit transform for the given path
+   * @private
+   */
+  _pushGroup(path, className, content) {
+    const transform = this.fitToCanvas(path);
+    const transformAttr = transform ? ` transform="${transform}"` : '';
+    this.elements.push(`<g class="${className}"${transformAttr}>${content}</g>`);
+  }
+
+  /**
+   * @private
+   */
+  _points(points) {
+    return points.map(p => `${this._num(p.x)},${this._num(p.y)}`).join(' ');
+  }
+
+  /**
+   * Format a number compactly for SVG attributes
+   * @private
+   */
+  _num(value) {
+    return String(Math.round(value * 1000) / 1000);
+  }
+
+  /**
+   * Escape text for use in XML content and attribute values
+   * @private
+   */
+  _escape(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
@@ -0,0 +1,371 @@
+/**
+ * ScenePlacer
+ * Labels many rivers in one scene so that no two labels overlap
+ * Each river contributes a few alternative placements; glyph bounding boxes
+ * from TextPlacer decide which combinations collide
+ */
+
+import { GeometryAnalyzer } from './GeometryAnalyzer.js';
+import { PlacementScorer } from './PlacementScorer.js';
+import { TextPlacer, ANCHORS } from './TextPlacer.js';
+import { ALIGNMENTS } from './LabelPipeline.js';
+
+export const SCENE_STRATEGIES = ['greedy', 'anneal'];
+
+// Cost of leaving a river unlabeled, relative to a placement scoring 0
+const UNPLACED_COST = 200;
+
+// Cost of one pair of overlapping labels during annealing
+const COLLISION_COST = 1000;
+
+export class ScenePlacer {
+  /**
+   * @param {Object} options
+   * @param {GeometryAnalyzer} options.analyzer
+   * @param {PlacementScorer} options.scorer
+   * @param {TextPlacer} options.placer
+   * @param {number} options.fontSize - Font size in pixels (default: 16)
+   * @param {string} options.fontFamily - Font family (default: 'Arial')
+   * @param {string} options.strategy - 'greedy' or 'anneal' (default: 'greedy')
+   * @param {string} options.anchor - 'start', 'center' or 'end' (default: 'center')
+   * @param {string} options.align - Anchor on the 'segment' or its score 'peak' (default: 'segment')
+   * @param {number} options.maxCandidates - Alternative placements tried per river (default: 10)
+   * @param {number} options.padding - Extra clearance around each glyph box (default: 2)
+   * @param {number} options.iterations - Annealing steps (default: 5000)
+   * @param {number} options.seed - Seed for the annealing random source (default: 1)
+   */
+  constructor(options = {}) {
+    this.analyzer = options.analyzer ?? new GeometryAnalyzer();
+    this.scorer = options.scorer ?? new PlacementScorer();
+    this.placer = options.placer ?? new TextPlacer();
+    this.fontSize = options.fontSize ?? 16;
+    this.fontFamily = options.fontFamily ?? 'Arial';
+    this.strategy = options.strategy ?? 'greedy';
+    this.anchor = options.anchor ?? 'center';
+    this.align = options.align ?? 'segment';
+    this.maxCandidates = options.maxCandidates ?? 10;
+    this.padding = options.padding ?? 2;
+    this.iterations = options.iterations ?? 5000;
+    this.seed = options.seed ?? 1;
+
+    if (!SCENE_STRATEGIES.includes(this.strategy)) {
+      throw new Error(`Unknown strategy: ${this.strategy} (expected ${SCENE_STRATEGIES.join(', ')})`);
+    }
+
+    if (!ANCHORS.includes(this.anchor)) {
+      throw new Error(`Unknown anchor: ${this.anchor} (expected ${ANCHORS.join(', ')})`);
+    }
+
+    if (!ALIGNMENTS.includes(this.align)) {
+      throw new Error(`Unknown align: ${this.align} (expected ${ALIGNMENTS.join(', ')})`);
+    }
+  }
+
+  /**
+   * Label every river in the scene
+   * @param {Array<{path: RiverPath, text: string, priority?: number, obstacles?: Array<Obstacle>}>} rivers -
+   *   Priority defaults to the river length; higher-priority rivers win conflicts. Obstacles are
+   *   features in the river's coordinates its label must keep clear of (see ObstacleLayer)
+   * @returns {{labels: Array<Object>, unplaced: Array<{index: number, text: string, reason: string}>,
+   *   strategy: string}} Labels carry index, text, priority, placement, characterPlacements,
+   *   orientation, boxes, warning and fit (the text variant and font size laid out), in input order
+   */
+  place(rivers) {
+    const entries = rivers.map((river, index) => this._prepare(river, index));
+    const choices = this.strategy === 'anneal'
+      ? this._anneal(entries, this._greedy(entries))
+      : this._greedy(entries);
+
+    const labels = [];
+    const unplaced = [];
+
+    entries.forEach((entry, index) => {
+      const choice = choices[index];
+      if (choice === -1) {
+        unplaced.push({
+          index,
+          text: entry.text,
+          reason: entry.options.length === 0 ? entry.warning : 'collision'
+        });
+        return;
+      }
+
+      const option = entry.options[choice];
+      labels.push({
+        index,
+        text: entry.text,
+        priority: entry.priority,
+        placement: option.placement,
+        characterPlacements: option.characterPlacements,
+        orientation: option.orientation,
+        boxes: option.boxes,
+        warning: entry.warning,
+        fit: entry.fit
+      });
+    });
+
+    return { labels, unplaced, strategy: this.strategy };
+  }
+
+  /**
+   * Bounds enclosing every path, for drawing a scene in one shared frame
+   * @param {Array<RiverPath>} paths
+   * @returns {{minX: number, maxX: number, minY: number, maxY: number}}
+   */
+  sceneBounds(paths) {
+    return this._union(paths.map(path => path.bounds));
+  }
+
+  /**
+   * Axis-aligned bounding box of each glyph, rotated by its angle
+   * @param {Array<CharacterPlacement>} characterPlacements
+   * @param {number} fontSize - Glyph box height
+   * @param {number} padding - Clearance added on every side
+   * @returns {Array<{minX: number, maxX: number, minY: number, maxY: number}>}
+   */
+  glyphBoxes(characterPlacements, fontSize = this.fontSize, padding = this.padding) {
+    return characterPlacements.map(glyph => {
+      const cos = Math.abs(Math.cos(glyph.angle));
+      const sin = Math.abs(Math.sin(glyph.angle));
+      const halfWidth = (cos * glyph.width + sin * fontSize) / 2 + padding;
+      const halfHeight = (sin * glyph.width + cos * fontSize) / 2 + padding;
+
+      return {
+        minX: glyph.x - halfWidth,
+        maxX: glyph.x + halfWidth,
+        minY: glyph.y - halfHeight,
+        maxY: glyph.y + halfHeight
+      };
+    });
+  }
+
+  /**
+   * Analyze one river and lay out its alternative placements
+   * @private
+   */
+  _prepare(river, index) {
+    const { path, text, obstacles = [] } = river;
+    const metrics = this.analyzer.analyzeGeometry(path);
+    const result = this.scorer.findOptimalPlacement(path, text, this.fontSize, metrics, this.fontFamily, {
+      obstacles,
+      layout: { anchor: this.anchor, align: this.align }
+    });
+
+    // A warning means nothing fits, not even after the scorer's fit fallbacks;
+    // its candidates are the longest stretches, which the label would overrun
+    const ranked = (result.warning ? [] : result.allCandidates || [])
+      .slice()
+      .sort((a, b) => b.score - a.score);
+
+    // Keep spatially distinct alternatives: candidates whose centers lie within
+    // half a label of an already chosen one add little choice
+    const minSeparation = result.textLength / 2;
+    const chosen = [];
+    for (const candidate of ranked) {
+      if (chosen.length >= this.maxCandidates) break;
+
+      const isDistinct = chosen.every(other =>
+        Math.hypot(
+          candidate.centerPoint.x - other.centerPoint.x,
+          candidate.centerPoint.y - other.centerPoint.y
+        ) >= minSeparation
+      );
+      if (isDistinct) {
+        chosen.push(candidate);
+      }
+    }
+
+    const { fit } = result;
+    const options = chosen.map(placement => {
+      const offset = this.align === 'peak'
+        ? this.scorer.findPeakOffset(path, placement.segment, result.textLength, metrics)
+        : undefined;
+      const { characterPlacements, orientation } = this.placer.placeLabel(
+        fit.text,
+        path,
+        placement.segment,
+        fit.fontSize,
+        { anchor: this.anchor, offset, letterSpacing: fit.letterSpacing, fontFamily: this.fontFamily }
+      );
+      const boxes = this.glyphBoxes(characterPlacements, fit.fontSize);
+
+      return {
+        placement,
+        characterPlacements,
+        orientation,
+        boxes,
+        bounds: this._union(boxes),
+        score: placement.score
+      };
+    });
+
+    return {
+      index,
+      text,
+      priority: river.priority ?? path.length,
+      warning: result.warning ?? (options.length === 0 ? 'No suitable placement found' : null),
+      fit,
+      options
+    };
+  }
+
+  /**
+   * Place rivers in priority order, each at its best option clear of earlier labels
+   * @private
+   * @returns {Array<number>} Chosen option per river, -1 when unplaced
+   */
+  _greedy(entries) {
+    const choices = entries.map(() => -1);
+    const order = entries
+      .map((entry, index) => index)
+      .sort((a, b) => entries[b].priority - entries[a].priority || a - b);
+    const placed = [];
+
+    for (const index of order) {
+      const options = entries[index].options;
+      const choice = options.findIndex(option =>
+        placed.every(other => !this._collides(option, other))
+      );
+
+      if (choice !== -1) {
+        choices[index] = choice;
+        placed.push(options[choice]);
+      }
+    }
+
+    return choices;
+  }
+
+  /**
+   * Improve a starting assignment by simulated annealing
+   * Minimizes priority-weighted score loss plus a heavy penalty per overlapping
+   * pair; any overlap left at the end is resolved by dropping the
+   * lower-priority label
+   * @private
+   */
+  _anneal(entries, initial) {
+    const random = createRandom(this.seed);
+    const maxPriority = Math.max(...entries.map(entry => entry.priority), 0);
+    const weights = entries.map(entry => (maxPriority > 0 ? entry.priority / maxPriority : 1));
+    const collisionCache = new Map();
+
+    const collides = (r, a, s, b) => {
+      if (a === -1 || b === -1) return false;
+      const key = r < s ? `${r}:${a}|${s}:${b}` : `${s}:${b}|${r}:${a}`;
+      if (!collisionCache.has(key)) {
+        collisionCache.set(key, this._collides(entries[r].options[a], entries[s].options[b]));
+      }
+      return collisionCache.get(key);
+    };
+
+    const ownCost = (r, choice) => weights[r] * (
+      choice === -1 ? UNPLACED_COST : 100 - entries[r].options[choice].score
+    );
+
+    const collisionsWith = (state, r, choice) => {
+      let count = 0;
+      for (let s = 0; s < state.length; s++) {
+        if (s !== r && collides(r, choice, s, state[s])) count++;
+      }
+      return count;
+    };
+
+    const state = initial.slice();
+    let cost = state.reduce((sum, choice, r) => sum + ownCost(r, choice), 0);
+    for (let r = 0; r < state.length; r++) {
+      cost += (COLLISION_COST * collisionsWith(state, r, state[r])) / 2;
+    }
+
+    let best = state.slice();
+    let bestCost = cost;
+    const movable = entries.map((entry, index) => index).filter(r => entries[r].options.length > 0);
+    const startTemperature = 100;
+    const endTemperature = 0.1;
+
+    for (let step = 0; step < this.iterations && movable.length > 0; step++) {
+      const temperature = startTemperature *
+        Math.pow(endTemperature / startTemperature, step / this.iterations);
+      const r = movable[Math.floor(random() * movable.length)];
+      const choice = Math.floor(random() * (entries[r].options.length + 1)) - 1;
+      if (choice === state[r]) continue;
+
+      const delta =
+        ownCost(r, choice) - ownCost(r, state[r]) +
+        COLLISION_COST * (collisionsWith(state, r, choice) - collisionsWith(state, r, state[r]));
+
+      if (delta <= 0 || random() < Math.exp(-delta / temperature)) {
+        state[r] = choice;
+        cost += delta;
+        if (cost < bestCost - 1e-9) {
+          best = state.slice();
+          bestCost = cost;
+        }
+      }
+    }
+
+    // Drop the lower-priority label of any pair that still overlaps
+    const order = best
+      .map((choice, index) => index)
+      .sort((a, b) => entries[b].priority - entries[a].priority || a - b);
+    for (let i = 0; i < order.length; i++) {
+      for (let j = i + 1; j < order.length; j++) {
+        const r = order[i];
+        const s = order[j];
+        if (collides(r, best[r], s, best[s])) {
+          best[s] = -1;
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Whether any glyph of one option overlaps any glyph of another
+   * @private
+   */
+  _collides(a, b) {
+    if (!this._overlaps(a.bounds, b.bounds)) {
+      return false;
+    }
+    return a.boxes.some(boxA => b.boxes.some(boxB => this._overlaps(boxA, boxB)));
+  }
+
+  /**
+   * @private
+   */
+  _overlaps(a, b) {
+    return a.minX < b.maxX && b.minX < a.maxX && a.minY < b.maxY && b.minY < a.maxY;
+  }
+
+  /**
+   * @private
+   */
+  _union(boxes) {
+    return boxes.reduce(
+      (bounds, box) => ({
+        minX: Math.min(bounds.minX, box.minX),
+        maxX: Math.max(bounds.maxX, box.maxX),
+        minY: Math.min(bounds.minY, box.minY),
+        maxY: Math.max(bounds.maxY, box.maxY)
+      }),
+      { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity }
+    );
+  }
+}
+
+/**
+ * Small seeded random source (mulberry32) so annealing runs are reproducible
+ * @param {number} seed
+ * @returns {function(): number} Values in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
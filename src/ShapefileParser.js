@@ -0,0 +1,399 @@
+/**
+ * ShapefileParser
+ * Reads ESRI Shapefiles (.shp geometry, .shx index, .dbf attributes, .prj
+ * coordinate system, .cpg text encoding), loose or zipped, into GeoJSON
+ * features that RiverPathParser can turn into river paths
+ * Only polyline and polygon shapes are read; each carries its attribute record
+ */
+
+import { ZipReader } from './ZipReader.js';
+
+const FILE_CODE = 9994;
+const HEADER_SIZE = 100;
+
+// Shape types by geometry; the Z and M variants keep x/y first
+const POLYLINE_TYPES = [3, 13, 23];
+const POLYGON_TYPES = [5, 15, 25];
+const NULL_SHAPE = 0;
+
+const SHAPE_NAMES = {
+  1: 'Point', 8: 'MultiPoint', 11: 'PointZ', 18: 'MultiPointZ', 21: 'PointM', 28: 'MultiPointM', 31: 'MultiPatch'
+};
+
+// Shapefile member extensions, read from a zip archive
+const EXTENSIONS = ['shp', 'shx', 'dbf', 'prj', 'cpg'];
+
+export class ShapefileParser {
+  /**
+   * Whether the input is a zip archive or a set of shapefile members ({shp, ...})
+   * @param {*} data
+   * @returns {boolean}
+   */
+  isShapefile(data) {
+    if (ZipReader.isZip(data)) {
+      return true;
+    }
+    return Boolean(data) && typeof data === 'object' && !Array.isArray(data) &&
+      (data.shp instanceof Uint8Array || data.shp instanceof ArrayBuffer);
+  }
+
+  /**
+   * Read a zipped shapefile or its loose members
+   * @param {Uint8Array | ArrayBuffer | Object} data - Zip bytes, or {shp, shx?, dbf?, prj?, cpg?}
+   *   with bytes for the binary members and bytes or text for .prj and .cpg
+   * @returns {{geojson: Object, srid: number|null}} FeatureCollection, and the SRID the
+   *   .prj names (null when there is none or it is not one Projection knows)
+   */
+  read(data) {
+    const files = ZipReader.isZip(data) ? this.unzip(data) : data;
+    return {
+      geojson: this.toGeoJSON(files),
+      srid: files.prj ? this.readSRID(text(files.prj)) : null
+    };
+  }
+
+  /**
+   * Pick the members of the one shapefile in a zip archive
+   * @param {Uint8Array | ArrayBuffer} data
+   * @returns {Object} {shp, shx?, dbf?, prj?, cpg?}
+   */
+  unzip(data) {
+    const zip = new ZipReader(data);
+    // macOS archives carry resource forks under __MACOSX/
+    const names = zip.entries.map(entry => entry.name).filter(name => !name.startsWith('__MACOSX/'));
+    const layers = names.filter(name => /\.shp$/i.test(name));
+
+    if (layers.length === 0) {
+      throw new Error('Zip archive has no .shp file');
+    }
+    if (layers.length > 1) {
+      throw new Error(`Zip archive has several shapefiles (${layers.join(', ')}); extract the one to label`);
+    }
+
+    const base = layers[0].slice(0, -4).toLowerCase();
+    const files = {};
+    for (const extension of EXTENSIONS) {
+      const name = names.find(item => item.toLowerCase() === `${base}.${extension}`);
+      if (name) {
+        files[extension] = zip.read(name);
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Convert shapefile members into a GeoJSON FeatureCollection
+   * Polylines become (Multi)LineStrings and polygons (Multi)Polygons with their
+   * holes; null shapes and deleted records are skipped
+   * @param {Object} files - {shp, shx?, dbf?, cpg?}
+   * @returns {Object}
+   */
+  toGeoJSON(files) {
+    const shapes = this.readShapes(bytes(files.shp), files.shx ? bytes(files.shx) : null);
+    const records = files.dbf ? this.readRecords(bytes(files.dbf), files.cpg ? text(files.cpg) : null) : null;
+
+    if (records && records.length !== shapes.length) {
+      throw new Error(`Shapefile has ${shapes.length} shapes but ${records.length} attribute records`);
+    }
+
+    const features = [];
+    shapes.forEach((geometry, index) => {
+      const properties = records ? records[index] : {};
+      if (geometry && properties) {
+        features.push({ type: 'Feature', properties, geometry });
+      }
+    });
+
+    if (features.length === 0) {
+      throw new Error('Shapefile has no polyline or polygon shapes');
+    }
+
+    return { type: 'FeatureCollection', features };
+  }
+
+  /**
+   * Geometry of every record in the .shp, null for null shapes
+   * @param {Uint8Array} shp
+   * @param {Uint8Array|null} shx - Record offsets; without it records are read in sequence
+   * @returns {Array<Object|null>} GeoJSON geometries
+   */
+  readShapes(shp, shx = null) {
+    const view = viewOf(shp);
+    if (shp.length < HEADER_SIZE || view.getInt32(0, false) !== FILE_CODE) {
+      throw new Error('Not a .shp file');
+    }
+
+    const fileLength = Math.min(shp.length, view.getInt32(24, false) * 2);
+    const offsets = [];
+    if (shx) {
+      const index = viewOf(shx);
+      for (let offset = HEADER_SIZE; offset + 8 <= shx.length; offset += 8) {
+        offsets.push(index.getInt32(offset, false) * 2);
+      }
+    } else {
+      for (let offset = HEADER_SIZE; offset + 8 <= fileLength;) {
+        offsets.push(offset);
+        offset += 8 + view.getInt32(offset + 4, false) * 2;
+      }
+    }
+
+    return offsets.map((offset, record) => {
+      const contentLength = view.getInt32(offset + 4, false) * 2;
+      if (offset + 8 + contentLength > shp.length) {
+        throw new Error(`Shapefile record ${record + 1} ends early`);
+      }
+      return this._readShape(view, offset + 8, record + 1);
+    });
+  }
+
+  /**
+   * Attribute records of a .dbf (dBase III) table
+   * Numbers and logicals are converted; deleted records are null
+   * @param {Uint8Array} dbf
+   * @param {string|null} encoding - Text encoding from the .cpg; by default UTF-8,
+   *   falling back to Windows-1252 for values that are not valid UTF-8
+   * @returns {Array<Object|null>}
+   */
+  readRecords(dbf, encoding = null) {
+    const view = viewOf(dbf);
+    if (dbf.length < 32) {
+      throw new Error('Not a .dbf file');
+    }
+
+    const count = view.getUint32(4, true);
+    const headerLength = view.getUint16(8, true);
+    const recordLength = view.getUint16(10, true);
+    const decode = decoderFor(encoding);
+
+    const fields = [];
+    let fieldOffset = 1;
+    for (let offset = 32; offset + 32 <= headerLength && dbf[offset] !== 0x0D; offset += 32) {
+      const nameBytes = dbf.subarray(offset, offset + 11);
+      const nameEnd = nameBytes.indexOf(0);
+      fields.push({
+        name: decode(nameBytes.subarray(0, nameEnd === -1 ? 11 : nameEnd)).trim(),
+        type: String.fromCharCode(dbf[offset + 11]),
+        offset: fieldOffset,
+        length: dbf[offset + 16]
+      });
+      fieldOffset += dbf[offset + 16];
+    }
+
+    const records = [];
+    for (let i = 0; i < count; i++) {
+      const start = headerLength + i * recordLength;
+      if (start + recordLength > dbf.length) {
+        throw new Error(`Attribute record ${i + 1} ends early`);
+      }
+
+      // A leading "*" marks a deleted record
+      if (dbf[start] === 0x2A) {
+        records.push(null);
+        continue;
+      }
+
+      const record = {};
+      for (const field of fields) {
+        const raw = decode(dbf.subarray(start + field.offset, start + field.offset + field.length)).trim();
+        record[field.name] = fieldValue(raw, field.type);
+      }
+      records.push(record);
+    }
+
+    return records;
+  }
+
+  /**
+   * SRID of the coordinate system a .prj describes, for the systems Projection
+   * handles: geographic (4326), Web Mercator (3857) and UTM zones (326xx/327xx).
+   * Datums are taken as WGS84, which is close enough for placing labels
+   * @param {string} prj - ESRI WKT
+   * @returns {number|null}
+   */
+  readSRID(prj) {
+    const wkt = prj.trim().toUpperCase();
+
+    if (wkt.startsWith('GEOGCS')) {
+      return 4326;
+    }
+    if (/MERCATOR_AUXILIARY_SPHERE|WEB_MERCATOR|PSEUDO[-_ ]MERCATOR/.test(wkt)) {
+      return 3857;
+    }
+
+    const utm = /UTM[_ ]ZONE[_ ](\d{1,2})([NS])/.exec(wkt);
+    if (utm && Number(utm[1]) >= 1 && Number(utm[1]) <= 60) {
+      return (utm[2] === 'S' ? 32700 : 32600) + Number(utm[1]);
+    }
+
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _readShape(view, offset, record) {
+    const type = view.getInt32(offset, true);
+    if (type === NULL_SHAPE) {
+      return null;
+    }
+
+    const isLine = POLYLINE_TYPES.includes(type);
+    if (!isLine && !POLYGON_TYPES.includes(type)) {
+      throw new Error(`Unsupported shape type ${SHAPE_NAMES[type] ?? type} in record ${record}`);
+    }
+
+    const partCount = view.getInt32(offset + 36, true);
+    const pointCount = view.getInt32(offset + 40, true);
+    const pointsOffset = offset + 44 + partCount * 4;
+    if (pointsOffset + pointCount * 16 > view.byteLength) {
+      throw new Error(`Shapefile record ${record} ends early`);
+    }
+
+    const parts = [];
+    for (let part = 0; part < partCount; part++) {
+      const first = view.getInt32(offset + 44 + part * 4, true);
+      const last = part + 1 < partCount ? view.getInt32(offset + 48 + part * 4, true) : pointCount;
+      const points = [];
+      for (let i = first; i < last; i++) {
+        points.push([
+          view.getFloat64(pointsOffset + i * 16, true),
+          view.getFloat64(pointsOffset + i * 16 + 8, true)
+        ]);
+      }
+      parts.push(points);
+    }
+
+    if (isLine) {
+      return parts.length === 1
+        ? { type: 'LineString', coordinates: parts[0] }
+        : { type: 'MultiLineString', coordinates: parts };
+    }
+
+    const polygons = groupRings(parts);
+    return polygons.length === 1
+      ? { type: 'Polygon', coordinates: polygons[0] }
+      : { type: 'MultiPolygon', coordinates: polygons };
+  }
+}
+
+/**
+ * Group shapefile rings into polygons: clockwise rings are exteriors and
+ * counterclockwise rings are holes of the exterior that contains them
+ */
+function groupRings(rings) {
+  const exteriors = rings.filter(ring => signedArea(ring) < 0);
+  const holes = rings.filter(ring => signedArea(ring) >= 0);
+
+  // Writers that ignore ring orientation: treat every ring as an exterior
+  if (exteriors.length === 0) {
+    return rings.map(ring => [ring]);
+  }
+
+  const polygons = exteriors.map(ring => [ring]);
+  for (const hole of holes) {
+    const owner = polygons.find(([exterior]) => containsPoint(exterior, hole[0]));
+    if (owner) {
+      owner.push(hole);
+    } else {
+      polygons.push([hole]);
+    }
+  }
+  return polygons;
+}
+
+/**
+ * Shoelace area, positive for counterclockwise rings (y up)
+ */
+function signedArea(ring) {
+  let area = 0;
+  for (let i = 0; i < ring.length; i++) {
+    const [x1, y1] = ring[i];
+    const [x2, y2] = ring[(i + 1) % ring.length];
+    area += x1 * y2 - x2 * y1;
+  }
+  return area / 2;
+}
+
+/**
+ * Ray casting point-in-polygon test
+ */
+function containsPoint(ring, [x, y]) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Typed value of a dBase field
+ */
+function fieldValue(raw, type) {
+  switch (type) {
+    case 'N':
+    case 'F': {
+      if (raw === '' || /^\*+$/.test(raw)) {
+        return null;
+      }
+      const value = Number(raw);
+      return isNaN(value) ? null : value;
+    }
+    case 'L':
+      return /^[TtYy]$/.test(raw) ? true : /^[FfNn]$/.test(raw) ? false : null;
+    case 'D':
+      return /^\d{8}$/.test(raw) ? `${raw.slice(0, 4)}-${raw.slice(4, 6)}-${raw.slice(6)}` : null;
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Text decoder for a .cpg encoding name, such as "UTF-8" or "1252"
+ */
+function decoderFor(encoding) {
+  if (encoding) {
+    const label = /^\d+$/.test(encoding.trim()) ? `windows-${encoding.trim()}` : encoding.trim();
+    let decoder;
+    try {
+      decoder = new TextDecoder(label);
+    } catch {
+      throw new Error(`Unsupported .cpg encoding "${encoding.trim()}"`);
+    }
+    return data => decoder.decode(data);
+  }
+
+  const utf8 = new TextDecoder('utf-8', { fatal: true });
+  const fallback = new TextDecoder('windows-1252');
+  return data => {
+    try {
+      return utf8.decode(data);
+    } catch {
+      return fallback.decode(data);
+    }
+  };
+}
+
+/**
+ * Bytes of a member given as bytes or an ArrayBuffer
+ */
+function bytes(data) {
+  return data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+}
+
+/**
+ * Text of a member given as text or bytes
+ */
+function text(data) {
+  return typeof data === 'string' ? data : new TextDecoder().decode(bytes(data));
+}
+
+/**
+ * DataView over exactly the bytes of a Uint8Array
+ */
+function viewOf(data) {
+  return new DataView(data.buffer, data.byteOffset, data.byteLength);
+}
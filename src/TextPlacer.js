@@ -3,8 +3,25 @@
  * Calculates exact character positions and rotations along the selected path segment
  */
 
+import { FontBook } from './FontBook.js';
+import { BidiLayout } from './BidiLayout.js';
+
+export const ORIENTATIONS = ['auto', 'forward', 'reversed'];
+
+// Fraction of the text width that lies before the anchor point
+export const ANCHOR_FRACTIONS = { start: 0, center: 0.5, end: 1 };
+
+export const ANCHORS = Object.keys(ANCHOR_FRACTIONS);
+
 export class TextPlacer {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {FontBook} options.fonts - Loaded font files; glyphs in a font found here are
+   *   advanced and kerned from the file instead of the canvas (default: none)
+   */
+  constructor(options = {}) {
+    this.fonts = options.fonts ?? null;
+
     // Create a temporary canvas for measuring text
     this.measureCanvas = null;
     this.measureCtx = null;
@@ -13,9 +30,10 @@ export class TextPlacer {
   /**
    * Get or create canvas context for text measurement
    * @param {number} fontSize
+   * @param {string} fontFamily - Font spec (default: 'Arial')
    * @returns {CanvasRenderingContext2D}
    */
-  getMeasureContext(fontSize) {
+  getMeasureContext(fontSize, fontFamily = 'Arial') {
     // Check if we're in a browser environment
     if (typeof document !== 'undefined' && !this.measureCanvas) {
       try {
@@ -29,13 +47,13 @@ export class TextPlacer {
     
     // If we have a real context, configure it
     if (this.measureCtx) {
-      this.measureCtx.font = `${fontSize}px Arial`;
+      this.measureCtx.font = FontBook.cssFont(fontFamily, fontSize);
       return this.measureCtx;
     }
     
     // For testing environment or if canvas failed, return a mock context
     return {
-      font: `${fontSize}px Arial`,
+      font: FontBook.cssFont(fontFamily, fontSize),
       measureText: (char) => ({ width: fontSize * 0.6 }) // Approximate width
     };
   }
@@ -62,9 +80,8 @@ export class TextPlacer {
     }
 
     let totalWidth = 0;
-    for (let i = 0; i < text.length; i++) {
-      const metrics = ctx.measureText(text[i]);
-      totalWidth += metrics.width;
+    for (const cluster of BidiLayout.visualClusters(text)) {
+      totalWidth += ctx.measureText(cluster).width;
     }
 
     return totalWidth;
@@ -72,13 +89,18 @@ export class TextPlacer {
 
   /**
    * Calculate position and rotation for each character
+   * Characters are laid out from the path start in visual order, so
+   * right-to-left runs in the text read correctly along the curve
    * @param {string} text
    * @param {RiverPath} path
    * @param {number} startIdx
    * @param {number} fontSize
+   * @param {number} startOffset - Arc-length distance from startIdx to the first glyph (default: 0)
+   * @param {number} letterSpacing - Extra advance after each glyph; negative tightens (default: 0)
+   * @param {string} fontFamily - Font spec used to measure glyphs (default: 'Arial')
    * @returns {Array<CharacterPlacement>}
    */
-  placeText(text, path, startIdx, fontSize) {
+  placeText(text, path, startIdx, fontSize, startOffset = 0, letterSpacing = 0, fontFamily = 'Arial') {
     if (!text || text.length === 0) {
       return [];
     }
@@ -91,18 +113,11 @@ export class TextPlacer {
       throw new Error(`Invalid startIdx: ${startIdx} (path has ${path.points.length} points)`);
     }
 
-    const ctx = this.getMeasureContext(fontSize);
     const placements = [];
-    let currentDistance = 0;
+    let currentDistance = startOffset;
 
     // Place each character along the path
-    for (let i = 0; i < text.length; i++) {
-      const char = text[i];
-      
-      // Measure character width
-      const metrics = ctx.measureText(char);
-      const charWidth = metrics.width;
-
+    for (const { char, width: charWidth, kerning } of this._advances(text, fontSize, fontFamily)) {
       // Calculate position at current distance (center of character)
       const position = this.interpolatePosition(path, startIdx, currentDistance + charWidth / 2);
 
@@ -116,12 +131,173 @@ export class TextPlacer {
       });
 
       // Move to next character position
-      currentDistance += charWidth;
+      currentDistance += charWidth + kerning + letterSpacing;
     }
 
     return placements;
   }
 
+  /**
+   * Place a label on a segment so it reads left-to-right and upright
+   * When the segment runs right-to-left on screen, the glyphs are laid out
+   * from endIdx back toward startIdx instead of in vertex order
+   * @param {string} text
+   * @param {RiverPath} path
+   * @param {{startIdx: number, endIdx: number, startOffset?: number, endOffset?: number}} segment -
+   *   startOffset/endOffset (arc length from the path start) narrow the span between the vertices
+   * @param {number} fontSize
+   * @param {Object} options
+   * @param {string} options.orientation - 'auto', 'forward' or 'reversed' (default: 'auto')
+   * @param {string} options.anchor - Part of the text placed at the anchor point:
+   *   'start', 'center' or 'end' (default: 'start')
+   * @param {number} options.offset - Arc length from segment.startIdx, in vertex order, to the
+   *   anchor point (default: the segment's reading start, middle or end to match the anchor)
+   * @param {number} options.letterSpacing - Extra advance between glyphs (default: 0)
+   * @param {string} options.fontFamily - Font spec used to measure glyphs (default: 'Arial')
+   * @returns {{characterPlacements: Array<CharacterPlacement>, orientation: 'forward'|'reversed'}}
+   */
+  placeLabel(text, path, segment, fontSize, options = {}) {
+    const {
+      orientation: requested = 'auto',
+      anchor = 'start',
+      letterSpacing = 0,
+      fontFamily = 'Arial'
+    } = options;
+
+    if (!ORIENTATIONS.includes(requested)) {
+      throw new Error(`Invalid orientation: ${requested} (expected ${ORIENTATIONS.join(', ')})`);
+    }
+
+    if (!ANCHORS.includes(anchor)) {
+      throw new Error(`Invalid anchor: ${anchor} (expected ${ANCHORS.join(', ')})`);
+    }
+
+    const orientation = requested === 'auto'
+      ? this.getReadableOrientation(path, segment.startIdx, segment.endIdx)
+      : requested;
+
+    const { offset } = options;
+    if (offset !== undefined && (typeof offset !== 'number' || !Number.isFinite(offset))) {
+      throw new Error(`Invalid offset: ${offset}`);
+    }
+
+    // Work in reading direction: the reversed path starts reading at segment.endIdx
+    const segmentLength = this._arcLength(path.points, segment.startIdx, segment.endIdx);
+    const readingPath = orientation === 'forward' ? path : this._reversePath(path);
+    const readingStartIdx = orientation === 'forward'
+      ? segment.startIdx
+      : path.points.length - 1 - segment.endIdx;
+
+    // Arc-length candidates cover only part of their enclosing vertex span
+    const spanStart = this._arcLength(path.points, 0, segment.startIdx);
+    const windowStart = segment.startOffset !== undefined ? segment.startOffset - spanStart : 0;
+    const windowEnd = segment.endOffset !== undefined ? segment.endOffset - spanStart : segmentLength;
+    const windowLength = windowEnd - windowStart;
+
+    let anchorDistance = orientation === 'forward'
+      ? windowStart + windowLength * ANCHOR_FRACTIONS[anchor]
+      : segmentLength - windowEnd + windowLength * ANCHOR_FRACTIONS[anchor];
+    if (offset !== undefined) {
+      anchorDistance = orientation === 'forward' ? offset : segmentLength - offset;
+    }
+
+    const textWidth = this._textWidth(text, fontSize, letterSpacing, fontFamily);
+    const textStart = anchorDistance - textWidth * ANCHOR_FRACTIONS[anchor];
+
+    // Text that would begin before the reading start vertex is placed from the
+    // path start instead, clamped so it never runs off the beginning
+    const characterPlacements = textStart >= 0
+      ? this.placeText(text, readingPath, readingStartIdx, fontSize, textStart, letterSpacing, fontFamily)
+      : this.placeText(
+          text,
+          readingPath,
+          0,
+          fontSize,
+          Math.max(0, this._arcLength(readingPath.points, 0, readingStartIdx) + textStart),
+          letterSpacing,
+          fontFamily
+        );
+
+    return { characterPlacements, orientation };
+  }
+
+  /**
+   * Decide which traversal direction keeps text upright
+   * Uses the mean direction of the segment (the chord from start to end);
+   * text is upside down when that direction points leftward on screen
+   * @param {RiverPath} path
+   * @param {number} startIdx
+   * @param {number} endIdx
+   * @returns {'forward'|'reversed'}
+   */
+  getReadableOrientation(path, startIdx, endIdx) {
+    const start = path.points[startIdx];
+    const end = path.points[endIdx];
+
+    if (!start || !end) {
+      throw new Error(`Invalid segment: ${startIdx}-${endIdx} (path has ${path.points.length} points)`);
+    }
+
+    const meanAngle = Math.atan2(end.y - start.y, end.x - start.x);
+
+    return Math.abs(meanAngle) > Math.PI / 2 ? 'reversed' : 'forward';
+  }
+
+  /**
+   * Total advance width of the text at the given font size and letter spacing
+   * @private
+   */
+  _textWidth(text, fontSize, letterSpacing = 0, fontFamily = 'Arial') {
+    const advances = this._advances(text, fontSize, fontFamily);
+    return advances.reduce(
+      (width, advance) => width + advance.width + advance.kerning,
+      letterSpacing * Math.max(0, advances.length - 1)
+    );
+  }
+
+  /**
+   * Width of each grapheme cluster and its kerning with the next one
+   * Clusters are placed as single glyphs, so accents and surrogate pairs stay whole;
+   * they come in visual order with Arabic letters already shaped (see BidiLayout)
+   * Uses the FontBook when it holds the font, otherwise the canvas (no kerning)
+   * @private
+   * @returns {Array<{char: string, width: number, kerning: number}>}
+   */
+  _advances(text, fontSize, fontFamily) {
+    const characters = BidiLayout.visualClusters(text);
+    const font = this.fonts?.find(fontFamily);
+    if (font) {
+      return font.advances(characters, fontSize);
+    }
+
+    const ctx = this.getMeasureContext(fontSize, fontFamily);
+    return characters.map(char => ({ char, width: ctx.measureText(char).width, kerning: 0 }));
+  }
+
+  /**
+   * Arc length between two vertex indices
+   * @private
+   */
+  _arcLength(points, startIdx, endIdx) {
+    let length = 0;
+    for (let i = startIdx; i < endIdx; i++) {
+      length += Math.hypot(points[i + 1].x - points[i].x, points[i + 1].y - points[i].y);
+    }
+    return length;
+  }
+
+  /**
+   * Copy of the path with its vertices in reverse order
+   * @private
+   */
+  _reversePath(path) {
+    return {
+      ...path,
+      points: path.points.slice().reverse(),
+      widths: path.widths ? path.widths.slice().reverse() : path.widths
+    };
+  }
+
   /**
    * Interpolate position along path at specific distance
    * @param {RiverPath} path
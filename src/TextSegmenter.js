@@ -0,0 +1,65 @@
+/**
+ * TextSegmenter
+ * Splits label text into grapheme clusters: what a reader sees as one character,
+ * such as a letter with combining accents, a surrogate pair or an emoji sequence
+ */
+
+// Code points that attach to the preceding one when Intl.Segmenter is unavailable:
+// combining marks, variation selectors, emoji modifiers and tag characters
+const EXTEND = /^[\p{M}\u200C\uFE00-\uFE0F\u{1F3FB}-\u{1F3FF}\u{E0020}-\u{E007F}\u{E0100}-\u{E01EF}]$/u;
+const ZWJ = '\u200D';
+const REGIONAL_INDICATOR = /^[\u{1F1E6}-\u{1F1FF}]$/u;
+
+// Created on first use; shared by every caller
+let segmenter = null;
+
+export class TextSegmenter {
+  /**
+   * Grapheme clusters of a string, in logical order
+   * Uses Intl.Segmenter when the runtime has it, otherwise a simplified set of
+   * the Unicode clustering rules
+   * @param {string} text
+   * @returns {Array<string>}
+   */
+  static graphemes(text) {
+    if (!text) {
+      return [];
+    }
+
+    if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+      segmenter ??= new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+      return Array.from(segmenter.segment(text), part => part.segment);
+    }
+
+    return TextSegmenter._fallbackGraphemes(text);
+  }
+
+  /**
+   * Cluster code points without Intl.Segmenter
+   * @private
+   */
+  static _fallbackGraphemes(text) {
+    const clusters = [];
+    let joinNext = false;
+    let pendingFlag = false;
+
+    for (const codePoint of text) {
+      const last = clusters.length - 1;
+      const isFlagHalf = REGIONAL_INDICATOR.test(codePoint);
+
+      if (last >= 0 && (joinNext || EXTEND.test(codePoint) || codePoint === ZWJ || (isFlagHalf && pendingFlag))) {
+        clusters[last] += codePoint;
+        pendingFlag = false;
+      } else if (last >= 0 && codePoint === '\n' && clusters[last] === '\r') {
+        clusters[last] += codePoint;
+      } else {
+        clusters.push(codePoint);
+        pendingFlag = isFlagHalf;
+      }
+
+      joinNext = codePoint === ZWJ;
+    }
+
+    return clusters;
+  }
+}
@@ -7,7 +7,12 @@ import { RiverPathParser } from './RiverPathParser.js';
 import { GeometryAnalyzer } from './GeometryAnalyzer.js';
 import { PlacementScorer } from './PlacementScorer.js';
 import { TextPlacer } from './TextPlacer.js';
+import { LabelPipeline } from './LabelPipeline.js';
+import { ScenePlacer } from './ScenePlacer.js';
 import { CanvasRenderer } from './CanvasRenderer.js';
+import { FontBook } from './FontBook.js';
+import { ObstacleLayer } from './ObstacleLayer.js';
+import { Projection, PROJECTIONS } from './Projection.js';
 import { exampleRivers } from '../examples/rivers.js';
 const riverData = Object.values(exampleRivers);
 
@@ -16,6 +21,17 @@ const uniqueRiverSegments = riverData.filter(
     index === self.findIndex(s => s.name === segment.name)
 );
 
+// On-screen label size in pixels
+const LABEL_FONT_SIZE = 16;
+
+// Short labels for the built-in score components; custom criteria show their own name
+const SCORE_LABELS = {
+  curvature: 'Curv',
+  width: 'Width',
+  position: 'Pos',
+  straightness: 'Straight'
+};
+
 export class UIController {
   constructor(canvasId, beforeCanvasId) {
     this.canvas = document.getElementById(canvasId);
@@ -25,18 +41,42 @@ export class UIController {
 
     this.beforeCanvas = beforeCanvasId ? document.getElementById(beforeCanvasId) : null;
 
+    // Longitude/latitude input is analyzed in `projection` and drawn in `displayProjection`
+    this.projection = null;
+    this.displayProjection = 'web-mercator';
     this.parser = new RiverPathParser();
     this.analyzer = new GeometryAnalyzer();
-    this.scorer = new PlacementScorer();
-    this.placer = new TextPlacer();
+    // Fonts uploaded by the user; text in them is measured from the font file
+    this.fonts = new FontBook();
+    this.fontFamily = 'Arial';
+    // GeoJSON of features labels keep clear of, projected with each river
+    this.obstacles = null;
+    this.scorer = new PlacementScorer({}, { fonts: this.fonts });
+    this.placer = new TextPlacer({ fonts: this.fonts });
+    this.pipeline = new LabelPipeline({
+      analyzer: this.analyzer,
+      scorer: this.scorer,
+      placer: this.placer
+    });
+    this.scenePlacer = new ScenePlacer({
+      analyzer: this.analyzer,
+      scorer: this.scorer,
+      placer: this.placer,
+      fontSize: 16
+    });
     this.renderer = new CanvasRenderer(this.canvas);
     this.beforeRenderer = this.beforeCanvas ? new CanvasRenderer(this.beforeCanvas) : null;
 
     this.currentRiver = null;
+    // Rivers of a multi-feature upload, labeled together by the ScenePlacer
+    this.currentScene = null;
     this.currentRiverName = 'River Name';
     this.showRejectedAreas = true;
     this.showCandidates = true;
     this.showMetrics = true;
+    this.repeatLabels = false;
+    // Gap between repeated labels, as a fraction of the river length
+    this.repeatSpacing = 0.2;
   }
 
   /**
@@ -62,7 +102,8 @@ export class UIController {
       console.log('WKT preview:', wktString.substring(0, 100));
       
       // Parse WKT data
-      this.currentRiver = this.parser.parse(wktString);
+      this.currentScene = null;
+      this.currentRiver = this.parser.parse(wktString, { projection: this.projection });
       
       if (this.currentRiver instanceof Error) {
         throw this.currentRiver;
@@ -86,12 +127,19 @@ export class UIController {
     try {
       const startTime = performance.now();
 
-      this.currentRiver = this.parser.parse(wktString);
-      if (this.currentRiver instanceof Error) {
-        throw this.currentRiver;
+      const paths = this.parser.parseAll(wktString, { projection: this.projection });
+      const rivers = paths.filter(path => !(path instanceof Error));
+      if (rivers.length === 0) {
+        throw paths[0];
       }
 
-      this.currentRiverName = 'Custom WKT River';
+      // Several features are labeled as one scene so their labels avoid each other
+      this.currentScene = rivers.length > 1 ? rivers : null;
+      this.currentRiver = rivers[0];
+      this.currentRiverName = this.currentRiver.name || 'Custom WKT River';
+      if (this.currentRiver.name) {
+        this._showRiverName();
+      }
       this.renderPipeline(startTime);
       this.clearError();
     } catch (error) {
@@ -115,6 +163,7 @@ export class UIController {
       const startTime = performance.now();
       
       // Parse river data
+      this.currentScene = null;
       this.currentRiver = this.parser.parse(example.coordinates);
       this.currentRiverName = example.name;
       
@@ -148,7 +197,16 @@ export class UIController {
       }
       
       // Parse river data
-      this.currentRiver = this.parser.parse(coordinates);
+      this.currentScene = null;
+      this.currentRiver = this.parser.parse(coordinates, { projection: this.projection });
+      if (this.currentRiver instanceof Error) {
+        throw this.currentRiver;
+      }
+      
+      if (this.currentRiver.name) {
+        this.currentRiverName = this.currentRiver.name;
+        this._showRiverName();
+      }
       
       // Run the full pipeline
       this.renderPipeline(startTime);
@@ -159,6 +217,87 @@ export class UIController {
     }
   }
 
+  /**
+   * Label with an uploaded TrueType/OpenType font
+   * The font is measured from its file and registered with the page so the
+   * canvas draws the same glyphs
+   * @param {ArrayBuffer} buffer - Font file contents
+   * @returns {Promise<void>}
+   */
+  async loadFont(buffer) {
+    try {
+      const font = this.fonts.add(buffer);
+      const weight = String(font.weight);
+
+      if (typeof FontFace !== 'undefined' && typeof document !== 'undefined' && document.fonts) {
+        const face = new FontFace(font.family, buffer, { weight, style: font.style });
+        document.fonts.add(await face.load());
+      }
+
+      this.fontFamily = [font.style !== 'normal' ? font.style : '', weight, `"${font.family}"`]
+        .filter(Boolean)
+        .join(' ');
+      this.scenePlacer.fontFamily = this.fontFamily;
+
+      if (this.currentRiver || this.currentScene) {
+        this.renderPipeline(performance.now());
+      }
+      this.clearError();
+    } catch (error) {
+      this.displayError(`Failed to load font: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load GeoJSON obstacles that labels must keep clear of and re-render
+   * Coordinates are longitude/latitude for projected rivers and planar otherwise
+   * @param {string} text - GeoJSON file contents
+   */
+  loadObstacles(text) {
+    try {
+      const obstacles = JSON.parse(text);
+      // Reject malformed files now instead of on every render
+      new ObstacleLayer(ObstacleLayer.fromGeoJSON(obstacles));
+      this.obstacles = obstacles;
+
+      if (this.currentRiver || this.currentScene) {
+        this.renderPipeline(performance.now());
+      }
+      this.clearError();
+    } catch (error) {
+      this.displayError(`Invalid obstacles file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Choose how the next loaded input is read: null for planar pixel
+   * coordinates, or the projection longitude/latitude input is analyzed in
+   * @param {string|null} name
+   */
+  setProjection(name) {
+    if (name && !PROJECTIONS.includes(name)) {
+      this.displayError(`Unknown projection: ${name}`);
+      return;
+    }
+    this.projection = name || null;
+  }
+
+  /**
+   * Choose the projection longitude/latitude rivers are drawn in and re-render
+   * @param {string} name
+   */
+  setDisplayProjection(name) {
+    if (!PROJECTIONS.includes(name)) {
+      this.displayError(`Unknown display projection: ${name}`);
+      return;
+    }
+    this.displayProjection = name;
+
+    if (this.currentRiver?.projection) {
+      this.renderPipeline(performance.now());
+    }
+  }
+
   /**
    * Update river name and re-render
    * @param {string} name
@@ -196,6 +335,8 @@ export class UIController {
       if (bar) {
         bar.style.display = enabled ? 'flex' : 'none';
       }
+    } else if (option === 'repeat') {
+      this.repeatLabels = enabled;
     }
 
     if (this.currentRiver) {
@@ -208,62 +349,71 @@ export class UIController {
    * @param {number} startTime
    */
   renderPipeline(startTime) {
+    if (this.currentScene) {
+      this.renderScene(startTime);
+      return;
+    }
 
     this.renderer.resizeToParent();
     this.beforeRenderer?.resizeToParent();
 
+    const river = this.currentRiver;
+    const view = this._displayView([river]);
+    const shown = view.paths[0];
+
     // Render "before" view (raw polygon without analysis)
     if (this.beforeRenderer) {
       this.beforeRenderer.clear();
-      this.beforeRenderer.drawRiver(this.currentRiver);
+      this.beforeRenderer.drawRiver(shown, view.strokes(this.beforeRenderer, shown));
     }
 
-    // Analyze geometry
-    const metrics = this.analyzer.analyzeGeometry(this.currentRiver);
-    
-    // Find optimal placement
-    const result = this.scorer.findOptimalPlacement(
-      this.currentRiver,
-      this.currentRiverName,
-      16, // font size
-      metrics
-    );
-    
-    const placement = result.placement;
-    const candidates = result.allCandidates || [];
-    
-    // Place text characters
-    let characterPlacements = [];
-    if (placement && placement.segment) {
-      characterPlacements = this.placer.placeText(
-        this.currentRiverName,
-        this.currentRiver,
-        placement.segment.startIdx,
-        16 // font size
-      );
-    }
+    // Analyze geometry, find optimal placement and place text characters
+    const {
+      metrics,
+      result,
+      placement,
+      candidates,
+      fit,
+      labels
+    } = this.pipeline.run(river, this.currentRiverName, {
+      fontSize: view.fontSize(this.renderer, shown, river),
+      fontFamily: this.fontFamily,
+      repeat: this.repeatLabels
+        ? { spacing: this.currentRiver.length * this.repeatSpacing }
+        : null,
+      obstacles: this._obstaclesFor(river)
+    });
     
     // Render "after" view with analysis and text
+    const strokes = view.strokes(this.renderer, shown);
     this.renderer.clear();
-    this.renderer.drawRiver(this.currentRiver);
+    this.renderer.drawRiver(shown, strokes);
     
     if (this.showRejectedAreas && metrics.rejectedSegments) {
-      this.renderer.drawRejectedAreas(this.currentRiver, metrics.rejectedSegments);
+      this.renderer.drawRejectedAreas(shown, metrics.rejectedSegments, view.overlay(this.renderer, shown, 'lineWidth', 8));
     }
     
     if (this.showCandidates && candidates.length > 0) {
       this.renderer.drawCandidates(
-        this.currentRiver,
-        candidates,
+        shown,
+        candidates.map(candidate => ({ ...candidate, centerPoint: view.point(candidate.centerPoint, river) })),
         placement ? placement.segment : null,
         {
-          showScores: this.showMetrics   // 🔥 checkbox now controls canvas metrics
+          showScores: this.showMetrics,   // 🔥 checkbox now controls canvas metrics
+          ...view.overlay(this.renderer, shown, 'radius', 8)
         }
       );
     }
     
-    if (characterPlacements.length > 0) {
-      this.renderer.drawText(characterPlacements);
+    for (const label of labels) {
+      if (label.characterPlacements.length > 0) {
+        const { characterPlacements, scale } = view.placements(label.characterPlacements, river);
+        this.renderer.drawText(characterPlacements, {
+          fontSize: fit.fontSize * scale,
+          fontFamily: this.fontFamily,
+          ...view.overlay(this.renderer, shown, 'strokeWidth', 3)
+        });
+      }
     }
     
     // Display metrics
@@ -283,6 +433,153 @@ export class UIController {
     }
   }
 
+  /**
+   * Label every river of the current scene together and render them
+   * Rivers without a name use the river name input
+   * @param {number} startTime
+   */
+  renderScene(startTime) {
+    this.renderer.resizeToParent();
+    this.beforeRenderer?.resizeToParent();
+
+    // Draw every river in one shared frame
+    const view = this._displayView(this.currentScene);
+    const bounds = this.scenePlacer.sceneBounds(view.paths);
+    const framed = view.paths.map(path => ({ ...path, bounds }));
+
+    this.scenePlacer.fontSize = view.fontSize(this.renderer, framed[0], this.currentScene[0]);
+    const { labels, unplaced } = this.scenePlacer.place(
+      this.currentScene.map(path => ({
+        path,
+        text: path.name || this.currentRiverName,
+        obstacles: this._obstaclesFor(path)
+      }))
+    );
+
+    if (this.beforeRenderer) {
+      this.beforeRenderer.clear();
+      framed.forEach(path => this.beforeRenderer.drawRiver(path, view.strokes(this.beforeRenderer, path)));
+    }
+
+    this.renderer.clear();
+    framed.forEach(path => this.renderer.drawRiver(path, view.strokes(this.renderer, path)));
+
+    if (this.showRejectedAreas) {
+      framed.forEach((path, index) => {
+        const metrics = this.analyzer.analyzeGeometry(this.currentScene[index]);
+        this.renderer.drawRejectedAreas(path, metrics.rejectedSegments, view.overlay(this.renderer, path, 'lineWidth', 8));
+      });
+    }
+
+    for (const label of labels) {
+      const { characterPlacements, scale } =
+        view.placements(label.characterPlacements, this.currentScene[label.index]);
+      this.renderer.drawText(characterPlacements, {
+        fontSize: label.fit.fontSize * scale,
+        fontFamily: this.fontFamily,
+        ...view.overlay(this.renderer, framed[0], 'strokeWidth', 3)
+      });
+    }
+
+    const processingTime = performance.now() - startTime;
+    const bar = document.getElementById('metrics-bar');
+    if (!bar) return;
+
+    if (!this.showMetrics) {
+      bar.innerHTML = '';
+      bar.style.display = 'none';
+      return;
+    }
+
+    bar.style.display = 'flex';
+    bar.innerHTML = `
+      <div class="metric-col">
+        <div class="metric-title">Performance</div>
+        <div class="metric-value">${processingTime.toFixed(2)} ms</div>
+      </div>
+
+      <div class="metric-col">
+        <div class="metric-title">Labeled Rivers</div>
+        <div class="metric-value">${labels.length} / ${this.currentScene.length}</div>
+      </div>
+
+      <div class="metric-col">
+        <div class="metric-title">Unplaced</div>
+        ${unplaced
+          .map(river => `<div class="metric-sub">${this._escapeHTML(river.text)}: ${this._escapeHTML(river.reason)}</div>`)
+          .join('') || '<div class="metric-sub">—</div>'}
+      </div>
+    `;
+  }
+
+  /**
+   * Loaded obstacles in a river's coordinates
+   * @private
+   * @param {RiverPath} path
+   * @returns {Array<Obstacle>}
+   */
+  _obstaclesFor(path) {
+    return this.obstacles ? ObstacleLayer.fromGeoJSON(this.obstacles, path.projection ?? null) : [];
+  }
+
+  /**
+   * How analysis paths are drawn: planar input as is, projected input moved
+   * into the display projection with sizes converted from screen pixels
+   * @private
+   * @param {Array<RiverPath>} paths - Paths as analyzed
+   */
+  _displayView(paths) {
+    const projected = paths.filter(path => path.projection);
+    if (projected.length === 0) {
+      return {
+        paths,
+        strokes: () => ({}),
+        overlay: () => ({}),
+        fontSize: () => LABEL_FONT_SIZE,
+        point: point => point,
+        placements: characterPlacements => ({ characterPlacements, scale: 1 })
+      };
+    }
+
+    const display = Projection.forPaths(this.displayProjection, projected);
+    const overlay = (renderer, path, key, pixels) => ({ [key]: pixels * renderer.pixelSize(path) });
+
+    return {
+      paths: paths.map(path => path.projection ? Projection.reprojectPath(path, display) : path),
+      strokes: (renderer, path) => ({
+        ...overlay(renderer, path, 'lineWidth', 3),
+        ...overlay(renderer, path, 'strokeWidth', 3)
+      }),
+      overlay,
+      fontSize: (renderer, shown, analyzed) =>
+        LABEL_FONT_SIZE * renderer.pixelSize(shown) * analyzed.length / shown.length,
+      point: (point, river) => Projection.reprojectPoint(point, river.projection, display),
+      placements: (characterPlacements, river) =>
+        Projection.reprojectPlacements(characterPlacements, river.projection, display)
+    };
+  }
+
+  /**
+   * Put the label text in the river name field, when the input supplied it
+   * @private
+   */
+  _showRiverName() {
+    const nameInput = document.getElementById('riverName');
+    if (nameInput) {
+      nameInput.value = this.currentRiverName;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _escapeHTML(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
   /**
    * Display metrics and algorithm explanation
    * @param {GeometryMetrics} metrics
@@ -331,10 +628,12 @@ export class UIController {
 
       <div class="metric-col">
         <div class="metric-title">Score Breakdown</div>
-        <div class="metric-sub">Curv ${placement?.scores?.curvature?.toFixed(1) ?? '–'}</div>
-        <div class="metric-sub">Width ${placement?.scores?.width?.toFixed(1) ?? '–'}</div>
-        <div class="metric-sub">Pos ${placement?.scores?.position?.toFixed(1) ?? '–'}</div>
-        <div class="metric-sub">Straight ${placement?.scores?.straightness?.toFixed(1) ?? '–'}</div>
+        ${Object.entries(placement?.scores ?? {})
+          .map(
+            ([name, score]) =>
+              `<div class="metric-sub">${SCORE_LABELS[name] ?? name} ${score.toFixed(1)}</div>`
+          )
+          .join('') || '<div class="metric-sub">–</div>'}
       </div>
 
       <div class="metric-col">
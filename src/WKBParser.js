@@ -0,0 +1,223 @@
+/**
+ * WKBParser
+ * Decodes Well-Known Binary (WKB) geometry, as stored by databases and sent
+ * over message queues: ISO WKB and PostGIS extended WKB (EWKB) in either byte
+ * order, from bytes or from hex text
+ * Coordinates come out in the same shapes as WKTParser returns them
+ */
+
+// Base geometry type codes
+const GEOMETRY_TYPES = {
+  1: 'POINT',
+  2: 'LINESTRING',
+  3: 'POLYGON',
+  4: 'MULTIPOINT',
+  5: 'MULTILINESTRING',
+  6: 'MULTIPOLYGON'
+};
+
+// Type of the members of each multi geometry
+const MEMBER_TYPES = {
+  MULTIPOINT: 'POINT',
+  MULTILINESTRING: 'LINESTRING',
+  MULTIPOLYGON: 'POLYGON'
+};
+
+// EWKB flags in the high bits of the type code
+const EWKB_Z = 0x80000000;
+const EWKB_M = 0x40000000;
+const EWKB_SRID = 0x20000000;
+
+// Hex text, optionally with PostgreSQL's bytea "\x" prefix; WKB opens with a byte-order byte
+const HEX_WKB = /^(\\x)?0[01]([0-9a-f]{2})+$/i;
+
+export class WKBParser {
+  /**
+   * Whether the input looks like WKB: bytes, or hex text
+   * @param {*} data
+   * @returns {boolean}
+   */
+  isWKB(data) {
+    if (data instanceof Uint8Array || data instanceof ArrayBuffer) {
+      return true;
+    }
+    return typeof data === 'string' && HEX_WKB.test(data.trim());
+  }
+
+  /**
+   * Decode one WKB or EWKB geometry
+   * Polygons yield their rings, exterior first, as [x, y] pairs. Lines yield
+   * [x, y] or [x, y, width]; as in WKT, a Z or M ordinate is read as the width
+   * (M wins for ZM). Points yield [x, y] or [x, y, width]
+   * @param {Uint8Array | ArrayBuffer | string} data - Bytes or hex text
+   * @returns {{type: string, srid: number|null, coordinates: Array}} Upper-case WKT type name
+   */
+  parse(data) {
+    const bytes = this._toBytes(data);
+    const reader = {
+      view: new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength),
+      offset: 0
+    };
+
+    const geometry = this._readGeometry(reader);
+
+    if (reader.offset !== bytes.byteLength) {
+      throw new Error(`Unexpected bytes after geometry at byte ${reader.offset}`);
+    }
+
+    return geometry;
+  }
+
+  /**
+   * @private
+   * @returns {Uint8Array}
+   */
+  _toBytes(data) {
+    if (data instanceof Uint8Array) {
+      return data;
+    }
+    if (data instanceof ArrayBuffer) {
+      return new Uint8Array(data);
+    }
+
+    if (typeof data !== 'string' || !this.isWKB(data)) {
+      throw new Error('Invalid WKB: expected bytes or hex text');
+    }
+
+    const hex = data.trim().replace(/^\\x/, '');
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+    }
+    return bytes;
+  }
+
+  /**
+   * Read a geometry header and body
+   * @private
+   * @param {{view: DataView, offset: number}} reader
+   * @param {string|null} expected - Type required of a multi geometry member
+   */
+  _readGeometry(reader, expected = null) {
+    const byteOrder = this._read(reader, 1, () => reader.view.getUint8(reader.offset));
+    if (byteOrder > 1) {
+      throw new Error(`Invalid byte order ${byteOrder} at byte ${reader.offset - 1}`);
+    }
+    reader.littleEndian = byteOrder === 1;
+
+    const code = this._readUint32(reader);
+    const srid = code & EWKB_SRID ? this._readUint32(reader) : null;
+
+    // ISO WKB adds 1000 for Z, 2000 for M and 3000 for ZM; EWKB sets flag bits
+    const isoCode = code & 0x0FFFFFFF;
+    const dimensions = Math.floor(isoCode / 1000);
+    const type = GEOMETRY_TYPES[isoCode % 1000];
+    const hasZ = Boolean(code & EWKB_Z) || dimensions === 1 || dimensions === 3;
+    const hasM = Boolean(code & EWKB_M) || dimensions === 2 || dimensions === 3;
+
+    if (!type || dimensions > 3) {
+      throw new Error(`Unsupported WKB geometry type ${isoCode}`);
+    }
+    if (expected && type !== expected) {
+      throw new Error(`Expected ${expected} in multi geometry, got ${type}`);
+    }
+
+    const layout = { littleEndian: reader.littleEndian, size: 2 + hasZ + hasM, hasZ, hasM };
+    return { type, srid, coordinates: this._readBody(reader, type, layout) };
+  }
+
+  /**
+   * @private
+   */
+  _readBody(reader, type, layout) {
+    switch (type) {
+      case 'POINT':
+        return this._readPosition(reader, layout);
+
+      case 'LINESTRING':
+        return this._toLine(this._readPositions(reader, layout), type);
+
+      case 'POLYGON': {
+        const rings = Array.from({ length: this._readUint32(reader) }, () =>
+          this._readPositions(reader, layout).map(([x, y]) => [x, y]).filter(isFinitePair)
+        );
+        if (rings.length === 0 || rings[0].length < 3) {
+          throw new Error('POLYGON must have at least 3 coordinates');
+        }
+        // Degenerate holes cannot enclose anything, so they are dropped
+        return [rings[0], ...rings.slice(1).filter(ring => ring.length >= 3)];
+      }
+
+      default: {
+        const members = Array.from({ length: this._readUint32(reader) }, () =>
+          this._readGeometry(reader, MEMBER_TYPES[type]).coordinates
+        );
+        if (members.length === 0) {
+          throw new Error(`${type} must have at least one part`);
+        }
+        return members;
+      }
+    }
+  }
+
+  /**
+   * Line positions with the width ordinate kept, invalid ones skipped
+   * @private
+   */
+  _toLine(positions, label) {
+    const line = positions.filter(isFinitePair);
+    if (line.length < 2) {
+      throw new Error(`${label} must have at least 2 coordinates`);
+    }
+    return line;
+  }
+
+  /**
+   * @private
+   */
+  _readPositions(reader, layout) {
+    return Array.from({ length: this._readUint32(reader) }, () => this._readPosition(reader, layout));
+  }
+
+  /**
+   * One position as [x, y] or [x, y, width]
+   * @private
+   */
+  _readPosition(reader, layout) {
+    const values = [];
+    for (let i = 0; i < layout.size; i++) {
+      values.push(this._read(reader, 8, () => reader.view.getFloat64(reader.offset, layout.littleEndian)));
+    }
+
+    const [x, y] = values;
+    const width = layout.hasM ? values[layout.size - 1] : layout.hasZ ? values[2] : undefined;
+    return width !== undefined && !isNaN(width) ? [x, y, width] : [x, y];
+  }
+
+  /**
+   * @private
+   */
+  _readUint32(reader) {
+    return this._read(reader, 4, () => reader.view.getUint32(reader.offset, reader.littleEndian));
+  }
+
+  /**
+   * Read `length` bytes with `get`, failing clearly on truncated input
+   * @private
+   */
+  _read(reader, length, get) {
+    if (reader.offset + length > reader.view.byteLength) {
+      throw new Error(`WKB ends early at byte ${reader.offset}`);
+    }
+    const value = get();
+    reader.offset += length;
+    return value;
+  }
+}
+
+/**
+ * Empty points are encoded as NaN coordinates
+ */
+function isFinitePair([x, y]) {
+  return !isNaN(x) && !isNaN(y);
+}
@@ -1,172 +1,422 @@
 /**
  * WKTParser
- * Parses Well-Known Text (WKT) format for river polygons
+ * Parses Well-Known Text (WKT) format for river polygons, multipolygons and
+ * (multi)linestring centerlines
+ * PostGIS extended WKT ("SRID=4326;POLYGON(...)") is accepted; see getSRID
  */
 
+import { MedialAxis } from './MedialAxis.js';
+
+// Extended WKT prefix, e.g. "SRID=4326;"
+const SRID_PREFIX = /^\s*SRID\s*=\s*([^;]*);/i;
+
 export class WKTParser {
+  constructor() {
+    this.medialAxis = new MedialAxis();
+  }
+
   /**
    * Parse WKT POLYGON string into coordinate array
+   * Only the exterior ring is returned; use parsePolygonRings for holes
    * @param {string} wktString - WKT format string (e.g., "POLYGON((x1 y1, x2 y2, ...))")
    * @returns {Array<Array<number>>} Array of [x, y] coordinates
    */
   parsePolygon(wktString) {
+    return this.parsePolygonRings(wktString)[0];
+  }
+
+  /**
+   * Parse WKT POLYGON string into all of its rings
+   * @param {string} wktString - WKT format string (e.g., "POLYGON((outer...), (hole...))")
+   * @returns {Array<Array<Array<number>>>} Exterior ring first, followed by interior rings (islands)
+   */
+  parsePolygonRings(wktString) {
     if (!wktString || typeof wktString !== 'string') {
       throw new Error('Invalid WKT string');
     }
 
     // Remove all line breaks and normalize whitespace
-    const normalized = wktString
-      .replace(/\r?\n/g, ' ')  // Replace line breaks with spaces
-      .replace(/\s+/g, ' ')     // Replace multiple spaces with single space
-      .trim();
+    const normalized = this._normalize(wktString);
 
     // Check if it's a POLYGON
-    if (!normalized.toUpperCase().startsWith('POLYGON')) {
+    if (this.getGeometryType(normalized) !== 'POLYGON') {
       throw new Error('Only POLYGON geometry is supported');
     }
 
-    // Extract coordinates between the outermost parentheses
-    // POLYGON((x1 y1, x2 y2, ...))
-    const match = normalized.match(/POLYGON\s*\(\s*\((.*?)\)\s*\)/i);
-    
-    if (!match || !match[1]) {
+    let rings;
+    try {
+      rings = this._parseCoordinateTree(this._geometryBody(normalized, 'POLYGON'));
+    } catch (error) {
+      // Several concatenated polygons are read by splitGeometries, not here
+      if (error.message.startsWith('Unexpected characters')) {
+        throw new Error(`${error.message}; use MULTIPOLYGON for several polygons`);
+      }
       throw new Error('Invalid POLYGON format');
     }
 
-    const coordString = match[1];
-    
-    // Split by comma to get individual coordinate pairs
-    const pairs = coordString.split(',');
-    
-    const coordinates = [];
-    
-    for (const pair of pairs) {
-      // Split by whitespace to get x and y
-      const parts = pair.trim().split(/\s+/);
-      
-      if (parts.length >= 2) {
-        const x = parseFloat(parts[0]);
-        const y = parseFloat(parts[1]);
-        
-        if (!isNaN(x) && !isNaN(y)) {
-          coordinates.push([x, y]);
+    return this._toRings(rings, 'POLYGON');
+  }
+
+  /**
+   * Parse WKT MULTIPOLYGON string into one coordinate array per part
+   * Only the exterior ring of each part is returned; use parseMultiPolygonRings for holes
+   * @param {string} wktString - WKT format string (e.g., "MULTIPOLYGON(((x1 y1, ...)), ((x1 y1, ...)))")
+   * @returns {Array<Array<Array<number>>>} Array of parts, each an array of [x, y] coordinates
+   */
+  parseMultiPolygon(wktString) {
+    return this.parseMultiPolygonRings(wktString).map(rings => rings[0]);
+  }
+
+  /**
+   * Parse WKT MULTIPOLYGON string into the rings of every part
+   * @param {string} wktString
+   * @returns {Array<Array<Array<Array<number>>>>} Array of parts, each exterior ring first followed by holes
+   */
+  parseMultiPolygonRings(wktString) {
+    if (!wktString || typeof wktString !== 'string') {
+      throw new Error('Invalid WKT string');
+    }
+
+    const normalized = this._normalize(wktString);
+
+    if (this.getGeometryType(normalized) !== 'MULTIPOLYGON') {
+      throw new Error('Expected MULTIPOLYGON geometry');
+    }
+
+    const body = this._geometryBody(normalized, 'MULTIPOLYGON');
+    const polygons = this._parseCoordinateTree(body);
+
+    const parts = polygons.map(polygon => this._toRings(polygon, 'MULTIPOLYGON part'));
+
+    if (parts.length === 0) {
+      throw new Error('MULTIPOLYGON must have at least one part');
+    }
+
+    return parts;
+  }
+
+  /**
+   * Parse WKT LINESTRING string into a centerline coordinate array
+   * A Z or M ordinate is read as the river width at that vertex (M wins for ZM)
+   * @param {string} wktString - WKT format string (e.g., "LINESTRING(x1 y1, x2 y2, ...)" or "LINESTRING Z (x1 y1 w1, ...)")
+   * @returns {Array<Array<number>>} Array of [x, y] or [x, y, width] coordinates
+   */
+  parseLineString(wktString) {
+    if (!wktString || typeof wktString !== 'string') {
+      throw new Error('Invalid WKT string');
+    }
+
+    const normalized = this._normalize(wktString);
+
+    if (this.getGeometryType(normalized) !== 'LINESTRING') {
+      throw new Error('Expected LINESTRING geometry');
+    }
+
+    const tuples = this._parseCoordinateTree(this._geometryBody(normalized, 'LINESTRING'));
+    return this._toLineCoordinates(tuples, 'LINESTRING');
+  }
+
+  /**
+   * Parse WKT MULTILINESTRING string into one coordinate array per line
+   * @param {string} wktString - WKT format string (e.g., "MULTILINESTRING((x1 y1, ...), (x1 y1, ...))")
+   * @returns {Array<Array<Array<number>>>} Array of lines, each of [x, y] or [x, y, width] coordinates
+   */
+  parseMultiLineString(wktString) {
+    if (!wktString || typeof wktString !== 'string') {
+      throw new Error('Invalid WKT string');
+    }
+
+    const normalized = this._normalize(wktString);
+
+    if (this.getGeometryType(normalized) !== 'MULTILINESTRING') {
+      throw new Error('Expected MULTILINESTRING geometry');
+    }
+
+    const lines = this._parseCoordinateTree(this._geometryBody(normalized, 'MULTILINESTRING'));
+
+    if (lines.length === 0) {
+      throw new Error('MULTILINESTRING must have at least one line');
+    }
+
+    return lines.map(line => this._toLineCoordinates(line, 'MULTILINESTRING line'));
+  }
+
+  /**
+   * Read the geometry type keyword at the start of a WKT string
+   * @param {string} wktString
+   * @returns {string} Upper-case geometry type (e.g., "POLYGON", "MULTIPOLYGON")
+   */
+  getGeometryType(wktString) {
+    if (!wktString || typeof wktString !== 'string') {
+      throw new Error('Invalid WKT string');
+    }
+
+    const match = this._stripSRID(wktString).trim().match(/^([A-Za-z]+)/);
+    return match ? match[1].toUpperCase() : '';
+  }
+
+  /**
+   * Split text holding several WKT geometries one after another, as some
+   * exports write one POLYGON per reach, into one string per geometry
+   * Each keeps the SRID prefix of the whole text
+   * @param {string} wktString
+   * @returns {Array<string>} A single element for ordinary WKT
+   */
+  splitGeometries(wktString) {
+    if (!wktString || typeof wktString !== 'string') {
+      throw new Error('Invalid WKT string');
+    }
+
+    const prefix = wktString.match(SRID_PREFIX)?.[0] ?? '';
+    const text = this._stripSRID(wktString);
+    const geometries = [];
+    let depth = 0;
+    let start = 0;
+
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === '(') {
+        depth++;
+      } else if (text[i] === ')') {
+        depth--;
+        if (depth < 0) {
+          throw new Error(`Unbalanced parentheses at position ${i}`);
+        }
+        if (depth === 0) {
+          geometries.push(text.slice(start, i + 1).trim());
+          start = i + 1;
         }
       }
     }
 
-    if (coordinates.length < 3) {
-      throw new Error('POLYGON must have at least 3 coordinates');
+    // An unclosed geometry is kept so that parsing it reports what is wrong
+    const rest = text.slice(start).trim();
+    if (rest.length > 0) {
+      if (geometries.length > 0 && !rest.includes('(')) {
+        throw new Error(`Unexpected characters after geometry: "${rest.slice(0, 20)}"`);
+      }
+      geometries.push(rest);
     }
 
-    return coordinates;
+    return geometries.map(geometry => prefix + geometry);
+  }
+
+  /**
+   * Read the SRID of an extended WKT string
+   * @param {string} wktString - e.g. "SRID=4326;LINESTRING(...)"
+   * @returns {number|null} The SRID, or null for plain WKT
+   */
+  getSRID(wktString) {
+    if (!wktString || typeof wktString !== 'string') {
+      throw new Error('Invalid WKT string');
+    }
+
+    const match = wktString.match(SRID_PREFIX);
+    if (!match) {
+      return null;
+    }
+
+    const srid = match[1].trim();
+    if (!/^\d+$/.test(srid)) {
+      throw new Error(`Invalid SRID "${srid}"`);
+    }
+
+    return Number(srid);
   }
 
   /**
    * Extract centerline from polygon boundary
-   * Uses a simplified approach: finds the medial axis by sampling points
+   * Follows the polygon's medial axis, so meanders and sharp turns keep the
+   * line mid-channel; widths are inscribed-circle diameters, which exclude islands
    * @param {Array<Array<number>>} polygonCoords - Polygon boundary coordinates
+   * @param {Array<Array<Array<number>>>} holes - Interior rings (islands)
    * @returns {Array<Array<number>>} Centerline coordinates with estimated widths
    */
-  extractCenterline(polygonCoords) {
+  extractCenterline(polygonCoords, holes = []) {
     if (!polygonCoords || polygonCoords.length < 3) {
       throw new Error('Invalid polygon coordinates');
     }
 
-    // For a river polygon, we'll use a simplified approach:
-    // 1. Find the longest dimension (length of river)
-    // 2. Sample points along that dimension
-    // 3. For each sample, find the center between opposite banks
-
-    // Calculate bounding box
-    let minX = Infinity, maxX = -Infinity;
-    let minY = Infinity, maxY = -Infinity;
-    
-    for (const [x, y] of polygonCoords) {
-      minX = Math.min(minX, x);
-      maxX = Math.max(maxX, x);
-      minY = Math.min(minY, y);
-      maxY = Math.max(maxY, y);
-    }
-
-    const width = maxX - minX;
-    const height = maxY - minY;
-
-    // Determine primary direction (horizontal or vertical)
-    const isHorizontal = width > height;
-
-    // Sample along the primary direction
-    const numSamples = Math.min(100, Math.floor(polygonCoords.length / 2));
-    const centerline = [];
-
-    if (isHorizontal) {
-      // Sample along X axis
-      for (let i = 0; i < numSamples; i++) {
-        const x = minX + (width * i) / (numSamples - 1);
-        const intersections = this._findIntersections(polygonCoords, x, 'vertical');
-        
-        if (intersections.length >= 2) {
-          // Find center between top and bottom
-          const yValues = intersections.map(p => p.y).sort((a, b) => a - b);
-          const centerY = (yValues[0] + yValues[yValues.length - 1]) / 2;
-          const riverWidth = yValues[yValues.length - 1] - yValues[0];
-          
-          centerline.push([x, centerY, riverWidth]);
-        }
-      }
-    } else {
-      // Sample along Y axis
-      for (let i = 0; i < numSamples; i++) {
-        const y = minY + (height * i) / (numSamples - 1);
-        const intersections = this._findIntersections(polygonCoords, y, 'horizontal');
-        
-        if (intersections.length >= 2) {
-          // Find center between left and right
-          const xValues = intersections.map(p => p.x).sort((a, b) => a - b);
-          const centerX = (xValues[0] + xValues[xValues.length - 1]) / 2;
-          const riverWidth = xValues[xValues.length - 1] - xValues[0];
-          
-          centerline.push([centerX, y, riverWidth]);
-        }
-      }
-    }
+    const centerline = this.medialAxis.extract(polygonCoords, holes);
 
     // Smooth the centerline
     return this._smoothCenterline(centerline);
   }
 
   /**
-   * Find intersections of a line with the polygon
+   * Remove line breaks and collapse whitespace
    * @private
    */
-  _findIntersections(polygonCoords, value, direction) {
-    const intersections = [];
-    
-    for (let i = 0; i < polygonCoords.length; i++) {
-      const p1 = polygonCoords[i];
-      const p2 = polygonCoords[(i + 1) % polygonCoords.length];
-      
-      if (direction === 'vertical') {
-        // Vertical line at x = value
-        if ((p1[0] <= value && p2[0] >= value) || (p1[0] >= value && p2[0] <= value)) {
-          if (p2[0] !== p1[0]) {
-            const t = (value - p1[0]) / (p2[0] - p1[0]);
-            const y = p1[1] + t * (p2[1] - p1[1]);
-            intersections.push({ x: value, y });
+  _normalize(wktString) {
+    return this._stripSRID(wktString)
+      .replace(/\r?\n/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Remove an extended WKT SRID prefix
+   * @private
+   */
+  _stripSRID(wktString) {
+    return wktString.replace(SRID_PREFIX, '');
+  }
+
+  /**
+   * Strip the geometry keyword and any Z / M / ZM dimension tag
+   * @private
+   * @param {string} normalized - Normalized WKT string
+   * @param {string} geometryType
+   * @returns {string} The parenthesized coordinate body
+   */
+  _geometryBody(normalized, geometryType) {
+    return normalized
+      .slice(geometryType.length)
+      .trim()
+      .replace(/^(ZM|Z|M)\s*(?=\()/i, '');
+  }
+
+  /**
+   * Convert parsed line tuples to [x, y] or [x, y, width] coordinates
+   * @private
+   * @param {Array} tuples
+   * @param {string} label - Geometry name used in error messages
+   * @returns {Array<Array<number>>}
+   */
+  _toLineCoordinates(tuples, label) {
+    if (!Array.isArray(tuples) || tuples.some(tuple => !Array.isArray(tuple) || Array.isArray(tuple[0]))) {
+      throw new Error(`Invalid ${label} format`);
+    }
+
+    const coordinates = [];
+
+    for (const tuple of tuples) {
+      const [x, y] = tuple;
+      if (tuple.length < 2 || isNaN(x) || isNaN(y)) {
+        continue;
+      }
+
+      // XYZ / XYM carry width in the third ordinate, XYZM in the fourth
+      const width = tuple.length >= 4 ? tuple[3] : tuple[2];
+      coordinates.push(width !== undefined && !isNaN(width) ? [x, y, width] : [x, y]);
+    }
+
+    if (coordinates.length < 2) {
+      throw new Error(`${label} must have at least 2 coordinates`);
+    }
+
+    return coordinates;
+  }
+
+  /**
+   * Parse a parenthesized WKT coordinate body into nested arrays
+   * e.g. "((1 2, 3 4), (5 6, 7 8))" -> [[[1, 2], [3, 4]], [[5, 6], [7, 8]]]
+   * @private
+   * @param {string} text
+   * @returns {Array} Nested arrays whose leaves are numeric coordinate tuples
+   */
+  _parseCoordinateTree(text) {
+    let pos = 0;
+
+    const skipWhitespace = () => {
+      while (pos < text.length && /\s/.test(text[pos])) {
+        pos++;
+      }
+    };
+
+    const parseList = () => {
+      skipWhitespace();
+
+      if (text[pos] !== '(') {
+        throw new Error(`Expected "(" at position ${pos}`);
+      }
+      pos++;
+
+      const items = [];
+
+      while (true) {
+        skipWhitespace();
+
+        if (text[pos] === '(') {
+          items.push(parseList());
+        } else {
+          // Read a coordinate tuple up to the next separator
+          const start = pos;
+          while (pos < text.length && text[pos] !== ',' && text[pos] !== ')' && text[pos] !== '(') {
+            pos++;
           }
+          const tuple = text.slice(start, pos).trim();
+          items.push(tuple.length > 0 ? tuple.split(/\s+/).map(parseFloat) : []);
         }
-      } else {
-        // Horizontal line at y = value
-        if ((p1[1] <= value && p2[1] >= value) || (p1[1] >= value && p2[1] <= value)) {
-          if (p2[1] !== p1[1]) {
-            const t = (value - p1[1]) / (p2[1] - p1[1]);
-            const x = p1[0] + t * (p2[0] - p1[0]);
-            intersections.push({ x, y: value });
-          }
+
+        skipWhitespace();
+
+        if (text[pos] === ',') {
+          pos++;
+        } else if (text[pos] === ')') {
+          pos++;
+          return items;
+        } else {
+          throw new Error(`Unbalanced parentheses at position ${pos}`);
         }
       }
+    };
+
+    const tree = parseList();
+    skipWhitespace();
+
+    if (pos < text.length) {
+      throw new Error(`Unexpected characters after geometry at position ${pos}`);
     }
-    
-    return intersections;
+
+    return tree;
+  }
+
+  /**
+   * Convert parsed coordinate tuples to [x, y] pairs, skipping invalid ones
+   * @private
+   */
+  _toCoordinates(tuples) {
+    const coordinates = [];
+
+    for (const tuple of tuples) {
+      if (!Array.isArray(tuple) || tuple.length < 2) {
+        continue;
+      }
+
+      const [x, y] = tuple;
+
+      if (typeof x === 'number' && typeof y === 'number' && !isNaN(x) && !isNaN(y)) {
+        coordinates.push([x, y]);
+      }
+    }
+
+    return coordinates;
+  }
+
+  /**
+   * Convert parsed rings to coordinate arrays, validating the exterior ring
+   * @private
+   * @param {Array} rings - Parsed ring tuples, exterior first
+   * @param {string} label - Geometry name used in error messages
+   * @returns {Array<Array<Array<number>>>}
+   */
+  _toRings(rings, label) {
+    if (!Array.isArray(rings) || !Array.isArray(rings[0]) || !Array.isArray(rings[0][0])) {
+      throw new Error(`Invalid ${label} format`);
+    }
+
+    const exterior = this._toCoordinates(rings[0]);
+
+    if (exterior.length < 3) {
+      throw new Error(`${label} must have at least 3 coordinates`);
+    }
+
+    // Degenerate holes cannot enclose anything, so they are dropped
+    const holes = rings.slice(1)
+      .map(ring => this._toCoordinates(ring))
+      .filter(ring => ring.length >= 3);
+
+    return [exterior, ...holes];
   }
 
   /**
@@ -0,0 +1,170 @@
+/**
+ * XMLParser
+ * Reads XML text into a tree of plain element objects, enough for the KML and
+ * GPX importers; runs without a DOM so the command-line tool can use it too
+ * Element names lose their namespace prefix ("kml:Placemark" becomes "Placemark")
+ */
+
+// Character references for the five predefined entities
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// Start tag with its attributes, matched in place (sticky) at a given position
+const START_TAG = /<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+
+export class XMLParser {
+  /**
+   * Parse an XML document
+   * @param {string} text
+   * @returns {{name: string, attributes: Object<string, string>, children: Array, text: string}}
+   *   The root element; `children` holds child elements and `text` the text directly inside
+   */
+  parse(text) {
+    if (typeof text !== 'string') {
+      throw new Error('Invalid XML: expected text');
+    }
+
+    const root = { name: '#document', attributes: {}, children: [], text: '' };
+    const stack = [root];
+    let pos = 0;
+
+    while (pos < text.length) {
+      const open = text.indexOf('<', pos);
+      const top = stack[stack.length - 1];
+
+      if (open === -1) {
+        top.text += decodeEntities(text.slice(pos));
+        break;
+      }
+      top.text += decodeEntities(text.slice(pos, open));
+
+      if (text.startsWith('<!--', open)) {
+        pos = this._skipPast(text, open, '-->');
+      } else if (text.startsWith('<![CDATA[', open)) {
+        const end = this._skipPast(text, open, ']]>');
+        top.text += text.slice(open + '<![CDATA['.length, end - ']]>'.length);
+        pos = end;
+      } else if (text.startsWith('<?', open)) {
+        pos = this._skipPast(text, open, '?>');
+      } else if (text.startsWith('<!', open)) {
+        // DOCTYPE, possibly with an internal subset in brackets
+        const bracket = text.indexOf('[', open);
+        const close = text.indexOf('>', open);
+        pos = bracket !== -1 && bracket < close
+          ? this._skipPast(text, bracket, ']>')
+          : this._skipPast(text, open, '>');
+      } else if (text[open + 1] === '/') {
+        const end = this._skipPast(text, open, '>');
+        const name = localName(text.slice(open + 2, end - 1).trim());
+        if (stack.length === 1 || top.name !== name) {
+          throw new Error(`Unexpected closing tag </${name}> at position ${open}`);
+        }
+        stack.pop();
+        pos = end;
+      } else {
+        const { element, selfClosing, end } = this._readStartTag(text, open);
+        top.children.push(element);
+        if (!selfClosing) {
+          stack.push(element);
+        }
+        pos = end;
+      }
+    }
+
+    if (stack.length > 1) {
+      throw new Error(`Unclosed element <${stack[stack.length - 1].name}>`);
+    }
+    if (root.children.length !== 1) {
+      throw new Error('XML document must have exactly one root element');
+    }
+
+    return root.children[0];
+  }
+
+  /**
+   * @private
+   */
+  _readStartTag(text, open) {
+    START_TAG.lastIndex = open;
+    const tag = START_TAG.exec(text);
+    if (!tag) {
+      throw new Error(`Malformed tag at position ${open}`);
+    }
+
+    const attributes = {};
+    for (const [, name, double, single] of tag[2].matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+      attributes[localName(name)] = decodeEntities(double ?? single);
+    }
+
+    return {
+      element: { name: localName(tag[1]), attributes, children: [], text: '' },
+      selfClosing: tag[3] === '/',
+      end: open + tag[0].length
+    };
+  }
+
+  /**
+   * Position just after the next `terminator`
+   * @private
+   */
+  _skipPast(text, from, terminator) {
+    const index = text.indexOf(terminator, from);
+    if (index === -1) {
+      throw new Error(`Unterminated markup at position ${from}`);
+    }
+    return index + terminator.length;
+  }
+
+  /**
+   * Child elements with the given name
+   * @param {Object} element
+   * @param {string} name
+   * @returns {Array<Object>}
+   */
+  children(element, name) {
+    return element.children.filter(child => child.name === name);
+  }
+
+  /**
+   * Text of the first child element with the given name, trimmed
+   * @param {Object} element
+   * @param {string} name
+   * @returns {string|null}
+   */
+  childText(element, name) {
+    const child = element.children.find(item => item.name === name);
+    return child ? child.text.trim() : null;
+  }
+
+  /**
+   * Descendant elements with the given name, in document order
+   * Matches are not searched further, so nested elements of the same name are skipped
+   * @param {Object} element
+   * @param {string} name
+   * @returns {Array<Object>}
+   */
+  descendants(element, name) {
+    return element.children.flatMap(child =>
+      child.name === name ? [child] : this.descendants(child, name)
+    );
+  }
+}
+
+/**
+ * Strip a namespace prefix
+ */
+function localName(name) {
+  return name.slice(name.indexOf(':') + 1);
+}
+
+/**
+ * Replace entity and character references
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (reference, body) => {
+    if (body[0] === '#') {
+      const code = body[1] === 'x' || body[1] === 'X' ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[body] ?? reference;
+  });
+}
@@ -0,0 +1,134 @@
+/**
+ * ZipReader
+ * Lists and extracts the files of a zip archive held in memory, e.g. a zipped
+ * shapefile; stored and deflated entries are supported, zip64 and encryption are not
+ */
+
+import { Inflate } from './Inflate.js';
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+// The end record is 22 bytes, followed by a comment of up to 65535 bytes
+const END_RECORD_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xFFFF;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+export class ZipReader {
+  /**
+   * @param {Uint8Array | ArrayBuffer} data - The whole archive
+   */
+  constructor(data) {
+    this.bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+    if (!ZipReader.isZip(this.bytes)) {
+      throw new Error('Not a zip archive');
+    }
+
+    this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+    this.entries = this._readCentralDirectory();
+  }
+
+  /**
+   * Whether the bytes start with a zip local file header
+   * @param {*} data
+   * @returns {boolean}
+   */
+  static isZip(data) {
+    const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+    return bytes instanceof Uint8Array && bytes.length >= 4 &&
+      (bytes[0] | (bytes[1] << 8) | (bytes[2] << 16) | (bytes[3] << 24)) === LOCAL_HEADER;
+  }
+
+  /**
+   * Contents of one file in the archive
+   * @param {string} name - Path as listed in `entries`
+   * @returns {Uint8Array}
+   */
+  read(name) {
+    const entry = this.entries.find(item => item.name === name);
+    if (!entry) {
+      throw new Error(`No ${name} in zip archive`);
+    }
+
+    const header = entry.localHeaderOffset;
+    if (header + 30 > this.bytes.length || this.view.getUint32(header, true) !== LOCAL_HEADER) {
+      throw new Error(`Corrupt zip entry ${name}`);
+    }
+
+    // The local header repeats the name and may have its own extra field
+    const start = header + 30 + this.view.getUint16(header + 26, true) + this.view.getUint16(header + 28, true);
+    const data = this.bytes.subarray(start, start + entry.compressedSize);
+    if (data.length !== entry.compressedSize) {
+      throw new Error(`Zip entry ${name} ends early`);
+    }
+
+    const contents = entry.method === METHOD_STORED ? data.slice() : Inflate.inflate(data, entry.size);
+    if (contents.length !== entry.size) {
+      throw new Error(`Zip entry ${name} has the wrong size`);
+    }
+    return contents;
+  }
+
+  /**
+   * @private
+   * @returns {Array<{name: string, size: number, compressedSize: number, method: number, localHeaderOffset: number}>}
+   */
+  _readCentralDirectory() {
+    const end = this._findEndRecord();
+    const count = this.view.getUint16(end + 10, true);
+    let offset = this.view.getUint32(end + 16, true);
+    const decoder = new TextDecoder();
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+      if (offset + 46 > this.bytes.length || this.view.getUint32(offset, true) !== CENTRAL_HEADER) {
+        throw new Error('Corrupt zip central directory');
+      }
+
+      const flags = this.view.getUint16(offset + 8, true);
+      const method = this.view.getUint16(offset + 10, true);
+      const compressedSize = this.view.getUint32(offset + 20, true);
+      const size = this.view.getUint32(offset + 24, true);
+      const nameLength = this.view.getUint16(offset + 28, true);
+      const extraLength = this.view.getUint16(offset + 30, true);
+      const commentLength = this.view.getUint16(offset + 32, true);
+      const localHeaderOffset = this.view.getUint32(offset + 42, true);
+      const name = decoder.decode(this.bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+      if (flags & 1) {
+        throw new Error(`Zip entry ${name} is encrypted`);
+      }
+      if (compressedSize === 0xFFFFFFFF || size === 0xFFFFFFFF || localHeaderOffset === 0xFFFFFFFF) {
+        throw new Error('Zip64 archives are not supported');
+      }
+      if (method !== METHOD_STORED && method !== METHOD_DEFLATE) {
+        throw new Error(`Zip entry ${name} uses unsupported compression method ${method}`);
+      }
+
+      // Directories carry no data
+      if (!name.endsWith('/')) {
+        entries.push({ name, size, compressedSize, method, localHeaderOffset });
+      }
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+  }
+
+  /**
+   * Offset of the end of central directory record, searching back past any comment
+   * @private
+   */
+  _findEndRecord() {
+    const stop = Math.max(0, this.bytes.length - END_RECORD_SIZE - MAX_COMMENT_SIZE);
+    for (let offset = this.bytes.length - END_RECORD_SIZE; offset >= stop; offset--) {
+      if (this.view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) {
+        return offset;
+      }
+    }
+    throw new Error('Zip archive has no central directory');
+  }
+}
@@ -76,12 +76,59 @@ document.getElementById('showMetrics')?.addEventListener('change', (e) => {
   uiController.toggleVisualization('metrics', e.target.checked);
 });
 
+document.getElementById('repeatLabels')?.addEventListener('change', (e) => {
+  uiController.toggleVisualization('repeat', e.target.checked);
+});
+
+// Binary WKB and zipped Shapefiles are passed on as bytes; hex WKB arrives as
+// text like WKT
+async function loadRiverFile(file) {
+  const contents = /\.(wkb|zip)$/i.test(file.name)
+    ? new Uint8Array(await file.arrayBuffer())
+    : await file.text();
+  uiController.loadWKTFromString(contents);
+}
+
 document.getElementById('wktFileInput')?.addEventListener('change', async (e) => {
   const file = e.target.files[0];
   if (!file) return;
 
-  const text = await file.text();
-  uiController.loadWKTFromString(text);
+  await loadRiverFile(file);
+});
+
+// River files can also be dropped anywhere on the page
+document.addEventListener('dragover', (e) => {
+  e.preventDefault();
+});
+
+document.addEventListener('drop', async (e) => {
+  e.preventDefault();
+  const file = e.dataTransfer?.files[0];
+  if (!file) return;
+
+  await loadRiverFile(file);
+});
+
+document.getElementById('fontFileInput')?.addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  await uiController.loadFont(await file.arrayBuffer());
+});
+
+document.getElementById('obstacleFileInput')?.addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  uiController.loadObstacles(await file.text());
+});
+
+document.getElementById('projectionSelect')?.addEventListener('change', (e) => {
+  uiController.setProjection(e.target.value);
+});
+
+document.getElementById('displayProjectionSelect')?.addEventListener('change', (e) => {
+  uiController.setDisplayProjection(e.target.value);
 });
 
 
@@ -0,0 +1,288 @@
+// @vitest-environment node
+
+/**
+ * Tests for BatchLabeler
+ * Runs in the plain Node environment, as the command-line tool does
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, writeFile, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { BatchLabeler } from '../src/BatchLabeler.js';
+import { buildWKB } from './wkbBuilder.js';
+import { buildShapefile, buildZip } from './shapefileBuilder.js';
+
+describe('BatchLabeler', () => {
+  let dir;
+
+  const straightLine = Array.from({ length: 20 }, (_, i) => [i * 20, 100, 20]);
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'batch-labeler-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should reject unknown output formats', () => {
+    expect(() => new BatchLabeler({ formats: ['png'] })).toThrow('Unknown output format: png');
+  });
+
+  it('should reject unknown anchors and alignments', () => {
+    expect(() => new BatchLabeler({ anchor: 'middle' })).toThrow('Unknown anchor: middle');
+    expect(() => new BatchLabeler({ align: 'left' })).toThrow('Unknown align: left');
+    expect(() => new BatchLabeler({ scene: 'random' })).toThrow('Unknown scene strategy: random');
+  });
+
+  it('should reject repeating labels in a scene', () => {
+    expect(() => new BatchLabeler({ scene: 'greedy', repeat: { spacing: 100 } }))
+      .toThrow('Scene labeling places one label per river; it cannot be combined with repeat');
+  });
+
+  it('should label coordinate JSON and write every requested format', async () => {
+    const file = join(dir, 'straight.json');
+    await writeFile(file, JSON.stringify(straightLine));
+
+    const labeler = new BatchLabeler({ formats: ['json', 'geojson', 'svg'], name: 'Tiber' });
+    const report = await labeler.run([file]);
+
+    expect(report).toMatchObject({ processed: 1, succeeded: 1, failed: 0, failures: [] });
+    expect(report.outputs).toEqual([
+      join(dir, 'straight.labels.json'),
+      join(dir, 'straight.labels.geojson'),
+      join(dir, 'straight.svg')
+    ]);
+
+    const [river] = JSON.parse(await readFile(join(dir, 'straight.labels.json'), 'utf8'));
+    expect(river.text).toBe('Tiber');
+    expect(river.characters).toHaveLength(5);
+    expect(river.placement.scores).toHaveProperty('curvature');
+
+    const geojson = JSON.parse(await readFile(join(dir, 'straight.labels.geojson'), 'utf8'));
+    expect(geojson.features).toHaveLength(6);
+
+    const svg = await readFile(join(dir, 'straight.svg'), 'utf8');
+    expect(svg).toContain('<svg');
+  });
+
+  it('should take label text from GeoJSON features and label each one', async () => {
+    const file = join(dir, 'network.geojson');
+    const feature = (name, y) => ({
+      type: 'Feature',
+      properties: { NAME: name },
+      geometry: { type: 'LineString', coordinates: straightLine.map(([x]) => [x, y]) }
+    });
+    await writeFile(file, JSON.stringify({
+      type: 'FeatureCollection',
+      features: [feature('Main', 0), feature('Fork', 200)]
+    }));
+
+    const labeler = new BatchLabeler({ nameProperty: 'NAME', outDir: join(dir, 'out') });
+    const { rivers } = await labeler.labelFile(file);
+
+    expect(rivers.map(river => river.text)).toEqual(['Main', 'Fork']);
+  });
+
+  it('should read binary WKB files', async () => {
+    const file = join(dir, 'danube.wkb');
+    await writeFile(file, buildWKB({ type: 2, coordinates: straightLine, z: true }));
+
+    const { rivers, failures } = await new BatchLabeler().labelFile(file);
+
+    expect(failures).toEqual([]);
+    expect(rivers[0].text).toBe('danube');
+  });
+
+  it('should take label text from KML placemark names', async () => {
+    const file = join(dir, 'survey.kml');
+    const coordinates = Array.from({ length: 20 }, (_, i) => `${10 + i * 0.01},60`).join(' ');
+    await writeFile(file, `<kml><Placemark><name>Glomma</name><ExtendedData><Data name="width"><value>200</value></Data></ExtendedData>
+      <LineString><coordinates>${coordinates}</coordinates></LineString></Placemark></kml>`);
+
+    const { rivers, failures } = await new BatchLabeler({ fontSize: 100 }).labelFile(file);
+
+    expect(failures).toEqual([]);
+    expect(rivers[0].text).toBe('Glomma');
+  });
+
+  it('should read shapefiles with their sidecar files, loose or zipped', async () => {
+    const layer = buildShapefile({
+      type: 3,
+      shapes: [[straightLine.map(([x, y]) => [x, y])]],
+      fields: [{ name: 'NAME', type: 'C', length: 10 }, { name: 'WIDTH', type: 'N', length: 4 }],
+      records: [['Tagus', 20]]
+    });
+    await writeFile(join(dir, 'tagus.shp'), layer.shp);
+    await writeFile(join(dir, 'tagus.shx'), layer.shx);
+    await writeFile(join(dir, 'tagus.dbf'), layer.dbf);
+    await writeFile(join(dir, 'tagus.zip'), buildZip({ 'tagus.shp': layer.shp, 'tagus.dbf': layer.dbf }));
+
+    const labeler = new BatchLabeler();
+    for (const file of ['tagus.shp', 'tagus.zip']) {
+      const { rivers, failures } = await labeler.labelFile(join(dir, file));
+
+      expect(failures).toEqual([]);
+      expect(rivers[0].text).toBe('Tagus');
+      expect(labeler.toJSON(rivers[0]).properties).toEqual({ NAME: 'Tagus', WIDTH: 20 });
+    }
+  });
+
+  it('should default the label text to the file name', async () => {
+    const file = join(dir, 'Loire.json');
+    await writeFile(file, JSON.stringify(straightLine));
+
+    const { rivers } = await new BatchLabeler().labelFile(file);
+
+    expect(rivers[0].text).toBe('Loire');
+  });
+
+  it('should report failing files and keep going', async () => {
+    const good = join(dir, 'good.json');
+    const tooShort = join(dir, 'short.json');
+    const broken = join(dir, 'broken.geojson');
+    const missing = join(dir, 'missing.wkt');
+    await writeFile(good, JSON.stringify(straightLine));
+    await writeFile(tooShort, JSON.stringify([[0, 0], [1, 1]]));
+    await writeFile(broken, '{ not json');
+
+    const report = await new BatchLabeler().run([good, tooShort, broken, missing]);
+
+    expect(report.processed).toBe(4);
+    expect(report.succeeded).toBe(1);
+    expect(report.failed).toBe(3);
+    expect(report.failures.map(failure => failure.file)).toEqual([tooShort, broken, missing]);
+    expect(report.failures[0].error).toContain('at least 3 coordinate points');
+    expect(report.failures[1].error).toContain('Invalid JSON');
+  });
+
+  it('should apply the scoring config and echo it in the JSON output', () => {
+    const labeler = new BatchLabeler({
+      thresholds: { edgeRatio: 0.2 },
+      scoring: { weights: { width: 1 } }
+    });
+    const { rivers } = labeler.labelData(straightLine, 'Elbe');
+    const { config } = labeler.toJSON(rivers[0]);
+
+    expect(config.analyzer.edgeRatio).toBe(0.2);
+    expect(config.scorer.weights.width).toBe(1);
+  });
+
+  it('should write every repeated label', async () => {
+    const file = join(dir, 'long.json');
+    await writeFile(file, JSON.stringify(Array.from({ length: 101 }, (_, i) => [i * 10, 100, 20])));
+
+    const labeler = new BatchLabeler({ formats: ['json', 'geojson'], repeat: { spacing: 150 } });
+    await labeler.run([file]);
+
+    const [river] = JSON.parse(await readFile(join(dir, 'long.labels.json'), 'utf8'));
+    expect(river.labels.length).toBeGreaterThan(1);
+
+    const geojson = JSON.parse(await readFile(join(dir, 'long.labels.geojson'), 'utf8'));
+    const baselines = geojson.features.filter(feature => feature.properties.kind === 'label');
+    expect(baselines).toHaveLength(river.labels.length);
+  });
+
+  it('should report rivers that have no suitable placement', () => {
+    const labeler = new BatchLabeler({ thresholds: { minWidth: 50 } });
+    const { rivers, failures } = labeler.labelData(straightLine, 'Seine');
+
+    expect(rivers).toHaveLength(0);
+    expect(failures).toEqual([
+      { river: 'Seine', error: expect.stringContaining('No suitable placement found') }
+    ]);
+  });
+
+  it('should label longitude/latitude input in meters and draw it in the display projection', async () => {
+    const file = join(dir, 'glomma.json');
+    // About 11 km along the 60th parallel, 200 m wide
+    await writeFile(file, JSON.stringify(Array.from({ length: 21 }, (_, i) => [11 + i * 0.01, 60, 200])));
+
+    expect(() => new BatchLabeler({ displayProjection: 'lambert' })).toThrow('Unknown display projection: lambert');
+
+    const labeler = new BatchLabeler({ formats: ['json', 'geojson', 'svg'], projection: 'utm', fontSize: 500 });
+    const { outputs } = await labeler.labelFile(file);
+    expect(outputs).toHaveLength(3);
+
+    const [river] = JSON.parse(await readFile(join(dir, 'glomma.labels.json'), 'utf8'));
+    expect(river.projection).toEqual({ name: 'utm', zone: 32, south: false });
+    expect(river.fit.fontSize).toBe(500);
+
+    const geojson = JSON.parse(await readFile(join(dir, 'glomma.labels.geojson'), 'utf8'));
+    const [lon, lat] = geojson.features[1].geometry.coordinates;
+    expect(lon).toBeGreaterThan(11);
+    expect(lon).toBeLessThan(11.2);
+    expect(lat).toBeCloseTo(60, 2);
+
+    // Web Mercator doubles lengths at 60°N, font size included
+    const svg = await readFile(join(dir, 'glomma.svg'), 'utf8');
+    const fontSize = Number(svg.match(/font-size="([\d.]+)"/)[1]);
+    expect(fontSize).toBeCloseTo(1000, -1);
+  });
+
+  it('should keep labels clear of GeoJSON obstacles', () => {
+    const obstacles = {
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', properties: { name: 'Bridge' }, geometry: { type: 'Point', coordinates: [190, 100] } }
+      ]
+    };
+
+    expect(() => new BatchLabeler({ obstacles: { type: 'Point', coordinates: 'here' } }))
+      .toThrow('Invalid obstacle position');
+
+    for (const scene of [null, 'greedy']) {
+      const labeler = new BatchLabeler({ obstacles, scene });
+      const { rivers } = labeler.labelData(straightLine, 'Po');
+      const { characterPlacements } = rivers[0];
+      const xs = characterPlacements.map(glyph => glyph.x);
+
+      expect(Math.min(...xs) > 190 || Math.max(...xs) < 190).toBe(true);
+    }
+
+    const { rivers } = new BatchLabeler({ obstacles }).labelData(straightLine, 'Po');
+    expect(rivers[0].metrics.rejectedSegments.map(segment => segment.reason)).toContain('obstacle: Bridge');
+  });
+
+  it('should project obstacles like longitude/latitude rivers', () => {
+    const river = Array.from({ length: 21 }, (_, i) => [11 + i * 0.01, 60, 200]);
+    const obstacles = { type: 'Point', coordinates: [11.1, 60] };
+
+    const labeler = new BatchLabeler({ projection: 'utm', fontSize: 500, obstacles });
+    const { rivers } = labeler.labelData(river, 'Glomma');
+    const [bridge] = labeler._obstaclesFor(rivers[0].path);
+    const { x } = rivers[0].path.projection.forward(11.1, 60);
+
+    expect(bridge.points[0].x).toBeCloseTo(x, 6);
+    const xs = rivers[0].characterPlacements.map(glyph => glyph.x);
+    expect(Math.min(...xs) > x || Math.max(...xs) < x).toBe(true);
+  });
+
+  it('should label a scene without overlaps and draw it in one SVG', async () => {
+    const file = join(dir, 'scene.geojson');
+    const feature = (name, coordinates) => ({
+      type: 'Feature',
+      properties: { name },
+      geometry: { type: 'LineString', coordinates }
+    });
+    // Two rivers on top of each other: only one of them can carry a label there
+    await writeFile(file, JSON.stringify({
+      type: 'FeatureCollection',
+      features: [
+        feature('Long', straightLine.map(([x]) => [x, 100])),
+        feature('Short', straightLine.slice(0, 12).map(([x]) => [x, 100]))
+      ]
+    }));
+
+    const labeler = new BatchLabeler({ formats: ['json', 'svg'], scene: 'greedy' });
+    const { rivers, outputs, failures } = await labeler.labelFile(file);
+
+    expect(rivers.map(river => river.text)).toContain('Long');
+    expect(rivers.length + failures.length).toBe(2);
+    for (const failure of failures) {
+      expect(failure.error).toBe('Label would overlap a higher-priority river');
+    }
+    expect(outputs).toEqual([join(dir, 'scene.labels.json'), join(dir, 'scene.svg')]);
+  });
+});
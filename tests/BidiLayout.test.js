@@ -0,0 +1,92 @@
+/**
+ * Tests for BidiLayout
+ */
+
+import { describe, it, expect } from 'vitest';
+import { BidiLayout } from '../src/BidiLayout.js';
+
+const codePoints = clusters => clusters.map(cluster => cluster.codePointAt(0));
+
+describe('BidiLayout', () => {
+  describe('visualClusters', () => {
+    it('should leave left-to-right text untouched', () => {
+      expect(BidiLayout.visualClusters('Río Bravo 2')).toEqual(Array.from('Río Bravo 2'));
+      expect(BidiLayout.visualClusters('')).toEqual([]);
+    });
+
+    it('should reverse right-to-left names', () => {
+      expect(BidiLayout.visualClusters('הירדן').join('')).toBe('ןדריה');
+    });
+
+    it('should keep each run of mixed text in its own direction', () => {
+      expect(BidiLayout.visualClusters('נהר Jordan').join('')).toBe('Jordan רהנ');
+      expect(BidiLayout.visualClusters('Jordan נהר').join('')).toBe('Jordan רהנ');
+      expect(BidiLayout.visualClusters('Jordan נהר', 'rtl').join('')).toBe('רהנ Jordan');
+    });
+
+    it('should keep numbers left-to-right inside right-to-left text', () => {
+      expect(BidiLayout.visualClusters('נחל 1,200 מ').join('')).toBe('מ 1,200 לחנ');
+      expect(BidiLayout.visualClusters('נחל 90%').join('')).toBe('90% לחנ');
+    });
+
+    it('should mirror brackets in right-to-left runs', () => {
+      expect(BidiLayout.visualClusters('נהר (א)').join('')).toBe('(א) רהנ');
+    });
+
+    it('should reject unknown directions', () => {
+      expect(() => BidiLayout.visualClusters('Nile', 'up')).toThrow('Invalid direction: up');
+    });
+  });
+
+  describe('baseDirection', () => {
+    it('should follow the first strong character', () => {
+      expect(BidiLayout.baseDirection('12 נהר Jordan')).toBe('rtl');
+      expect(BidiLayout.baseDirection('Jordan نهر')).toBe('ltr');
+      expect(BidiLayout.baseDirection('123')).toBe('ltr');
+    });
+  });
+
+  describe('shape', () => {
+    it('should pick initial, medial, final and isolated forms', () => {
+      // نهر النيل: nun-ha-ra, then alef-lam-nun-ya-lam
+      const shaped = BidiLayout.shape(Array.from('نهر النيل'));
+
+      expect(codePoints(shaped)).toEqual([
+        0xFEE7, 0xFEEC, 0xFEAE, 0x20, 0xFE8D, 0xFEDF, 0xFEE8, 0xFEF4, 0xFEDE
+      ]);
+    });
+
+    it('should not join across right-joining letters', () => {
+      // دجلة: dal joins only to the preceding letter, so jim starts a new group
+      expect(codePoints(BidiLayout.shape(Array.from('دجلة')))).toEqual([0xFEA9, 0xFE9F, 0xFEE0, 0xFE94]);
+    });
+
+    it('should form lam-alef ligatures', () => {
+      expect(codePoints(BidiLayout.shape(Array.from('لا')))).toEqual([0xFEFB]);
+      expect(codePoints(BidiLayout.shape(Array.from('فلا')))).toEqual([0xFED3, 0xFEFC]);
+    });
+
+    it('should shape Persian and Urdu letters', () => {
+      // گھاگھرا: gaf and heh doachashmee join; alef and reh end each group
+      expect(codePoints(BidiLayout.shape(Array.from('گھاگھرا')))).toEqual([
+        0xFB94, 0xFBAD, 0xFE8E, 0xFB94, 0xFBAD, 0xFEAE, 0xFE8D
+      ]);
+    });
+
+    it('should keep joining across letters without presentation forms', () => {
+      // Farsi yeh with inverted V has no forms: it stays as is, its neighbours still join it
+      expect(codePoints(BidiLayout.shape(Array.from('\u0628\u063D\u0646')))).toEqual([0xFE91, 0x063D, 0xFEE6]);
+    });
+
+    it('should keep combining marks on their letter', () => {
+      // nun with fatha, then ha
+      const shaped = BidiLayout.shape(['\u0646\u064E', '\u0647']);
+
+      expect(shaped).toEqual(['\uFEE7\u064E', '\uFEEA']);
+    });
+
+    it('should reorder shaped Arabic into visual order', () => {
+      expect(codePoints(BidiLayout.visualClusters('نهر'))).toEqual([0xFEAE, 0xFEEC, 0xFEE7]);
+    });
+  });
+});
@@ -5,7 +5,7 @@
 
 import { describe, it, expect, beforeEach } from 'vitest';
 import * as fc from 'fast-check';
-import { CanvasRenderer } from '../src/CanvasRenderer.js';
+import { CanvasRenderer, REJECTION_COLORS } from '../src/CanvasRenderer.js';
 import { testConfig } from './setup.js';
 
 describe('CanvasRenderer', () => {
@@ -452,3 +452,58 @@ describe('CanvasRenderer', () => {
     });
   });
 });
+
+describe('CanvasRenderer rejected area colours', () => {
+  const path = {
+    points: [{ x: 0, y: 0 }, { x: 50, y: 0 }, { x: 100, y: 0 }, { x: 150, y: 0 }],
+    bounds: { minX: 0, maxX: 150, minY: 0, maxY: 0 }
+  };
+  let strokes;
+  let renderer;
+
+  beforeEach(() => {
+    strokes = [];
+    const noop = () => {};
+    const ctx = {
+      save: noop,
+      restore: noop,
+      setTransform: noop,
+      translate: noop,
+      scale: noop,
+      beginPath: noop,
+      moveTo: noop,
+      lineTo: noop,
+      stroke() { strokes.push(this.strokeStyle); }
+    };
+    renderer = new CanvasRenderer({ width: 800, height: 600, getContext: () => ctx });
+  });
+
+  it('should stroke each segment in the colour of its reason', () => {
+    renderer.drawRejectedAreas(path, [
+      { startIdx: 0, endIdx: 1, reason: 'sharp curve' },
+      { startIdx: 1, endIdx: 2, reason: 'obstacle: Bridge, Ferry' },
+      { startIdx: 2, endIdx: 3, reason: 'obstacle penalty: Town' }
+    ]);
+
+    expect(strokes).toEqual([
+      REJECTION_COLORS['sharp curve'],
+      REJECTION_COLORS.obstacle,
+      REJECTION_COLORS['obstacle penalty']
+    ]);
+    expect(new Set(strokes).size).toBe(3);
+  });
+
+  it('should let an explicit colour override the reason colours', () => {
+    renderer.drawRejectedAreas(path, [
+      { startIdx: 0, endIdx: 1, reason: 'sharp curve' },
+      { startIdx: 2, endIdx: 3, reason: 'narrow section' }
+    ], { color: 'blue' });
+
+    expect(strokes).toEqual(['blue', 'blue']);
+  });
+
+  it('should fall back to red for unknown reasons', () => {
+    expect(CanvasRenderer.rejectionColor('something else')).toBe('rgba(255,0,0,0.3)');
+    expect(CanvasRenderer.rejectionColor(null)).toBe('rgba(255,0,0,0.3)');
+  });
+});
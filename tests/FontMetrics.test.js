@@ -0,0 +1,116 @@
+/**
+ * Tests for FontMetrics and FontBook
+ */
+
+import { describe, it, expect } from 'vitest';
+import { FontMetrics } from '../src/FontMetrics.js';
+import { FontBook } from '../src/FontBook.js';
+import { buildFont } from './fontBuilder.js';
+
+const advances = { A: 600, V: 700, o: 500, ' ': 250 };
+const kerning = [['A', 'V', -80], ['V', 'o', -40]];
+
+describe('FontMetrics', () => {
+  it('should read the name, weight and style', () => {
+    const font = new FontMetrics(buildFont({ family: 'River Serif', weight: 700, italic: true, advances }));
+
+    expect(font.family).toBe('River Serif');
+    expect(font.weight).toBe(700);
+    expect(font.style).toBe('italic');
+    expect(font.unitsPerEm).toBe(1000);
+    expect(font.numGlyphs).toBe(5);
+  });
+
+  it('should accept an ArrayBuffer', () => {
+    const bytes = buildFont({ advances });
+    const font = new FontMetrics(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+
+    expect(font.measure('A', 10)).toBeCloseTo(6);
+  });
+
+  it('should map characters through format 4 and format 12 cmaps', () => {
+    const format4 = new FontMetrics(buildFont({ advances, cmapFormat: 4 }));
+    const format12 = new FontMetrics(buildFont({ advances: { ...advances, '𝔸': 900 }, cmapFormat: 12 }));
+
+    expect(format4.glyphIndex('V'.codePointAt(0))).toBe(2);
+    expect(format4.glyphIndex('Z'.codePointAt(0))).toBe(0);
+    expect(format12.glyphIndex('𝔸'.codePointAt(0))).toBe(5);
+    expect(format12.measure('𝔸', 10)).toBeCloseTo(9);
+  });
+
+  it('should measure unmapped characters with the .notdef advance', () => {
+    const font = new FontMetrics(buildFont({ advances, notdefAdvance: 400, unitsPerEm: 2000 }));
+
+    expect(font.measure('AZ', 20)).toBeCloseTo(6 + 4);
+  });
+
+  it.each(['kern', 'gpos1', 'gpos2', 'gpos-extension'])('should read kerning from %s', kerningTable => {
+    const font = new FontMetrics(buildFont({ advances, kerning, kerningTable }));
+
+    expect(font.kerning(1, 2)).toBe(-80);
+    expect(font.kerning(2, 3)).toBe(-40);
+    expect(font.kerning(2, 1)).toBe(0);
+    expect(font.measure('AVo', 10)).toBeCloseTo(6 + 7 + 5 - 0.8 - 0.4);
+  });
+
+  it('should report per-character widths with kerning to the next character', () => {
+    const font = new FontMetrics(buildFont({ advances, kerning }));
+    const result = font.advances(['A', 'V', 'o'], 10);
+
+    expect(result.map(r => r.char)).toEqual(['A', 'V', 'o']);
+    expect(result[0].width).toBeCloseTo(6);
+    expect(result[0].kerning).toBeCloseTo(-0.8);
+    expect(result[1].kerning).toBeCloseTo(-0.4);
+    expect(result[2].kerning).toBe(0);
+  });
+
+  it('should reject data that is not a single font', () => {
+    expect(() => new FontMetrics('font')).toThrow('Font data must be an ArrayBuffer or Uint8Array');
+    expect(() => new FontMetrics(new Uint8Array(4))).toThrow('Not a TrueType or OpenType font');
+    expect(() => new FontMetrics(new Uint8Array([0x74, 0x74, 0x63, 0x66, 0, 1, 0, 0, 0, 0, 0, 0])))
+      .toThrow('Font collections (.ttc) are not supported');
+    expect(() => new FontMetrics(new Uint8Array(12))).toThrow('Not a TrueType or OpenType font');
+  });
+
+  it('should name a missing table', () => {
+    const bytes = buildFont({ advances });
+    const entry = bytes.findIndex((b, i) => String.fromCharCode(...bytes.subarray(i, i + 4)) === 'cmap');
+    bytes.set([0x78, 0x78, 0x78, 0x78], entry);
+
+    expect(() => new FontMetrics(bytes)).toThrow('Font is missing the required "cmap" table');
+  });
+});
+
+describe('FontBook', () => {
+  const book = new FontBook();
+  book.add(buildFont({ family: 'Lato', weight: 400, advances: { A: 500 } }));
+  book.add(buildFont({ family: 'Lato', weight: 700, advances: { A: 600 } }));
+  book.add(buildFont({ family: 'Lato', weight: 400, italic: true, advances: { A: 550 } }));
+
+  it('should parse CSS-like font specs', () => {
+    expect(FontBook.parseSpec('Lato')).toEqual({ families: ['Lato'], weight: 400, style: 'normal' });
+    expect(FontBook.parseSpec('italic bold "Noto Sans", serif'))
+      .toEqual({ families: ['Noto Sans', 'serif'], weight: 700, style: 'italic' });
+    expect(FontBook.parseSpec('300 Lato').weight).toBe(300);
+  });
+
+  it('should build CSS font shorthands', () => {
+    expect(FontBook.cssFont('Arial', 16)).toBe('16px Arial');
+    expect(FontBook.cssFont('italic 700 Noto Sans', 12)).toBe('italic 700 12px "Noto Sans"');
+  });
+
+  it('should find the closest weight and matching style', () => {
+    expect(book.find('Lato').measure('A', 10)).toBeCloseTo(5);
+    expect(book.find('bold Lato').measure('A', 10)).toBeCloseTo(6);
+    expect(book.find('800 lato').measure('A', 10)).toBeCloseTo(6);
+    expect(book.find('italic Lato').measure('A', 10)).toBeCloseTo(5.5);
+    expect(book.find('Missing, Lato').measure('A', 10)).toBeCloseTo(5);
+    expect(book.find('Arial')).toBeNull();
+  });
+
+  it('should require a family name', () => {
+    expect(() => new FontBook().add(buildFont({ family: '', advances })))
+      .toThrow('Font has no family name');
+    expect(new FontBook().add(buildFont({ family: '', advances }), { family: 'Custom' })).toBeInstanceOf(FontMetrics);
+  });
+});
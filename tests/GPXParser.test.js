@@ -0,0 +1,66 @@
+/**
+ * Tests for GPXParser
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { GPXParser } from '../src/GPXParser.js';
+
+describe('GPXParser', () => {
+  let gpxParser;
+
+  beforeEach(() => {
+    gpxParser = new GPXParser();
+  });
+
+  it('should read tracks and routes with their names', () => {
+    const { features } = gpxParser.parse(`<?xml version="1.0"?>
+      <gpx version="1.1" creator="GPS" xmlns="http://www.topografix.com/GPX/1/1">
+        <trk>
+          <name>Upper Rhine</name>
+          <trkseg>
+            <trkpt lat="47.60" lon="7.59"><ele>245</ele></trkpt>
+            <trkpt lat="47.70" lon="7.55"/>
+          </trkseg>
+        </trk>
+        <rte>
+          <name>Canal</name>
+          <rtept lat="48.0" lon="7.6"/>
+          <rtept lat="48.1" lon="7.7"/>
+        </rte>
+      </gpx>`);
+
+    expect(features).toEqual([
+      {
+        type: 'Feature',
+        properties: { name: 'Upper Rhine' },
+        geometry: { type: 'LineString', coordinates: [[7.59, 47.6], [7.55, 47.7]] }
+      },
+      {
+        type: 'Feature',
+        properties: { name: 'Canal' },
+        geometry: { type: 'LineString', coordinates: [[7.6, 48], [7.7, 48.1]] }
+      }
+    ]);
+  });
+
+  it('should keep track segments apart and skip empty ones', () => {
+    const [feature] = gpxParser.parse(`<gpx>
+      <trk>
+        <trkseg><trkpt lat="0" lon="0"/><trkpt lat="0" lon="1"/></trkseg>
+        <trkseg/>
+        <trkseg><trkpt lat="0" lon="2"/><trkpt lat="0" lon="3"/></trkseg>
+      </trk>
+    </gpx>`).features;
+
+    expect(feature.properties).toEqual({});
+    expect(feature.geometry.type).toBe('MultiLineString');
+    expect(feature.geometry.coordinates).toHaveLength(2);
+  });
+
+  it('should report documents without tracks and bad points', () => {
+    expect(() => gpxParser.parse('<kml/>')).toThrow('Expected a <gpx> document, got <kml>');
+    expect(() => gpxParser.parse('<gpx><wpt lat="1" lon="2"/></gpx>')).toThrow('GPX has no tracks or routes');
+    expect(() => gpxParser.parse('<gpx><rte><rtept lat="1"/></rte></gpx>'))
+      .toThrow('GPX <rtept> needs numeric lat and lon attributes');
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Tests for GeoJSONExporter
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { GeoJSONExporter } from '../src/GeoJSONExporter.js';
+import { RiverPathParser } from '../src/RiverPathParser.js';
+import { GeometryAnalyzer } from '../src/GeometryAnalyzer.js';
+import { PlacementScorer } from '../src/PlacementScorer.js';
+import { TextPlacer } from '../src/TextPlacer.js';
+import { Projection } from '../src/Projection.js';
+
+describe('GeoJSONExporter', () => {
+  let exporter;
+
+  const candidate = {
+    segment: { startIdx: 1, endIdx: 4, length: 30, reason: null },
+    score: 87.5,
+    scores: { curvature: 100, width: 50, position: 90, straightness: 100 },
+    centerPoint: { x: 25, y: 0 }
+  };
+
+  const placements = [
+    { char: 'A', x: 15, y: 0, angle: 0, width: 10 },
+    { char: 'B', x: 25, y: 0, angle: 0, width: 10 },
+    { char: 'C', x: 35, y: 0, angle: Math.PI / 2, width: 10 }
+  ];
+
+  beforeEach(() => {
+    exporter = new GeoJSONExporter();
+  });
+
+  it('should return an empty collection when there are no glyphs', () => {
+    expect(exporter.toFeatureCollection(candidate, [])).toEqual({
+      type: 'FeatureCollection',
+      features: []
+    });
+  });
+
+  it('should emit a baseline followed by one point per glyph', () => {
+    const collection = exporter.toFeatureCollection(candidate, placements);
+
+    expect(collection.type).toBe('FeatureCollection');
+    expect(collection.features).toHaveLength(4);
+    expect(collection.features[0].geometry.type).toBe('LineString');
+    expect(collection.features.slice(1).every(f => f.geometry.type === 'Point')).toBe(true);
+  });
+
+  it('should extend the baseline by half a glyph at each end', () => {
+    const [baseline] = exporter.toFeatureCollection(candidate, placements).features;
+    const coords = baseline.geometry.coordinates;
+
+    expect(coords[0]).toEqual([10, 0]);
+    expect(coords[1]).toEqual([15, 0]);
+    expect(coords[coords.length - 1][0]).toBeCloseTo(35);
+    expect(coords[coords.length - 1][1]).toBeCloseTo(5);
+  });
+
+  it('should carry text and score breakdown on the baseline', () => {
+    const [baseline] = exporter.toFeatureCollection(candidate, placements, {
+      fontSize: 16,
+      warning: 'too long',
+      orientation: 'reversed'
+    }).features;
+
+    expect(baseline.properties).toMatchObject({
+      kind: 'label',
+      text: 'ABC',
+      fontSize: 16,
+      warning: 'too long',
+      orientation: 'reversed',
+      score: 87.5,
+      scores: candidate.scores,
+      segment: { startIdx: 1, endIdx: 4, length: 30 }
+    });
+  });
+
+  it('should carry character and rotation on each glyph', () => {
+    const glyph = exporter.toFeatureCollection(candidate, placements).features[3];
+
+    expect(glyph.geometry.coordinates).toEqual([35, 0]);
+    expect(glyph.properties).toMatchObject({ kind: 'glyph', index: 2, char: 'C', width: 10 });
+    expect(glyph.properties.rotation).toBeCloseTo(Math.PI / 2);
+    expect(glyph.properties.rotationDegrees).toBeCloseTo(90);
+  });
+
+  it('should write longitude/latitude for projected placements', () => {
+    const projection = new Projection('utm', { zone: 33 });
+    const onMap = point => ({ ...point, ...projection.forward(15 + point.x / 1000, 45) });
+    const collection = exporter.toFeatureCollection(
+      { ...candidate, centerPoint: onMap(candidate.centerPoint) },
+      placements.map(onMap),
+      { fontSize: 16, projection }
+    );
+
+    const [lon, lat] = collection.features[1].geometry.coordinates;
+    expect(lon).toBeCloseTo(15.015, 7);
+    expect(lat).toBeCloseTo(45, 7);
+    for (const [x, y] of collection.features[0].geometry.coordinates) {
+      expect(Math.abs(x)).toBeLessThanOrEqual(180);
+      expect(Math.abs(y)).toBeLessThanOrEqual(90);
+    }
+  });
+
+  it('should give projected glyphs a bearing from true north', () => {
+    // A label heading northeast at 70°N, 5° east of the UTM zone's central meridian,
+    // where grid north and true north differ by several degrees
+    const projection = new Projection('utm', { zone: 33 });
+    const step = 10 / 6371000 / Math.SQRT2 * (180 / Math.PI);
+    const points = [0, 1, 2].map(i => projection.forward(20 + (i * step) / Math.cos(70 * Math.PI / 180), 70 + i * step));
+    const glyphs = points.map((point, i) => ({
+      char: 'ABC'[i],
+      ...point,
+      angle: Math.atan2(points[2].y - points[0].y, points[2].x - points[0].x),
+      width: 10
+    }));
+
+    const features = exporter.toFeatureCollection(candidate, glyphs, { projection }).features.slice(1);
+
+    for (const glyph of features) {
+      expect(glyph.properties.bearing).toBeCloseTo(45, 1);
+      expect(Math.abs(glyph.properties.rotationDegrees + 45)).toBeGreaterThan(3);
+    }
+    expect(exporter.toFeatureCollection(candidate, placements).features[1].properties.bearing).toBeUndefined();
+  });
+
+  it('should produce JSON-serializable output from the full pipeline', () => {
+    const path = new RiverPathParser().parse(
+      Array.from({ length: 20 }, (_, i) => [i * 20, 100, 20])
+    );
+    const metrics = new GeometryAnalyzer().analyzeGeometry(path);
+    const result = new PlacementScorer().findOptimalPlacement(path, 'Volga', 16, metrics);
+    const glyphs = new TextPlacer().placeText('Volga', path, result.placement.segment.startIdx, 16);
+
+    const collection = exporter.toFeatureCollection(result.placement, glyphs, { fontSize: 16 });
+    const roundTrip = JSON.parse(JSON.stringify(collection));
+
+    expect(roundTrip.features).toHaveLength(6);
+    expect(roundTrip.features[0].properties.text).toBe('Volga');
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Tests for GeoJSONParser
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { GeoJSONParser } from '../src/GeoJSONParser.js';
+
+describe('GeoJSONParser', () => {
+  let geoJSONParser;
+
+  beforeEach(() => {
+    geoJSONParser = new GeoJSONParser();
+  });
+
+  describe('getFeatures', () => {
+    const line = { type: 'LineString', coordinates: [[0, 0], [10, 0]] };
+
+    it('should wrap a bare geometry in a feature with empty properties', () => {
+      expect(geoJSONParser.getFeatures(line)).toEqual([{ geometry: line, properties: {} }]);
+    });
+
+    it('should return a single feature with its properties', () => {
+      const features = geoJSONParser.getFeatures({
+        type: 'Feature',
+        geometry: line,
+        properties: { name: 'Danube' }
+      });
+
+      expect(features).toHaveLength(1);
+      expect(features[0].properties.name).toBe('Danube');
+    });
+
+    it('should return every feature of a collection that has geometry', () => {
+      const features = geoJSONParser.getFeatures({
+        type: 'FeatureCollection',
+        features: [
+          { type: 'Feature', geometry: line, properties: null },
+          { type: 'Feature', geometry: null, properties: {} },
+          { type: 'Feature', geometry: line, properties: { name: 'Inn' } }
+        ]
+      });
+
+      expect(features).toHaveLength(2);
+      expect(features[0].properties).toEqual({});
+    });
+
+    it('should reject objects without a type', () => {
+      expect(() => geoJSONParser.getFeatures({})).toThrow('Invalid GeoJSON object');
+    });
+
+    it('should reject empty collections', () => {
+      expect(() => geoJSONParser.getFeatures({ type: 'FeatureCollection', features: [] }))
+        .toThrow('no features with geometry');
+    });
+  });
+
+  describe('getParts', () => {
+    it('should return line parts for LineString and MultiLineString', () => {
+      expect(geoJSONParser.getParts({ type: 'LineString', coordinates: [[0, 0, 5], [1, 1, 6]] }))
+        .toEqual([{ type: 'line', coordinates: [[0, 0], [1, 1]] }]);
+
+      const parts = geoJSONParser.getParts({
+        type: 'MultiLineString',
+        coordinates: [[[0, 0], [1, 1]], [[1, 1], [2, 2]]]
+      });
+      expect(parts).toHaveLength(2);
+    });
+
+    it('should return polygon parts with holes', () => {
+      const parts = geoJSONParser.getParts({
+        type: 'MultiPolygon',
+        coordinates: [
+          [[[0, 0], [10, 0], [10, 10], [0, 0]], [[2, 1], [3, 1], [3, 2], [2, 1]]],
+          [[[20, 0], [30, 0], [30, 10], [20, 0]]]
+        ]
+      });
+
+      expect(parts).toHaveLength(2);
+      expect(parts[0].type).toBe('polygon');
+      expect(parts[0].rings).toHaveLength(2);
+      expect(parts[1].rings).toHaveLength(1);
+    });
+
+    it('should reject unsupported geometry types', () => {
+      expect(() => geoJSONParser.getParts({ type: 'Point', coordinates: [0, 0] }))
+        .toThrow('Unsupported GeoJSON geometry type "Point"');
+    });
+
+    it('should reject lines with a single position', () => {
+      expect(() => geoJSONParser.getParts({ type: 'LineString', coordinates: [[0, 0]] }))
+        .toThrow('at least 2 positions');
+    });
+  });
+});
@@ -5,7 +5,7 @@
 
 import { describe, it, expect, beforeEach } from 'vitest';
 import * as fc from 'fast-check';
-import { GeometryAnalyzer } from '../src/GeometryAnalyzer.js';
+import { GeometryAnalyzer, DEFAULT_ANALYZER_CONFIG } from '../src/GeometryAnalyzer.js';
 import { testConfig } from './setup.js';
 
 describe('GeometryAnalyzer', () => {
@@ -325,6 +325,24 @@ describe('GeometryAnalyzer', () => {
       expect(narrowSections).toEqual([]);
     });
     
+    it('should not treat vertices without a width as narrow', () => {
+      const path = {
+        points: [
+          { x: 0, y: 0 },
+          { x: 1, y: 0 },
+          { x: 2, y: 0 },
+          { x: 3, y: 0 }
+        ],
+        widths: [null, null, 20, 5],
+        length: 3,
+        bounds: {}
+      };
+
+      const narrowSections = analyzer.findNarrowSections(path, 10);
+
+      expect(narrowSections.map(({ startIdx, endIdx }) => [startIdx, endIdx])).toEqual([[3, 3]]);
+    });
+
     it('should identify narrow sections below threshold', () => {
       const path = {
         points: [
@@ -425,6 +443,58 @@ describe('GeometryAnalyzer', () => {
     });
   });
   
+  describe('findIslandSections', () => {
+    const straightPath = (widths = null) => ({
+      points: Array.from({ length: 11 }, (_, i) => ({ x: i * 10, y: 0 })),
+      widths,
+      length: 100,
+      bounds: {}
+    });
+
+    it('should return empty array when the path has no islands', () => {
+      expect(analyzer.findIslandSections(straightPath())).toEqual([]);
+    });
+
+    it('should mark points that lie on an island', () => {
+      const path = straightPath();
+      path.islands = [[
+        { x: 35, y: -5 }, { x: 55, y: -5 }, { x: 55, y: 5 }, { x: 35, y: 5 }
+      ]];
+
+      const segments = analyzer.findIslandSections(path);
+
+      expect(segments).toHaveLength(1);
+      expect(segments[0]).toMatchObject({ startIdx: 4, endIdx: 5, reason: 'island split' });
+      expect(segments[0].length).toBeCloseTo(10);
+    });
+
+    it('should mark points whose cross-section reaches an off-center island', () => {
+      const path = straightPath(new Array(11).fill(20));
+      // Island sits 6 units off the centerline, within half the 20-unit width
+      path.islands = [[
+        { x: 45, y: 6 }, { x: 55, y: 6 }, { x: 55, y: 9 }, { x: 45, y: 9 }
+      ]];
+
+      const segments = analyzer.findIslandSections(path);
+
+      expect(segments).toHaveLength(1);
+      expect(segments[0].startIdx).toBeLessThanOrEqual(5);
+      expect(segments[0].endIdx).toBeGreaterThanOrEqual(5);
+    });
+
+    it('should be included in rejected segments by analyzeGeometry', () => {
+      const path = straightPath();
+      path.islands = [[
+        { x: 35, y: -5 }, { x: 55, y: -5 }, { x: 55, y: 5 }, { x: 35, y: 5 }
+      ]];
+
+      const metrics = analyzer.analyzeGeometry(path);
+
+      expect(metrics.islandSections).toHaveLength(1);
+      expect(metrics.rejectedSegments.map(s => s.reason)).toContain('island split');
+    });
+  });
+
   describe('getEdgeSections', () => {
     it('should identify first and last 10% of path', () => {
       const path = {
@@ -808,4 +878,45 @@ describe('GeometryAnalyzer', () => {
       expect(metrics.edgeSections.end).toBeDefined();
     });
   });
+
+  describe('configuration', () => {
+    const path = {
+      points: Array.from({ length: 11 }, (_, i) => ({ x: i * 10, y: 0 })),
+      widths: [5, 5, 5, 5, 2, 2, 5, 5, 5, 5, 5],
+      length: 100,
+      bounds: { minX: 0, maxX: 100, minY: 0, maxY: 0 }
+    };
+
+    it('should use the default thresholds', () => {
+      expect(analyzer.config).toEqual(DEFAULT_ANALYZER_CONFIG);
+      expect(analyzer.analyzeGeometry(path).narrowSections).toEqual([]);
+    });
+
+    it('should apply constructor thresholds', () => {
+      const custom = new GeometryAnalyzer({ minWidth: 3, edgeRatio: 0.2 });
+      const metrics = custom.analyzeGeometry(path);
+
+      expect(metrics.narrowSections).toHaveLength(1);
+      expect(metrics.narrowSections[0]).toMatchObject({ startIdx: 4, endIdx: 5 });
+      expect(metrics.edgeSections.start.endIdx).toBe(2);
+      expect(metrics.config).toEqual({ curvatureThreshold: 2, minWidth: 3, edgeRatio: 0.2 });
+    });
+
+    it('should let per-call thresholds override the constructor config', () => {
+      const custom = new GeometryAnalyzer({ minWidth: 3 });
+      const metrics = custom.analyzeGeometry(path, { minWidth: 1 });
+
+      expect(metrics.narrowSections).toEqual([]);
+      expect(metrics.config.minWidth).toBe(1);
+      expect(custom.config.minWidth).toBe(3);
+    });
+
+    it('should reject invalid thresholds', () => {
+      expect(() => new GeometryAnalyzer({ minWidth: -1 })).toThrow('minWidth must be a non-negative number');
+      expect(() => new GeometryAnalyzer({ curvatureThreshold: 'sharp' })).toThrow('curvatureThreshold');
+      expect(() => new GeometryAnalyzer({ edgeRatio: 0.5 })).toThrow('edgeRatio');
+      expect(() => new GeometryAnalyzer({ tolerance: 1 })).toThrow('Unknown analyzer option "tolerance"');
+      expect(() => analyzer.analyzeGeometry(path, { minWidth: Infinity })).toThrow('minWidth');
+    });
+  });
 });
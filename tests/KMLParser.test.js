@@ -0,0 +1,99 @@
+/**
+ * Tests for KMLParser
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { KMLParser } from '../src/KMLParser.js';
+
+const kml = placemarks => `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>Field survey</name>
+    <Folder>${placemarks}</Folder>
+  </Document>
+</kml>`;
+
+describe('KMLParser', () => {
+  let kmlParser;
+
+  beforeEach(() => {
+    kmlParser = new KMLParser();
+  });
+
+  it('should read LineString placemarks with their name', () => {
+    const collection = kmlParser.parse(kml(`
+      <Placemark>
+        <name>Glomma</name>
+        <LineString>
+          <tessellate>1</tessellate>
+          <coordinates>
+            10.5,60,0 10.6,60,0
+            10.7,60.01,0
+          </coordinates>
+        </LineString>
+      </Placemark>`));
+
+    expect(collection).toEqual({
+      type: 'FeatureCollection',
+      features: [{
+        type: 'Feature',
+        properties: { name: 'Glomma' },
+        geometry: { type: 'LineString', coordinates: [[10.5, 60], [10.6, 60], [10.7, 60.01]] }
+      }]
+    });
+  });
+
+  it('should read Polygon placemarks with islands', () => {
+    const [feature] = kmlParser.parse(kml(`
+      <Placemark>
+        <name>Lagoon</name>
+        <Polygon>
+          <outerBoundaryIs><LinearRing><coordinates>0,0 1,0 1,1 0,1 0,0</coordinates></LinearRing></outerBoundaryIs>
+          <innerBoundaryIs><LinearRing><coordinates>0.4,0.4 0.6,0.4 0.6,0.6 0.4,0.4</coordinates></LinearRing></innerBoundaryIs>
+        </Polygon>
+      </Placemark>`)).features;
+
+    expect(feature.geometry.type).toBe('Polygon');
+    expect(feature.geometry.coordinates).toHaveLength(2);
+    expect(feature.geometry.coordinates[1][0]).toEqual([0.4, 0.4]);
+  });
+
+  it('should combine MultiGeometry parts and skip points', () => {
+    const { features } = kmlParser.parse(kml(`
+      <Placemark>
+        <name>Delta</name>
+        <MultiGeometry>
+          <LineString><coordinates>0,0 1,0</coordinates></LineString>
+          <LineString><coordinates>1,0 2,1</coordinates></LineString>
+          <Point><coordinates>5,5</coordinates></Point>
+        </MultiGeometry>
+      </Placemark>
+      <Placemark><name>Gauge</name><Point><coordinates>1,1</coordinates></Point></Placemark>`));
+
+    expect(features).toHaveLength(1);
+    expect(features[0].geometry.type).toBe('MultiLineString');
+    expect(features[0].geometry.coordinates).toHaveLength(2);
+  });
+
+  it('should copy ExtendedData into properties', () => {
+    const [feature] = kmlParser.parse(kml(`
+      <Placemark>
+        <name>Vistula</name>
+        <ExtendedData>
+          <Data name="width"><value>120</value></Data>
+          <SchemaData schemaUrl="#s"><SimpleData name="label">Wisła</SimpleData></SchemaData>
+        </ExtendedData>
+        <LineString><coordinates>21,52 21.1,52.1</coordinates></LineString>
+      </Placemark>`)).features;
+
+    expect(feature.properties).toEqual({ name: 'Vistula', width: 120, label: 'Wisła' });
+  });
+
+  it('should report documents without rivers and bad coordinates', () => {
+    expect(() => kmlParser.parse('<gpx/>')).toThrow('Expected a <kml> document, got <gpx>');
+    expect(() => kmlParser.parse(kml('<Placemark><Point><coordinates>1,1</coordinates></Point></Placemark>')))
+      .toThrow('KML has no LineString or Polygon placemarks');
+    expect(() => kmlParser.parse(kml('<Placemark><LineString><coordinates>1,1 a,b</coordinates></LineString></Placemark>')))
+      .toThrow('Invalid KML coordinate "a,b"');
+  });
+});
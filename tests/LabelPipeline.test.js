@@ -0,0 +1,178 @@
+/**
+ * Tests for LabelPipeline
+ */
+
+import { describe, it, expect } from 'vitest';
+import { LabelPipeline } from '../src/LabelPipeline.js';
+import { RiverPathParser } from '../src/RiverPathParser.js';
+import { GeometryAnalyzer } from '../src/GeometryAnalyzer.js';
+import { PlacementScorer } from '../src/PlacementScorer.js';
+import { FontBook } from '../src/FontBook.js';
+import { buildFont } from './fontBuilder.js';
+
+describe('LabelPipeline', () => {
+  const parser = new RiverPathParser();
+  const straight = parser.parse(Array.from({ length: 20 }, (_, i) => [i * 20, 100, 20]));
+
+  it('should return metrics, placement and one glyph per character', () => {
+    const run = new LabelPipeline().run(straight, 'Nile', { fontSize: 16 });
+
+    expect(run.metrics.curvatures).toHaveLength(20);
+    expect(run.placement).not.toBeNull();
+    expect(run.candidates.length).toBeGreaterThan(0);
+    expect(run.characterPlacements.map(p => p.char).join('')).toBe('Nile');
+  });
+
+  it('should report the orientation and keep westward labels upright', () => {
+    const westward = parser.parse(Array.from({ length: 20 }, (_, i) => [(19 - i) * 20, 100, 20]));
+    const forward = new LabelPipeline().run(straight, 'Nile');
+    const reversed = new LabelPipeline().run(westward, 'Nile');
+
+    expect(forward.orientation).toBe('forward');
+    expect(reversed.orientation).toBe('reversed');
+    expect(reversed.characterPlacements.map(p => p.char).join('')).toBe('Nile');
+    reversed.characterPlacements.forEach(p => expect(p.angle).toBeCloseTo(0));
+  });
+
+  it('should center the label on the placement centerPoint by default', () => {
+    const run = new LabelPipeline().run(straight, 'Nile');
+    const glyphs = run.characterPlacements;
+    const middle = (glyphs[0].x - glyphs[0].width / 2 + glyphs[3].x + glyphs[3].width / 2) / 2;
+
+    expect(middle).toBeCloseTo(run.placement.centerPoint.x);
+  });
+
+  it('should keep labels off the bridge between stitched parts', () => {
+    // Two reaches 100 apart; unstitched, the best span is centered on the gap
+    const upstream = Array.from({ length: 21 }, (_, i) => [i * 20, 100]);
+    const downstream = Array.from({ length: 21 }, (_, i) => [500 + i * 20, 100]);
+    const covers = (run, x) => {
+      const glyphs = run.characterPlacements;
+      return glyphs[0].x - glyphs[0].width / 2 < x && glyphs[glyphs.length - 1].x + glyphs[glyphs.length - 1].width / 2 > x;
+    };
+
+    const continuous = new LabelPipeline().run(parser.parse([...upstream, ...downstream]), 'Guadalquivir');
+    expect(covers(continuous, 450)).toBe(true);
+
+    const stitched = parser.parse({ type: 'MultiLineString', coordinates: [upstream, downstream] });
+    const run = new LabelPipeline().run(stitched, 'Guadalquivir');
+
+    expect(run.metrics.gapSections).toEqual([{ startIdx: 20, endIdx: 21, length: 100, reason: 'gap between parts' }]);
+    expect(run.placement).not.toBeNull();
+    for (const x of [400, 450, 500]) {
+      expect(covers(run, x)).toBe(false);
+    }
+  });
+
+  it('should center the label on an arc-length candidate window', () => {
+    const sparse = parser.parse([[0, 0], [100, 0], [200, 0]]);
+    const scorer = new PlacementScorer({ candidateStep: 5 });
+    const run = new LabelPipeline({ scorer }).run(sparse, 'Nile');
+    const glyphs = run.characterPlacements;
+    const middle = (glyphs[0].x - glyphs[0].width / 2 + glyphs[3].x + glyphs[3].width / 2) / 2;
+
+    expect(run.placement.segment.startOffset).toBeDefined();
+    expect(middle).toBeCloseTo(run.placement.centerPoint.x);
+  });
+
+  it('should align the label to the peak score on request', () => {
+    const scorer = new PlacementScorer();
+    const run = new LabelPipeline({ scorer }).run(straight, 'Nile', { align: 'peak' });
+    const peak = scorer.findPeakOffset(straight, run.placement.segment, run.result.textLength, run.metrics);
+    const startX = straight.points[run.placement.segment.startIdx].x;
+    const glyphs = run.characterPlacements;
+
+    expect((glyphs[1].x + glyphs[2].x) / 2).toBeCloseTo(startX + peak);
+  });
+
+  it('should reject unknown alignments', () => {
+    expect(() => new LabelPipeline().run(straight, 'Nile', { align: 'left' })).toThrow('Invalid align: left');
+  });
+
+  it('should place every repeated label with its own glyphs', () => {
+    const long = parser.parse(Array.from({ length: 101 }, (_, i) => [i * 10, 100, 20]));
+    const run = new LabelPipeline().run(long, 'Nile', { repeat: { spacing: 150 } });
+
+    expect(run.labels.length).toBeGreaterThan(1);
+    run.labels.forEach(label => {
+      expect(label.characterPlacements.map(p => p.char).join('')).toBe('Nile');
+      expect(label.orientation).toBe('forward');
+    });
+    expect(run.labels.map(label => label.placement)).toContain(run.placement);
+  });
+
+  it('should return a single label when not repeating', () => {
+    const run = new LabelPipeline().run(straight, 'Nile');
+
+    expect(run.labels).toHaveLength(1);
+    expect(run.labels[0].characterPlacements).toBe(run.characterPlacements);
+  });
+
+  it('should use the provided stages', () => {
+    const analyzer = new GeometryAnalyzer();
+    const pipeline = new LabelPipeline({ analyzer });
+
+    expect(pipeline.analyzer).toBe(analyzer);
+  });
+
+  it('should pass thresholds to the analyzer', () => {
+    const narrow = parser.parse(Array.from({ length: 20 }, (_, i) => [i * 20, 100, 5]));
+    const run = new LabelPipeline().run(narrow, 'Nile', { thresholds: { minWidth: 10 } });
+
+    expect(run.metrics.narrowSections).toHaveLength(1);
+    expect(run.placement).toBeNull();
+    expect(run.characterPlacements).toEqual([]);
+    expect(run.orientation).toBeNull();
+    expect(run.labels).toEqual([]);
+  });
+
+  it('should add stretches blocked by obstacles to the rejected segments', () => {
+    const obstacles = [{ type: 'point', points: [{ x: 190, y: 100 }], name: 'Bridge' }];
+    const plain = new LabelPipeline().run(straight, 'Nile');
+    const run = new LabelPipeline().run(straight, 'Nile', { obstacles });
+
+    expect(run.metrics.rejectedSegments).toHaveLength(plain.metrics.rejectedSegments.length + 1);
+    expect(run.metrics.rejectedSegments.at(-1).reason).toBe('obstacle: Bridge');
+    expect(run.metrics.curvatures).toEqual(plain.metrics.curvatures);
+  });
+
+  it('should keep labels with a non-center anchor clear of obstacles', () => {
+    const westward = parser.parse(Array.from({ length: 20 }, (_, i) => [(19 - i) * 20, 100, 20]));
+    const obstacles = [{ type: 'point', points: [{ x: 100, y: 100 }], name: 'Bridge' }];
+
+    for (const path of [straight, westward]) {
+      for (const anchor of ['start', 'end']) {
+        for (const align of ['segment', 'peak']) {
+          const run = new LabelPipeline().run(path, 'Nile', { anchor, align, obstacles });
+
+          expect(run.characterPlacements).toHaveLength(4);
+          for (const glyph of run.characterPlacements) {
+            expect(Math.abs(glyph.x - 100) - glyph.width / 2).toBeGreaterThanOrEqual(8);
+          }
+        }
+      }
+    }
+  });
+
+  it('should lay out the fitted text variant', () => {
+    const scorer = new PlacementScorer({ abbreviations: { River: 'R.' } });
+    const short = parser.parse(Array.from({ length: 7 }, (_, i) => [i * 20, 100, 20]));
+    const run = new LabelPipeline({ scorer }).run(short, 'Nile River', { fontSize: 16 });
+
+    expect(run.fit.step).toBe('abbreviation');
+    expect(run.characterPlacements.map(p => p.char).join('')).toBe('Nile R.');
+  });
+
+  it('should measure and lay out glyphs with a loaded font', () => {
+    const fonts = new FontBook();
+    fonts.add(buildFont({ family: 'Test Sans', advances: { A: 600, V: 700 }, kerning: [['A', 'V', -100]] }));
+    const run = new LabelPipeline({ fonts }).run(straight, 'AVA', { fontSize: 10, fontFamily: 'Test Sans' });
+    const [a, v, last] = run.characterPlacements;
+
+    expect(run.result.textLength).toBeCloseTo(6 + 7 + 6 - 1);
+    expect(a.width).toBeCloseTo(6);
+    expect(v.width).toBeCloseTo(7);
+    expect(v.x - a.x).toBeCloseTo(6 / 2 - 1 + 7 / 2);
+    expect(last.x - v.x).toBeCloseTo(7 / 2 + 6 / 2);
+  });
+});
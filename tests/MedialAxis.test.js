@@ -0,0 +1,164 @@
+/**
+ * Tests for MedialAxis
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { MedialAxis } from '../src/MedialAxis.js';
+
+/**
+ * Even-odd point-in-polygon test for assertions
+ */
+function isInside([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+describe('MedialAxis', () => {
+  let medialAxis;
+
+  beforeEach(() => {
+    medialAxis = new MedialAxis();
+  });
+
+  it('should follow the middle of a straight channel', () => {
+    const rectangle = [[0, 0], [200, 0], [200, 20], [0, 20], [0, 0]];
+    const centerline = medialAxis.extract(rectangle);
+
+    expect(centerline.length).toBeGreaterThan(10);
+
+    // Away from the ends the axis sits on y = 10 with the full channel width
+    const interior = centerline.filter(([x]) => x > 30 && x < 170);
+    expect(interior.length).toBeGreaterThan(0);
+    for (const [, y, width] of interior) {
+      expect(y).toBeCloseTo(10, 0);
+      expect(width).toBeCloseTo(20, 0);
+    }
+  });
+
+  it('should turn with a channel that bends 90 degrees', () => {
+    // L-shaped channel, 20 units wide: east along y in [0, 20], then north along x in [180, 200]
+    const lShape = [[0, 0], [200, 0], [200, 200], [180, 200], [180, 20], [0, 20], [0, 0]];
+    const centerline = medialAxis.extract(lShape);
+
+    const xs = centerline.map(([x]) => x);
+    const ys = centerline.map(([, y]) => y);
+
+    // Reaches both arms of the L rather than cutting across the bounding box
+    expect(Math.min(...xs)).toBeLessThan(20);
+    expect(Math.max(...ys)).toBeGreaterThan(180);
+
+    for (const [x, y, width] of centerline) {
+      expect(isInside([x, y], lShape)).toBe(true);
+      expect(width).toBeLessThanOrEqual(20 * Math.SQRT2 + 1);
+    }
+  });
+
+  it('should stay in the channel around a meander that doubles back', () => {
+    // U-shaped channel: east along the bottom, up, then west along the top
+    const uShape = [
+      [0, 0], [200, 0], [200, 100], [0, 100], [0, 80],
+      [180, 80], [180, 20], [0, 20], [0, 0]
+    ];
+    const centerline = medialAxis.extract(uShape);
+
+    const first = centerline[0];
+    const last = centerline[centerline.length - 1];
+
+    // Both ends of the axis lie at the open (west) ends of the two arms
+    expect(Math.min(first[0], last[0])).toBeLessThan(20);
+    expect(Math.max(first[0], last[0])).toBeLessThan(20);
+    expect(Math.abs(first[1] - last[1])).toBeGreaterThan(60);
+
+    for (const point of centerline) {
+      expect(isInside(point, uShape)).toBe(true);
+    }
+  });
+
+  it('should route around islands and report the narrower channel width', () => {
+    const exterior = [[0, 0], [200, 0], [200, 40], [0, 40], [0, 0]];
+    const island = [[80, 10], [120, 10], [120, 30], [80, 30], [80, 10]];
+    const centerline = medialAxis.extract(exterior, [island]);
+
+    const besideIsland = centerline.filter(([x]) => x > 90 && x < 110);
+    expect(besideIsland.length).toBeGreaterThan(0);
+    for (const [x, y, width] of besideIsland) {
+      expect(isInside([x, y], island)).toBe(false);
+      expect(width).toBeLessThan(15);
+    }
+  });
+
+  it('should cap the number of returned vertices', () => {
+    const capped = new MedialAxis({ maxPoints: 20 });
+    const rectangle = [[0, 0], [500, 0], [500, 20], [0, 20], [0, 0]];
+
+    expect(capped.extract(rectangle).length).toBeLessThanOrEqual(20);
+  });
+
+  it('should resample detailed banks down to the sample budget', () => {
+    const detailed = Array.from({ length: 4000 }, (_, i) => [i * 0.1, 0])
+      .concat(Array.from({ length: 4000 }, (_, i) => [(3999 - i) * 0.1, 20]));
+
+    expect(new MedialAxis({ maxSamples: 500 })._densify([detailed]).length).toBeLessThanOrEqual(510);
+  });
+
+  it('should extract the axis of survey-sized banks quickly', () => {
+    // A meandering channel 60 wide with 5000 slightly noisy vertices per bank
+    const bank = offset => Array.from({ length: 5000 }, (_, i) => {
+      const x = i;
+      return [x, Math.sin(x / 300) * 400 + offset + Math.sin(i * 1.7) * 2];
+    });
+    const channel = [...bank(0), ...bank(60).reverse()];
+
+    const started = performance.now();
+    const centerline = medialAxis.extract(channel);
+    const elapsed = performance.now() - started;
+
+    expect(elapsed).toBeLessThan(2000);
+    expect(centerline.length).toBe(100);
+    for (const point of centerline) {
+      expect(isInside(point, channel)).toBe(true);
+    }
+  });
+
+  it('should recover the width of long, narrow channels', () => {
+    // 30 wide and 40000 long: the sample budget alone would space samples
+    // 80 apart, far wider than the channel
+    const channel = [[0, 0], [40000, 0], [40000, 30], [0, 30], [0, 0]];
+    const centerline = medialAxis.extract(channel);
+
+    const interior = centerline.filter(([x]) => x > 1000 && x < 39000);
+    expect(interior.length).toBeGreaterThan(90);
+    for (const [, y, width] of interior) {
+      expect(y).toBeCloseTo(15, 0);
+      expect(Math.abs(width - 30)).toBeLessThan(3);
+    }
+  });
+
+  it('should follow a long, narrow meander', () => {
+    // 30 wide (measured vertically) along a sine wave 20000 long
+    const bank = offset => Array.from({ length: 2001 }, (_, i) => [i * 10, Math.sin(i / 30) * 200 + offset]);
+    const channel = [...bank(0), ...bank(30).reverse()];
+    const centerline = medialAxis.extract(channel);
+
+    expect(centerline).toHaveLength(100);
+    expect(centerline[0][0]).toBeLessThan(100);
+    expect(centerline[centerline.length - 1][0]).toBeGreaterThan(19900);
+    for (const point of centerline.slice(1, -1)) {
+      expect(isInside(point, channel)).toBe(true);
+      // Perpendicular width lies between 30 * cos(steepest slope) and 30
+      expect(point[2]).toBeGreaterThan(22);
+      expect(point[2]).toBeLessThan(32);
+    }
+  });
+
+  it('should throw for polygons with fewer than 3 coordinates', () => {
+    expect(() => medialAxis.extract([[0, 0], [1, 1]])).toThrow('Invalid polygon coordinates');
+  });
+});
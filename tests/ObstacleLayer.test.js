@@ -0,0 +1,112 @@
+/**
+ * Tests for ObstacleLayer
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ObstacleLayer } from '../src/ObstacleLayer.js';
+import { Projection } from '../src/Projection.js';
+
+describe('ObstacleLayer', () => {
+  const footprint = [{ x: 0, y: 0 }, { x: 100, y: 0 }];
+
+  it('should fill in defaults', () => {
+    const [obstacle] = new ObstacleLayer([{ type: 'point', points: [{ x: 5, y: 5 }] }]).obstacles;
+
+    expect(obstacle).toMatchObject({ name: 'point 0', action: 'reject', penalty: 50, buffer: 0 });
+  });
+
+  it('should reject malformed obstacles', () => {
+    expect(() => new ObstacleLayer({})).toThrow('Obstacles must be an array');
+    expect(() => new ObstacleLayer([{ type: 'circle', points: [] }]))
+      .toThrow('Obstacle 0: unknown type "circle"');
+    expect(() => new ObstacleLayer([{ type: 'line', points: [{ x: 0, y: 0 }] }]))
+      .toThrow('Obstacle 0: a line needs at least 2 point(s)');
+    expect(() => new ObstacleLayer([{ type: 'point', points: [[0, 0]] }]))
+      .toThrow('Obstacle 0: points must be an array of {x, y}');
+    expect(() => new ObstacleLayer([{ type: 'point', points: [{ x: 0, y: 0 }], action: 'avoid' }]))
+      .toThrow('Obstacle 0: unknown action "avoid"');
+    expect(() => new ObstacleLayer([{ type: 'point', points: [{ x: 0, y: 0 }], penalty: 150 }]))
+      .toThrow('Obstacle 0: penalty must be a number between 0 and 100');
+    expect(() => new ObstacleLayer([{ type: 'point', points: [{ x: 0, y: 0 }], buffer: -1 }]))
+      .toThrow('Obstacle 0: buffer must be a non-negative number');
+  });
+
+  it('should hit points within the clearance plus buffer', () => {
+    const layer = new ObstacleLayer([
+      { type: 'point', points: [{ x: 50, y: 7 }], name: 'near' },
+      { type: 'point', points: [{ x: 50, y: 12 }], name: 'buffered', buffer: 5 },
+      { type: 'point', points: [{ x: 50, y: 30 }], name: 'far' }
+    ]);
+
+    expect(layer.findHits(footprint, 8).map(hit => hit.name)).toEqual(['near', 'buffered']);
+  });
+
+  it('should hit lines that cross the footprint', () => {
+    const layer = new ObstacleLayer([
+      { type: 'line', points: [{ x: 50, y: -50 }, { x: 50, y: 50 }], name: 'road' },
+      { type: 'line', points: [{ x: 200, y: -50 }, { x: 200, y: 50 }], name: 'border' }
+    ]);
+
+    expect(layer.findHits(footprint, 8).map(hit => hit.name)).toEqual(['road']);
+  });
+
+  it('should hit polygons that contain the footprint', () => {
+    const box = (minX, minY, maxX, maxY) => [
+      { x: minX, y: minY }, { x: maxX, y: minY }, { x: maxX, y: maxY }, { x: minX, y: maxY }
+    ];
+    const layer = new ObstacleLayer([
+      { type: 'polygon', points: box(-500, -500, 500, 500), name: 'lake' },
+      { type: 'polygon', points: box(0, 20, 100, 40), name: 'legend' }
+    ]);
+
+    expect(layer.findHits(footprint, 8).map(hit => hit.name)).toEqual(['lake']);
+    expect(layer.findHits(footprint, 25).map(hit => hit.name)).toEqual(['lake', 'legend']);
+  });
+
+  it('should read obstacles from GeoJSON features', () => {
+    const obstacles = ObstacleLayer.fromGeoJSON({
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', properties: { name: 'Bridge' }, geometry: { type: 'Point', coordinates: [5, 5] } },
+        {
+          type: 'Feature',
+          properties: { name: 'Road', action: 'penalize', penalty: 20 },
+          geometry: { type: 'MultiLineString', coordinates: [[[0, 0], [10, 0]], [[10, 0], [10, 10]]] }
+        },
+        {
+          type: 'Feature',
+          properties: { buffer: 3 },
+          geometry: { type: 'Polygon', coordinates: [[[0, 0], [4, 0], [4, 4], [0, 0]], [[1, 1], [2, 1], [1, 2], [1, 1]]] }
+        }
+      ]
+    });
+
+    expect(obstacles.map(obstacle => obstacle.type)).toEqual(['point', 'line', 'line', 'polygon']);
+    expect(obstacles[0]).toMatchObject({ name: 'Bridge', points: [{ x: 5, y: 5 }] });
+    expect(obstacles[2]).toMatchObject({ name: 'Road', action: 'penalize', penalty: 20 });
+    expect(obstacles[3].points).toHaveLength(4);
+
+    const [, , , polygon] = new ObstacleLayer(obstacles).obstacles;
+    expect(polygon).toMatchObject({ name: 'polygon 3', action: 'reject', buffer: 3 });
+  });
+
+  it('should project longitude/latitude obstacles like the river', () => {
+    const projection = new Projection('web-mercator');
+    const [obstacle] = ObstacleLayer.fromGeoJSON({ type: 'Point', coordinates: [10, 50] }, projection);
+    const { x, y } = projection.forward(10, 50);
+
+    expect(obstacle.points).toEqual([{ x, y }]);
+  });
+
+  it('should reject GeoJSON it cannot turn into obstacles', () => {
+    expect(() => ObstacleLayer.fromGeoJSON({ type: 'Point', coordinates: 5 }))
+      .toThrow('Invalid obstacle position');
+    expect(() => ObstacleLayer.fromGeoJSON({ type: 'GeometryCollection', geometries: [] }))
+      .toThrow();
+  });
+
+  it('should report an empty layer', () => {
+    expect(new ObstacleLayer().isEmpty()).toBe(true);
+    expect(new ObstacleLayer().findHits(footprint, 8)).toEqual([]);
+  });
+});
@@ -5,8 +5,9 @@
 
 import { describe, it, expect, beforeEach } from 'vitest';
 import * as fc from 'fast-check';
-import { PlacementScorer } from '../src/PlacementScorer.js';
+import { PlacementScorer, DEFAULT_SCORER_CONFIG } from '../src/PlacementScorer.js';
 import { GeometryAnalyzer } from '../src/GeometryAnalyzer.js';
+import { RiverPathParser } from '../src/RiverPathParser.js';
 import { testConfig } from './setup.js';
 
 describe('PlacementScorer', () => {
@@ -290,6 +291,33 @@ describe('PlacementScorer', () => {
     });
   });
   
+  describe('width score with partial width data', () => {
+    // A plain part stitched to a part that carries widths (Z values of 40)
+    const xs = from => Array.from({ length: 11 }, (_, i) => from + i * 20);
+    const path = new RiverPathParser().parse(
+      `MULTILINESTRING((${xs(0).map(x => `${x} 0`).join(', ')}), ` +
+      `(${xs(200).map(x => `${x} 0 40`).join(', ')}))`
+    );
+
+    it('should score windows without known widths as neutral', () => {
+      const metrics = analyzer.analyzeGeometry(path);
+
+      expect(path.widths.slice(0, 11)).toEqual(new Array(11).fill(null));
+      expect(scorer.scoreSegment(path, 2, 8, metrics).scores.width).toBe(50);
+      expect(scorer.scoreSegment(path, 12, 18, metrics).scores.width).toBe(100);
+    });
+
+    it('should score arc-length windows without known widths as neutral', () => {
+      const stepped = new PlacementScorer({ candidateStep: 10 });
+      const metrics = analyzer.analyzeGeometry(path);
+      const candidates = stepped.findArcLengthCandidates(path, 60, metrics);
+      const plain = candidates.filter(c => c.segment.endOffset <= 200);
+
+      expect(plain.length).toBeGreaterThan(0);
+      plain.forEach(candidate => expect(candidate.scores.width).toBe(50));
+    });
+  });
+
   describe('findCandidates', () => {
     it('should return empty array when no valid candidates exist', () => {
       const path = {
@@ -852,4 +880,595 @@ describe('PlacementScorer', () => {
       }
     });
   });
+
+  describe('configuration', () => {
+    const straightPath = {
+      points: Array.from({ length: 11 }, (_, i) => ({ x: i * 10, y: 0 })),
+      widths: Array(11).fill(10),
+      length: 100,
+      bounds: { minX: 0, maxX: 100, minY: 0, maxY: 0 }
+    };
+
+    it('should default to the 40/20/20/20 weights', () => {
+      expect(scorer.config).toEqual(DEFAULT_SCORER_CONFIG);
+    });
+
+    it('should apply custom weights, normalized to their sum', () => {
+      const widthOnly = new PlacementScorer({
+        weights: { curvature: 0, width: 5, position: 0, straightness: 0 }
+      });
+      const metrics = analyzer.analyzeGeometry(straightPath);
+      const result = widthOnly.scoreSegment(straightPath, 2, 8, metrics);
+
+      expect(result.score).toBeCloseTo(result.scores.width, 10);
+      expect(result.scores.width).toBeCloseTo(50, 10);
+    });
+
+    it('should merge partial weights with the defaults', () => {
+      const custom = new PlacementScorer({ weights: { curvature: 0.1 } });
+
+      expect(custom.config.weights).toEqual({
+        curvature: 0.1,
+        width: 0.2,
+        position: 0.2,
+        straightness: 0.2
+      });
+    });
+
+    it('should use the configured ideal width', () => {
+      const custom = new PlacementScorer({ idealWidth: 10 });
+      const metrics = analyzer.analyzeGeometry(straightPath);
+
+      expect(custom.scoreSegment(straightPath, 2, 8, metrics).scores.width).toBe(100);
+    });
+
+    it('should reject invalid configuration', () => {
+      expect(() => new PlacementScorer({ weights: { curvature: -1 } })).toThrow('Weight "curvature"');
+      expect(() => new PlacementScorer({ weights: { shade: 1 } })).toThrow('Unknown score weight "shade"');
+      expect(() => new PlacementScorer({
+        weights: { curvature: 0, width: 0, position: 0, straightness: 0 }
+      })).toThrow('At least one score weight');
+      expect(() => new PlacementScorer({ idealWidth: 0 })).toThrow('idealWidth');
+      expect(() => new PlacementScorer({ curvaturePenalty: NaN })).toThrow('curvaturePenalty');
+      expect(() => new PlacementScorer({ fontSize: 12 })).toThrow('Unknown scorer option "fontSize"');
+      expect(() => new PlacementScorer({ minFontSize: 0 })).toThrow('minFontSize');
+      expect(() => new PlacementScorer({ abbreviations: { River: 1 } })).toThrow('abbreviations');
+      expect(() => new PlacementScorer({ maxLetterCompression: 1 })).toThrow('maxLetterCompression');
+    });
+
+    it('should echo the effective configuration in the placement result', () => {
+      const custom = new PlacementScorer({ weights: { width: 0.5 } });
+      const metrics = new GeometryAnalyzer({ minWidth: 2 }).analyzeGeometry(straightPath);
+      const result = custom.findOptimalPlacement(straightPath, 'A', 8, metrics);
+
+      expect(result.config.scorer).toBe(custom.config);
+      expect(result.config.scorer.weights.width).toBe(0.5);
+      expect(result.config.analyzer).toEqual({ curvatureThreshold: 2, minWidth: 2, edgeRatio: 0.1 });
+    });
+  });
+
+  describe('custom criteria', () => {
+    const path = {
+      points: Array.from({ length: 11 }, (_, i) => ({ x: i * 10, y: 0 })),
+      widths: null,
+      length: 100,
+      bounds: { minX: 0, maxX: 100, minY: 0, maxY: 0 }
+    };
+
+    it('should report every criterion in scores', () => {
+      const custom = new PlacementScorer({
+        criteria: { avoidFrame: () => 25 },
+        weights: { avoidFrame: 0.2 }
+      });
+      const metrics = analyzer.analyzeGeometry(path);
+      const result = custom.scoreSegment(path, 2, 8, metrics);
+
+      expect(Object.keys(result.scores)).toEqual([
+        'curvature', 'width', 'position', 'straightness', 'avoidFrame'
+      ]);
+      expect(result.scores.avoidFrame).toBe(25);
+
+      const builtIn = scorer.scoreSegment(path, 2, 8, metrics).score;
+      expect(result.score).toBeCloseTo((builtIn + 25 * 0.2) / 1.2, 10);
+    });
+
+    it('should pass the path, segment indices and metrics to each criterion', () => {
+      const calls = [];
+      const custom = new PlacementScorer();
+      custom.registerCriterion('nearReach', (...args) => {
+        calls.push(args);
+        return 100;
+      }, 1);
+      const metrics = analyzer.analyzeGeometry(path);
+      custom.scoreSegment(path, 3, 6, metrics);
+
+      expect(calls).toEqual([[path, 3, 6, metrics]]);
+    });
+
+    it('should let a criterion steer the optimal placement', () => {
+      const preferStart = new PlacementScorer({
+        criteria: { preferStart: (p, startIdx) => 100 - startIdx * 10 },
+        weights: { curvature: 0, width: 0, position: 0, straightness: 0, preferStart: 1 }
+      });
+      const metrics = analyzer.analyzeGeometry(path);
+      const result = preferStart.findOptimalPlacement(path, 'A', 8, metrics);
+
+      // The first window clear of the edge section starts between vertices 1 and 2
+      expect(result.placement.segment.startIdx).toBe(1);
+      expect(result.placement.segment.startOffset).toBeGreaterThan(10);
+      expect(result.placement.scores.preferStart).toBe(90);
+    });
+
+    it('should clamp criterion scores to 0-100', () => {
+      const custom = new PlacementScorer({
+        criteria: { high: () => 500, low: () => -20 },
+        weights: { high: 1, low: 1 }
+      });
+      const result = custom.scoreSegment(path, 2, 8, analyzer.analyzeGeometry(path));
+
+      expect(result.scores.high).toBe(100);
+      expect(result.scores.low).toBe(0);
+    });
+
+    it('should reject invalid criteria', () => {
+      expect(() => new PlacementScorer({ criteria: { roads: () => 0 } })).toThrow('Criterion "roads" needs a weight');
+      expect(() => new PlacementScorer({
+        criteria: { roads: 5 },
+        weights: { roads: 1 }
+      })).toThrow('Criterion "roads" must be a function');
+      expect(() => new PlacementScorer({
+        criteria: { width: () => 0 },
+        weights: { width: 1 }
+      })).toThrow('built in');
+      expect(() => scorer.registerCriterion('roads', () => 0, -1)).toThrow('Weight "roads"');
+    });
+
+    it('should reject criteria that do not return a number', () => {
+      const custom = new PlacementScorer({
+        criteria: { broken: () => undefined },
+        weights: { broken: 1 }
+      });
+
+      expect(() => custom.scoreSegment(path, 2, 8, analyzer.analyzeGeometry(path)))
+        .toThrow('Criterion "broken" must return a number');
+    });
+  });
+
+  describe('findPeakOffset', () => {
+    it('should return the center of the best-scoring text window', () => {
+      // Wide water only between x = 60 and x = 80
+      const path = {
+        points: Array.from({ length: 11 }, (_, i) => ({ x: i * 10, y: 0 })),
+        widths: [5, 5, 5, 5, 5, 5, 20, 20, 20, 5, 5],
+        length: 100,
+        bounds: { minX: 0, maxX: 100, minY: 0, maxY: 0 }
+      };
+      const widthOnly = new PlacementScorer({
+        weights: { curvature: 0, width: 1, position: 0, straightness: 0 }
+      });
+      const metrics = analyzer.analyzeGeometry(path);
+
+      expect(widthOnly.findPeakOffset(path, { startIdx: 1, endIdx: 9 }, 20, metrics)).toBeCloseTo(60);
+    });
+
+    it('should fall back to the segment midpoint when the text does not fit', () => {
+      const path = {
+        points: Array.from({ length: 5 }, (_, i) => ({ x: i * 10, y: 0 })),
+        widths: null,
+        length: 40,
+        bounds: { minX: 0, maxX: 40, minY: 0, maxY: 0 }
+      };
+      const metrics = analyzer.analyzeGeometry(path);
+
+      expect(scorer.findPeakOffset(path, { startIdx: 1, endIdx: 3 }, 100, metrics)).toBe(10);
+    });
+  });
+
+  describe('findArcLengthCandidates', () => {
+    const line = (vertexCount, widths = null) => {
+      const points = Array.from({ length: vertexCount }, (_, i) => ({
+        x: (200 * i) / (vertexCount - 1),
+        y: 0
+      }));
+      return {
+        points,
+        widths: widths ? points.map(widths) : null,
+        length: 200,
+        bounds: { minX: 0, maxX: 200, minY: 0, maxY: 0 }
+      };
+    };
+
+    it('should generate windows at fixed steps even on sparse paths', () => {
+      const path = line(3);
+      const metrics = analyzer.analyzeGeometry(path);
+
+      // Vertex windows are all blocked by the edge sections on three vertices
+      expect(scorer.findCandidates(path, 40, metrics)).toEqual([]);
+
+      const candidates = scorer.findArcLengthCandidates(path, 40, metrics, 5);
+      expect(candidates.map(c => c.segment.startOffset)).toEqual(
+        Array.from({ length: 23 }, (_, i) => 25 + i * 5)
+      );
+      candidates.forEach(c => {
+        expect(c.segment.length).toBeCloseTo(40);
+        expect(c.segment.endOffset - c.segment.startOffset).toBeCloseTo(40);
+        expect(c.centerPoint.x).toBeCloseTo(c.segment.startOffset + 20);
+      });
+    });
+
+    it('should find the same best window however densely the path is digitized', () => {
+      const best = vertexCount => {
+        const path = line(vertexCount);
+        const metrics = analyzer.analyzeGeometry(path);
+        return scorer.selectOptimal(scorer.findArcLengthCandidates(path, 40, metrics, 5));
+      };
+
+      const sparse = best(3);
+      const dense = best(401);
+
+      expect(sparse.centerPoint.x).toBeCloseTo(100);
+      expect(dense.centerPoint.x).toBeCloseTo(100);
+      expect(dense.score).toBeCloseTo(sparse.score, 6);
+    });
+
+    it('should report the vertices that enclose each window', () => {
+      const path = line(5);
+      const metrics = analyzer.analyzeGeometry(path);
+      const candidate = scorer
+        .findArcLengthCandidates(path, 40, metrics, 5)
+        .find(c => c.segment.startOffset === 60);
+
+      expect(candidate.segment.startIdx).toBe(1);
+      expect(candidate.segment.endIdx).toBe(2);
+    });
+
+    it('should skip windows that overlap rejected sections', () => {
+      const path = line(21, (_, i) => (i === 10 ? 0.5 : 10));
+      const metrics = analyzer.analyzeGeometry(path);
+      const candidates = scorer.findArcLengthCandidates(path, 30, metrics, 5);
+
+      expect(candidates.length).toBeGreaterThan(0);
+      candidates.forEach(c => {
+        const overlapsNarrow = c.segment.startOffset <= 100 && c.segment.endOffset >= 100;
+        expect(overlapsNarrow).toBe(false);
+      });
+    });
+
+    it('should interpolate widths between vertices', () => {
+      const path = line(3, (_, i) => [0, 40, 0][i]);
+      const metrics = analyzer.analyzeGeometry(path, { minWidth: 0 });
+      const candidate = scorer
+        .findArcLengthCandidates(path, 20, metrics, 10)
+        .find(c => c.segment.startOffset === 90);
+
+      // Samples at 90, 100 and 110 have widths 36, 40 and 36
+      expect(candidate.scores.width).toBeCloseTo(100);
+      expect(scorer
+        .findArcLengthCandidates(path, 20, metrics, 10)
+        .find(c => c.segment.startOffset === 30).scores.width).toBeCloseTo((12 + 16 + 20) / 3 / 20 * 100);
+    });
+
+    it('should score curved windows as less straight', () => {
+      const arc = {
+        points: Array.from({ length: 41 }, (_, i) => {
+          const t = (Math.PI * i) / 40;
+          return { x: 100 * Math.cos(t), y: 100 * Math.sin(t) };
+        }),
+        widths: null
+      };
+      arc.length = scorer._cumulativeDistances(arc.points).at(-1);
+      const metrics = analyzer.analyzeGeometry(arc, { curvatureThreshold: 10 });
+      const candidates = scorer.findArcLengthCandidates(arc, 60, metrics, 5);
+
+      expect(candidates.length).toBeGreaterThan(0);
+      candidates.forEach(c => expect(c.scores.straightness).toBeLessThan(100));
+    });
+
+    it('should be used by findOptimalPlacement when candidateStep is set', () => {
+      const stepped = new PlacementScorer({ candidateStep: 5 });
+      const path = line(3);
+      const result = stepped.findOptimalPlacement(path, 'Rhine', 16, analyzer.analyzeGeometry(path));
+
+      expect(result.warning).toBeNull();
+      expect(result.placement.segment.startOffset).toBeDefined();
+      expect(result.config.scorer.candidateStep).toBe(5);
+    });
+
+    it('should step by half the font size by default and keep vertex windows as an opt-out', () => {
+      const path = line(21);
+      const metrics = analyzer.analyzeGeometry(path);
+      const result = scorer.findOptimalPlacement(path, 'Rhine', 16, metrics);
+      const starts = result.allCandidates.map(c => c.segment.startOffset);
+
+      expect(result.config.scorer.candidateStep).toBeNull();
+      starts.slice(1).forEach((start, i) => expect(start - starts[i]).toBeCloseTo(8, 10));
+
+      const vertex = new PlacementScorer({ candidateStep: 'vertex' }).findOptimalPlacement(path, 'Rhine', 16, metrics);
+      expect(vertex.placement.segment.startOffset).toBeUndefined();
+      expect(() => new PlacementScorer({ candidateStep: 'arc' })).toThrow('candidateStep');
+    });
+
+    it('should pass the enclosing vertices to custom criteria', () => {
+      const calls = [];
+      const custom = new PlacementScorer({
+        criteria: { spy: (p, startIdx, endIdx) => calls.push([startIdx, endIdx]) && 50 },
+        weights: { spy: 1 }
+      });
+      const path = line(5);
+      custom.findArcLengthCandidates(path, 40, analyzer.analyzeGeometry(path), 20);
+
+      calls.forEach(([startIdx, endIdx]) => expect(endIdx).toBeGreaterThan(startIdx));
+      expect(calls.length).toBeGreaterThan(0);
+    });
+
+    it('should reject invalid steps', () => {
+      const path = line(3);
+      const metrics = analyzer.analyzeGeometry(path);
+
+      expect(() => scorer.findArcLengthCandidates(path, 40, metrics, 0)).toThrow('Invalid step');
+      expect(() => new PlacementScorer({ candidateStep: -5 })).toThrow('candidateStep');
+    });
+  });
+
+  describe('findRepeatedPlacements', () => {
+    const longRiver = {
+      points: Array.from({ length: 101 }, (_, i) => ({ x: i * 10, y: 0 })),
+      widths: null,
+      length: 1000,
+      bounds: { minX: 0, maxX: 1000, minY: 0, maxY: 0 }
+    };
+
+    it('should return several non-overlapping placements in path order', () => {
+      const metrics = analyzer.analyzeGeometry(longRiver);
+      const result = scorer.findRepeatedPlacements(longRiver, 'Danube', 16, metrics, { spacing: 100 });
+      const windows = result.placements.map(p => p.segment);
+
+      expect(windows.length).toBeGreaterThan(2);
+      for (let i = 1; i < windows.length; i++) {
+        expect(windows[i].startOffset - windows[i - 1].endOffset).toBeGreaterThanOrEqual(100);
+      }
+      windows.forEach(w => {
+        expect(w.startOffset).toBeGreaterThan(100);
+        expect(w.endOffset).toBeLessThan(900);
+      });
+    });
+
+    it('should include the best-scoring window as placement', () => {
+      const metrics = analyzer.analyzeGeometry(longRiver);
+      const result = scorer.findRepeatedPlacements(longRiver, 'Danube', 16, metrics, { spacing: 100 });
+      const best = Math.max(...result.allCandidates.map(c => c.score));
+
+      expect(result.placements).toContain(result.placement);
+      expect(result.placement.score).toBe(best);
+      expect(result.warning).toBeNull();
+    });
+
+    it('should place fewer labels as the spacing grows', () => {
+      const metrics = analyzer.analyzeGeometry(longRiver);
+      const count = spacing => scorer
+        .findRepeatedPlacements(longRiver, 'Danube', 16, metrics, { spacing })
+        .placements.length;
+
+      expect(count(50)).toBeGreaterThan(count(300));
+      expect(count(1000)).toBe(1);
+    });
+
+    it('should respect maxLabels', () => {
+      const metrics = analyzer.analyzeGeometry(longRiver);
+      const result = scorer.findRepeatedPlacements(longRiver, 'Danube', 16, metrics, {
+        spacing: 10,
+        maxLabels: 2
+      });
+
+      expect(result.placements).toHaveLength(2);
+    });
+
+    it('should fall back to the single placement warning when the text does not fit', () => {
+      const short = {
+        points: [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 20, y: 0 }, { x: 30, y: 0 }],
+        widths: null,
+        length: 30,
+        bounds: { minX: 0, maxX: 30, minY: 0, maxY: 0 }
+      };
+      const metrics = analyzer.analyzeGeometry(short);
+      const result = scorer.findRepeatedPlacements(short, 'Mississippi', 16, metrics, { spacing: 10 });
+
+      expect(result.warning).not.toBeNull();
+      expect(result.placements).toEqual(result.placement ? [result.placement] : []);
+    });
+
+    it('should reject invalid spacing and label counts', () => {
+      const metrics = analyzer.analyzeGeometry(longRiver);
+
+      expect(() => scorer.findRepeatedPlacements(longRiver, 'A', 16, metrics, {}))
+        .toThrow('spacing must be a non-negative number');
+      expect(() => scorer.findRepeatedPlacements(longRiver, 'A', 16, metrics, { spacing: 10, maxLabels: 0 }))
+        .toThrow('maxLabels must be at least 1');
+    });
+  });
+
+  describe('obstacles', () => {
+    const longRiver = {
+      points: Array.from({ length: 101 }, (_, i) => ({ x: i * 10, y: 0 })),
+      widths: null,
+      length: 1000,
+      bounds: { minX: 0, maxX: 1000, minY: 0, maxY: 0 }
+    };
+    const city = { type: 'point', points: [{ x: 500, y: 4 }], name: 'City' };
+
+    it('should reject candidates whose footprint meets an obstacle', () => {
+      const metrics = analyzer.analyzeGeometry(longRiver);
+      const plain = scorer.findOptimalPlacement(longRiver, 'Rhine', 16, metrics);
+      const result = scorer.findOptimalPlacement(longRiver, 'Rhine', 16, metrics, 'Arial', {
+        obstacles: [city]
+      });
+
+      expect(result.allCandidates.length).toBeLessThan(plain.allCandidates.length);
+      expect(result.placement).not.toBeNull();
+      expect(plain.rejectedSegments).toEqual([]);
+      expect(result.rejectedSegments).toHaveLength(1);
+
+      const [rejected] = result.rejectedSegments;
+      expect(rejected.reason).toBe('obstacle: City');
+      expect(rejected.startOffset).toBeLessThan(500);
+      expect(rejected.endOffset).toBeGreaterThan(500);
+      expect(longRiver.points[rejected.startIdx].x).toBeLessThanOrEqual(rejected.startOffset);
+      expect(longRiver.points[rejected.endIdx].x).toBeGreaterThanOrEqual(rejected.endOffset);
+    });
+
+    it('should penalize instead of rejecting when asked', () => {
+      const metrics = analyzer.analyzeGeometry(longRiver);
+      const plain = scorer.findOptimalPlacement(longRiver, 'Rhine', 16, metrics);
+      const result = scorer.findOptimalPlacement(longRiver, 'Rhine', 16, metrics, 'Arial', {
+        obstacles: [{ ...city, action: 'penalize', penalty: 30 }]
+      });
+
+      expect(result.allCandidates).toHaveLength(plain.allCandidates.length);
+      expect(result.rejectedSegments[0].reason).toBe('obstacle penalty: City');
+
+      const penalized = result.allCandidates.filter(c => c.segment.reason === 'obstacle penalty: City');
+      expect(penalized.length).toBeGreaterThan(0);
+      penalized.forEach(candidate => {
+        const original = plain.allCandidates.find(c =>
+          c.segment.startIdx === candidate.segment.startIdx && c.segment.endIdx === candidate.segment.endIdx
+        );
+        expect(candidate.score).toBeCloseTo(Math.max(0, original.score - 30), 10);
+      });
+      expect(result.placement.segment.reason).toBeNull();
+    });
+
+    it('should warn when every fitting position is blocked', () => {
+      const metrics = analyzer.analyzeGeometry(longRiver);
+      const result = scorer.findOptimalPlacement(longRiver, 'Rhine', 16, metrics, 'Arial', {
+        obstacles: [{ type: 'line', points: [{ x: 0, y: 5 }, { x: 1000, y: 5 }], name: 'Road' }]
+      });
+
+      expect(result.placement).toBeNull();
+      expect(result.warning).toContain('overlaps an obstacle');
+      expect(result.rejectedSegments.map(s => s.reason)).toEqual(['obstacle: Road']);
+    });
+
+    it('should apply to arc-length candidates and repeated placements', () => {
+      const stepped = new PlacementScorer({ candidateStep: 10 });
+      const metrics = analyzer.analyzeGeometry(longRiver);
+      const single = stepped.findOptimalPlacement(longRiver, 'Rhine', 16, metrics, 'Arial', {
+        obstacles: [city]
+      });
+      const repeated = scorer.findRepeatedPlacements(longRiver, 'Rhine', 16, metrics, {
+        spacing: 50,
+        obstacles: [city]
+      });
+
+      // The city sits 4 above the river, so labels 16 high must stop about 7 short of it
+      const clearOfCity = segment => segment.endOffset <= 494 || segment.startOffset >= 506;
+      expect(clearOfCity(single.placement.segment)).toBe(true);
+      expect(repeated.placements.length).toBeGreaterThan(1);
+      repeated.placements.forEach(p => expect(clearOfCity(p.segment)).toBe(true));
+      expect(repeated.rejectedSegments).toHaveLength(1);
+    });
+
+    it('should leave candidates untouched without obstacles', () => {
+      const metrics = analyzer.analyzeGeometry(longRiver);
+      const candidates = scorer.findCandidates(longRiver, 50, metrics);
+
+      expect(scorer.applyObstacles(longRiver, candidates, 50, 16)).toEqual({
+        candidates,
+        rejectedSegments: []
+      });
+    });
+  });
+
+  describe('fallback chain', () => {
+    // 200 long with 140 usable between the edge sections by vertex windows; at 16px every
+    // character is 9.6 wide
+    const vertex = { candidateStep: 'vertex' };
+    const path = {
+      points: Array.from({ length: 21 }, (_, i) => ({ x: i * 10, y: 0 })),
+      widths: null,
+      length: 200,
+      bounds: { minX: 0, maxX: 200, minY: 0, maxY: 0 }
+    };
+
+    it('should report the original text when it fits', () => {
+      const result = scorer.findOptimalPlacement(path, 'Nile', 16, analyzer.analyzeGeometry(path));
+
+      expect(result.fit).toEqual({ step: 'original', text: 'Nile', fontSize: 16, letterSpacing: 0 });
+    });
+
+    it('should keep the overrunning placement when no fallback is configured', () => {
+      const plain = new PlacementScorer(vertex);
+      const result = plain.findOptimalPlacement(path, 'Rio Grande River', 16, analyzer.analyzeGeometry(path));
+
+      expect(result.warning).toContain('exceeds longest suitable segment');
+      expect(result.fit).toEqual({ step: null, text: 'Rio Grande River', fontSize: 16, letterSpacing: 0 });
+    });
+
+    it('should shrink the font first', () => {
+      const shrinking = new PlacementScorer({ ...vertex, minFontSize: 8 });
+      const result = shrinking.findOptimalPlacement(path, 'Rio Grande River', 16, analyzer.analyzeGeometry(path));
+
+      expect(result.warning).toBeNull();
+      expect(result.fit.step).toBe('font-size');
+      expect(result.fit.fontSize).toBeCloseTo(14.5, 10);
+      expect(result.textLength).toBeLessThanOrEqual(140);
+    });
+
+    it('should abbreviate word by word once the font cannot shrink further', () => {
+      const abbreviating = new PlacementScorer({
+        ...vertex,
+        minFontSize: 15,
+        abbreviations: { Grande: 'Gr.', River: 'R.' }
+      });
+      const result = abbreviating.findOptimalPlacement(path, 'Rio Grande River', 16, analyzer.analyzeGeometry(path));
+
+      // 144 long at 15px is still too long; the first abbreviation fits at full size
+      expect(result.fit).toEqual({ step: 'abbreviation', text: 'Rio Gr. River', fontSize: 16, letterSpacing: 0 });
+      expect(result.placement).not.toBeNull();
+    });
+
+    it('should only abbreviate whole words', () => {
+      expect(scorer._abbreviate('Riverside River', 'River', 'R.')).toBe('Riverside R.');
+    });
+
+    it('should compress letter spacing last', () => {
+      const compressing = new PlacementScorer({ ...vertex, maxLetterCompression: 0.1 });
+      const result = compressing.findOptimalPlacement(path, 'Mississippi Bay', 16, analyzer.analyzeGeometry(path));
+
+      expect(result.fit.step).toBe('letter-spacing');
+      expect(result.fit.letterSpacing).toBeCloseTo(-0.29, 10);
+      expect(result.textLength).toBeLessThanOrEqual(140);
+    });
+
+    it('should spread the compression over grapheme clusters, not code units', () => {
+      const compressing = new PlacementScorer({ ...vertex, maxLetterCompression: 0.15 });
+      // 18 clusters of i + combining acute: 172.8 wide, so 17 gaps share 32.8 of compression
+      const result = compressing.findOptimalPlacement(path, 'i\u0301'.repeat(18), 16, analyzer.analyzeGeometry(path));
+
+      expect(result.fit.step).toBe('letter-spacing');
+      expect(result.fit.letterSpacing).toBeCloseTo(-1.93, 10);
+      expect(result.textLength).toBeLessThanOrEqual(140);
+      expect(result.warning).toBeNull();
+    });
+
+    it('should give up when even the last step does not fit', () => {
+      const compressing = new PlacementScorer({ ...vertex, minFontSize: 15, maxLetterCompression: 0.01 });
+      const result = compressing.findOptimalPlacement(path, 'Rio Grande River', 16, analyzer.analyzeGeometry(path));
+
+      expect(result.fit.step).toBeNull();
+      expect(result.warning).toContain('exceeds longest suitable segment');
+    });
+
+    it('should fit the fallback to the arc-length windows by default', () => {
+      // Arc-length windows may use all 160 between the edge sections, less one step
+      const shrinking = new PlacementScorer({ minFontSize: 8 });
+      const metrics = analyzer.analyzeGeometry(path);
+      const result = shrinking.findOptimalPlacement(path, 'Rio Grande de Santiago', 16, metrics);
+
+      expect(result.warning).toBeNull();
+      expect(result.fit.step).toBe('font-size');
+      expect(result.fit.fontSize).toBeCloseTo(11.5, 10);
+      expect(result.placement.segment.startOffset).toBeGreaterThan(20);
+      expect(result.placement.segment.endOffset).toBeLessThan(180);
+    });
+  });
 });
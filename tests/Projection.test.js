@@ -0,0 +1,174 @@
+/**
+ * Tests for Projection
+ */
+
+import { describe, it, expect } from 'vitest';
+import { Projection, PROJECTIONS } from '../src/Projection.js';
+import { RiverPathParser } from '../src/RiverPathParser.js';
+
+describe('Projection', () => {
+  const roundTrip = (projection, lon, lat) => {
+    const { x, y } = projection.forward(lon, lat);
+    return projection.inverse(x, y);
+  };
+
+  it('should list the supported projections', () => {
+    expect(PROJECTIONS).toEqual(['utm', 'web-mercator', 'equirectangular']);
+  });
+
+  it('should reject unknown projections and bad parameters', () => {
+    expect(() => new Projection('lambert')).toThrow('Unknown projection: lambert');
+    expect(() => new Projection('utm')).toThrow('UTM zone must be an integer from 1 to 60');
+    expect(() => new Projection('utm', { zone: 61 })).toThrow('UTM zone must be an integer from 1 to 60, got 61');
+    expect(() => new Projection('equirectangular', { standardParallel: 90 })).toThrow('Standard parallel');
+  });
+
+  it('should reject coordinates that are not longitude/latitude', () => {
+    expect(() => new Projection('web-mercator').forward(500, 20)).toThrow(
+      'Coordinate [500, 20] is not a valid longitude/latitude'
+    );
+    expect(() => new Projection('web-mercator').forward(NaN, 20)).toThrow('not a valid longitude/latitude');
+  });
+
+  describe('utm', () => {
+    const zone33 = new Projection('utm', { zone: 33 });
+
+    it('should match known UTM coordinates', () => {
+      // On the central meridian of zone 33 (15°E): easting is the false easting
+      const point = zone33.forward(15, 45);
+      expect(point.x).toBeCloseTo(500000, 3);
+      expect(-point.y).toBeCloseTo(4982950.40, 1);
+    });
+
+    it('should apply the false northing in the southern hemisphere', () => {
+      const south = new Projection('utm', { zone: 33, south: true });
+      const point = south.forward(15, -45);
+      expect(-point.y).toBeCloseTo(10000000 - 4982950.40, 1);
+    });
+
+    it('should round-trip within millimeters', () => {
+      for (const [lon, lat] of [[15, 45], [12.3, 60.1], [17.9, -33.5], [15, 0]]) {
+        const back = roundTrip(new Projection('utm', { zone: 33, south: lat < 0 }), lon, lat);
+        expect(back.lon).toBeCloseTo(lon, 7);
+        expect(back.lat).toBeCloseTo(lat, 7);
+      }
+    });
+
+    it('should pick the zone and hemisphere from the data', () => {
+      const projection = Projection.forCoordinates('utm', [[[10.8, 59.9], [11.1, 60.2]]]);
+      expect(projection.toJSON()).toEqual({ name: 'utm', zone: 32, south: false });
+
+      const southern = Projection.forCoordinates('utm', [[151.2, -33.9], [151.3, -33.8]]);
+      expect(southern.toJSON()).toEqual({ name: 'utm', zone: 56, south: true });
+    });
+  });
+
+  describe('web-mercator', () => {
+    const mercator = new Projection('web-mercator');
+
+    it('should put north up and the origin at 0°, 0°', () => {
+      const origin = mercator.forward(0, 0);
+      expect(origin.x).toBe(0);
+      expect(origin.y).toBeCloseTo(0, 6);
+      expect(mercator.forward(0, 10).y).toBeLessThan(0);
+      expect(mercator.forward(180, 0).x).toBeCloseTo(20037508.34, 1);
+    });
+
+    it('should clamp latitudes near the poles', () => {
+      expect(mercator.forward(0, 90).y).toBeCloseTo(mercator.forward(0, 85.05112878).y, 6);
+    });
+
+    it('should round-trip', () => {
+      const back = roundTrip(mercator, -73.9, 40.7);
+      expect(back.lon).toBeCloseTo(-73.9, 9);
+      expect(back.lat).toBeCloseTo(40.7, 9);
+    });
+  });
+
+  describe('equirectangular', () => {
+    it('should be true to scale along the standard parallel', () => {
+      const projection = Projection.forCoordinates('equirectangular', [[10, 60], [12, 60]]);
+      expect(projection.toJSON()).toEqual({ name: 'equirectangular', standardParallel: 60, centralMeridian: 11 });
+
+      const a = projection.forward(10, 60);
+      const b = projection.forward(12, 60);
+      // Two degrees of longitude at 60°N are about 111.3 km
+      expect(b.x - a.x).toBeCloseTo(111319.5, 0);
+      expect(a.y).toBeCloseTo(b.y, 9);
+    });
+
+    it('should round-trip', () => {
+      const projection = new Projection('equirectangular', { standardParallel: 45, centralMeridian: 170 });
+      const back = roundTrip(projection, -175, 44);
+      expect(back.lon).toBeCloseTo(-175, 9);
+      expect(back.lat).toBeCloseTo(44, 9);
+    });
+  });
+
+  it('should map EPSG codes to projections', () => {
+    expect(Projection.forSRID(4326)).toBeNull();
+    expect(Projection.forSRID(3857).name).toBe('web-mercator');
+    expect(Projection.forSRID(32633).toJSON()).toEqual({ name: 'utm', zone: 33, south: false });
+    expect(Projection.forSRID(32756).toJSON()).toEqual({ name: 'utm', zone: 56, south: true });
+    expect(() => Projection.forSRID(32661)).toThrow('Unsupported SRID 32661');
+    expect(() => Projection.forSRID(27700)).toThrow('Unsupported SRID 27700');
+  });
+
+  it('should unproject grid coordinates and convert widths to meters', () => {
+    const mercator = new Projection('web-mercator');
+    const { x, y } = mercator.forward(10, 60);
+    const [[lon, lat, width]] = mercator.unprojectCoordinates([[x, -y, 200]]);
+
+    expect(lon).toBeCloseTo(10, 9);
+    expect(lat).toBeCloseTo(60, 9);
+    // Web Mercator map units are half a meter at 60°N
+    expect(width).toBeCloseTo(100, 1);
+  });
+
+  it('should project nested coordinates and keep extra values', () => {
+    const projection = new Projection('web-mercator');
+    const [[x, y, width]] = projection.projectCoordinates([[1, 1, 25]]);
+
+    expect(x).toBeCloseTo(111319.49, 1);
+    expect(y).toBeLessThan(0);
+    expect(width).toBe(25);
+  });
+
+  describe('reprojection', () => {
+    const utm = new Projection('utm', { zone: 32 });
+    const mercator = new Projection('web-mercator');
+    const line = Array.from({ length: 10 }, (_, i) => [10.5 + i * 0.01, 60, 100]);
+    const path = new RiverPathParser({ projection: 'utm' }).parse(line);
+
+    it('should keep vertices, indices and parts in step', () => {
+      const shown = Projection.reprojectPath(path, mercator);
+
+      expect(shown.projection).toBe(mercator);
+      expect(shown.points).toHaveLength(path.points.length);
+      const expected = mercator.forward(10.5, 60);
+      expect(shown.points[0].x).toBeCloseTo(expected.x, 2);
+      expect(shown.points[0].y).toBeCloseTo(expected.y, 2);
+      // Mercator stretches by 1/cos(60°) = 2 against UTM's near-true scale
+      expect(shown.length / path.length).toBeCloseTo(2, 1);
+      expect(shown.widths[0] / path.widths[0]).toBeCloseTo(2, 1);
+      expect(shown.bounds.minX).toBeCloseTo(expected.x, 2);
+    });
+
+    it('should refuse paths without a projection', () => {
+      expect(() => Projection.reprojectPath({ points: [] }, mercator)).toThrow(
+        'Path has no projection to reproject from'
+      );
+    });
+
+    it('should move glyphs and report the font scale', () => {
+      const glyphs = [{ char: 'A', ...path.points[3], angle: 0, width: 50 }];
+      const { characterPlacements, scale } = Projection.reprojectPlacements(glyphs, path.projection, mercator);
+
+      expect(characterPlacements[0].char).toBe('A');
+      expect(characterPlacements[0].angle).toBeCloseTo(0, 1);
+      expect(characterPlacements[0].width).toBeCloseTo(100, -1);
+      expect(scale).toBeCloseTo(2, 1);
+      expect(Projection.reprojectPlacements(glyphs, utm, utm).scale).toBe(1);
+    });
+  });
+});
@@ -6,6 +6,9 @@
 import { describe, it, expect } from 'vitest';
 import * as fc from 'fast-check';
 import { RiverPathParser } from '../src/RiverPathParser.js';
+import { Projection } from '../src/Projection.js';
+import { buildWKB, toHex } from './wkbBuilder.js';
+import { buildShapefile, buildZip } from './shapefileBuilder.js';
 import { testConfig } from './setup.js';
 
 describe('RiverPathParser', () => {
@@ -258,4 +261,505 @@ describe('RiverPathParser', () => {
       expect(result.widths).toEqual([-5, 5, 3]);
     });
   });
+
+  describe('MULTIPOLYGON input', () => {
+    // Two 100x10 horizontal strips that meet at x = 100, listed out of order
+    const wkt = `MULTIPOLYGON(
+      ((100 0, 125 0, 150 0, 175 0, 200 0, 200 10, 175 10, 150 10, 125 10, 100 10, 100 0)),
+      ((0 0, 25 0, 50 0, 75 0, 100 0, 100 10, 75 10, 50 10, 25 10, 0 10, 0 0))
+    )`;
+
+    it('should build one centerline per part', () => {
+      const result = parser.parse(wkt);
+
+      expect(result).not.toBeInstanceOf(Error);
+      expect(result.parts).toHaveLength(2);
+      expect(result.parts[0].bounds.minX).toBeGreaterThanOrEqual(100);
+      expect(result.parts[1].bounds.maxX).toBeLessThanOrEqual(100);
+    });
+
+    it('should stitch the parts into a single continuous path', () => {
+      const result = parser.parse(wkt);
+      const partPoints = result.parts.reduce((sum, part) => sum + part.points.length, 0);
+
+      expect(result.points).toHaveLength(partPoints);
+      expect(result.bounds.minX).toBeLessThan(30);
+      expect(result.bounds.maxX).toBeGreaterThan(170);
+
+      // Stitched order runs monotonically along the river
+      for (let i = 1; i < result.points.length; i++) {
+        expect(result.points[i].x).toBeGreaterThanOrEqual(result.points[i - 1].x);
+      }
+    });
+
+    it('should return an error for malformed MULTIPOLYGON input', () => {
+      const result = parser.parse('MULTIPOLYGON(((0 0, 1 0)))');
+
+      expect(result).toBeInstanceOf(Error);
+      expect(result.message).toContain('WKT parsing failed');
+    });
+  });
+
+  describe('several WKT geometries', () => {
+    const upstream = 'POLYGON((0 0, 25 0, 50 0, 75 0, 100 0, 100 10, 75 10, 50 10, 25 10, 0 10, 0 0))';
+    const downstream = 'POLYGON((100 0, 125 0, 150 0, 175 0, 200 0, 200 10, 175 10, 150 10, 125 10, 100 10, 100 0))';
+
+    it('should stitch every polygon instead of reading only the first', () => {
+      const result = parser.parse(`${downstream}\n${upstream}`);
+
+      expect(result).not.toBeInstanceOf(Error);
+      expect(result.parts).toHaveLength(2);
+      expect(result.bounds.minX).toBeLessThan(30);
+      expect(result.bounds.maxX).toBeGreaterThan(170);
+    });
+
+    it('should return one path per geometry from parseAll', () => {
+      const results = parser.parseAll(`${upstream}\n${downstream}`);
+
+      expect(results).toHaveLength(2);
+      expect(results[0].bounds.maxX).toBeLessThanOrEqual(100);
+      expect(results[1].bounds.minX).toBeGreaterThanOrEqual(100);
+    });
+
+    it('should return an error for trailing garbage or a truncated geometry', () => {
+      expect(parser.parse(`${upstream} )`).message).toContain('WKT parsing failed: Unbalanced parentheses');
+      expect(parser.parse(`${upstream} 12`).message)
+        .toBe('WKT parsing failed: Unexpected characters after geometry: "12"');
+      expect(parser.parse(`${upstream} POLYGON((100 0, 125 0`).message).toBe('WKT parsing failed: Invalid POLYGON format');
+    });
+  });
+
+  describe('POLYGON input with islands', () => {
+    it('should keep interior rings as islands on the path', () => {
+      const wkt = `POLYGON((0 0, 25 0, 50 0, 75 0, 100 0, 100 20, 75 20, 50 20, 25 20, 0 20, 0 0),
+        (40 5, 60 5, 60 15, 40 15, 40 5))`;
+      const result = parser.parse(wkt);
+
+      expect(result).not.toBeInstanceOf(Error);
+      expect(result.islands).toHaveLength(1);
+      expect(result.islands[0][0]).toEqual({ x: 40, y: 5 });
+    });
+
+    it('should omit islands when the polygon has no holes', () => {
+      const result = parser.parse('POLYGON((0 0, 25 0, 50 0, 75 0, 100 0, 100 20, 75 20, 50 20, 25 20, 0 20, 0 0))');
+
+      expect(result).not.toBeInstanceOf(Error);
+      expect(result.islands).toBeUndefined();
+    });
+  });
+
+  describe('LINESTRING input', () => {
+    it('should use the line as the centerline without resampling', () => {
+      const result = parser.parse('LINESTRING(0 0, 10 5, 20 0, 30 5)');
+
+      expect(result).not.toBeInstanceOf(Error);
+      expect(result.points).toEqual([
+        { x: 0, y: 0 }, { x: 10, y: 5 }, { x: 20, y: 0 }, { x: 30, y: 5 }
+      ]);
+      expect(result.widths).toBeNull();
+    });
+
+    it('should accept two-vertex lines by adding their midpoint', () => {
+      const result = parser.parse('LINESTRING(0 0, 100 0)');
+
+      expect(result).not.toBeInstanceOf(Error);
+      expect(result.points).toEqual([{ x: 0, y: 0 }, { x: 50, y: 0 }, { x: 100, y: 0 }]);
+      expect(result.length).toBe(100);
+
+      expect(parser.parse('LINESTRING Z (0 0 4, 100 0 8)').widths).toEqual([4, 6, 8]);
+      expect(parser.parse({ type: 'LineString', coordinates: [[0, 0], [0, 40]] }).points).toHaveLength(3);
+      expect(parser.parse('MULTILINESTRING((0 0, 10 0), (10 0, 20 0))').parts.map(part => part.points.length))
+        .toEqual([3, 3]);
+    });
+
+    it('should read Z values as widths', () => {
+      const result = parser.parse('LINESTRING Z (0 0 4, 10 0 6, 20 0 8)');
+
+      expect(result).not.toBeInstanceOf(Error);
+      expect(result.widths).toEqual([4, 6, 8]);
+    });
+
+    it('should stitch MULTILINESTRING parts into one path', () => {
+      const result = parser.parse('MULTILINESTRING((20 0, 30 0, 40 0), (0 0, 10 0, 20 0))');
+
+      expect(result).not.toBeInstanceOf(Error);
+      expect(result.parts).toHaveLength(2);
+      expect(result.points[0]).toEqual({ x: 0, y: 0 });
+      expect(result.points[result.points.length - 1]).toEqual({ x: 40, y: 0 });
+    });
+
+    it('should keep widths aligned with points when only some parts have them', () => {
+      const result = parser.parse('MULTILINESTRING((0 0, 10 0, 20 0), (20 0 8, 30 0 8, 40 0 8))');
+
+      expect(result.points).toHaveLength(6);
+      expect(result.widths).toEqual([null, null, null, 8, 8, 8]);
+
+      const collection = parser.parse({
+        type: 'FeatureCollection',
+        features: [
+          { type: 'Feature', geometry: { type: 'LineString', coordinates: [[0, 0], [10, 0], [20, 0]] }, properties: {} },
+          { type: 'Feature', geometry: { type: 'LineString', coordinates: [[20, 0], [30, 0], [40, 0]] }, properties: { width: 8 } }
+        ]
+      });
+      expect(collection.widths).toEqual([null, null, null, 8, 8, 8]);
+      expect(collection.points[3]).toEqual({ x: 20, y: 0 });
+    });
+
+    it('should record the gaps bridged between parts', () => {
+      const touching = parser.parse('MULTILINESTRING((20 0, 30 0, 40 0), (0 0, 10 0, 20 0))');
+      expect(touching.gaps).toBeUndefined();
+
+      const result = parser.parse('MULTILINESTRING((0 0, 10 0, 20 0), (50 0, 60 0, 70 0))');
+      expect(result.gaps).toEqual([{ startIdx: 2, endIdx: 3, length: 30 }]);
+    });
+
+    it('should reject parts further apart than the maximum gap', () => {
+      const wkt = 'MULTILINESTRING((0 0, 10 0, 20 0), (50 0, 60 0, 70 0))';
+
+      expect(parser.parse('MULTILINESTRING((0 0, 10 0, 20 0), (100 0, 110 0, 120 0))').message)
+        .toBe('WKT parsing failed: MULTILINESTRING parts are 80 apart, more than the maximum gap of 40; label them separately');
+      expect(new RiverPathParser({ maxGap: 25 }).parse(wkt)).toBeInstanceOf(Error);
+      expect(new RiverPathParser({ maxGap: 30 }).parse(wkt)).not.toBeInstanceOf(Error);
+    });
+
+    it('should return an error for unsupported geometry types', () => {
+      const result = parser.parse('POINT(0 0)');
+
+      expect(result).toBeInstanceOf(Error);
+      expect(result.message).toContain('Unsupported geometry type');
+    });
+  });
+
+  describe('GeoJSON input', () => {
+    const feature = (geometry, properties = {}) => ({ type: 'Feature', geometry, properties });
+    const line = { type: 'LineString', coordinates: [[0, 0], [10, 0], [20, 0]] };
+
+    it('should parse a bare LineString geometry', () => {
+      const result = parser.parse(line);
+
+      expect(result).not.toBeInstanceOf(Error);
+      expect(result.points).toHaveLength(3);
+      expect(result.widths).toBeNull();
+    });
+
+    it('should read the label text from the name property', () => {
+      const result = parser.parse(feature(line, { name: 'Rhine' }));
+
+      expect(result.name).toBe('Rhine');
+    });
+
+    it('should honor a custom name property', () => {
+      const customParser = new RiverPathParser({ nameProperty: 'gnis_name' });
+      const result = customParser.parse(feature(line, { name: 'ignored', gnis_name: 'Snake River' }));
+
+      expect(result.name).toBe('Snake River');
+    });
+
+    it('should apply a per-feature width to every vertex', () => {
+      const result = parser.parse(feature(line, { width: 12 }));
+
+      expect(result.widths).toEqual([12, 12, 12]);
+    });
+
+    it('should apply per-vertex widths when the array matches the vertices', () => {
+      const result = parser.parse(feature(line, { width: [4, 8, 6] }));
+
+      expect(result.widths).toEqual([4, 8, 6]);
+    });
+
+    it('should honor a custom width property', () => {
+      const customParser = new RiverPathParser({ widthProperty: 'WIDTH_M' });
+      const result = customParser.parse(feature(line, { WIDTH_M: 30 }));
+
+      expect(result.widths).toEqual([30, 30, 30]);
+    });
+
+    it('should extract a centerline from Polygon geometry', () => {
+      const polygon = {
+        type: 'Polygon',
+        coordinates: [[[0, 0], [200, 0], [200, 20], [0, 20], [0, 0]]]
+      };
+      const result = parser.parse(feature(polygon, { name: 'Wide River' }));
+
+      expect(result).not.toBeInstanceOf(Error);
+      expect(result.widths).not.toBeNull();
+      expect(result.name).toBe('Wide River');
+    });
+
+    it('should stitch the features of a collection into one path', () => {
+      const result = parser.parse({
+        type: 'FeatureCollection',
+        features: [
+          feature({ type: 'LineString', coordinates: [[20, 0], [30, 0], [40, 0]] }, { name: 'Elbe' }),
+          feature({ type: 'LineString', coordinates: [[0, 0], [10, 0], [20, 0]] })
+        ]
+      });
+
+      expect(result).not.toBeInstanceOf(Error);
+      expect(result.parts).toHaveLength(2);
+      expect(result.name).toBe('Elbe');
+      expect(result.bounds.minX).toBe(0);
+      expect(result.bounds.maxX).toBe(40);
+    });
+
+    it('should accept GeoJSON as JSON text', () => {
+      const result = parser.parse(JSON.stringify(feature(line, { name: 'Oder' })));
+
+      expect(result).not.toBeInstanceOf(Error);
+      expect(result.name).toBe('Oder');
+    });
+
+    it('should return an error for unsupported geometry', () => {
+      const result = parser.parse({ type: 'Point', coordinates: [0, 0] });
+
+      expect(result).toBeInstanceOf(Error);
+      expect(result.message).toContain('GeoJSON parsing failed');
+    });
+  });
+
+  describe('projection', () => {
+    // About 5.6 km along the 60th parallel, 100 m wide
+    const lonLat = Array.from({ length: 11 }, (_, i) => [10.5 + i * 0.01, 60, 100]);
+
+    it('should project longitude/latitude into meters', () => {
+      const result = new RiverPathParser({ projection: 'utm' }).parse(lonLat);
+
+      expect(result).not.toBeInstanceOf(Error);
+      expect(result.projection.toJSON()).toEqual({ name: 'utm', zone: 32, south: false });
+      expect(result.length).toBeCloseTo(5576, -1);
+      expect(result.widths[0]).toBe(100);
+      // North is up: the point further north has the smaller y
+      const north = new RiverPathParser({ projection: 'utm' }).parse([[10.5, 60], [10.5, 60.1], [10.5, 60.2]]);
+      expect(north.points[2].y).toBeLessThan(north.points[0].y);
+    });
+
+    it('should project GeoJSON and WKT input', () => {
+      const parser = new RiverPathParser({ projection: 'web-mercator' });
+      const geojson = parser.parse({ type: 'LineString', coordinates: lonLat.map(([lon, lat]) => [lon, lat]) });
+      const wkt = parser.parse(`LINESTRING (${lonLat.map(([lon, lat]) => `${lon} ${lat}`).join(', ')})`);
+
+      expect(geojson.projection.name).toBe('web-mercator');
+      expect(wkt.projection.name).toBe('web-mercator');
+      expect(wkt.length).toBeCloseTo(geojson.length, 3);
+    });
+
+    it('should return an error for coordinates that are not longitude/latitude', () => {
+      const result = new RiverPathParser({ projection: 'utm' }).parse([[0, 0], [500, 10], [600, 20]]);
+
+      expect(result).toBeInstanceOf(Error);
+      expect(result.message).toContain('Coordinate [500, 10] is not a valid longitude/latitude');
+    });
+
+    it('should take a projection per call and leave planar input alone by default', () => {
+      expect(parser.parse(lonLat).projection).toBeUndefined();
+      expect(parser.parse(lonLat, { projection: 'equirectangular' }).projection.name).toBe('equirectangular');
+      expect(new RiverPathParser({ projection: 'utm' }).parse(lonLat, { projection: null }).projection).toBeUndefined();
+    });
+
+    it('should reject unknown projections', () => {
+      expect(() => new RiverPathParser({ projection: 'lambert' })).toThrow('Unknown projection: lambert');
+    });
+
+    it('should project every feature in parseAll', () => {
+      const results = new RiverPathParser({ projection: 'utm' }).parseAll({
+        type: 'FeatureCollection',
+        features: [
+          { type: 'Feature', geometry: { type: 'LineString', coordinates: [[10.5, 60], [10.6, 60], [10.7, 60]] }, properties: {} },
+          { type: 'Feature', geometry: { type: 'LineString', coordinates: [[151.2, -33.9], [151.3, -33.9], [151.4, -33.9]] }, properties: {} }
+        ]
+      });
+
+      expect(results.map(path => path.projection.toJSON())).toEqual([
+        { name: 'utm', zone: 32, south: false },
+        { name: 'utm', zone: 56, south: true }
+      ]);
+    });
+  });
+
+  describe('extended WKT', () => {
+    const lonLat = [[10.5, 60], [10.6, 60], [10.7, 60]];
+    const wkt = coordinates => `LINESTRING(${coordinates.map(([x, y]) => `${x} ${y}`).join(', ')})`;
+
+    it('should carry the SRID and project longitude/latitude into UTM', () => {
+      const result = parser.parse(`SRID=4326;${wkt(lonLat)}`);
+
+      expect(result).not.toBeInstanceOf(Error);
+      expect(result.srid).toBe(4326);
+      expect(result.projection.toJSON()).toEqual({ name: 'utm', zone: 32, south: false });
+      expect(result.length).toBeCloseTo(11157, -1);
+    });
+
+    it('should bring projected input back to true meters', () => {
+      const mercator = new Projection('web-mercator');
+      const grid = lonLat.map(([lon, lat]) => {
+        const { x, y } = mercator.forward(lon, lat);
+        return [x, -y];
+      });
+      const result = parser.parse(`SRID=3857;${wkt(grid)}`);
+
+      expect(result.srid).toBe(3857);
+      expect(result.projection.name).toBe('utm');
+      expect(result.length).toBeCloseTo(parser.parse(`SRID=4326;${wkt(lonLat)}`).length, 1);
+    });
+
+    it('should analyze in the requested projection', () => {
+      const result = parser.parse(`SRID=4326;${wkt(lonLat)}`, { projection: 'web-mercator' });
+      expect(result.projection.name).toBe('web-mercator');
+    });
+
+    it('should return an error for unsupported SRIDs', () => {
+      const result = parser.parse('SRID=2154;POLYGON((0 0, 10 0, 10 10, 0 10, 0 0))');
+
+      expect(result).toBeInstanceOf(Error);
+      expect(result.message).toBe(
+        'WKT parsing failed: Unsupported SRID 2154 (expected 4326, 3857, 32601-32660 or 32701-32760)'
+      );
+    });
+  });
+
+  describe('WKB', () => {
+    const line = Array.from({ length: 10 }, (_, i) => [i * 10, 0, 20]);
+
+    it('should accept bytes, an ArrayBuffer or hex text', () => {
+      const bytes = buildWKB({ type: 2, coordinates: line, m: true });
+
+      for (const input of [bytes, bytes.buffer, toHex(bytes)]) {
+        const result = parser.parse(input);
+        expect(result).not.toBeInstanceOf(Error);
+        expect(result.points).toHaveLength(10);
+        expect(result.widths).toEqual(Array(10).fill(20));
+      }
+    });
+
+    it('should stitch multi-part geometry and extract polygon centerlines', () => {
+      const reaches = parser.parse(buildWKB({ type: 5, coordinates: [line.slice(0, 5), line.slice(5)], m: true }));
+      expect(reaches.parts).toHaveLength(2);
+
+      const channel = [[0, 0], [100, 0], [100, 20], [0, 20], [0, 0]];
+      const polygon = parser.parse(buildWKB({ type: 3, coordinates: [channel], bigEndian: true }));
+      expect(polygon).not.toBeInstanceOf(Error);
+      expect(polygon.length).toBeGreaterThan(50);
+    });
+
+    it('should project EWKB with an SRID', () => {
+      const lonLat = [[10.5, 60], [10.6, 60], [10.7, 60]];
+      const result = parser.parse(toHex(buildWKB({ type: 2, coordinates: lonLat, srid: 4326 })));
+
+      expect(result.srid).toBe(4326);
+      expect(result.projection.name).toBe('utm');
+      expect(result.length).toBeCloseTo(11157, -1);
+    });
+
+    it('should return an error for points and broken input', () => {
+      expect(parser.parse(buildWKB({ type: 1, coordinates: [0, 0] })).message).toBe(
+        'WKB parsing failed: Unsupported geometry type "POINT"'
+      );
+      expect(parser.parse(buildWKB({ type: 2, coordinates: line, m: true }).slice(0, 20)).message).toContain(
+        'WKB parsing failed: WKB ends early'
+      );
+    });
+
+    it('should give parseAll a single path', () => {
+      const results = parser.parseAll(buildWKB({ type: 2, coordinates: line, m: true }));
+      expect(results).toHaveLength(1);
+      expect(results[0].points).toHaveLength(10);
+    });
+  });
+
+  describe('KML and GPX', () => {
+    const kml = `<kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+      <Placemark><name>Glomma</name><LineString><coordinates>10.5,60 10.6,60 10.7,60</coordinates></LineString></Placemark>
+      <Placemark><name>Vorma</name><LineString><coordinates>11.1,60.2 11.2,60.2 11.3,60.2</coordinates></LineString></Placemark>
+    </Document></kml>`;
+
+    it('should name and project KML placemarks', () => {
+      const results = parser.parseAll(kml);
+
+      expect(results.map(path => path.name)).toEqual(['Glomma', 'Vorma']);
+      expect(results[0].srid).toBe(4326);
+      expect(results[0].projection.name).toBe('utm');
+      expect(results[0].length).toBeCloseTo(11157, -1);
+    });
+
+    it('should name and project GPX tracks', () => {
+      const result = parser.parse(`<gpx><trk><name>Tana</name><trkseg>
+        <trkpt lat="70" lon="28"/><trkpt lat="70.01" lon="28.01"/><trkpt lat="70.02" lon="28.03"/>
+      </trkseg></trk></gpx>`, { projection: 'equirectangular' });
+
+      expect(result.name).toBe('Tana');
+      expect(result.projection.name).toBe('equirectangular');
+    });
+
+    it('should return errors for other or broken XML', () => {
+      expect(parser.parse('<svg/>').message).toBe('Unsupported XML document <svg>: expected KML or GPX');
+      expect(parser.parse('<kml><Document>').message).toBe('XML parsing failed: Unclosed element <Document>');
+      expect(parser.parse('<gpx/>').message).toBe('GPX parsing failed: GPX has no tracks or routes');
+    });
+  });
+
+  describe('Shapefile', () => {
+    const fields = [
+      { name: 'RIVER_NAME', type: 'C', length: 20 },
+      { name: 'WIDTH', type: 'N', length: 6 }
+    ];
+    const layer = buildShapefile({
+      type: 3,
+      shapes: [[[[0, 0], [100, 0], [200, 0]]], [[[0, 50], [100, 50], [200, 50]]]],
+      fields,
+      records: [['Ebro', 30], ['Segre', 10]]
+    });
+
+    it('should map name and width columns case-insensitively', () => {
+      const results = new RiverPathParser({ nameProperty: 'river_name' }).parseAll(layer);
+
+      expect(results.map(path => path.name)).toEqual(['Ebro', 'Segre']);
+      expect(results[0].widths).toEqual([30, 30, 30]);
+      expect(results[0].properties).toEqual({ RIVER_NAME: 'Ebro', WIDTH: 30 });
+      expect(results[0].projection).toBeUndefined();
+    });
+
+    it('should read zip bytes and project a longitude/latitude .prj', () => {
+      const geographic = buildShapefile({ type: 3, shapes: [[[[10.5, 60], [10.6, 60], [10.7, 60]]]] });
+      const zip = buildZip({ 'glomma.shp': geographic.shp, 'glomma.prj': 'GEOGCS["GCS_WGS_1984"]' });
+
+      for (const data of [zip, zip.buffer]) {
+        const result = parser.parse(data);
+
+        expect(result.srid).toBe(4326);
+        expect(result.projection.name).toBe('utm');
+        expect(result.length).toBeCloseTo(11157, -1);
+      }
+    });
+
+    it('should return an error for broken archives', () => {
+      expect(parser.parse(buildZip({ 'readme.txt': 'rivers' })).message)
+        .toBe('Shapefile parsing failed: Zip archive has no .shp file');
+    });
+  });
+
+  describe('parseAll', () => {
+    it('should return one path per GeoJSON feature', () => {
+      const results = parser.parseAll({
+        type: 'FeatureCollection',
+        features: [
+          { type: 'Feature', geometry: { type: 'LineString', coordinates: [[0, 0], [1, 0], [2, 0]] }, properties: { name: 'A' } },
+          { type: 'Feature', geometry: { type: 'LineString', coordinates: [[0, 5], [1, 5]] }, properties: { name: 'B' } },
+          { type: 'Feature', geometry: { type: 'LineString', coordinates: [[0, 9]] }, properties: { name: 'C' } }
+        ]
+      });
+
+      expect(results).toHaveLength(3);
+      expect(results[0].name).toBe('A');
+      expect(results[1].name).toBe('B');
+      // Third feature has too few points to form a river path
+      expect(results[2]).toBeInstanceOf(Error);
+    });
+
+    it('should wrap non-GeoJSON input in a single-element array', () => {
+      const results = parser.parseAll([[0, 0], [1, 1], [2, 2]]);
+
+      expect(results).toHaveLength(1);
+      expect(results[0].points).toHaveLength(3);
+    });
+  });
 });
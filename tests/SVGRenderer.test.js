@@ -0,0 +1,123 @@
+// @vitest-environment node
+
+/**
+ * Tests for SVGRenderer
+ * Runs in the plain Node environment to confirm no DOM is required
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SVGRenderer } from '../src/SVGRenderer.js';
+
+describe('SVGRenderer', () => {
+  let renderer;
+
+  const path = {
+    points: [{ x: 0, y: 0 }, { x: 100, y: 50 }, { x: 200, y: 0 }],
+    widths: null,
+    length: 223.6,
+    bounds: { minX: 0, maxX: 200, minY: 0, maxY: 50 }
+  };
+
+  beforeEach(() => {
+    renderer = new SVGRenderer(400, 300);
+  });
+
+  it('should produce an empty SVG document before drawing', () => {
+    const svg = renderer.toSVG();
+
+    expect(svg).toContain('<svg xmlns="http://www.w3.org/2000/svg" width="400" height="300"');
+    expect(svg).toContain('</svg>');
+    expect(svg).not.toContain('<g');
+  });
+
+  it('should draw a constant-width river as a polyline', () => {
+    renderer.drawRiver(path, { color: '#123456', lineWidth: 4 });
+    const svg = renderer.toSVG();
+
+    expect(svg).toContain('<polyline points="0,0 100,50 200,0"');
+    expect(svg).toContain('stroke="#123456"');
+    expect(svg).toContain('stroke-width="4"');
+  });
+
+  it('should draw a variable-width river as one polygon per segment', () => {
+    renderer.drawRiver({ ...path, widths: [10, 20, 10] });
+    const polygons = renderer.toSVG().match(/<polygon /g);
+
+    expect(polygons).toHaveLength(2);
+  });
+
+  it('should fit the river into the document with padding', () => {
+    renderer.drawRiver(path);
+
+    // scale = min(320 / 200, 220 / 50) = 1.6, centered vertically
+    expect(renderer.toSVG()).toContain('transform="translate(40 110) scale(1.6)"');
+  });
+
+  it('should ignore paths that cannot be drawn', () => {
+    renderer.drawRiver(null);
+    renderer.drawRiver({ points: [{ x: 0, y: 0 }] });
+
+    expect(renderer.elements).toHaveLength(0);
+  });
+
+  it('should draw rotated per-glyph text with a halo', () => {
+    renderer.drawRiver(path);
+    renderer.drawText([
+      { char: 'R', x: 10, y: 5, angle: Math.PI / 2, width: 9 },
+      { char: '<', x: 20, y: 10, angle: 0, width: 9 }
+    ], { fontSize: 12, strokeColor: '#fff', strokeWidth: 2 });
+    const svg = renderer.toSVG();
+
+    expect(svg).toContain('<text transform="translate(10 5) rotate(90)">R</text>');
+    expect(svg).toContain('&lt;</text>');
+    expect(svg).toContain('font-size="12"');
+    expect(svg).toContain('paint-order="stroke"');
+  });
+
+  it('should omit the halo when strokeWidth is 0', () => {
+    renderer.drawText([{ char: 'A', x: 0, y: 0, angle: 0, width: 9 }], { strokeWidth: 0 });
+
+    expect(renderer.toSVG()).not.toContain('paint-order');
+  });
+
+  it('should draw rejected areas with their reason', () => {
+    renderer.drawRejectedAreas(path, [
+      { startIdx: 0, endIdx: 1, length: 111.8, reason: 'sharp curve' }
+    ]);
+    const svg = renderer.toSVG();
+
+    expect(svg).toContain('<polyline points="0,0 100,50" data-reason="sharp curve"/>');
+  });
+
+  it('should group rejected segments by the colour of their reason', () => {
+    renderer.drawRejectedAreas(path, [
+      { startIdx: 0, endIdx: 1, reason: 'sharp curve' },
+      { startIdx: 1, endIdx: 2, reason: 'obstacle: Bridge' }
+    ]);
+    const svg = renderer.toSVG();
+
+    expect(svg).toContain('stroke="rgba(255,0,0,0.3)" stroke-width="8" stroke-linecap="round">' +
+      '<polyline points="0,0 100,50" data-reason="sharp curve"/></g>');
+    expect(svg).toContain('stroke="rgba(33,33,33,0.4)" stroke-width="8" stroke-linecap="round">' +
+      '<polyline points="100,50 200,0" data-reason="obstacle: Bridge"/></g>');
+  });
+
+  it('should highlight the selected candidate', () => {
+    const candidates = [
+      { segment: { startIdx: 0, endIdx: 1 }, centerPoint: { x: 50, y: 25 } },
+      { segment: { startIdx: 1, endIdx: 2 }, centerPoint: { x: 150, y: 25 } }
+    ];
+    renderer.drawCandidates(path, candidates, { startIdx: 1, endIdx: 2 });
+    const svg = renderer.toSVG();
+
+    expect(svg).toContain('<circle cx="50" cy="25" r="8" fill="rgba(0,255,0,0.5)"/>');
+    expect(svg).toContain('<circle cx="150" cy="25" r="8" fill="rgba(0,255,0,1)"/>');
+  });
+
+  it('should start over after clear', () => {
+    renderer.drawRiver(path);
+    renderer.clear();
+
+    expect(renderer.elements).toHaveLength(0);
+  });
+});
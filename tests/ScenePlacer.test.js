@@ -0,0 +1,181 @@
+/**
+ * Tests for ScenePlacer
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ScenePlacer } from '../src/ScenePlacer.js';
+import { RiverPathParser } from '../src/RiverPathParser.js';
+import { PlacementScorer } from '../src/PlacementScorer.js';
+
+describe('ScenePlacer', () => {
+  const parser = new RiverPathParser();
+  const horizontal = (y, fromX, toX, count = 41) =>
+    parser.parse(Array.from({ length: count }, (_, i) => [fromX + ((toX - fromX) * i) / (count - 1), y, 20]));
+
+  const overlaps = (a, b) =>
+    a.minX < b.maxX && b.minX < a.maxX && a.minY < b.maxY && b.minY < a.maxY;
+
+  const labelsCollide = (a, b) =>
+    a.boxes.some(boxA => b.boxes.some(boxB => overlaps(boxA, boxB)));
+
+  const expectNoCollisions = labels => {
+    for (let i = 0; i < labels.length; i++) {
+      for (let j = i + 1; j < labels.length; j++) {
+        expect(labelsCollide(labels[i], labels[j])).toBe(false);
+      }
+    }
+  };
+
+  // A main stem with a tributary running alongside it, close enough that
+  // centered labels would overlap
+  const network = () => [
+    { path: horizontal(0, 0, 400), text: 'Main Stem' },
+    { path: horizontal(6, 0, 300), text: 'Tributary' }
+  ];
+
+  it('should reject unknown strategies', () => {
+    expect(() => new ScenePlacer({ strategy: 'random' })).toThrow('Unknown strategy: random');
+  });
+
+  it('should honour the anchor and align options', () => {
+    const rivers = () => [{ path: horizontal(0, 0, 400), text: 'Solo' }];
+    // Arc-length windows are as long as the label, so the anchor shows once it sits on the peak
+    const startX = anchor =>
+      new ScenePlacer({ anchor, align: 'peak' }).place(rivers()).labels[0].characterPlacements[0].x;
+
+    expect(startX('start')).toBeGreaterThan(startX('center'));
+    expect(startX('end')).toBeLessThan(startX('center'));
+    expect(new ScenePlacer({ align: 'peak' }).place(rivers()).labels).toHaveLength(1);
+
+    expect(() => new ScenePlacer({ anchor: 'middle' })).toThrow('Unknown anchor: middle');
+    expect(() => new ScenePlacer({ align: 'left' })).toThrow('Unknown align: left');
+  });
+
+  it('should build rotated glyph bounding boxes', () => {
+    const placer = new ScenePlacer({ padding: 0 });
+    const [flat, upright] = placer.glyphBoxes([
+      { char: 'A', x: 10, y: 10, angle: 0, width: 8 },
+      { char: 'B', x: 10, y: 10, angle: Math.PI / 2, width: 8 }
+    ], 16);
+
+    expect(flat).toEqual({ minX: 6, maxX: 14, minY: 2, maxY: 18 });
+    expect(upright.minX).toBeCloseTo(2);
+    expect(upright.maxY).toBeCloseTo(14);
+  });
+
+  it('should label a single river like the pipeline does', () => {
+    const { labels, unplaced } = new ScenePlacer().place([{ path: horizontal(0, 0, 400), text: 'Solo' }]);
+
+    expect(unplaced).toEqual([]);
+    expect(labels).toHaveLength(1);
+    expect(labels[0].characterPlacements.map(p => p.char).join('')).toBe('Solo');
+  });
+
+  it('should move the lower-priority label away from a collision', () => {
+    const rivers = network();
+    const independent = rivers.map(river => new ScenePlacer().place([river]).labels[0]);
+    expect(labelsCollide(independent[0], independent[1])).toBe(true);
+
+    const { labels, unplaced } = new ScenePlacer().place(rivers);
+
+    expect(unplaced).toEqual([]);
+    expect(labels.map(label => label.text)).toEqual(['Main Stem', 'Tributary']);
+    expectNoCollisions(labels);
+  });
+
+  it('should keep the higher-priority river at its best placement', () => {
+    const rivers = network();
+    const alone = new ScenePlacer().place([rivers[0]]).labels[0];
+    const { labels } = new ScenePlacer().place(rivers);
+
+    expect(labels[0].placement.score).toBeCloseTo(alone.placement.score);
+  });
+
+  it('should honour explicit priorities', () => {
+    const [main, tributary] = network();
+    const { labels } = new ScenePlacer().place([
+      { ...main, priority: 1 },
+      { ...tributary, priority: 10 }
+    ]);
+    const aloneTributary = new ScenePlacer().place([tributary]).labels[0];
+
+    expect(labels[1].placement.score).toBeCloseTo(aloneTributary.placement.score);
+    expectNoCollisions(labels);
+  });
+
+  it('should report rivers that cannot be labeled without overlap', () => {
+    // Two identical short rivers leave no room for a second label
+    const path = horizontal(0, 0, 120, 13);
+    const { labels, unplaced } = new ScenePlacer().place([
+      { path, text: 'Alpha', priority: 2 },
+      { path, text: 'Bravo', priority: 1 }
+    ]);
+
+    expect(labels.map(label => label.text)).toEqual(['Alpha']);
+    expect(unplaced).toEqual([{ index: 1, text: 'Bravo', reason: 'collision' }]);
+  });
+
+  it('should report rivers that have no placement at all', () => {
+    const tiny = parser.parse([[0, 0, 20], [5, 0, 20], [10, 0, 20]]);
+    const { unplaced } = new ScenePlacer().place([{ path: tiny, text: 'Mississippi' }]);
+
+    expect(unplaced).toHaveLength(1);
+    expect(unplaced[0].reason).toContain('No suitable placement found');
+  });
+
+  it('should leave rivers too short for their name unplaced rather than overrun them', () => {
+    const { labels, unplaced } = new ScenePlacer().place([
+      { path: horizontal(0, 0, 400), text: 'Main Stem' },
+      { path: horizontal(100, 0, 100, 11), text: 'Rio Grande de Santiago' }
+    ]);
+
+    expect(labels.map(label => label.text)).toEqual(['Main Stem']);
+    expect(unplaced).toHaveLength(1);
+    expect(unplaced[0].index).toBe(1);
+    expect(unplaced[0].reason).toContain('exceeds longest suitable segment');
+  });
+
+  it('should place the fitted variant when the fit fallbacks make the name fit', () => {
+    const scorer = new PlacementScorer({ abbreviations: { 'Rio Grande de Santiago': 'R. G. S.' } });
+    const { labels, unplaced } = new ScenePlacer({ scorer }).place([
+      { path: horizontal(100, 0, 200, 21), text: 'Rio Grande de Santiago' }
+    ]);
+
+    expect(unplaced).toEqual([]);
+    expect(labels[0].fit.step).toBe('abbreviation');
+    expect(labels[0].characterPlacements.map(p => p.char).join('')).toBe('R. G. S.');
+  });
+
+  describe('anneal strategy', () => {
+    it('should resolve overlaps', () => {
+      const { labels, unplaced, strategy } = new ScenePlacer({ strategy: 'anneal' }).place(network());
+
+      expect(strategy).toBe('anneal');
+      expect(unplaced).toEqual([]);
+      expectNoCollisions(labels);
+    });
+
+    it('should be reproducible for a given seed', () => {
+      const rivers = [
+        ...network(),
+        { path: horizontal(-6, 50, 350), text: 'Creek' }
+      ];
+      const run = () => new ScenePlacer({ strategy: 'anneal', seed: 7 })
+        .place(rivers)
+        .labels.map(label => label.placement.centerPoint);
+
+      expect(run()).toEqual(run());
+    });
+
+    it('should never leave overlapping labels', () => {
+      const path = horizontal(0, 0, 120, 13);
+      const { labels } = new ScenePlacer({ strategy: 'anneal', iterations: 10 }).place([
+        { path, text: 'Alpha' },
+        { path, text: 'Bravo' },
+        { path, text: 'Delta' }
+      ]);
+
+      expectNoCollisions(labels);
+    });
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Tests for ShapefileParser
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ShapefileParser } from '../src/ShapefileParser.js';
+import { buildShapefile, buildDBF, buildZip } from './shapefileBuilder.js';
+
+const GEOGRAPHIC = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],' +
+  'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+const UTM_33S = 'PROJCS["WGS_1984_UTM_Zone_33S",GEOGCS["GCS_WGS_1984"],PROJECTION["Transverse_Mercator"]]';
+const WEB_MERCATOR = 'PROJCS["WGS_1984_Web_Mercator_Auxiliary_Sphere",GEOGCS["GCS_WGS_1984"],' +
+  'PROJECTION["Mercator_Auxiliary_Sphere"]]';
+const NATIONAL_GRID = 'PROJCS["British_National_Grid",GEOGCS["GCS_OSGB_1936"],PROJECTION["Transverse_Mercator"]]';
+
+describe('ShapefileParser', () => {
+  let shapefileParser;
+
+  const fields = [
+    { name: 'NAME', type: 'C', length: 20 },
+    { name: 'WIDTH', type: 'N', length: 8, decimals: 1 }
+  ];
+
+  beforeEach(() => {
+    shapefileParser = new ShapefileParser();
+  });
+
+  it('should recognize zip bytes and shapefile members', () => {
+    const layer = buildShapefile({ type: 3, shapes: [[[[0, 0], [1, 1]]]] });
+
+    expect(shapefileParser.isShapefile(buildZip({ 'a.shp': layer.shp }))).toBe(true);
+    expect(shapefileParser.isShapefile(layer)).toBe(true);
+    expect(shapefileParser.isShapefile(layer.shp)).toBe(false);
+    expect(shapefileParser.isShapefile({ type: 'FeatureCollection', features: [] })).toBe(false);
+    expect(shapefileParser.isShapefile([[0, 0], [1, 1]])).toBe(false);
+  });
+
+  it('should read polylines with their attribute records', () => {
+    const layer = buildShapefile({
+      type: 3,
+      shapes: [
+        [[[0, 0], [10, 5], [20, 0]]],
+        [[[0, 10], [5, 10]], [[6, 10], [9, 12]]]
+      ],
+      fields,
+      records: [['Drava', 12.5], ['Mura', null]]
+    });
+
+    const { geojson, srid } = shapefileParser.read(layer);
+
+    expect(srid).toBe(null);
+    expect(geojson.features).toEqual([
+      {
+        type: 'Feature',
+        properties: { NAME: 'Drava', WIDTH: 12.5 },
+        geometry: { type: 'LineString', coordinates: [[0, 0], [10, 5], [20, 0]] }
+      },
+      {
+        type: 'Feature',
+        properties: { NAME: 'Mura', WIDTH: null },
+        geometry: { type: 'MultiLineString', coordinates: [[[0, 10], [5, 10]], [[6, 10], [9, 12]]] }
+      }
+    ]);
+  });
+
+  it('should group polygon rings into exteriors and holes', () => {
+    // Shapefile exteriors are clockwise, holes counterclockwise
+    const exterior = [[0, 0], [0, 10], [10, 10], [10, 0], [0, 0]];
+    const hole = [[4, 4], [6, 4], [6, 6], [4, 6], [4, 4]];
+    const second = [[20, 0], [20, 5], [25, 5], [25, 0], [20, 0]];
+
+    const single = shapefileParser.read(buildShapefile({ type: 5, shapes: [[exterior, hole]] }));
+    expect(single.geojson.features[0].geometry).toEqual({ type: 'Polygon', coordinates: [exterior, hole] });
+
+    const multi = shapefileParser.read(buildShapefile({ type: 5, shapes: [[exterior, second, hole]] }));
+    expect(multi.geojson.features[0].geometry).toEqual({
+      type: 'MultiPolygon',
+      coordinates: [[exterior, hole], [second]]
+    });
+  });
+
+  it('should read Z shapes by their x and y', () => {
+    const layer = buildShapefile({ type: 13, shapes: [[[[0, 0], [3, 4]]]] });
+
+    expect(shapefileParser.read(layer).geojson.features[0].geometry).toEqual({
+      type: 'LineString',
+      coordinates: [[0, 0], [3, 4]]
+    });
+  });
+
+  it('should read records in sequence without an .shx', () => {
+    const { shp } = buildShapefile({ type: 3, shapes: [[[[0, 0], [1, 0]]], [[[0, 1], [1, 1]]]] });
+
+    expect(shapefileParser.read({ shp }).geojson.features).toHaveLength(2);
+  });
+
+  it('should skip null shapes and deleted records', () => {
+    const layer = buildShapefile({
+      type: 3,
+      shapes: [null, [[[0, 0], [1, 0]]], [[[0, 1], [1, 1]]]],
+      fields,
+      records: [['Empty', 0], null, ['Kept', 3]]
+    });
+
+    const { features } = shapefileParser.read(layer).geojson;
+
+    expect(features).toHaveLength(1);
+    expect(features[0].properties.NAME).toBe('Kept');
+  });
+
+  it('should reject point layers and mismatched tables', () => {
+    const points = buildShapefile({ type: 3, shapes: [[[[0, 0], [1, 0]]]] });
+    new DataView(points.shp.buffer).setInt32(108, 1, true);
+    expect(() => shapefileParser.read(points)).toThrow('Unsupported shape type Point in record 1');
+
+    const layer = buildShapefile({ type: 3, shapes: [[[[0, 0], [1, 0]]]] });
+    layer.dbf = buildDBF(fields, [['A', 1], ['B', 2]]);
+    expect(() => shapefileParser.read(layer)).toThrow('Shapefile has 1 shapes but 2 attribute records');
+
+    expect(() => shapefileParser.read({ shp: new Uint8Array(100) })).toThrow('Not a .shp file');
+    expect(() => shapefileParser.read(buildShapefile({ type: 3, shapes: [null] })))
+      .toThrow('Shapefile has no polyline or polygon shapes');
+  });
+
+  it('should convert dBase field types', () => {
+    const dbf = buildDBF(
+      [
+        { name: 'NAME', type: 'C', length: 12 },
+        { name: 'ORDER', type: 'N', length: 4 },
+        { name: 'NAVIGABLE', type: 'L', length: 1 },
+        { name: 'SURVEYED', type: 'D', length: 8 }
+      ],
+      [['Guadiana', 6, 'T', '20240131'], ['', null, '?', '']]
+    );
+
+    expect(shapefileParser.readRecords(dbf)).toEqual([
+      { NAME: 'Guadiana', ORDER: 6, NAVIGABLE: true, SURVEYED: '2024-01-31' },
+      { NAME: '', ORDER: null, NAVIGABLE: null, SURVEYED: null }
+    ]);
+  });
+
+  it('should decode text with the .cpg encoding, else UTF-8 or Windows-1252', () => {
+    const field = [{ name: 'NAME', type: 'C', length: 12 }];
+    const latin = buildDBF(field, [['']]);
+    // "Düna" in Windows-1252
+    latin.set([0x44, 0xFC, 0x6E, 0x61], latin.length - 13);
+
+    expect(shapefileParser.readRecords(latin)[0].NAME).toBe('Düna');
+    expect(shapefileParser.readRecords(latin, '1252')[0].NAME).toBe('Düna');
+    expect(shapefileParser.readRecords(buildDBF(field, [['Düna']]))[0].NAME).toBe('Düna');
+    expect(() => shapefileParser.readRecords(latin, 'KLINGON')).toThrow('Unsupported .cpg encoding "KLINGON"');
+  });
+
+  it('should map .prj coordinate systems to SRIDs', () => {
+    expect(shapefileParser.readSRID(GEOGRAPHIC)).toBe(4326);
+    expect(shapefileParser.readSRID(WEB_MERCATOR)).toBe(3857);
+    expect(shapefileParser.readSRID(UTM_33S)).toBe(32733);
+    expect(shapefileParser.readSRID('PROJCS["WGS 84 / UTM zone 5N"]')).toBe(32605);
+    expect(shapefileParser.readSRID(NATIONAL_GRID)).toBe(null);
+  });
+
+  it('should read a zipped shapefile with its .prj', () => {
+    const layer = buildShapefile({ type: 3, shapes: [[[[10, 60], [11, 61]]]], fields, records: [['Glomma', 40]] });
+    const zip = buildZip({
+      'rivers/Glomma.SHP': layer.shp,
+      'rivers/Glomma.shx': layer.shx,
+      'rivers/Glomma.dbf': layer.dbf,
+      'rivers/Glomma.prj': GEOGRAPHIC,
+      '__MACOSX/rivers/._Glomma.shp': new Uint8Array(10)
+    });
+
+    const { geojson, srid } = shapefileParser.read(zip);
+
+    expect(srid).toBe(4326);
+    expect(geojson.features[0].properties).toEqual({ NAME: 'Glomma', WIDTH: 40 });
+  });
+
+  it('should reject archives without exactly one shapefile', () => {
+    const layer = buildShapefile({ type: 3, shapes: [[[[0, 0], [1, 0]]]] });
+
+    expect(() => shapefileParser.read(buildZip({ 'readme.txt': 'rivers' })))
+      .toThrow('Zip archive has no .shp file');
+    expect(() => shapefileParser.read(buildZip({ 'a.shp': layer.shp, 'b.shp': layer.shp })))
+      .toThrow('Zip archive has several shapefiles (a.shp, b.shp); extract the one to label');
+  });
+});
@@ -395,6 +395,19 @@ describe('TextPlacer', () => {
       expect(result.map(p => p.char).join('')).toBe('HELLO');
     });
 
+    it('should start after the given arc-length offset', () => {
+      const path = {
+        points: [
+          { x: 0, y: 0 },
+          { x: 50, y: 0 }
+        ]
+      };
+
+      const result = placer.placeText('A', path, 0, 16, 20);
+
+      expect(result[0].x).toBeCloseTo(20 + 4.8);
+    });
+
     it('should handle long text on short path', () => {
       const path = {
         points: [
@@ -411,4 +424,242 @@ describe('TextPlacer', () => {
       expect(result[result.length - 1].x).toBe(10);
     });
   });
+
+  describe('placeLabel', () => {
+    const eastward = {
+      points: Array.from({ length: 11 }, (_, i) => ({ x: i * 10, y: 0 }))
+    };
+    const westward = {
+      points: eastward.points.slice().reverse(),
+      widths: Array.from({ length: 11 }, (_, i) => i)
+    };
+
+    it('should keep vertex order when the segment runs left-to-right', () => {
+      const { characterPlacements, orientation } = placer.placeLabel(
+        'AB', eastward, { startIdx: 2, endIdx: 8 }, 16
+      );
+
+      expect(orientation).toBe('forward');
+      expect(characterPlacements).toEqual(placer.placeText('AB', eastward, 2, 16));
+    });
+
+    it('should reverse the traversal when the segment runs right-to-left', () => {
+      const { characterPlacements, orientation } = placer.placeLabel(
+        'AB', westward, { startIdx: 2, endIdx: 8 }, 16
+      );
+
+      expect(orientation).toBe('reversed');
+      expect(characterPlacements.map(p => p.char).join('')).toBe('AB');
+      // Glyphs start at the left end of the segment (x = 20) and advance rightward
+      expect(characterPlacements[0].x).toBeCloseTo(20 + 4.8);
+      expect(characterPlacements[1].x).toBeGreaterThan(characterPlacements[0].x);
+      characterPlacements.forEach(p => expect(p.angle).toBeCloseTo(0));
+    });
+
+    it('should not modify the input path when reversing', () => {
+      placer.placeLabel('AB', westward, { startIdx: 2, endIdx: 8 }, 16);
+
+      expect(westward.points[0]).toEqual({ x: 100, y: 0 });
+      expect(westward.widths[0]).toBe(0);
+    });
+
+    it('should keep every glyph upright on a west-flowing curve', () => {
+      const arc = {
+        points: Array.from({ length: 13 }, (_, i) => {
+          const t = Math.PI * (0.25 + 0.5 * i / 12);
+          return { x: 100 * Math.cos(t), y: -100 * Math.sin(t) };
+        })
+      };
+      const { characterPlacements, orientation } = placer.placeLabel(
+        'RIVER', arc, { startIdx: 0, endIdx: 12 }, 16
+      );
+
+      expect(orientation).toBe('reversed');
+      characterPlacements.forEach(p => expect(Math.abs(p.angle)).toBeLessThanOrEqual(Math.PI / 2));
+    });
+
+    it('should honor an explicit orientation', () => {
+      const { characterPlacements, orientation } = placer.placeLabel(
+        'AB', westward, { startIdx: 2, endIdx: 8 }, 16, { orientation: 'forward' }
+      );
+
+      expect(orientation).toBe('forward');
+      expect(Math.abs(characterPlacements[0].angle)).toBeCloseTo(Math.PI);
+    });
+
+    it('should center the label on the segment midpoint', () => {
+      const { characterPlacements } = placer.placeLabel(
+        'AB', eastward, { startIdx: 2, endIdx: 8 }, 16, { anchor: 'center' }
+      );
+
+      // Segment runs x = 20..80, text is 2 * 9.6 = 19.2px wide
+      expect(characterPlacements[0].x).toBeCloseTo(50 - 4.8);
+      expect(characterPlacements[1].x).toBeCloseTo(50 + 4.8);
+    });
+
+    it('should end the label at the segment end', () => {
+      const { characterPlacements } = placer.placeLabel(
+        'AB', eastward, { startIdx: 2, endIdx: 8 }, 16, { anchor: 'end' }
+      );
+
+      expect(characterPlacements[1].x + characterPlacements[1].width / 2).toBeCloseTo(80);
+    });
+
+    it('should place the anchor at an arc-length offset', () => {
+      const { characterPlacements } = placer.placeLabel(
+        'AB', eastward, { startIdx: 2, endIdx: 8 }, 16, { anchor: 'center', offset: 15 }
+      );
+
+      expect(characterPlacements[0].x).toBeCloseTo(35 - 4.8);
+    });
+
+    it('should measure offsets in vertex order on reversed segments', () => {
+      // Vertex 2 of the westward path is at x = 80, so offset 15 is x = 65
+      const { characterPlacements, orientation } = placer.placeLabel(
+        'AB', westward, { startIdx: 2, endIdx: 8 }, 16, { anchor: 'center', offset: 15 }
+      );
+
+      expect(orientation).toBe('reversed');
+      expect(characterPlacements[0].x).toBeCloseTo(65 - 4.8);
+      expect(characterPlacements[1].x).toBeCloseTo(65 + 4.8);
+    });
+
+    it('should start at the reading start for reversed segments by default', () => {
+      const { characterPlacements } = placer.placeLabel(
+        'AB', westward, { startIdx: 2, endIdx: 8 }, 16, { anchor: 'start' }
+      );
+
+      expect(characterPlacements[0].x).toBeCloseTo(20 + 4.8);
+    });
+
+    it('should let text extend before the segment start without leaving the path', () => {
+      const { characterPlacements } = placer.placeLabel(
+        'ABCD', eastward, { startIdx: 1, endIdx: 3 }, 16, { anchor: 'end', offset: 0 }
+      );
+
+      // Would start at x = 10 - 38.4, so it is clamped to the path start
+      expect(characterPlacements[0].x).toBeCloseTo(4.8);
+    });
+
+    it('should reject unknown anchors and invalid offsets', () => {
+      const segment = { startIdx: 0, endIdx: 5 };
+
+      expect(() => placer.placeLabel('AB', eastward, segment, 16, { anchor: 'middle' }))
+        .toThrow('Invalid anchor: middle');
+      expect(() => placer.placeLabel('AB', eastward, segment, 16, { offset: NaN }))
+        .toThrow('Invalid offset');
+    });
+
+    it('should apply letter spacing between glyphs and keep the label centered', () => {
+      const { characterPlacements } = placer.placeLabel('ABC', eastward, { startIdx: 0, endIdx: 10 }, 10, {
+        anchor: 'center',
+        letterSpacing: -1
+      });
+
+      // Glyphs are 6 wide and advance by 5; the label is 16 long, centered at 50
+      expect(characterPlacements.map(p => p.x)).toEqual([
+        expect.closeTo(45, 10),
+        expect.closeTo(50, 10),
+        expect.closeTo(55, 10)
+      ]);
+    });
+
+    it('should reject unknown orientations', () => {
+      expect(() => placer.placeLabel('AB', eastward, { startIdx: 0, endIdx: 5 }, 16, {
+        orientation: 'sideways'
+      })).toThrow('Invalid orientation: sideways');
+    });
+  });
+
+  describe('grapheme clusters', () => {
+    const path = { points: [{ x: 0, y: 0 }, { x: 200, y: 0 }] };
+
+    it('should keep combining accents with their base letter', () => {
+      // 'i' followed by U+0301 COMBINING ACUTE ACCENT
+      const result = placer.placeText('Ri\u0301o Bravo', path, 0, 10);
+
+      expect(result).toHaveLength(9);
+      expect(result[1].char).toBe('i\u0301');
+      expect(result[2].x - result[1].x).toBeCloseTo(6);
+    });
+
+    it('should place precomposed and decomposed names identically', () => {
+      const precomposed = placer.placeText('Dnipr\u00f3', path, 0, 10);
+      const decomposed = placer.placeText('Dnipro\u0301', path, 0, 10);
+
+      expect(decomposed.map(p => p.char)).toEqual(['D', 'n', 'i', 'p', 'r', 'o\u0301']);
+      expect(decomposed.map(p => p.x)).toEqual(precomposed.map(p => p.x));
+    });
+
+    it('should not split surrogate pairs or emoji sequences', () => {
+      const result = placer.placeText('\u{1D4E1}iver \u{1F1FA}\u{1F1E6} \u{1F469}\u200D\u{1F52C}', path, 0, 10);
+
+      expect(result.map(p => p.char)).toEqual(
+        ['\u{1D4E1}', 'i', 'v', 'e', 'r', ' ', '\u{1F1FA}\u{1F1E6}', ' ', '\u{1F469}\u200D\u{1F52C}']
+      );
+    });
+
+    it('should measure the label as whole clusters', () => {
+      const { characterPlacements } = placer.placeLabel(
+        'Ri\u0301o', path, { startIdx: 0, endIdx: 1 }, 10, { anchor: 'center' }
+      );
+      const first = characterPlacements[0];
+      const last = characterPlacements[characterPlacements.length - 1];
+
+      expect(characterPlacements).toHaveLength(3);
+      expect((first.x - first.width / 2 + last.x + last.width / 2) / 2).toBeCloseTo(100);
+    });
+  });
+
+  describe('right-to-left text', () => {
+    const path = { points: [{ x: 0, y: 0 }, { x: 200, y: 0 }] };
+
+    it('should lay out right-to-left names in visual order', () => {
+      const result = placer.placeText('נהר Jordan', path, 0, 10);
+
+      expect(result.map(p => p.char).join('')).toBe('Jordan רהנ');
+      expect(result[0].x).toBeLessThan(result[result.length - 1].x);
+    });
+
+    it('should rotate each shaped Arabic letter on a curve', () => {
+      const curve = {
+        points: Array.from({ length: 20 }, (_, i) => ({ x: i * 10, y: 20 * Math.sin(i / 4) }))
+      };
+      const result = placer.placeText('نهر', curve, 0, 10);
+
+      expect(result.map(p => p.char.codePointAt(0))).toEqual([0xFEAE, 0xFEEC, 0xFEE7]);
+      expect(new Set(result.map(p => p.angle.toFixed(3))).size).toBeGreaterThan(1);
+    });
+
+    it('should keep reversed segments reading in visual order', () => {
+      const westward = { points: [{ x: 200, y: 0 }, { x: 0, y: 0 }] };
+      const { characterPlacements, orientation } = placer.placeLabel('נהר', westward, { startIdx: 0, endIdx: 1 }, 10);
+
+      expect(orientation).toBe('reversed');
+      expect(characterPlacements.map(p => p.char).join('')).toBe('רהנ');
+      expect(characterPlacements[0].x).toBeLessThan(characterPlacements[2].x);
+    });
+  });
+
+  describe('getReadableOrientation', () => {
+    it('should treat rightward and vertical segments as forward', () => {
+      const path = { points: [{ x: 0, y: 0 }, { x: 10, y: 5 }, { x: 10, y: 20 }] };
+
+      expect(placer.getReadableOrientation(path, 0, 1)).toBe('forward');
+      expect(placer.getReadableOrientation(path, 1, 2)).toBe('forward');
+    });
+
+    it('should treat leftward segments as reversed', () => {
+      const path = { points: [{ x: 10, y: 0 }, { x: 0, y: 5 }, { x: -5, y: -20 }] };
+
+      expect(placer.getReadableOrientation(path, 0, 1)).toBe('reversed');
+      expect(placer.getReadableOrientation(path, 0, 2)).toBe('reversed');
+    });
+
+    it('should reject segments outside the path', () => {
+      const path = { points: [{ x: 0, y: 0 }, { x: 10, y: 0 }] };
+
+      expect(() => placer.getReadableOrientation(path, 0, 5)).toThrow('Invalid segment');
+    });
+  });
 });
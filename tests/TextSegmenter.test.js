@@ -0,0 +1,40 @@
+/**
+ * Tests for TextSegmenter
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { TextSegmenter } from '../src/TextSegmenter.js';
+
+const samples = [
+  ['Río Bravo', ['R', 'í', 'o', ' ', 'B', 'r', 'a', 'v', 'o']],
+  ['Dnipró', ['D', 'n', 'i', 'p', 'r', 'ó']],
+  ['\u{10400}\u{10401}', ['\u{10400}', '\u{10401}']],
+  ['\u{1F30A}\u{1F3FD}\u2764\uFE0F', ['\u{1F30A}\u{1F3FD}', '\u2764\uFE0F']],
+  ['\u{1F1EA}\u{1F1EC}\u{1F1F8}\u{1F1E9}', ['\u{1F1EA}\u{1F1EC}', '\u{1F1F8}\u{1F1E9}']],
+  ['\u{1F468}\u200D\u{1F469}\u200D\u{1F467}', ['\u{1F468}\u200D\u{1F469}\u200D\u{1F467}']]
+];
+
+describe('TextSegmenter', () => {
+  it('should return no clusters for empty text', () => {
+    expect(TextSegmenter.graphemes('')).toEqual([]);
+    expect(TextSegmenter.graphemes(undefined)).toEqual([]);
+  });
+
+  it.each(samples)('should split %s into grapheme clusters', (text, expected) => {
+    expect(TextSegmenter.graphemes(text)).toEqual(expected);
+  });
+
+  describe('without Intl.Segmenter', () => {
+    const original = Intl.Segmenter;
+
+    afterEach(() => {
+      Intl.Segmenter = original;
+    });
+
+    it.each(samples)('should split %s into the same clusters', (text, expected) => {
+      Intl.Segmenter = undefined;
+
+      expect(TextSegmenter.graphemes(text)).toEqual(expected);
+    });
+  });
+});
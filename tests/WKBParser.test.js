@@ -0,0 +1,101 @@
+/**
+ * Tests for WKBParser
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { WKBParser } from '../src/WKBParser.js';
+import { buildWKB, toHex } from './wkbBuilder.js';
+
+describe('WKBParser', () => {
+  let wkbParser;
+
+  const square = [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]];
+  const hole = [[4, 4], [6, 4], [6, 6], [4, 4]];
+
+  beforeEach(() => {
+    wkbParser = new WKBParser();
+  });
+
+  it('should recognize bytes and hex text', () => {
+    const bytes = buildWKB({ type: 1, coordinates: [1, 2] });
+
+    expect(wkbParser.isWKB(bytes)).toBe(true);
+    expect(wkbParser.isWKB(bytes.buffer)).toBe(true);
+    expect(wkbParser.isWKB(toHex(bytes))).toBe(true);
+    expect(wkbParser.isWKB(`\\x${toHex(bytes).toUpperCase()}`)).toBe(true);
+    expect(wkbParser.isWKB('POLYGON((0 0, 1 0, 1 1, 0 0))')).toBe(false);
+    expect(wkbParser.isWKB('0101')).toBe(true);
+    expect(wkbParser.isWKB('abc')).toBe(false);
+  });
+
+  it('should decode a point in both byte orders', () => {
+    for (const bigEndian of [false, true]) {
+      expect(wkbParser.parse(buildWKB({ type: 1, coordinates: [1.5, -2], bigEndian }))).toEqual({
+        type: 'POINT',
+        srid: null,
+        coordinates: [1.5, -2]
+      });
+    }
+  });
+
+  it('should decode a linestring with Z or M as width, M winning for ZM', () => {
+    const line = (z, m, iso) => wkbParser.parse(buildWKB({
+      type: 2,
+      coordinates: [[0, 0, 5, 7], [10, 0, 6, 8]].map(([x, y, zv, mv]) => [x, y, ...(z ? [zv] : []), ...(m ? [mv] : [])]),
+      z,
+      m,
+      iso
+    })).coordinates;
+
+    expect(line(false, false)).toEqual([[0, 0], [10, 0]]);
+    expect(line(true, false)).toEqual([[0, 0, 5], [10, 0, 6]]);
+    expect(line(false, true, true)).toEqual([[0, 0, 7], [10, 0, 8]]);
+    expect(line(true, true)).toEqual([[0, 0, 7], [10, 0, 8]]);
+    expect(line(true, true, true)).toEqual([[0, 0, 7], [10, 0, 8]]);
+  });
+
+  it('should decode polygon rings without their Z values', () => {
+    const geometry = wkbParser.parse(buildWKB({
+      type: 3,
+      coordinates: [square, hole].map(ring => ring.map(([x, y]) => [x, y, 99])),
+      z: true,
+      bigEndian: true
+    }));
+
+    expect(geometry.type).toBe('POLYGON');
+    expect(geometry.coordinates).toEqual([square, hole]);
+  });
+
+  it('should decode multi geometries', () => {
+    expect(wkbParser.parse(buildWKB({ type: 4, coordinates: [[1, 2], [3, 4]] })).coordinates).toEqual([[1, 2], [3, 4]]);
+    expect(wkbParser.parse(buildWKB({ type: 5, coordinates: [[[0, 0], [1, 1]], [[2, 2], [3, 3]]], iso: true }))).toEqual({
+      type: 'MULTILINESTRING',
+      srid: null,
+      coordinates: [[[0, 0], [1, 1]], [[2, 2], [3, 3]]]
+    });
+    expect(wkbParser.parse(buildWKB({ type: 6, coordinates: [[square], [square, hole]] })).coordinates).toEqual([
+      [square],
+      [square, hole]
+    ]);
+  });
+
+  it('should read the EWKB SRID from bytes and hex', () => {
+    const bytes = buildWKB({ type: 2, coordinates: [[10.5, 60], [10.6, 60]], srid: 4326 });
+
+    expect(wkbParser.parse(bytes).srid).toBe(4326);
+    expect(wkbParser.parse(toHex(bytes))).toEqual(wkbParser.parse(bytes));
+  });
+
+  it('should report malformed input', () => {
+    const line = buildWKB({ type: 2, coordinates: [[0, 0], [1, 1]] });
+
+    expect(() => wkbParser.parse(line.slice(0, -4))).toThrow('WKB ends early at byte');
+    expect(() => wkbParser.parse(Uint8Array.from([...line, 0]))).toThrow('Unexpected bytes after geometry at byte 41');
+    expect(() => wkbParser.parse(buildWKB({ type: 7, coordinates: [] }))).toThrow('Unsupported WKB geometry type 7');
+    expect(() => wkbParser.parse(Uint8Array.from([2, 1, 0, 0, 0]))).toThrow('Invalid byte order 2');
+    expect(() => wkbParser.parse(buildWKB({ type: 2, coordinates: [[0, 0]] }))).toThrow(
+      'LINESTRING must have at least 2 coordinates'
+    );
+    expect(() => wkbParser.parse('not hex')).toThrow('Invalid WKB: expected bytes or hex text');
+  });
+});
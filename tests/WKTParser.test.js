@@ -0,0 +1,189 @@
+/**
+ * Tests for WKTParser
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { WKTParser } from '../src/WKTParser.js';
+
+describe('WKTParser', () => {
+  let wktParser;
+
+  beforeEach(() => {
+    wktParser = new WKTParser();
+  });
+
+  describe('getGeometryType', () => {
+    it('should return the upper-case geometry keyword', () => {
+      expect(wktParser.getGeometryType('polygon((0 0, 1 0, 1 1, 0 0))')).toBe('POLYGON');
+      expect(wktParser.getGeometryType('  MULTIPOLYGON(((0 0, 1 0, 1 1, 0 0)))')).toBe('MULTIPOLYGON');
+    });
+
+    it('should throw for non-string input', () => {
+      expect(() => wktParser.getGeometryType(null)).toThrow('Invalid WKT string');
+    });
+  });
+
+  describe('getSRID', () => {
+    it('should read the extended WKT SRID prefix', () => {
+      expect(wktParser.getSRID('SRID=4326;POLYGON((0 0, 1 0, 1 1, 0 0))')).toBe(4326);
+      expect(wktParser.getSRID(' srid = 3857 ;LINESTRING(0 0, 1 1)')).toBe(3857);
+      expect(wktParser.getSRID('POLYGON((0 0, 1 0, 1 1, 0 0))')).toBeNull();
+    });
+
+    it('should reject a malformed SRID', () => {
+      expect(() => wktParser.getSRID('SRID=EPSG:4326;POLYGON((0 0, 1 0, 1 1, 0 0))')).toThrow('Invalid SRID "EPSG:4326"');
+    });
+
+    it('should let every parser read past the prefix', () => {
+      const ewkt = 'SRID=4326;POLYGON((0 0, 10 0, 10 10, 0 0))';
+      expect(wktParser.getGeometryType(ewkt)).toBe('POLYGON');
+      expect(wktParser.parsePolygon(ewkt)).toEqual([[0, 0], [10, 0], [10, 10], [0, 0]]);
+      expect(wktParser.parseLineString('SRID=4326;LINESTRING Z (0 0 5, 1 1 6)')).toEqual([[0, 0, 5], [1, 1, 6]]);
+    });
+  });
+
+  describe('parsePolygonRings', () => {
+    const wkt = `POLYGON((0 0, 100 0, 100 20, 0 20, 0 0),
+      (40 5, 60 5, 60 15, 40 15, 40 5))`;
+
+    it('should return the exterior ring followed by holes', () => {
+      const rings = wktParser.parsePolygonRings(wkt);
+
+      expect(rings).toHaveLength(2);
+      expect(rings[0]).toHaveLength(5);
+      expect(rings[1][0]).toEqual([40, 5]);
+    });
+
+    it('should keep parsePolygon returning only the exterior ring', () => {
+      expect(wktParser.parsePolygon(wkt)).toEqual(wktParser.parsePolygonRings(wkt)[0]);
+    });
+
+    it('should reject non-polygon input', () => {
+      expect(() => wktParser.parsePolygonRings('MULTIPOLYGON(((0 0, 1 0, 1 1, 0 0)))'))
+        .toThrow('Only POLYGON geometry is supported');
+    });
+  });
+
+  describe('trailing content', () => {
+    it('should reject text after a POLYGON', () => {
+      expect(() => wktParser.parsePolygonRings('POLYGON((0 0, 10 0, 10 10, 0 0)) x'))
+        .toThrow('use MULTIPOLYGON for several polygons');
+      expect(() => wktParser.parsePolygonRings('POLYGON((0 0, 10 0, 10 10, 0 0)) POLYGON((20 0, 30 0, 30 10, 20 0))'))
+        .toThrow('Unexpected characters after geometry');
+    });
+
+    it('should split geometries written one after another', () => {
+      const first = 'POLYGON((0 0, 10 0, 10 10, 0 0))';
+      const second = 'POLYGON((20 0, 30 0, 30 10, 20 0))';
+
+      expect(wktParser.splitGeometries(first)).toEqual([first]);
+      expect(wktParser.splitGeometries(`${first}\n${second}\n`)).toEqual([first, second]);
+      expect(wktParser.splitGeometries(`SRID=4326;${first} ${second}`))
+        .toEqual([`SRID=4326;${first}`, `SRID=4326;${second}`]);
+    });
+
+    it('should reject stray text or parentheses between geometries', () => {
+      expect(() => wktParser.splitGeometries('POLYGON((0 0, 10 0, 10 10, 0 0)) oops'))
+        .toThrow('Unexpected characters after geometry: "oops"');
+      expect(() => wktParser.splitGeometries('POLYGON((0 0, 10 0, 10 10, 0 0)))'))
+        .toThrow('Unbalanced parentheses at position 32');
+    });
+  });
+
+  describe('extractCenterline', () => {
+    it('should subtract islands from the measured width', () => {
+      const exterior = [
+        [0, 0], [25, 0], [50, 0], [75, 0], [100, 0],
+        [100, 20], [75, 20], [50, 20], [25, 20], [0, 20], [0, 0]
+      ];
+      const island = [[40, 5], [60, 5], [60, 15], [40, 15], [40, 5]];
+
+      const open = wktParser.extractCenterline(exterior);
+      const split = wktParser.extractCenterline(exterior, [island]);
+
+      const middle = Math.floor(open.length / 2);
+      expect(open[middle][2]).toBeCloseTo(20);
+      expect(split[middle][2]).toBeLessThan(open[middle][2]);
+    });
+  });
+
+  describe('parseMultiPolygon', () => {
+    it('should return the exterior ring of every part', () => {
+      const wkt = `MULTIPOLYGON(((0 0, 10 0, 10 5, 0 5, 0 0)),
+        ((10 0, 20 0, 20 5, 10 5, 10 0)))`;
+      const parts = wktParser.parseMultiPolygon(wkt);
+
+      expect(parts).toHaveLength(2);
+      expect(parts[0]).toEqual([[0, 0], [10, 0], [10, 5], [0, 5], [0, 0]]);
+      expect(parts[1][0]).toEqual([10, 0]);
+    });
+
+    it('should accept single-part multipolygons', () => {
+      const parts = wktParser.parseMultiPolygon('MULTIPOLYGON(((0 0, 4 0, 4 4, 0 0)))');
+
+      expect(parts).toHaveLength(1);
+      expect(parts[0]).toHaveLength(4);
+    });
+
+    it('should reject plain POLYGON input', () => {
+      expect(() => wktParser.parseMultiPolygon('POLYGON((0 0, 1 0, 1 1, 0 0))'))
+        .toThrow('Expected MULTIPOLYGON geometry');
+    });
+
+    it('should reject unbalanced parentheses', () => {
+      expect(() => wktParser.parseMultiPolygon('MULTIPOLYGON(((0 0, 1 0, 1 1, 0 0))'))
+        .toThrow();
+    });
+
+    it('should reject parts with fewer than 3 coordinates', () => {
+      expect(() => wktParser.parseMultiPolygon('MULTIPOLYGON(((0 0, 1 0)))'))
+        .toThrow('at least 3 coordinates');
+    });
+  });
+
+  describe('parseLineString', () => {
+    it('should return [x, y] coordinates for 2D lines', () => {
+      expect(wktParser.parseLineString('LINESTRING(0 0, 10 5, 20 0)'))
+        .toEqual([[0, 0], [10, 5], [20, 0]]);
+    });
+
+    it('should map Z values to width', () => {
+      expect(wktParser.parseLineString('LINESTRING Z (0 0 4, 10 5 6, 20 0 8)'))
+        .toEqual([[0, 0, 4], [10, 5, 6], [20, 0, 8]]);
+    });
+
+    it('should map M values to width', () => {
+      expect(wktParser.parseLineString('LINESTRING M(0 0 4, 10 5 6)'))
+        .toEqual([[0, 0, 4], [10, 5, 6]]);
+    });
+
+    it('should prefer M over Z for ZM lines', () => {
+      expect(wktParser.parseLineString('LINESTRING ZM (0 0 100 4, 10 5 101 6)'))
+        .toEqual([[0, 0, 4], [10, 5, 6]]);
+    });
+
+    it('should reject other geometry types', () => {
+      expect(() => wktParser.parseLineString('POLYGON((0 0, 1 0, 1 1, 0 0))'))
+        .toThrow('Expected LINESTRING geometry');
+    });
+
+    it('should reject lines with fewer than 2 coordinates', () => {
+      expect(() => wktParser.parseLineString('LINESTRING(0 0)'))
+        .toThrow('at least 2 coordinates');
+    });
+  });
+
+  describe('parseMultiLineString', () => {
+    it('should return one coordinate array per line', () => {
+      const lines = wktParser.parseMultiLineString('MULTILINESTRING((0 0, 10 0), (10 0, 20 0, 30 5))');
+
+      expect(lines).toHaveLength(2);
+      expect(lines[1]).toEqual([[10, 0], [20, 0], [30, 5]]);
+    });
+
+    it('should reject nested polygon bodies', () => {
+      expect(() => wktParser.parseMultiLineString('MULTILINESTRING(((0 0, 10 0)))'))
+        .toThrow('Invalid MULTILINESTRING line format');
+    });
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Tests for XMLParser
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { XMLParser } from '../src/XMLParser.js';
+
+describe('XMLParser', () => {
+  let xmlParser;
+
+  beforeEach(() => {
+    xmlParser = new XMLParser();
+  });
+
+  it('should build an element tree with attributes and text', () => {
+    const root = xmlParser.parse(`<?xml version="1.0"?>
+      <!DOCTYPE river [ <!ENTITY x "y"> ]>
+      <!-- a comment -->
+      <river id='r1' kind="main"><name>Odra</name><empty/></river>`);
+
+    expect(root.name).toBe('river');
+    expect(root.attributes).toEqual({ id: 'r1', kind: 'main' });
+    expect(root.children.map(child => child.name)).toEqual(['name', 'empty']);
+    expect(xmlParser.childText(root, 'name')).toBe('Odra');
+    expect(xmlParser.childText(root, 'missing')).toBeNull();
+  });
+
+  it('should decode entities and keep CDATA as text', () => {
+    const root = xmlParser.parse('<a t="&quot;x&quot;">R&amp;D &#233;&#x20AC; <![CDATA[<b> & ]]></a>');
+
+    expect(root.attributes.t).toBe('"x"');
+    expect(root.text).toBe('R&D é€ <b> & ');
+  });
+
+  it('should drop namespace prefixes', () => {
+    const root = xmlParser.parse('<kml:kml xmlns:kml="urn:x"><kml:Placemark/></kml:kml>');
+
+    expect(root.name).toBe('kml');
+    expect(xmlParser.children(root, 'Placemark')).toHaveLength(1);
+  });
+
+  it('should find descendants without searching inside matches', () => {
+    const root = xmlParser.parse('<a><b><c id="1"><c id="2"/></c></b><c id="3"/></a>');
+
+    expect(xmlParser.descendants(root, 'c').map(c => c.attributes.id)).toEqual(['1', '3']);
+  });
+
+  it('should report malformed documents', () => {
+    expect(() => xmlParser.parse('<a><b></a>')).toThrow('Unexpected closing tag </a>');
+    expect(() => xmlParser.parse('<a>')).toThrow('Unclosed element <a>');
+    expect(() => xmlParser.parse('<a/><b/>')).toThrow('XML document must have exactly one root element');
+    expect(() => xmlParser.parse('<a <b>')).toThrow('Malformed tag at position 0');
+    expect(() => xmlParser.parse('<a><!-- open')).toThrow('Unterminated markup');
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Tests for ZipReader and Inflate
+ */
+
+import { describe, it, expect } from 'vitest';
+import { deflateRawSync, constants } from 'node:zlib';
+import { ZipReader } from '../src/ZipReader.js';
+import { Inflate } from '../src/Inflate.js';
+import { buildZip } from './shapefileBuilder.js';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+describe('ZipReader', () => {
+  it('should list and read stored and deflated entries', () => {
+    for (const deflate of [false, true]) {
+      const zip = new ZipReader(buildZip({ 'a.txt': 'Amazon', 'data/b.txt': 'Orinoco '.repeat(50) }, { deflate }));
+
+      expect(zip.entries.map(entry => entry.name)).toEqual(['a.txt', 'data/b.txt']);
+      expect(decoder.decode(zip.read('a.txt'))).toBe('Amazon');
+      expect(decoder.decode(zip.read('data/b.txt'))).toBe('Orinoco '.repeat(50));
+    }
+  });
+
+  it('should accept an ArrayBuffer and skip directories', () => {
+    const bytes = buildZip({ 'data/': '', 'data/a.txt': 'Nile' });
+    const zip = new ZipReader(bytes.buffer);
+
+    expect(zip.entries.map(entry => entry.name)).toEqual(['data/a.txt']);
+    expect(decoder.decode(zip.read('data/a.txt'))).toBe('Nile');
+  });
+
+  it('should recognize zip archives by their signature', () => {
+    expect(ZipReader.isZip(buildZip({ 'a.txt': 'x' }))).toBe(true);
+    expect(ZipReader.isZip(encoder.encode('PK'))).toBe(false);
+    expect(ZipReader.isZip('PK\x03\x04')).toBe(false);
+  });
+
+  it('should reject broken and unsupported archives', () => {
+    const bytes = buildZip({ 'a.txt': 'Volga' }, { deflate: false });
+
+    expect(() => new ZipReader(encoder.encode('not a zip'))).toThrow('Not a zip archive');
+    expect(() => new ZipReader(bytes.subarray(0, bytes.length - 22))).toThrow('Zip archive has no central directory');
+    expect(() => new ZipReader(bytes).read('b.txt')).toThrow('No b.txt in zip archive');
+
+    const encrypted = bytes.slice();
+    const central = encrypted.length - 22 - 46 - 'a.txt'.length;
+    encrypted[central + 8] = 1;
+    expect(() => new ZipReader(encrypted)).toThrow('Zip entry a.txt is encrypted');
+
+    const bzip2 = bytes.slice();
+    bzip2[central + 10] = 12;
+    expect(() => new ZipReader(bzip2)).toThrow('Zip entry a.txt uses unsupported compression method 12');
+  });
+});
+
+describe('Inflate', () => {
+  it('should match zlib for fixed, dynamic and stored blocks', () => {
+    const text = encoder.encode('The river flows, the river bends, the river widens. '.repeat(40));
+    const random = Uint8Array.from({ length: 5000 }, (_, i) => (i * 7919 + (i >> 3) * 31) % 251);
+
+    // Compared as arrays: the test environment's Uint8Array differs from Node's
+    const roundTrip = (data, options) => Array.from(Inflate.inflate(new Uint8Array(deflateRawSync(data, options))));
+
+    for (const data of [encoder.encode('Rhine'), text, random]) {
+      for (const strategy of [constants.Z_FIXED, constants.Z_DEFAULT_STRATEGY]) {
+        expect(roundTrip(data, { strategy })).toEqual(Array.from(data));
+      }
+      expect(roundTrip(data, { level: 0 })).toEqual(Array.from(data));
+    }
+  });
+
+  it('should reject truncated and invalid data', () => {
+    const compressed = new Uint8Array(deflateRawSync(encoder.encode('Mekong '.repeat(100))));
+
+    expect(() => Inflate.inflate(compressed.subarray(0, compressed.length - 4))).toThrow('DEFLATE data ends early');
+    expect(() => Inflate.inflate(Uint8Array.of(0x07))).toThrow('Invalid DEFLATE block type');
+  });
+});
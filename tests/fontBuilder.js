@@ -0,0 +1,199 @@
+/**
+ * Builds minimal TrueType fonts in memory for the font measurement tests
+ * Glyph 0 is .notdef; every character in `advances` gets the next glyph index
+ */
+
+const u16 = value => [(value >> 8) & 0xFF, value & 0xFF];
+const i16 = value => u16(value & 0xFFFF);
+const u32 = value => [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+const tag = name => [...name].map(c => c.charCodeAt(0));
+const pad = (bytes, length) => bytes.concat(Array(Math.max(0, length - bytes.length)).fill(0));
+
+/**
+ * @param {Object} options
+ * @param {Object<string, number>} options.advances - Advance width per character in font units
+ * @param {Array<[string, string, number]>} options.kerning - Kerning pairs in font units
+ * @param {string} options.kerningTable - 'kern', 'gpos1', 'gpos2' or 'gpos-extension'
+ * @param {number} options.cmapFormat - 4 or 12
+ * @returns {Uint8Array}
+ */
+export function buildFont(options = {}) {
+  const {
+    unitsPerEm = 1000,
+    family = 'Test Sans',
+    weight = 400,
+    italic = false,
+    notdefAdvance = 500,
+    advances = {},
+    kerning = [],
+    kerningTable = 'gpos1',
+    cmapFormat = 4
+  } = options;
+
+  const characters = Object.keys(advances);
+  const glyphOf = char => characters.indexOf(char) + 1;
+  const numGlyphs = characters.length + 1;
+  const pairs = kerning
+    .map(([left, right, value]) => [glyphOf(left), glyphOf(right), value])
+    .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+  const head = pad([...u32(0x00010000), ...u32(0x00010000), ...u32(0), ...u32(0x5F0F3CF5),
+    ...u16(0), ...u16(unitsPerEm)], 54);
+  head.splice(44, 2, ...u16((weight >= 700 ? 1 : 0) | (italic ? 2 : 0)));
+
+  const hhea = pad(u32(0x00010000), 36);
+  hhea.splice(34, 2, ...u16(numGlyphs));
+
+  const os2 = pad(u16(4), 78);
+  os2.splice(4, 2, ...u16(weight));
+  os2.splice(62, 2, ...u16(italic ? 1 : 0));
+
+  const tables = {
+    head,
+    hhea,
+    maxp: [...u32(0x00005000), ...u16(numGlyphs)],
+    hmtx: [notdefAdvance, ...characters.map(char => advances[char])].flatMap(advance => [...u16(advance), ...i16(0)]),
+    cmap: cmapTable(characters, glyphOf, cmapFormat),
+    name: nameTable(family),
+    'OS/2': os2
+  };
+
+  if (pairs.length > 0) {
+    if (kerningTable === 'kern') {
+      tables.kern = kernTable(pairs);
+    } else {
+      tables.GPOS = gposTable(pairs, kerningTable);
+    }
+  }
+
+  return assemble(tables);
+}
+
+function cmapTable(characters, glyphOf, format) {
+  const mapped = characters
+    .map(char => [char.codePointAt(0), glyphOf(char)])
+    .sort((a, b) => a[0] - b[0]);
+
+  let subtable;
+  if (format === 12) {
+    const groups = mapped.flatMap(([code, glyph]) => [...u32(code), ...u32(code), ...u32(glyph)]);
+    subtable = [...u16(12), ...u16(0), ...u32(16 + groups.length), ...u32(0), ...u32(mapped.length), ...groups];
+  } else {
+    const segments = [...mapped.map(([code, glyph]) => [code, glyph - code]), [0xFFFF, 1]];
+    const segCount = segments.length;
+    subtable = [
+      ...u16(4), ...u16(16 + segCount * 8), ...u16(0), ...u16(segCount * 2), ...u16(0), ...u16(0), ...u16(0),
+      ...segments.flatMap(([code]) => u16(code)),
+      ...u16(0),
+      ...segments.flatMap(([code]) => u16(code)),
+      ...segments.flatMap(([, delta]) => i16(delta)),
+      ...segments.flatMap(() => u16(0))
+    ];
+  }
+
+  return [...u16(0), ...u16(1), ...u16(3), ...u16(format === 12 ? 10 : 1), ...u32(12), ...subtable];
+}
+
+function nameTable(family) {
+  const text = [...family].flatMap(c => u16(c.charCodeAt(0)));
+  return [...u16(0), ...u16(1), ...u16(18),
+    ...u16(3), ...u16(1), ...u16(0x409), ...u16(1), ...u16(text.length), ...u16(0), ...text];
+}
+
+function kernTable(pairs) {
+  const body = pairs.flatMap(([left, right, value]) => [...u16(left), ...u16(right), ...i16(value)]);
+  return [...u16(0), ...u16(1),
+    ...u16(0), ...u16(14 + body.length), ...u16(0x0001), ...u16(pairs.length), ...u16(0), ...u16(0), ...u16(0),
+    ...body];
+}
+
+function coverageTable(glyphs) {
+  return [...u16(1), ...u16(glyphs.length), ...glyphs.flatMap(glyph => u16(glyph))];
+}
+
+function classDefTable(glyphs) {
+  // Format 2, one single-glyph range per class starting at class 1
+  const ranges = glyphs.map((glyph, index) => [glyph, index + 1]).sort((a, b) => a[0] - b[0]);
+  return [...u16(2), ...u16(ranges.length), ...ranges.flatMap(([glyph, cls]) => [...u16(glyph), ...u16(glyph), ...u16(cls)])];
+}
+
+function pairPosFormat1(pairs) {
+  const lefts = [...new Set(pairs.map(([left]) => left))];
+  const pairSets = lefts.map(left => {
+    const records = pairs.filter(pair => pair[0] === left);
+    return [...u16(records.length), ...records.flatMap(([, right, value]) => [...u16(right), ...i16(value)])];
+  });
+
+  const headerLength = 10 + lefts.length * 2;
+  const coverage = coverageTable(lefts);
+  let offset = headerLength + coverage.length;
+  const pairSetOffsets = pairSets.map(set => {
+    const current = offset;
+    offset += set.length;
+    return current;
+  });
+
+  return [...u16(1), ...u16(headerLength), ...u16(0x0004), ...u16(0), ...u16(lefts.length),
+    ...pairSetOffsets.flatMap(value => u16(value)), ...coverage, ...pairSets.flat()];
+}
+
+function pairPosFormat2(pairs) {
+  const lefts = [...new Set(pairs.map(([left]) => left))].sort((a, b) => a - b);
+  const rights = [...new Set(pairs.map(([, right]) => right))];
+  const records = [];
+  for (let class1 = 0; class1 <= lefts.length; class1++) {
+    for (let class2 = 0; class2 <= rights.length; class2++) {
+      const pair = pairs.find(([left, right]) =>
+        left === lefts[class1 - 1] && right === rights[class2 - 1]
+      );
+      records.push(...i16(pair ? pair[2] : 0));
+    }
+  }
+
+  const coverage = coverageTable(lefts);
+  const classDef1 = classDefTable(lefts);
+  const classDef2 = classDefTable(rights);
+  const headerLength = 16 + records.length;
+
+  return [...u16(2), ...u16(headerLength), ...u16(0x0004), ...u16(0),
+    ...u16(headerLength + coverage.length), ...u16(headerLength + coverage.length + classDef1.length),
+    ...u16(lefts.length + 1), ...u16(rights.length + 1), ...records,
+    ...coverage, ...classDef1, ...classDef2];
+}
+
+function gposTable(pairs, kind) {
+  let lookupType = 2;
+  let subtable = kind === 'gpos2' ? pairPosFormat2(pairs) : pairPosFormat1(pairs);
+  if (kind === 'gpos-extension') {
+    lookupType = 9;
+    subtable = [...u16(1), ...u16(2), ...u32(8), ...subtable];
+  }
+
+  const scriptList = u16(0);
+  const feature = [...u16(0), ...u16(1), ...u16(0)];
+  const featureList = [...u16(1), ...tag('kern'), ...u16(8), ...feature];
+  const lookup = [...u16(lookupType), ...u16(0), ...u16(1), ...u16(8), ...subtable];
+  const lookupList = [...u16(1), ...u16(4), ...lookup];
+
+  const scriptListOffset = 10;
+  const featureListOffset = scriptListOffset + scriptList.length;
+  const lookupListOffset = featureListOffset + featureList.length;
+
+  return [...u16(1), ...u16(0), ...u16(scriptListOffset), ...u16(featureListOffset), ...u16(lookupListOffset),
+    ...scriptList, ...featureList, ...lookupList];
+}
+
+function assemble(tables) {
+  const tags = Object.keys(tables).sort();
+  const directoryLength = 12 + tags.length * 16;
+  const directory = [...u32(0x00010000), ...u16(tags.length), ...u16(0), ...u16(0), ...u16(0)];
+  const body = [];
+
+  for (const name of tags) {
+    const data = tables[name];
+    directory.push(...tag(name.padEnd(4, ' ')), ...u32(0), ...u32(directoryLength + body.length), ...u32(data.length));
+    body.push(...data, ...Array((4 - (data.length % 4)) % 4).fill(0));
+  }
+
+  return Uint8Array.from([...directory, ...body]);
+}
@@ -0,0 +1,214 @@
+/**
+ * Builds Shapefile members and zip archives in memory for the Shapefile tests
+ * Shape types are the Shapefile codes: 3 PolyLine, 5 Polygon, 13/15 their Z forms
+ */
+
+import { deflateRawSync } from 'node:zlib';
+
+/**
+ * Encode shapes and their attributes as .shp, .shx and .dbf bytes
+ * @param {Object} layer - {type, shapes, fields, records}: shapes are arrays of
+ *   parts (arrays of [x, y]) or null; fields are {name, type: 'C'|'N'|'L'|'D', length,
+ *   decimals}; records are arrays of values, or null for a deleted record
+ * @returns {{shp: Uint8Array, shx: Uint8Array, dbf: Uint8Array}}
+ */
+export function buildShapefile(layer) {
+  const { type, shapes, fields = [], records = shapes.map(() => []) } = layer;
+  const hasZ = type === 13 || type === 15;
+
+  const contents = shapes.map(parts => {
+    if (parts === null) {
+      const view = new DataView(new ArrayBuffer(4));
+      view.setInt32(0, 0, true);
+      return new Uint8Array(view.buffer);
+    }
+
+    const points = parts.flat();
+    const xs = points.map(([x]) => x);
+    const ys = points.map(([, y]) => y);
+    const size = 44 + parts.length * 4 + points.length * 16 + (hasZ ? 16 + points.length * 8 : 0);
+    const view = new DataView(new ArrayBuffer(size));
+    view.setInt32(0, type, true);
+    [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)]
+      .forEach((value, i) => view.setFloat64(4 + i * 8, value, true));
+    view.setInt32(36, parts.length, true);
+    view.setInt32(40, points.length, true);
+
+    let first = 0;
+    parts.forEach((part, i) => {
+      view.setInt32(44 + i * 4, first, true);
+      first += part.length;
+    });
+
+    const pointsOffset = 44 + parts.length * 4;
+    points.forEach(([x, y], i) => {
+      view.setFloat64(pointsOffset + i * 16, x, true);
+      view.setFloat64(pointsOffset + i * 16 + 8, y, true);
+    });
+    if (hasZ) {
+      // Z range, then one Z per point (zero)
+      view.setFloat64(pointsOffset + points.length * 16, 0, true);
+      view.setFloat64(pointsOffset + points.length * 16 + 8, 0, true);
+    }
+    return new Uint8Array(view.buffer);
+  });
+
+  const shp = concat([
+    header(type, 50 + contents.reduce((sum, content) => sum + 4 + content.length / 2, 0)),
+    ...contents.map((content, i) => {
+      const view = new DataView(new ArrayBuffer(8));
+      view.setInt32(0, i + 1, false);
+      view.setInt32(4, content.length / 2, false);
+      return concat([new Uint8Array(view.buffer), content]);
+    })
+  ]);
+
+  let offset = 100;
+  const index = new DataView(new ArrayBuffer(contents.length * 8));
+  contents.forEach((content, i) => {
+    index.setInt32(i * 8, offset / 2, false);
+    index.setInt32(i * 8 + 4, content.length / 2, false);
+    offset += 8 + content.length;
+  });
+  const shx = concat([header(type, 50 + contents.length * 4), new Uint8Array(index.buffer)]);
+
+  return { shp, shx, dbf: buildDBF(fields, records) };
+}
+
+/**
+ * Encode a dBase III table
+ * @param {Array<{name: string, type: string, length: number, decimals?: number}>} fields
+ * @param {Array<Array|null>} records
+ * @returns {Uint8Array}
+ */
+export function buildDBF(fields, records) {
+  const encoder = new TextEncoder();
+  const headerLength = 32 + fields.length * 32 + 1;
+  const recordLength = 1 + fields.reduce((sum, field) => sum + field.length, 0);
+  const bytes = new Uint8Array(headerLength + records.length * recordLength + 1);
+  const view = new DataView(bytes.buffer);
+
+  bytes[0] = 0x03;
+  view.setUint32(4, records.length, true);
+  view.setUint16(8, headerLength, true);
+  view.setUint16(10, recordLength, true);
+
+  fields.forEach((field, i) => {
+    const offset = 32 + i * 32;
+    bytes.set(encoder.encode(field.name).subarray(0, 10), offset);
+    bytes[offset + 11] = field.type.charCodeAt(0);
+    bytes[offset + 16] = field.length;
+    bytes[offset + 17] = field.decimals ?? 0;
+  });
+  bytes[headerLength - 1] = 0x0D;
+
+  records.forEach((record, i) => {
+    const start = headerLength + i * recordLength;
+    bytes.fill(0x20, start, start + recordLength);
+    if (record === null) {
+      bytes[start] = 0x2A;
+      return;
+    }
+
+    let offset = start + 1;
+    fields.forEach((field, j) => {
+      const value = record[j] === null || record[j] === undefined ? '' : String(record[j]);
+      // Numbers are right-aligned, text left-aligned
+      const text = field.type === 'N' || field.type === 'F' ? value.padStart(field.length) : value;
+      bytes.set(encoder.encode(text).subarray(0, field.length), offset);
+      offset += field.length;
+    });
+  });
+  bytes[bytes.length - 1] = 0x1A;
+
+  return bytes;
+}
+
+/**
+ * Pack files into a zip archive
+ * @param {Object<string, Uint8Array|string>} files - Contents by path
+ * @param {Object} options
+ * @param {boolean} options.deflate - Compress the entries (default: true)
+ * @returns {Uint8Array}
+ */
+export function buildZip(files, { deflate = true } = {}) {
+  const encoder = new TextEncoder();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const [path, value] of Object.entries(files)) {
+    const name = encoder.encode(path);
+    const data = typeof value === 'string' ? encoder.encode(value) : value;
+    const stored = deflate ? new Uint8Array(deflateRawSync(data)) : data;
+    const method = deflate ? 8 : 0;
+    const checksum = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(8, method, true);
+    local.setUint32(14, checksum, true);
+    local.setUint32(18, stored.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    locals.push(new Uint8Array(local.buffer), name, stored);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(10, method, true);
+    central.setUint32(16, checksum, true);
+    central.setUint32(20, stored.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centrals.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + stored.length;
+  }
+
+  const directory = concat(centrals);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, Object.keys(files).length, true);
+  end.setUint16(10, Object.keys(files).length, true);
+  end.setUint32(12, directory.length, true);
+  end.setUint32(16, offset, true);
+
+  return concat([...locals, directory, new Uint8Array(end.buffer)]);
+}
+
+/**
+ * 100-byte .shp/.shx header; the file length is in 16-bit words
+ */
+function header(type, words) {
+  const view = new DataView(new ArrayBuffer(100));
+  view.setInt32(0, 9994, false);
+  view.setInt32(24, words, false);
+  view.setInt32(28, 1000, true);
+  view.setInt32(32, type, true);
+  return new Uint8Array(view.buffer);
+}
+
+function concat(arrays) {
+  const bytes = new Uint8Array(arrays.reduce((sum, array) => sum + array.length, 0));
+  let offset = 0;
+  for (const array of arrays) {
+    bytes.set(array, offset);
+    offset += array.length;
+  }
+  return bytes;
+}
+
+function crc32(data) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of data) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+    }
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
@@ -0,0 +1,54 @@
+/**
+ * Builds WKB and EWKB geometry in memory for the binary input tests
+ * Types are the WKB codes: 1 Point, 2 LineString, 3 Polygon, 4-6 their Multi forms
+ */
+
+/**
+ * Encode a geometry as WKB
+ * @param {Object} geometry - {type: 1-6, coordinates, z, m, srid, iso, bigEndian}
+ * @returns {Uint8Array}
+ */
+export function buildWKB(geometry) {
+  const { type, coordinates, z = false, m = false, srid = null, iso = false, bigEndian = false } = geometry;
+  const bytes = [];
+  const littleEndian = !bigEndian;
+  const push = (size, write) => {
+    const view = new DataView(new ArrayBuffer(size));
+    write(view);
+    bytes.push(...new Uint8Array(view.buffer));
+  };
+  const uint32 = value => push(4, view => view.setUint32(0, value, littleEndian));
+  const position = values => values.forEach(value => push(8, view => view.setFloat64(0, value, littleEndian)));
+  const positions = list => {
+    uint32(list.length);
+    list.forEach(position);
+  };
+
+  bytes.push(littleEndian ? 1 : 0);
+  if (iso) {
+    uint32(type + (z && m ? 3000 : m ? 2000 : z ? 1000 : 0));
+  } else {
+    uint32((type | (z ? 0x80000000 : 0) | (m ? 0x40000000 : 0) | (srid !== null ? 0x20000000 : 0)) >>> 0);
+    if (srid !== null) {
+      uint32(srid);
+    }
+  }
+
+  if (type === 1) {
+    position(coordinates);
+  } else if (type === 2) {
+    positions(coordinates);
+  } else if (type === 3) {
+    uint32(coordinates.length);
+    coordinates.forEach(positions);
+  } else {
+    uint32(coordinates.length);
+    for (const member of coordinates) {
+      bytes.push(...buildWKB({ type: type - 3, coordinates: member, z, m, iso, bigEndian }));
+    }
+  }
+
+  return Uint8Array.from(bytes);
+}
+
+export const toHex = bytes => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');